@@ -1,91 +1,570 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import './App.css';
 import BugForm from './components/BugForm';
 import BugList from './components/BugList';
+import ConflictDialog from './components/ConflictDialog';
+import Toast from './components/Toast';
+import TrashView from './components/TrashView';
+import ProjectSwitcher from './components/ProjectSwitcher';
+import MilestoneOverview from './components/MilestoneOverview';
+import Dashboard from './components/Dashboard';
+import DuplicateSuggestions from './components/DuplicateSuggestions';
+import NotificationBell from './components/NotificationBell';
+import EmailSettings from './components/EmailSettings';
 import ErrorBoundary from './components/ErrorBoundary';
-import { getBugs, createBug, updateBug, deleteBug, updateBugStatus } from './services/api';
+import ErrorAlert from './components/ErrorAlert';
+import Login from './components/Login';
+import {
+  getBugs,
+  getBug,
+  createBug,
+  findDuplicateBugs,
+  markDuplicate,
+  updateBug,
+  bulkUpdateBugs,
+  deleteBug,
+  restoreBug,
+  uploadAttachments,
+  updateBugStatus,
+  streamBugEvents,
+  watchBug,
+  unwatchBug,
+  getWorkflow,
+  getLabels,
+  getMilestones,
+  getAuthToken,
+  getCurrentUser,
+  logout,
+  setUnauthorizedHandler,
+  createCorrelationId
+} from './services/api';
+import { can } from './utils/permissions';
+import { HIGHLIGHT_MS, applyBugEvent, getReconnectDelay } from './utils/stream';
+
+// Parameters for the page after a response: by cursor, or by number for relevance-ranked searches
+const getNextPageParams = (pagination) => {
+  if (pagination?.nextCursor) return { after: pagination.nextCursor };
+  if (pagination?.page && pagination.page < pagination.pages) return { page: pagination.page + 1 };
+  return null;
+};
 
 function App() {
   const [bugs, setBugs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [errorReference, setErrorReference] = useState(null);
   const [editingBug, setEditingBug] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [workflow, setWorkflow] = useState(null);
+  const [labels, setLabels] = useState(null);
+  const [milestones, setMilestones] = useState(null);
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [authNotice, setAuthNotice] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [queryError, setQueryError] = useState(null);
+  const [sort, setSort] = useState('');
+  const [nextPage, setNextPage] = useState(null);
+  const [totalBugs, setTotalBugs] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [conflict, setConflict] = useState(null);
+  const [view, setView] = useState('bugs');
+  const [project, setProject] = useState('');
+  const [milestoneFilter, setMilestoneFilter] = useState('');
+  const [undoDelete, setUndoDelete] = useState(null);
+  const [failure, setFailure] = useState(null);
+  const [duplicatePrompt, setDuplicatePrompt] = useState(null);
+  const [markingDuplicate, setMarkingDuplicate] = useState(false);
+  const [liveStatus, setLiveStatus] = useState('connecting');
+  const [changedBugIds, setChangedBugIds] = useState([]);
+  const [focusedBugId, setFocusedBugId] = useState(null);
+  const [inboxRefresh, setInboxRefresh] = useState(0);
+  const latestRequest = useRef(0);
+  const highlightTimers = useRef(new Map());
+
+  const listParams = useMemo(() => ({
+    ...(project ? { project } : {}),
+    ...(milestoneFilter ? { milestone: milestoneFilter } : {}),
+    ...(searchQuery ? { q: searchQuery } : {}),
+    ...(sort ? { sort } : {})
+  }), [project, milestoneFilter, searchQuery, sort]);
 
-  // Load bugs on component mount
+  // Restore the session from a stored token on component mount
   useEffect(() => {
-    loadBugs();
+    setUnauthorizedHandler(() => {
+      setUser(null);
+      setAuthNotice('Your session has expired. Please sign in again.');
+    });
+    restoreSession();
+
+    return () => setUnauthorizedHandler(null);
   }, []);
 
-  const loadBugs = async () => {
+  // Load the status workflow, labels and milestones once signed in
+  useEffect(() => {
+    if (user) {
+      loadWorkflow();
+      loadLabels();
+      loadMilestones();
+    }
+  }, [user]);
+
+
+  const restoreSession = async () => {
+    if (!getAuthToken()) {
+      setAuthChecked(true);
+      return;
+    }
+
+    try {
+      setUser(await getCurrentUser());
+    } catch (err) {
+      console.error('Error restoring session:', err);
+      logout();
+    } finally {
+      setAuthChecked(true);
+    }
+  };
+
+  const handleLogin = (signedInUser) => {
+    console.log('Signed in as:', signedInUser.username);
+    setAuthNotice(null);
+    setUser(signedInUser);
+  };
+
+  const handleLogout = () => {
+    logout();
+    setUser(null);
+    setBugs([]);
+    setSearchQuery('');
+    setQueryError(null);
+    setSort('');
+    setNextPage(null);
+    setTotalBugs(null);
+    setEditingBug(null);
+    setShowForm(false);
+    setConflict(null);
+    setView('bugs');
+    setProject('');
+    setMilestoneFilter('');
+    setUndoDelete(null);
+    setDuplicatePrompt(null);
+    setAuthNotice('You have been signed out.');
+  };
+
+  const loadWorkflow = async () => {
+    try {
+      setWorkflow(await getWorkflow());
+    } catch (err) {
+      // The server still enforces the workflow, so the list can work without it
+      console.error('Error loading workflow:', err);
+    }
+  };
+
+  const loadLabels = async () => {
+    try {
+      // Archived labels are still shown in color on the bugs that have them
+      const response = await getLabels({ includeArchived: true });
+      setLabels(response.labels);
+    } catch (err) {
+      // The form then takes any tag, and the server checks it against the labels
+      console.error('Error loading labels:', err);
+    }
+  };
+
+  const loadMilestones = async () => {
+    try {
+      const response = await getMilestones();
+      setMilestones(response.milestones);
+    } catch (err) {
+      // Bugs can still be filed without planning them
+      console.error('Error loading milestones:', err);
+    }
+  };
+
+  const loadBugs = useCallback(async () => {
+    // Only the newest request may update the list, so slow searches can't overwrite fresh ones
+    const requestId = ++latestRequest.current;
+    const isLatest = () => requestId === latestRequest.current;
+
     try {
       setLoading(true);
       setError(null);
+      setErrorReference(null);
       console.log('Loading bugs from API...');
-      const response = await getBugs();
+      const response = await getBugs(listParams);
+      if (!isLatest()) return;
+
       setBugs(response.bugs || []);
+      setNextPage(getNextPageParams(response.pagination));
+      setTotalBugs(response.pagination?.total ?? null);
+      setQueryError(null);
       console.log(`Loaded ${response.bugs?.length || 0} bugs`);
     } catch (err) {
       console.error('Error loading bugs:', err);
-      setError('Failed to load bugs. Please try again.');
+      if (!isLatest()) return;
+
+      // A bad query keeps the current list and points at the mistake instead
+      if (err.status === 400 && err.data?.errors) {
+        setQueryError({ query: searchQuery, errors: err.data.errors });
+      } else {
+        setError('Failed to load bugs. Please try again.');
+        setErrorReference(err.correlationId || null);
+      }
+    } finally {
+      if (isLatest()) setLoading(false);
+    }
+  }, [searchQuery, listParams]);
+
+  // Load bugs once signed in, and again whenever the search or sort changes
+  useEffect(() => {
+    if (user) {
+      loadBugs();
+    }
+  }, [user, loadBugs]);
+
+  // The stream outlives searches, so it reads the current list parameters through refs
+  const listParamsRef = useRef(listParams);
+  const loadBugsRef = useRef(loadBugs);
+  useEffect(() => {
+    listParamsRef.current = listParams;
+    loadBugsRef.current = loadBugs;
+  }, [listParams, loadBugs]);
+
+  // Marks a bug someone else changed for a few seconds
+  const highlightBug = useCallback((bugId) => {
+    clearTimeout(highlightTimers.current.get(bugId));
+    setChangedBugIds(prev => (prev.includes(bugId) ? prev : [...prev, bugId]));
+    highlightTimers.current.set(bugId, setTimeout(() => {
+      highlightTimers.current.delete(bugId);
+      setChangedBugIds(prev => prev.filter(id => id !== bugId));
+    }, HIGHLIGHT_MS));
+  }, []);
+
+  // Follow changes as they happen, reconnecting with backoff whenever the stream drops
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const controller = new AbortController();
+    let lastEventId = null;
+    let attempt = 0;
+
+    const handleMessage = (message) => {
+      if (message.id) lastEventId = message.id;
+
+      if (message.event === 'ready') {
+        attempt = 0;
+        setLiveStatus('live');
+      } else if (message.event === 'reset') {
+        // Too much was missed to replay, so start over from the server's copy
+        loadBugsRef.current();
+      } else {
+        setBugs(prev => applyBugEvent(prev, message, listParamsRef.current));
+        if (message.data.actor !== user.username) {
+          highlightBug(message.data.bug._id);
+          // Someone else's change may have notified this user
+          setInboxRefresh(prev => prev + 1);
+        }
+      }
+    };
+
+    const follow = async () => {
+      while (!controller.signal.aborted) {
+        try {
+          await streamBugEvents({
+            project: project || undefined,
+            lastEventId,
+            signal: controller.signal,
+            onMessage: handleMessage
+          });
+        } catch (err) {
+          if (!controller.signal.aborted) console.error('Bug stream error:', err);
+        }
+        if (controller.signal.aborted) return;
+
+        setLiveStatus('reconnecting');
+        const delay = getReconnectDelay(attempt);
+        attempt += 1;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    };
+
+    setLiveStatus('connecting');
+    follow();
+
+    return () => controller.abort();
+  }, [user, project, highlightBug]);
+
+  // Failures show the failed action's reference, for the user to quote when reporting them.
+  // Each action handler creates one correlation ID and sends all of its requests under it
+  const showFailure = (message, err) => setFailure({ message, reference: err?.correlationId || null });
+
+  const handleLoadMore = async () => {
+    if (!nextPage) return;
+
+    // A fresh load replaces the list, so a page fetched for the old one is dropped
+    const requestId = latestRequest.current;
+    const correlationId = createCorrelationId();
+
+    try {
+      setLoadingMore(true);
+      console.log('Loading more bugs:', nextPage);
+      const response = await getBugs({ ...listParams, ...nextPage }, { correlationId });
+      if (requestId !== latestRequest.current) return;
+
+      // Numbered pages can shift under new bugs, so skip any already listed
+      setBugs(prev => [
+        ...prev,
+        ...(response.bugs || []).filter(bug => !prev.some(existing => existing._id === bug._id))
+      ]);
+      setNextPage(getNextPageParams(response.pagination));
+      setTotalBugs(response.pagination?.total ?? null);
+    } catch (err) {
+      console.error('Error loading more bugs:', err);
+      showFailure('Failed to load more bugs. Please try again.', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Uploads the files picked in the form once their bug has been saved, as part of the same action
+  const uploadFormFiles = async (bugId, files, correlationId) => {
+    if (!files || files.length === 0) return;
+
+    try {
+      console.log('Uploading attachments to bug:', bugId, files.length);
+      await uploadAttachments(bugId, files, { correlationId });
+    } catch (err) {
+      console.error('Error uploading attachments:', err);
+      const reasons = err.details ? ` ${err.details.join(' ')}` : '';
+      showFailure(`The bug was saved, but its attachments could not be uploaded.${reasons}`, err);
+    }
+  };
+
+  // Reports are compared with bugs in the project being viewed, or in every project
+  const handleFindDuplicates = useCallback(async (title, description) => {
+    const response = await findDuplicateBugs({ title, description, ...(project && { project }) });
+    return response.duplicates;
+  }, [project]);
+
+  const closeAsDuplicate = async (bug, originalId, correlationId = createCorrelationId()) => {
+    try {
+      setMarkingDuplicate(true);
+      console.log('Marking bug as duplicate:', bug._id, 'of', originalId);
+      const closedBug = await markDuplicate(bug._id, originalId, { correlationId });
+      setBugs(prev => prev.map(item => (item._id === closedBug._id ? closedBug : item)));
+      setDuplicatePrompt(null);
+    } catch (err) {
+      console.error('Error marking duplicate:', err);
+      const reasons = err.details ? ` ${err.details.join(' ')}` : '';
+      showFailure(`The bug was saved, but it could not be marked as a duplicate.${reasons}`, err);
     } finally {
-      setLoading(false);
+      setMarkingDuplicate(false);
     }
   };
 
-  const handleCreateBug = async (bugData) => {
+  const handleCreateBug = async (bugData, files, { duplicateOf } = {}) => {
+    const correlationId = createCorrelationId();
+
     try {
       console.log('Creating new bug:', bugData);
-      const newBug = await createBug(bugData);
+      // New bugs go to the project being viewed; with all projects shown, to the default one
+      const { possibleDuplicates = [], ...newBug } = await createBug(
+        project ? { ...bugData, project } : bugData,
+        { correlationId }
+      );
       setBugs(prev => [newBug, ...prev]);
+      setTotalBugs(prev => (prev === null ? prev : prev + 1));
       setShowForm(false);
       console.log('Bug created successfully:', newBug._id);
+      await uploadFormFiles(newBug._id, files, correlationId);
+
+      // Picked as a duplicate in the form, or offer the likely ones the server found
+      if (duplicateOf) {
+        await closeAsDuplicate(newBug, duplicateOf, correlationId);
+      } else if (possibleDuplicates.length > 0) {
+        setDuplicatePrompt({ bug: newBug, duplicates: possibleDuplicates });
+      }
     } catch (err) {
       console.error('Error creating bug:', err);
       throw err; // Let the form handle the error display
     }
   };
 
-  const handleUpdateBug = async (bugData) => {
+  // Saves an edit made to the given copy of a bug; a newer copy on the server opens the conflict dialog
+  const saveBugEdit = async (baseBug, bugData, files) => {
+    const correlationId = createCorrelationId();
+
     try {
-      console.log('Updating bug:', editingBug._id, bugData);
-      const updatedBug = await updateBug(editingBug._id, bugData);
+      console.log('Updating bug:', baseBug._id, bugData);
+      const updatedBug = await updateBug(baseBug._id, bugData, baseBug.version, { correlationId });
       setBugs(prev => prev.map(bug =>
-        bug._id === editingBug._id ? updatedBug : bug
+        bug._id === baseBug._id ? updatedBug : bug
       ));
       setEditingBug(null);
       setShowForm(false);
+      setConflict(null);
       console.log('Bug updated successfully:', updatedBug._id);
+      await uploadFormFiles(updatedBug._id, files, correlationId);
     } catch (err) {
       console.error('Error updating bug:', err);
+      if (err.status === 412 && err.data?.current) {
+        const latest = err.data.current;
+        setBugs(prev => prev.map(bug => (bug._id === latest._id ? latest : bug)));
+        setConflict({ base: baseBug, mine: bugData, latest, files });
+        return;
+      }
       throw err; // Let the form handle the error display
     }
   };
 
+  const handleUpdateBug = (bugData, files) => saveBugEdit(editingBug, bugData, files);
+
+  // The merged edit is based on the latest copy, so it only conflicts if yet another save happened
+  const handleResolveConflict = (mergedData) => saveBugEdit(conflict.latest, mergedData, conflict.files);
+
+  const handleDiscardConflict = () => {
+    setConflict(null);
+    setEditingBug(null);
+    setShowForm(false);
+  };
+
   const handleDeleteBug = async (bugId) => {
     try {
       console.log('Deleting bug:', bugId);
-      await deleteBug(bugId);
+      const index = bugs.findIndex(bug => bug._id === bugId);
+      const response = await deleteBug(bugId, { correlationId: createCorrelationId() });
       setBugs(prev => prev.filter(bug => bug._id !== bugId));
-      console.log('Bug deleted successfully:', bugId);
+      setTotalBugs(prev => (prev === null ? prev : prev - 1));
+
+      // Offer to undo, putting the bug back where it was
+      setUndoDelete({ bug: response.bug || bugs[index], index });
+      console.log('Bug moved to trash:', bugId);
     } catch (err) {
       console.error('Error deleting bug:', err);
-      alert('Failed to delete bug. Please try again.');
+      if (err.status === 403) {
+        showFailure('You do not have permission to delete this bug.', err);
+      } else {
+        showFailure('Failed to delete bug. Please try again.', err);
+      }
     }
   };
 
-  const handleStatusChange = async (bugId, newStatus) => {
+  // Puts a bug taken out of the trash back in the list
+  const addRestoredBug = (restoredBug, index = 0) => {
+    setBugs(prev => {
+      const others = prev.filter(bug => bug._id !== restoredBug._id);
+      return [...others.slice(0, index), restoredBug, ...others.slice(index)];
+    });
+    setTotalBugs(prev => (prev === null ? prev : prev + 1));
+  };
+
+  const handleUndoDelete = async () => {
+    const { bug, index } = undoDelete;
+    setUndoDelete(null);
+
+    try {
+      console.log('Restoring bug:', bug._id);
+      addRestoredBug(await restoreBug(bug._id, { correlationId: createCorrelationId() }), index);
+      console.log('Bug restored successfully:', bug._id);
+    } catch (err) {
+      console.error('Error restoring bug:', err);
+      showFailure('Failed to restore the bug. You can still find it in the Trash.', err);
+    }
+  };
+
+  const dismissUndo = useCallback(() => setUndoDelete(null), []);
+
+  // Overriding blockers retries within the same action, under its correlation ID
+  const handleStatusChange = async (bugId, newStatus, details, correlationId = createCorrelationId()) => {
     try {
       console.log('Changing bug status:', bugId, 'to', newStatus);
-      const updatedBug = await updateBugStatus(bugId, newStatus);
+      const updatedBug = await updateBugStatus(bugId, newStatus, details, { correlationId });
       setBugs(prev => prev.map(bug =>
         bug._id === bugId ? updatedBug : bug
       ));
       console.log('Bug status updated successfully:', bugId);
     } catch (err) {
       console.error('Error updating bug status:', err);
-      alert('Failed to update bug status. Please try again.');
+      // Open blockers can be overridden, so ask before resolving the bug anyway
+      if (err.status === 422 && err.data?.blockers) {
+        if (window.confirm(`${err.details.join(' ')}. Change the status anyway?`)) {
+          await handleStatusChange(bugId, newStatus, { ...details, ignoreBlockers: true }, correlationId);
+        }
+      } else if (err.status === 422 && err.details) {
+        showFailure(`Status change not allowed: ${err.details.join(' ')}`, err);
+      } else if (err.status === 403) {
+        showFailure('You do not have permission to change the status of this bug.', err);
+      } else {
+        showFailure('Failed to update bug status. Please try again.', err);
+      }
+    }
+  };
+
+  const handleToggleWatch = async (bugId, watching) => {
+    try {
+      console.log(watching ? 'Watching bug:' : 'Unwatching bug:', bugId);
+      const options = { correlationId: createCorrelationId() };
+      const { watchers } = await (watching ? watchBug(bugId, options) : unwatchBug(bugId, options));
+      setBugs(prev => prev.map(bug => (bug._id === bugId ? { ...bug, watchers } : bug)));
+    } catch (err) {
+      console.error('Error changing watch:', err);
+      showFailure('Failed to change whether you watch this bug. Please try again.', err);
+    }
+  };
+
+  // Opens a bug from a notification or the dashboard, fetching it when the list does not show it
+  const handleOpenBug = async (bugId) => {
+    setView('bugs');
+
+    if (!bugs.some(bug => bug._id === bugId)) {
+      try {
+        const bug = await getBug(bugId, { correlationId: createCorrelationId() });
+        setBugs(prev => (prev.some(item => item._id === bugId) ? prev : [bug, ...prev]));
+      } catch (err) {
+        console.error('Error opening bug:', err);
+        showFailure(err.status === 404 ? 'This bug has been deleted.' : 'Failed to open the bug. Please try again.', err);
+        return;
+      }
     }
+
+    setFocusedBugId(bugId);
+    highlightBug(bugId);
+  };
+
+  // Scroll to a bug opened from elsewhere once it is on screen
+  useEffect(() => {
+    if (!focusedBugId) return;
+
+    const element = document.getElementById(`bug-${focusedBugId}`);
+    if (element) {
+      element.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+      setFocusedBugId(null);
+    }
+  }, [focusedBugId, bugs, view]);
+
+  const handleBulkUpdate = async (selection, operation) => {
+    console.log('Applying bulk update:', operation, selection);
+    const response = await bulkUpdateBugs(selection, operation, project || undefined, {
+      correlationId: createCorrelationId()
+    });
+
+    const updated = new Map(response.results
+      .filter(result => result.success)
+      .map(result => [result.bug._id, result.bug]));
+    setBugs(prev => prev.map(bug => updated.get(bug._id) || bug));
+
+    console.log('Bulk update finished:', response.summary);
+    return response;
+  };
+
+  const handleSearch = useCallback((query) => {
+    setSearchQuery(query);
+  }, []);
+
+  const handleViewMilestoneBugs = (milestoneId) => {
+    setMilestoneFilter(milestoneId);
+    setView('bugs');
   };
 
   const handleEditBug = (bug) => {
@@ -99,11 +578,11 @@ function App() {
     setShowForm(false);
   };
 
-  const handleFormSubmit = (bugData) => {
+  const handleFormSubmit = (bugData, files, options) => {
     if (editingBug) {
-      return handleUpdateBug(bugData);
+      return handleUpdateBug(bugData, files);
     } else {
-      return handleCreateBug(bugData);
+      return handleCreateBug(bugData, files, options);
     }
   };
 
@@ -113,46 +592,179 @@ function App() {
         <header className="App-header">
           <h1>Bug Tracker</h1>
           <p>A comprehensive bug tracking system with testing and debugging features</p>
-        </header>
-
-        <main className="App-main">
-          <div className="container">
-            <div className="actions">
+          {user && (
+            <div className="App-user" data-testid="current-user">
+              <span>
+                Signed in as <strong>{user.name}</strong> ({user.username}, {user.role})
+              </span>
+              <NotificationBell onOpenBug={handleOpenBug} refreshKey={inboxRefresh} />
+              <EmailSettings user={user} onSaved={setUser} />
               <button
-                className="btn btn-primary"
-                onClick={() => setShowForm(true)}
-                disabled={showForm}
+                className="btn btn-secondary btn-sm"
+                onClick={handleLogout}
+                data-testid="logout-button"
               >
-                {showForm ? 'Form Open' : 'Report New Bug'}
-              </button>
-              <button
-                className="btn btn-secondary"
-                onClick={loadBugs}
-                disabled={loading}
-              >
-                {loading ? 'Loading...' : 'Refresh'}
+                Sign Out
               </button>
             </div>
+          )}
+        </header>
 
-            {showForm && (
+        <main className="App-main">
+          <div className="container">
+            {!authChecked ? (
+              <p className="loading">Checking your session...</p>
+            ) : !user ? (
               <div className="form-section">
-                <h2>{editingBug ? 'Edit Bug' : 'Report New Bug'}</h2>
-                <BugForm
-                  onSubmit={handleFormSubmit}
-                  initialData={editingBug}
-                  onCancel={handleCancelForm}
-                />
+                <Login onLogin={handleLogin} notice={authNotice} />
               </div>
-            )}
+            ) : (
+              <>
+                <div className="actions">
+                  <ProjectSwitcher value={project} onChange={setProject} />
+                  {can(user, 'bug:create') && (
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => setShowForm(true)}
+                      disabled={showForm}
+                    >
+                      {showForm ? 'Form Open' : 'Report New Bug'}
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-secondary"
+                    onClick={loadBugs}
+                    disabled={loading || view !== 'bugs'}
+                  >
+                    {loading ? 'Loading...' : 'Refresh'}
+                  </button>
+                  <span className={`live-status live-status-${liveStatus}`} data-testid="live-status">
+                    {liveStatus === 'live' ? 'Live' : liveStatus === 'reconnecting' ? 'Reconnecting...' : 'Connecting...'}
+                  </span>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => setView(view === 'dashboard' ? 'bugs' : 'dashboard')}
+                    data-testid="dashboard-toggle"
+                  >
+                    {view === 'dashboard' ? 'Back to Bugs' : 'Dashboard'}
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => setView(view === 'milestones' ? 'bugs' : 'milestones')}
+                    data-testid="milestones-toggle"
+                  >
+                    {view === 'milestones' ? 'Back to Bugs' : 'Milestones'}
+                  </button>
+                  {can(user, 'bug:delete') && (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => setView(view === 'trash' ? 'bugs' : 'trash')}
+                      data-testid="trash-toggle"
+                    >
+                      {view === 'trash' ? 'Back to Bugs' : 'Trash'}
+                    </button>
+                  )}
+                </div>
+
+                {view === 'dashboard' && <Dashboard project={project} onOpenBug={handleOpenBug} />}
+
+                {view === 'milestones' && <MilestoneOverview onViewBugs={handleViewMilestoneBugs} />}
 
-            <BugList
-              bugs={bugs}
-              onEdit={handleEditBug}
-              onDelete={handleDeleteBug}
-              onStatusChange={handleStatusChange}
-              isLoading={loading}
-              error={error}
-            />
+                {view === 'trash' && <TrashView project={project} onRestored={(restoredBug) => addRestoredBug(restoredBug)} />}
+
+                {showForm && view === 'bugs' && (
+                  <div className="form-section">
+                    <h2>{editingBug ? 'Edit Bug' : 'Report New Bug'}</h2>
+                    <BugForm
+                      onSubmit={handleFormSubmit}
+                      initialData={editingBug}
+                      onCancel={handleCancelForm}
+                      canReassign={!editingBug || can(user, 'bug:reassign', editingBug)}
+                      labels={labels}
+                      milestones={milestones}
+                      onFindDuplicates={editingBug ? undefined : handleFindDuplicates}
+                    />
+                  </div>
+                )}
+
+                {duplicatePrompt && view === 'bugs' && (
+                  <div className="duplicate-prompt" data-testid="duplicate-prompt">
+                    <DuplicateSuggestions
+                      title={`${duplicatePrompt.bug.key || 'This bug'} may already be reported`}
+                      duplicates={duplicatePrompt.duplicates}
+                      onMarkDuplicate={(duplicate) => closeAsDuplicate(duplicatePrompt.bug, duplicate._id)}
+                      isWorking={markingDuplicate}
+                    />
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setDuplicatePrompt(null)}
+                      data-testid="dismiss-duplicates-button"
+                    >
+                      Not a Duplicate
+                    </button>
+                  </div>
+                )}
+
+                {conflict && (
+                  <ConflictDialog
+                    key={conflict.latest.version}
+                    base={conflict.base}
+                    mine={conflict.mine}
+                    latest={conflict.latest}
+                    onResolve={handleResolveConflict}
+                    onDiscard={handleDiscardConflict}
+                    onCancel={() => setConflict(null)}
+                  />
+                )}
+
+                {/* Hidden rather than unmounted, so the search bar keeps its text */}
+                <div hidden={view !== 'bugs'}>
+                <BugList
+                  bugs={bugs}
+                  onEdit={handleEditBug}
+                  onDelete={handleDeleteBug}
+                  onStatusChange={handleStatusChange}
+                  onToggleWatch={handleToggleWatch}
+                  onSearch={handleSearch}
+                  queryError={queryError}
+                  sort={sort}
+                  onSortChange={setSort}
+                  total={totalBugs}
+                  hasMore={Boolean(nextPage)}
+                  onLoadMore={handleLoadMore}
+                  isLoadingMore={loadingMore}
+                  onBulkUpdate={handleBulkUpdate}
+                  isLoading={loading}
+                  error={error}
+                  errorReference={errorReference}
+                  workflow={workflow}
+                  currentUser={user}
+                  labels={labels || []}
+                  milestones={milestones || []}
+                  milestone={milestoneFilter}
+                  onMilestoneChange={setMilestoneFilter}
+                  changedBugIds={changedBugIds}
+                />
+                </div>
+
+                {undoDelete && (
+                  <Toast
+                    message={`"${undoDelete.bug.title}" moved to trash.`}
+                    actionLabel="Undo"
+                    onAction={handleUndoDelete}
+                    onDismiss={dismissUndo}
+                  />
+                )}
+
+                {failure && (
+                  <ErrorAlert
+                    message={failure.message}
+                    reference={failure.reference}
+                    onDismiss={() => setFailure(null)}
+                  />
+                )}
+              </>
+            )}
           </div>
         </main>
 
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+  getAttachments,
+  getAttachmentFile,
+  getAttachmentThumbnail,
+  deleteAttachment
+} from '../services/api';
+import { formatFileSize } from '../utils/attachments';
+
+// Thumbnails need the auth header, so they are fetched and shown from a blob URL
+const AttachmentPreview = ({ bugId, attachment }) => {
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    getAttachmentThumbnail(bugId, attachment._id)
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setPreviewUrl(url);
+      })
+      .catch(err => console.error('Error loading thumbnail:', err));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [bugId, attachment._id]);
+
+  if (!previewUrl) {
+    return <span className="attachment-thumbnail attachment-thumbnail-loading" />;
+  }
+
+  return (
+    <img
+      src={previewUrl}
+      alt={attachment.filename}
+      className="attachment-thumbnail"
+      data-testid={`attachment-preview-${attachment._id}`}
+    />
+  );
+};
+
+AttachmentPreview.propTypes = {
+  bugId: PropTypes.string.isRequired,
+  attachment: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    filename: PropTypes.string.isRequired
+  }).isRequired
+};
+
+const AttachmentList = ({ bugId, canEdit = false }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadAttachments = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getAttachments(bugId);
+      setAttachments(response.attachments || []);
+    } catch (err) {
+      console.error('Error loading attachments:', err);
+      setError('Failed to load attachments.');
+    } finally {
+      setLoading(false);
+    }
+  }, [bugId]);
+
+  useEffect(() => {
+    loadAttachments();
+  }, [loadAttachments]);
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await getAttachmentFile(bugId, attachment._id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading attachment:', err);
+      setError(`Failed to download ${attachment.filename}.`);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.filename}?`)) {
+      return;
+    }
+
+    try {
+      console.log('Deleting attachment:', attachment._id);
+      await deleteAttachment(bugId, attachment._id);
+      setAttachments(prev => prev.filter(item => item._id !== attachment._id));
+    } catch (err) {
+      console.error('Error deleting attachment:', err);
+      setError(`Failed to delete ${attachment.filename}.`);
+    }
+  };
+
+  return (
+    <div className="attachment-list" data-testid="attachment-list">
+      <h4>Attachments ({attachments.length})</h4>
+
+      {error && <p className="error-message" data-testid="attachments-error">{error}</p>}
+
+      {loading ? (
+        <p className="loading" data-testid="attachments-loading">Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        <p className="empty-state" data-testid="attachments-empty">No attachments yet.</p>
+      ) : (
+        <ul>
+          {attachments.map(attachment => (
+            <li key={attachment._id} className="attachment" data-testid={`attachment-${attachment._id}`}>
+              {attachment.hasThumbnail && <AttachmentPreview bugId={bugId} attachment={attachment} />}
+              <div className="attachment-details">
+                <span className="attachment-name">{attachment.filename}</span>
+                <span className="attachment-size">
+                  {formatFileSize(attachment.size)}
+                  {attachment.width && ` · ${attachment.width}×${attachment.height}`}
+                  {` · added by ${attachment.uploadedBy}`}
+                </span>
+              </div>
+              <div className="attachment-actions">
+                <button
+                  type="button"
+                  onClick={() => handleDownload(attachment)}
+                  className="btn btn-secondary btn-sm"
+                  data-testid={`download-attachment-${attachment._id}`}
+                >
+                  Download
+                </button>
+                {canEdit && (
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(attachment)}
+                    className="btn btn-danger btn-sm"
+                    data-testid={`delete-attachment-${attachment._id}`}
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+AttachmentList.propTypes = {
+  bugId: PropTypes.string.isRequired,
+  canEdit: PropTypes.bool
+};
+
+export default AttachmentList;
@@ -0,0 +1,87 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getNiceMax } from '../utils/charts';
+
+// Layout in viewBox units; the chart scales to the width of its card
+const WIDTH = 400;
+const LABEL_WIDTH = 110;
+const VALUE_WIDTH = 40;
+const ROW_HEIGHT = 26;
+const BAR_HEIGHT = 16;
+
+const BAR_WIDTH = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+
+// Keeps long names from running into the bars
+const truncate = (text, length = 16) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const BarChart = ({ title, items, highlightLabel = null, emptyText = 'No bugs yet.', testId = null }) => {
+  if (items.length === 0) {
+    return (
+      <figure className="chart" data-testid={testId}>
+        <figcaption>{title}</figcaption>
+        <p className="chart-empty">{emptyText}</p>
+      </figure>
+    );
+  }
+
+  const max = getNiceMax(Math.max(...items.map(item => item.value)));
+  const height = items.length * ROW_HEIGHT;
+  const scale = value => (value / max) * BAR_WIDTH;
+
+  return (
+    <figure className="chart" data-testid={testId}>
+      <figcaption>{title}</figcaption>
+      <svg className="bar-chart" viewBox={`0 0 ${WIDTH} ${height}`} role="img" aria-label={title}>
+        {items.map(({ label, value, highlight }, index) => {
+          const y = index * ROW_HEIGHT + (ROW_HEIGHT - BAR_HEIGHT) / 2;
+          const description = highlightLabel && highlight !== undefined
+            ? `${label}: ${value} (${highlight} ${highlightLabel})`
+            : `${label}: ${value}`;
+
+          return (
+            <g key={label} className="bar-chart-row">
+              <title>{description}</title>
+              <text className="chart-label" x={LABEL_WIDTH - 8} y={y + BAR_HEIGHT / 2} textAnchor="end" dominantBaseline="central">
+                {truncate(label)}
+              </text>
+              <rect
+                className={highlight === undefined ? 'bar-chart-bar bar-chart-solid' : 'bar-chart-bar'}
+                x={LABEL_WIDTH}
+                y={y}
+                width={scale(value)}
+                height={BAR_HEIGHT}
+                rx="2"
+              />
+              {highlight !== undefined && (
+                <rect className="bar-chart-highlight" x={LABEL_WIDTH} y={y} width={scale(highlight)} height={BAR_HEIGHT} rx="2" />
+              )}
+              <text className="chart-value" x={LABEL_WIDTH + scale(value) + 6} y={y + BAR_HEIGHT / 2} dominantBaseline="central">
+                {highlight !== undefined ? `${highlight}/${value}` : value}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      {highlightLabel && (
+        <div className="chart-legend">
+          <span className="chart-legend-highlight">{highlightLabel}</span>
+          <span className="chart-legend-bar">total</span>
+        </div>
+      )}
+    </figure>
+  );
+};
+
+BarChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.number.isRequired,
+    highlight: PropTypes.number
+  })).isRequired,
+  highlightLabel: PropTypes.string,
+  emptyText: PropTypes.string,
+  testId: PropTypes.string
+};
+
+export default BarChart;
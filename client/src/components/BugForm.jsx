@@ -1,19 +1,117 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
+import {
+  ACCEPTED_ATTACHMENT_TYPES,
+  checkAttachmentFiles,
+  formatFileSize,
+  isImage,
+  namePastedImage
+} from '../utils/attachments';
+import { findLabel, getLabelStyle, suggestLabels } from '../utils/labels';
+import DuplicateSuggestions from './DuplicateSuggestions';
 
-const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
+// How long to wait after the last keystroke before looking for duplicates, and the shortest title worth it
+const DUPLICATE_DEBOUNCE_MS = 400;
+const MIN_DUPLICATE_TITLE_LENGTH = 4;
+
+// A file waiting to be uploaded with the bug, previewed if it is an image
+const PendingFile = ({ file, index, onRemove, disabled }) => {
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  useEffect(() => {
+    if (!isImage(file)) return undefined;
+
+    const url = URL.createObjectURL(file);
+    setPreviewUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  return (
+    <li className="pending-attachment" data-testid={`pending-attachment-${index}`}>
+      {previewUrl && (
+        <img src={previewUrl} alt="" className="attachment-thumbnail" data-testid={`pending-preview-${index}`} />
+      )}
+      <span className="attachment-name">{file.name}</span>
+      <span className="attachment-size">{formatFileSize(file.size)}</span>
+      <button
+        type="button"
+        onClick={() => onRemove(index)}
+        className="remove-tag-btn"
+        disabled={disabled}
+        aria-label={`Remove ${file.name}`}
+        data-testid={`remove-attachment-${index}`}
+      >
+        ×
+      </button>
+    </li>
+  );
+};
+
+PendingFile.propTypes = {
+  file: PropTypes.object.isRequired,
+  index: PropTypes.number.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+const BugForm = ({
+  onSubmit,
+  initialData = null,
+  isLoading = false,
+  canReassign = true,
+  labels = null,
+  milestones = null,
+  onFindDuplicates
+}) => {
   const [formData, setFormData] = useState({
     title: initialData?.title || '',
     description: initialData?.description || '',
     status: initialData?.status || 'open',
     priority: initialData?.priority || 'medium',
-    reporter: initialData?.reporter || '',
     assignee: initialData?.assignee || '',
-    tags: initialData?.tags || []
+    tags: initialData?.tags || [],
+    // Only planned when milestones are loaded; '' leaves the bug unplanned
+    ...(milestones ? { milestone: initialData?.milestone || '' } : {})
   });
 
+  // Closed milestones take no new bugs, but a bug already planned for one keeps it
+  const milestoneOptions = (milestones || []).filter(milestone =>
+    milestone.state !== 'closed' || milestone._id === initialData?.milestone);
+
   const [tagInput, setTagInput] = useState('');
   const [errors, setErrors] = useState({});
+  const [files, setFiles] = useState([]);
+  const [fileErrors, setFileErrors] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [duplicates, setDuplicates] = useState([]);
+
+  // New reports are checked against existing bugs as they are typed
+  const isNewBug = !initialData?._id;
+
+  useEffect(() => {
+    const title = formData.title.trim();
+
+    if (!onFindDuplicates || !isNewBug || title.length < MIN_DUPLICATE_TITLE_LENGTH) {
+      setDuplicates([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const found = await onFindDuplicates(title, formData.description.trim());
+        if (!cancelled) setDuplicates(found);
+      } catch (err) {
+        // Only a hint, so the form works the same without it
+        console.error('Error finding duplicates:', err);
+      }
+    }, DUPLICATE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.title, formData.description, onFindDuplicates, isNewBug]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -31,14 +129,44 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
     }
   };
 
-  const handleAddTag = () => {
-    if (tagInput.trim() && !formData.tags.includes(tagInput.trim())) {
+  // With labels loaded, tags must name one of them; otherwise any text goes
+  const suggestions = labels && tagInput.trim() ? suggestLabels(labels, tagInput, formData.tags) : [];
+
+  const addTag = (tag) => {
+    if (!formData.tags.includes(tag)) {
       setFormData(prev => ({
         ...prev,
-        tags: [...prev.tags, tagInput.trim()]
+        tags: [...prev.tags, tag]
       }));
-      setTagInput('');
     }
+    setTagInput('');
+    setErrors(prev => ({ ...prev, tags: '' }));
+  };
+
+  const handleAddTag = () => {
+    const typed = tagInput.trim();
+    if (!typed) return;
+
+    if (!labels) {
+      addTag(typed);
+      return;
+    }
+
+    // An exact name wins; otherwise take the first suggestion
+    const label = findLabel(labels, typed) || suggestions[0];
+
+    if (!label) {
+      setErrors(prev => ({ ...prev, tags: `No label named "${typed}"` }));
+    } else if (label.archived) {
+      setErrors(prev => ({ ...prev, tags: `Label "${label.name}" is archived` }));
+    } else {
+      addTag(label.name);
+    }
+  };
+
+  const handleTagInputChange = (e) => {
+    setTagInput(e.target.value);
+    if (errors.tags) setErrors(prev => ({ ...prev, tags: '' }));
   };
 
   const handleRemoveTag = (tagToRemove) => {
@@ -55,6 +183,48 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
     }
   };
 
+  const addFiles = (newFiles) => {
+    const { accepted, errors: rejected } = checkAttachmentFiles(newFiles, files.length);
+    setFiles(prev => [...prev, ...accepted]);
+    setFileErrors(rejected);
+  };
+
+  const handleRemoveFile = (indexToRemove) => {
+    setFiles(prev => prev.filter((file, index) => index !== indexToRemove));
+    setFileErrors([]);
+  };
+
+  const handleFileInput = (e) => {
+    addFiles(Array.from(e.target.files));
+    // Let the same file be picked again after removing it
+    e.target.value = '';
+  };
+
+  // Only file drags are ours; dragging text should behave as usual
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e) || isLoading) return;
+    e.preventDefault();
+    setDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e) || isLoading) return;
+    e.preventDefault();
+    setDragging(false);
+    addFiles(Array.from(e.dataTransfer.files));
+  };
+
+  // Pasting a screenshot attaches it; pasting text is left alone
+  const handlePaste = (e) => {
+    const images = Array.from(e.clipboardData?.files || []).filter(isImage);
+    if (images.length === 0 || isLoading) return;
+
+    e.preventDefault();
+    addFiles(images.map(image => namePastedImage(image)));
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -70,10 +240,6 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
       newErrors.description = 'Description cannot exceed 1000 characters';
     }
 
-    if (!formData.reporter.trim()) {
-      newErrors.reporter = 'Reporter is required';
-    }
-
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -86,11 +252,33 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
     }
 
     console.log('Submitting bug form:', formData);
-    onSubmit(formData);
+    if (files.length > 0) {
+      onSubmit(formData, files);
+    } else {
+      onSubmit(formData);
+    }
+  };
+
+  // Files the bug as usual, then closes it as a duplicate of the one picked
+  const handleMarkDuplicate = (duplicate) => {
+    if (!validateForm()) {
+      return;
+    }
+
+    console.log('Submitting bug form as a duplicate of:', duplicate._id);
+    onSubmit(formData, files, { duplicateOf: duplicate._id });
   };
 
   return (
-    <form onSubmit={handleSubmit} className="bug-form" data-testid="bug-form">
+    <form
+      onSubmit={handleSubmit}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+      onPaste={handlePaste}
+      className="bug-form"
+      data-testid="bug-form"
+    >
       <div className="form-group">
         <label htmlFor="title">Title *</label>
         <input
@@ -123,6 +311,12 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
         {errors.description && <span className="error-message">{errors.description}</span>}
       </div>
 
+      <DuplicateSuggestions
+        duplicates={duplicates}
+        onMarkDuplicate={handleMarkDuplicate}
+        isWorking={isLoading}
+      />
+
       <div className="form-row">
         <div className="form-group">
           <label htmlFor="status">Status</label>
@@ -160,22 +354,6 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
       </div>
 
       <div className="form-row">
-        <div className="form-group">
-          <label htmlFor="reporter">Reporter *</label>
-          <input
-            type="text"
-            id="reporter"
-            name="reporter"
-            value={formData.reporter}
-            onChange={handleInputChange}
-            className={errors.reporter ? 'error' : ''}
-            placeholder="Your name"
-            disabled={isLoading}
-            data-testid="bug-reporter-input"
-          />
-          {errors.reporter && <span className="error-message">{errors.reporter}</span>}
-        </div>
-
         <div className="form-group">
           <label htmlFor="assignee">Assignee</label>
           <input
@@ -185,10 +363,31 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
             value={formData.assignee}
             onChange={handleInputChange}
             placeholder="Assign to someone"
-            disabled={isLoading}
+            disabled={isLoading || !canReassign}
             data-testid="bug-assignee-input"
           />
         </div>
+
+        {milestones && (
+          <div className="form-group">
+            <label htmlFor="milestone">Milestone</label>
+            <select
+              id="milestone"
+              name="milestone"
+              value={formData.milestone}
+              onChange={handleInputChange}
+              disabled={isLoading}
+              data-testid="bug-milestone-select"
+            >
+              <option value="">No milestone</option>
+              {milestoneOptions.map(milestone => (
+                <option key={milestone._id} value={milestone._id}>
+                  {milestone.name}{milestone.state === 'closed' ? ' (closed)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
       <div className="form-group">
@@ -198,9 +397,9 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
             type="text"
             id="tags"
             value={tagInput}
-            onChange={(e) => setTagInput(e.target.value)}
+            onChange={handleTagInputChange}
             onKeyPress={handleTagKeyPress}
-            placeholder="Add a tag and press Enter"
+            placeholder={labels ? 'Type to find a label' : 'Add a tag and press Enter'}
             disabled={isLoading}
             data-testid="bug-tags-input"
           />
@@ -214,10 +413,35 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
             Add Tag
           </button>
         </div>
+        {suggestions.length > 0 && (
+          <ul className="label-suggestions" data-testid="label-suggestions">
+            {suggestions.map(label => (
+              <li key={label.name}>
+                <button
+                  type="button"
+                  onClick={() => addTag(label.name)}
+                  className="label-suggestion"
+                  disabled={isLoading}
+                  data-testid={`label-suggestion-${label.name}`}
+                >
+                  <span className="label-swatch" style={getLabelStyle(label)} />
+                  <span>{label.name}</span>
+                  {label.description && <span className="label-description">{label.description}</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {errors.tags && <span className="error-message" data-testid="tag-error">{errors.tags}</span>}
         {formData.tags.length > 0 && (
           <div className="tags-list" data-testid="tags-list">
             {formData.tags.map((tag, index) => (
-              <span key={index} className="tag" data-testid={`tag-${tag}`}>
+              <span
+                key={index}
+                className="tag"
+                style={labels ? getLabelStyle(findLabel(labels, tag)) : undefined}
+                data-testid={`tag-${tag}`}
+              >
                 {tag}
                 <button
                   type="button"
@@ -234,6 +458,41 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
         )}
       </div>
 
+      <div className="form-group">
+        <label htmlFor="attachments">Attachments</label>
+        <div
+          className={`attachment-dropzone ${dragging ? 'dragging' : ''}`}
+          data-testid="attachment-dropzone"
+        >
+          <p>Drop screenshots, logs or HAR files here, or paste an image.</p>
+          <input
+            type="file"
+            id="attachments"
+            multiple
+            accept={ACCEPTED_ATTACHMENT_TYPES.join(',')}
+            onChange={handleFileInput}
+            disabled={isLoading}
+            data-testid="attachment-input"
+          />
+        </div>
+        {fileErrors.map(error => (
+          <span key={error} className="error-message" data-testid="attachment-error">{error}</span>
+        ))}
+        {files.length > 0 && (
+          <ul className="pending-attachments" data-testid="pending-attachments">
+            {files.map((file, index) => (
+              <PendingFile
+                key={`${file.name}-${index}`}
+                file={file}
+                index={index}
+                onRemove={handleRemoveFile}
+                disabled={isLoading}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+
       <button
         type="submit"
         disabled={isLoading}
@@ -249,7 +508,20 @@ const BugForm = ({ onSubmit, initialData = null, isLoading = false }) => {
 BugForm.propTypes = {
   onSubmit: PropTypes.func.isRequired,
   initialData: PropTypes.object,
-  isLoading: PropTypes.bool
+  isLoading: PropTypes.bool,
+  canReassign: PropTypes.bool,
+  labels: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string,
+    description: PropTypes.string,
+    archived: PropTypes.bool
+  })),
+  milestones: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    state: PropTypes.oneOf(['open', 'closed'])
+  })),
+  onFindDuplicates: PropTypes.func
 };
 
 export default BugForm;
\ No newline at end of file
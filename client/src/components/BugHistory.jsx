@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getBugHistory } from '../services/api';
+import { diffWords } from '../utils/diff';
+
+// Descriptions longer than this are shown as a diff instead of old -> new
+const LONG_TEXT_LENGTH = 80;
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return 'none';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  return String(value);
+};
+
+const isLongTextChange = (entry) => {
+  return entry.field === 'description' && (
+    formatValue(entry.oldValue).length > LONG_TEXT_LENGTH ||
+    formatValue(entry.newValue).length > LONG_TEXT_LENGTH
+  );
+};
+
+const DiffView = ({ oldText, newText }) => (
+  <pre className="history-diff" data-testid="history-diff">
+    {diffWords(oldText || '', newText || '').map((part, index) => {
+      if (part.type === 'insert') return <ins key={index} data-testid="diff-insert">{part.value}</ins>;
+      if (part.type === 'delete') return <del key={index} data-testid="diff-delete">{part.value}</del>;
+      return <span key={index}>{part.value}</span>;
+    })}
+  </pre>
+);
+
+DiffView.propTypes = {
+  oldText: PropTypes.string,
+  newText: PropTypes.string
+};
+
+const HistoryEntry = ({ entry, milestones = [] }) => {
+  const [showDiff, setShowDiff] = useState(false);
+
+  // Milestones are recorded by ID; show their names where they are known
+  const describe = (value) => {
+    if (entry.field !== 'milestone' || !value) return formatValue(value);
+    return milestones.find(milestone => milestone._id === value)?.name || 'a deleted milestone';
+  };
+
+  const renderSummary = () => {
+    switch (entry.action) {
+      case 'create':
+        return 'reported this bug';
+      case 'delete':
+        return 'moved this bug to the trash';
+      case 'restore':
+        return 'restored this bug from the trash';
+      case 'purge':
+        return 'deleted this bug for good';
+      case 'status-change':
+        return `changed status from ${formatValue(entry.oldValue)} to ${formatValue(entry.newValue)}`;
+      // The field names the relation as seen from this bug, such as "is blocked by"
+      case 'link':
+        return `added a link: ${entry.field} ${entry.newValue}`;
+      case 'unlink':
+        return `removed a link: ${entry.field} ${entry.oldValue}`;
+      default:
+        if (isLongTextChange(entry)) {
+          return `edited the ${entry.field}`;
+        }
+        return `changed ${entry.field} from ${describe(entry.oldValue)} to ${describe(entry.newValue)}`;
+    }
+  };
+
+  return (
+    <li className={`history-entry history-${entry.action}`} data-testid={`history-entry-${entry._id}`}>
+      <div className="history-summary">
+        <span className="history-actor">{entry.actor}</span>{' '}
+        <span className="history-text">{renderSummary()}</span>
+        <span className="history-date">{formatDate(entry.timestamp)}</span>
+      </div>
+      {isLongTextChange(entry) && (
+        <>
+          <button
+            type="button"
+            onClick={() => setShowDiff(prev => !prev)}
+            className="btn btn-secondary btn-sm"
+            data-testid="toggle-diff-button"
+          >
+            {showDiff ? 'Hide Changes' : 'Show Changes'}
+          </button>
+          {showDiff && <DiffView oldText={entry.oldValue} newText={entry.newValue} />}
+        </>
+      )}
+    </li>
+  );
+};
+
+HistoryEntry.propTypes = {
+  entry: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    action: PropTypes.oneOf(['create', 'update', 'status-change', 'delete', 'restore', 'purge', 'link', 'unlink']).isRequired,
+    field: PropTypes.string,
+    oldValue: PropTypes.any,
+    newValue: PropTypes.any,
+    actor: PropTypes.string,
+    timestamp: PropTypes.string.isRequired
+  }).isRequired,
+  milestones: PropTypes.arrayOf(PropTypes.object)
+};
+
+const BugHistory = ({ bugId, refreshKey, milestones = [] }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await getBugHistory(bugId);
+        if (!cancelled) setHistory(response.history || []);
+      } catch (err) {
+        console.error('Error loading bug history:', err);
+        if (!cancelled) setError('Failed to load history.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [bugId, refreshKey]);
+
+  return (
+    <div className="bug-history" data-testid={`bug-history-${bugId}`}>
+      <h4>History</h4>
+      {error && <p className="error-message" data-testid="history-error">{error}</p>}
+      {loading ? (
+        <p className="history-loading" data-testid="history-loading">Loading history...</p>
+      ) : history.length === 0 ? (
+        <p className="history-empty" data-testid="history-empty">No recorded changes.</p>
+      ) : (
+        <ol className="history-timeline" data-testid="history-timeline">
+          {history.map(entry => (
+            <HistoryEntry key={entry._id} entry={entry} milestones={milestones} />
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+BugHistory.propTypes = {
+  bugId: PropTypes.string.isRequired,
+  refreshKey: PropTypes.string,
+  milestones: PropTypes.arrayOf(PropTypes.object)
+};
+
+export default BugHistory;
@@ -1,7 +1,64 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
+import CommentThread from './CommentThread';
+import BugHistory from './BugHistory';
+import AttachmentList from './AttachmentList';
+import BugLinks from './BugLinks';
+import { can } from '../utils/permissions';
+import { findLabel, getLabelStyle } from '../utils/labels';
+
+const STATUS_LABELS = {
+  open: 'Open',
+  'in-progress': 'In Progress',
+  resolved: 'Resolved',
+  closed: 'Closed'
+};
+
+// Renders search-result fragments, marking the words that matched
+const HighlightedText = ({ fragments }) => (
+  <>
+    {fragments.map((fragment, index) => (fragment.highlight
+      ? <mark key={index} data-testid="search-highlight">{fragment.text}</mark>
+      : <React.Fragment key={index}>{fragment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+HighlightedText.propTypes = {
+  fragments: PropTypes.arrayOf(PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    highlight: PropTypes.bool.isRequired
+  })).isRequired
+};
+
+const BugItem = ({
+  bug,
+  onEdit,
+  onDelete,
+  onStatusChange,
+  onToggleWatch,
+  workflow = null,
+  currentUser = null,
+  labels = [],
+  milestones = [],
+  original = null,
+  isChanged = false
+}) => {
+  const [showComments, setShowComments] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showAttachments, setShowAttachments] = useState(false);
+  const [showLinks, setShowLinks] = useState(false);
+  const [pendingTransition, setPendingTransition] = useState(null);
+
+  // Without a user every action is offered and the server has the final say
+  const isAllowed = (action) => !currentUser || can(currentUser, action, bug);
+
+  const milestone = bug.milestone && milestones.find(option => option._id === bug.milestone);
+  const canEdit = isAllowed('bug:edit');
+  const canDelete = isAllowed('bug:delete');
+  const canChangeStatus = isAllowed('bug:change-status');
+  const isWatching = Boolean(currentUser && bug.watchers?.includes(currentUser.username));
 
-const BugItem = ({ bug, onEdit, onDelete, onStatusChange }) => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'open': return 'status-open';
@@ -32,11 +89,49 @@ const BugItem = ({ bug, onEdit, onDelete, onStatusChange }) => {
     });
   };
 
+  // Without a workflow every status is offered and the server has the final say
+  const statusOptions = !canChangeStatus
+    ? [bug.status]
+    : workflow
+      ? [bug.status, ...workflow.transitions.filter(t => t.from === bug.status).map(t => t.to)]
+      : Object.keys(STATUS_LABELS);
+
   const handleStatusChange = (newStatus) => {
+    const transition = workflow?.transitions.find(t => t.from === bug.status && t.to === newStatus);
+
+    // Ask for the fields this transition requires before sending it
+    if (transition?.requires?.length) {
+      setPendingTransition({
+        status: newStatus,
+        requires: transition.requires,
+        values: transition.requires.reduce((values, field) => ({ ...values, [field]: '' }), {})
+      });
+      return;
+    }
+
     console.log('Changing bug status:', bug._id, 'from', bug.status, 'to', newStatus);
     onStatusChange(bug._id, newStatus);
   };
 
+  const handleTransitionFieldChange = (e) => {
+    const { name, value } = e.target;
+    setPendingTransition(prev => ({
+      ...prev,
+      values: { ...prev.values, [name]: value }
+    }));
+  };
+
+  const handleConfirmTransition = (e) => {
+    e.preventDefault();
+    const { status, values } = pendingTransition;
+    console.log('Changing bug status:', bug._id, 'from', bug.status, 'to', status);
+    onStatusChange(bug._id, status, values);
+    setPendingTransition(null);
+  };
+
+  const isTransitionComplete = pendingTransition &&
+    pendingTransition.requires.every(field => pendingTransition.values[field].trim());
+
   const handleEdit = () => {
     console.log('Editing bug:', bug._id);
     onEdit(bug);
@@ -50,24 +145,45 @@ const BugItem = ({ bug, onEdit, onDelete, onStatusChange }) => {
   };
 
   return (
-    <div className="bug-item" data-testid={`bug-item-${bug._id}`}>
+    <div
+      className={`bug-item ${isChanged ? 'bug-item-changed' : ''}`}
+      id={`bug-${bug._id}`}
+      data-testid={`bug-item-${bug._id}`}
+    >
       <div className="bug-header">
-        <h3 className="bug-title" data-testid="bug-title">{bug.title}</h3>
+        <h3 className="bug-title" data-testid="bug-title">
+          {bug.highlights?.title ? <HighlightedText fragments={bug.highlights.title} /> : bug.title}
+        </h3>
         <div className="bug-actions">
-          <button
-            onClick={handleEdit}
-            className="btn btn-secondary btn-sm"
-            data-testid="edit-button"
-          >
-            Edit
-          </button>
-          <button
-            onClick={handleDelete}
-            className="btn btn-danger btn-sm"
-            data-testid="delete-button"
-          >
-            Delete
-          </button>
+          {currentUser && onToggleWatch && (
+            <button
+              onClick={() => onToggleWatch(bug._id, !isWatching)}
+              className="btn btn-secondary btn-sm"
+              aria-pressed={isWatching}
+              title={isWatching ? 'Stop being notified about this bug' : 'Be notified when this bug changes'}
+              data-testid="watch-button"
+            >
+              {isWatching ? 'Unwatch' : 'Watch'}
+            </button>
+          )}
+          {canEdit && (
+            <button
+              onClick={handleEdit}
+              className="btn btn-secondary btn-sm"
+              data-testid="edit-button"
+            >
+              Edit
+            </button>
+          )}
+          {canDelete && (
+            <button
+              onClick={handleDelete}
+              className="btn btn-danger btn-sm"
+              data-testid="delete-button"
+            >
+              Delete
+            </button>
+          )}
         </div>
       </div>
 
@@ -78,13 +194,15 @@ const BugItem = ({ bug, onEdit, onDelete, onStatusChange }) => {
         <span className={`priority-badge ${getPriorityColor(bug.priority)}`} data-testid="bug-priority">
           {bug.priority.toUpperCase()}
         </span>
-        <span className="bug-id" data-testid="bug-id">#{bug._id.slice(-6)}</span>
+        <span className="bug-id" data-testid="bug-id">{bug.key || `#${bug._id.slice(-6)}`}</span>
       </div>
 
       <p className="bug-description" data-testid="bug-description">
-        {bug.description.length > 150
-          ? `${bug.description.substring(0, 150)}...`
-          : bug.description
+        {bug.highlights?.description
+          ? <HighlightedText fragments={bug.highlights.description} />
+          : bug.description.length > 150
+            ? `${bug.description.substring(0, 150)}...`
+            : bug.description
         }
       </p>
 
@@ -99,6 +217,20 @@ const BugItem = ({ bug, onEdit, onDelete, onStatusChange }) => {
             <span className="value" data-testid="bug-assignee">{bug.assignee}</span>
           </div>
         )}
+        {bug.duplicateOf && (
+          <div className="detail-row">
+            <span className="label">Duplicate of:</span>
+            <a className="value" href={`#bug-${bug.duplicateOf}`} data-testid="bug-duplicate-of">
+              {original ? `${original.key || ''} ${original.title}`.trim() : 'another bug'}
+            </a>
+          </div>
+        )}
+        {milestone && (
+          <div className="detail-row">
+            <span className="label">Milestone:</span>
+            <span className="value" data-testid="bug-milestone">{milestone.name}</span>
+          </div>
+        )}
         <div className="detail-row">
           <span className="label">Created:</span>
           <span className="value" data-testid="bug-created-at">{formatDate(bug.createdAt)}</span>
@@ -111,11 +243,20 @@ const BugItem = ({ bug, onEdit, onDelete, onStatusChange }) => {
 
       {bug.tags && bug.tags.length > 0 && (
         <div className="bug-tags" data-testid="bug-tags">
-          {bug.tags.map((tag, index) => (
-            <span key={index} className="tag" data-testid={`bug-tag-${tag}`}>
-              {tag}
-            </span>
-          ))}
+          {bug.tags.map((tag, index) => {
+            const label = findLabel(labels, tag);
+            return (
+              <span
+                key={index}
+                className="tag"
+                style={getLabelStyle(label)}
+                title={label?.description || undefined}
+                data-testid={`bug-tag-${tag}`}
+              >
+                {tag}
+              </span>
+            );
+          })}
         </div>
       )}
 
@@ -123,15 +264,110 @@ const BugItem = ({ bug, onEdit, onDelete, onStatusChange }) => {
         <label htmlFor={`status-select-${bug._id}`}>Change Status:</label>
         <select
           id={`status-select-${bug._id}`}
-          value={bug.status}
+          value={pendingTransition ? pendingTransition.status : bug.status}
           onChange={(e) => handleStatusChange(e.target.value)}
+          disabled={Boolean(pendingTransition) || !canChangeStatus}
+          title={canChangeStatus ? undefined : 'You do not have permission to change the status of this bug'}
           data-testid="status-select"
         >
-          <option value="open">Open</option>
-          <option value="in-progress">In Progress</option>
-          <option value="resolved">Resolved</option>
-          <option value="closed">Closed</option>
+          {statusOptions.map(status => (
+            <option key={status} value={status}>{STATUS_LABELS[status] || status}</option>
+          ))}
         </select>
+        {bug.resolution && (
+          <span className="bug-resolution" data-testid="bug-resolution">
+            Resolution: {bug.resolution.replace(/-/g, ' ')}
+          </span>
+        )}
+
+        {pendingTransition && (
+          <form
+            onSubmit={handleConfirmTransition}
+            className="transition-form"
+            data-testid="transition-form"
+          >
+            {pendingTransition.requires.includes('resolution') && (
+              <select
+                name="resolution"
+                value={pendingTransition.values.resolution}
+                onChange={handleTransitionFieldChange}
+                aria-label="Resolution"
+                data-testid="transition-resolution-select"
+              >
+                <option value="">Select a resolution</option>
+                {workflow.resolutions.map(resolution => (
+                  <option key={resolution} value={resolution}>{resolution.replace(/-/g, ' ')}</option>
+                ))}
+              </select>
+            )}
+            {pendingTransition.requires.includes('reason') && (
+              <input
+                type="text"
+                name="reason"
+                value={pendingTransition.values.reason}
+                onChange={handleTransitionFieldChange}
+                placeholder="Why is this being reopened?"
+                aria-label="Reason"
+                data-testid="transition-reason-input"
+              />
+            )}
+            <button
+              type="submit"
+              className="btn btn-primary btn-sm"
+              disabled={!isTransitionComplete}
+              data-testid="transition-confirm-button"
+            >
+              Move to {STATUS_LABELS[pendingTransition.status] || pendingTransition.status}
+            </button>
+            <button
+              type="button"
+              onClick={() => setPendingTransition(null)}
+              className="btn btn-secondary btn-sm"
+              data-testid="transition-cancel-button"
+            >
+              Cancel
+            </button>
+          </form>
+        )}
+      </div>
+
+      <div className="bug-comments">
+        <button
+          type="button"
+          onClick={() => setShowComments(prev => !prev)}
+          className="btn btn-secondary btn-sm"
+          data-testid="toggle-comments-button"
+        >
+          {showComments ? 'Hide Comments' : 'Show Comments'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setShowHistory(prev => !prev)}
+          className="btn btn-secondary btn-sm"
+          data-testid="toggle-history-button"
+        >
+          {showHistory ? 'Hide History' : 'Show History'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setShowAttachments(prev => !prev)}
+          className="btn btn-secondary btn-sm"
+          data-testid="toggle-attachments-button"
+        >
+          {showAttachments ? 'Hide Attachments' : 'Show Attachments'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setShowLinks(prev => !prev)}
+          className="btn btn-secondary btn-sm"
+          data-testid="toggle-links-button"
+        >
+          {showLinks ? 'Hide Links' : 'Show Links'}
+        </button>
+        {showComments && <CommentThread bugId={bug._id} />}
+        {showHistory && <BugHistory bugId={bug._id} refreshKey={bug.updatedAt} milestones={milestones} />}
+        {showAttachments && <AttachmentList bugId={bug._id} canEdit={isAllowed('bug:edit')} />}
+        {showLinks && <BugLinks bugId={bug._id} canEdit={canEdit} refreshKey={bug.updatedAt} />}
       </div>
     </div>
   );
@@ -140,6 +376,7 @@ const BugItem = ({ bug, onEdit, onDelete, onStatusChange }) => {
 BugItem.propTypes = {
   bug: PropTypes.shape({
     _id: PropTypes.string.isRequired,
+    key: PropTypes.string,
     title: PropTypes.string.isRequired,
     description: PropTypes.string.isRequired,
     status: PropTypes.oneOf(['open', 'in-progress', 'resolved', 'closed']).isRequired,
@@ -147,12 +384,47 @@ BugItem.propTypes = {
     reporter: PropTypes.string.isRequired,
     assignee: PropTypes.string,
     tags: PropTypes.arrayOf(PropTypes.string),
+    resolution: PropTypes.string,
+    milestone: PropTypes.string,
+    duplicateOf: PropTypes.string,
+    watchers: PropTypes.arrayOf(PropTypes.string),
+    highlights: PropTypes.shape({
+      title: PropTypes.array,
+      description: PropTypes.array
+    }),
     createdAt: PropTypes.string.isRequired,
     updatedAt: PropTypes.string.isRequired
   }).isRequired,
   onEdit: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
-  onStatusChange: PropTypes.func.isRequired
+  onStatusChange: PropTypes.func.isRequired,
+  onToggleWatch: PropTypes.func,
+  workflow: PropTypes.shape({
+    transitions: PropTypes.arrayOf(PropTypes.shape({
+      from: PropTypes.string.isRequired,
+      to: PropTypes.string.isRequired,
+      requires: PropTypes.arrayOf(PropTypes.string)
+    })).isRequired,
+    resolutions: PropTypes.arrayOf(PropTypes.string).isRequired
+  }),
+  currentUser: PropTypes.shape({
+    username: PropTypes.string.isRequired,
+    permissions: PropTypes.objectOf(PropTypes.oneOf(['any', 'own']))
+  }),
+  labels: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string,
+    description: PropTypes.string
+  })),
+  milestones: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })),
+  original: PropTypes.shape({
+    key: PropTypes.string,
+    title: PropTypes.string.isRequired
+  }),
+  isChanged: PropTypes.bool
 };
 
 export default BugItem;
\ No newline at end of file
@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { getBugLinks, addBugLink, removeBugLink } from '../services/api';
+import { LINK_OPTIONS, findLinkOption, groupLinks } from '../utils/links';
+
+const BugLinks = ({ bugId, canEdit = false, refreshKey = null }) => {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [relation, setRelation] = useState(LINK_OPTIONS[0].value);
+  const [target, setTarget] = useState('');
+  const [formErrors, setFormErrors] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadLinks = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getBugLinks(bugId);
+      setLinks(response.links || []);
+    } catch (err) {
+      console.error('Error loading links:', err);
+      setError('Failed to load links.');
+    } finally {
+      setLoading(false);
+    }
+  }, [bugId]);
+
+  // Reloaded when the bug changes, since linked bugs may have been closed meanwhile
+  useEffect(() => {
+    loadLinks();
+  }, [loadLinks, refreshKey]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!target.trim()) return;
+
+    const { type, direction } = findLinkOption(relation);
+
+    try {
+      setIsSubmitting(true);
+      setFormErrors([]);
+      const link = await addBugLink(bugId, { type, direction, target: target.trim() });
+      setLinks(prev => [...prev, link]);
+      setTarget('');
+    } catch (err) {
+      console.error('Error adding link:', err);
+      setFormErrors(err.details || [err.message || 'Failed to add link.']);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRemove = async (link) => {
+    try {
+      console.log('Removing link:', link._id);
+      await removeBugLink(bugId, link._id);
+      setLinks(prev => prev.filter(item => item._id !== link._id));
+    } catch (err) {
+      console.error('Error removing link:', err);
+      setError(`Failed to remove the link to ${link.bug.key || link.bug.title}.`);
+    }
+  };
+
+  return (
+    <div className="bug-links" data-testid="bug-links">
+      <h4>Links ({links.length})</h4>
+
+      {error && <p className="error-message" data-testid="links-error">{error}</p>}
+
+      {loading ? (
+        <p className="loading" data-testid="links-loading">Loading links...</p>
+      ) : links.length === 0 ? (
+        <p className="empty-state" data-testid="links-empty">No linked bugs.</p>
+      ) : (
+        groupLinks(links).map(group => (
+          <div key={group.relation} className="link-group" data-testid={`link-group-${group.relation}`}>
+            <h5>{group.relation}</h5>
+            <ul>
+              {group.links.map(link => (
+                <li key={link._id} className="bug-link" data-testid={`link-${link._id}`}>
+                  {/* Jumps to the bug when it is in the list */}
+                  <a href={`#bug-${link.bug._id}`} className="bug-link-target">
+                    {link.bug.key && <strong>{link.bug.key}</strong>} {link.bug.title}
+                  </a>
+                  <span
+                    className={`status-badge status-${link.bug.status}`}
+                    data-testid={`link-status-${link._id}`}
+                  >
+                    {link.bug.status}
+                  </span>
+                  {canEdit && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(link)}
+                      className="btn btn-secondary btn-sm"
+                      aria-label={`Remove link to ${link.bug.key || link.bug.title}`}
+                      data-testid={`remove-link-${link._id}`}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))
+      )}
+
+      {canEdit && (
+        <form onSubmit={handleAdd} className="link-form" data-testid="link-form">
+          <select
+            value={relation}
+            onChange={(e) => setRelation(e.target.value)}
+            aria-label="Relation"
+            data-testid="link-relation-select"
+          >
+            {LINK_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.relation}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            placeholder="Bug key, e.g. WEB-12"
+            aria-label="Linked bug"
+            data-testid="link-target-input"
+          />
+          <button
+            type="submit"
+            className="btn btn-primary btn-sm"
+            disabled={isSubmitting || !target.trim()}
+            data-testid="add-link-button"
+          >
+            {isSubmitting ? 'Linking...' : 'Add Link'}
+          </button>
+          {formErrors.length > 0 && (
+            <ul className="error-message" data-testid="link-form-errors">
+              {formErrors.map((message, index) => <li key={index}>{message}</li>)}
+            </ul>
+          )}
+        </form>
+      )}
+    </div>
+  );
+};
+
+BugLinks.propTypes = {
+  bugId: PropTypes.string.isRequired,
+  canEdit: PropTypes.bool,
+  refreshKey: PropTypes.string
+};
+
+export default BugLinks;
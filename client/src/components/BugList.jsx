@@ -1,8 +1,50 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import BugItem from './BugItem';
+import QueryBar from './QueryBar';
+import BulkToolbar from './BulkToolbar';
+import ErrorReference from './ErrorReference';
 
-const BugList = ({ bugs, onEdit, onDelete, onStatusChange, isLoading, error }) => {
+// How long to wait after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Sort orders offered by GET /api/bugs?sort=; '' keeps the server default
+const SORT_OPTIONS = [
+  { value: '', label: 'Newest / best match' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: '-updatedAt', label: 'Recently updated' },
+  { value: '-priority', label: 'Highest priority' },
+  { value: 'priority', label: 'Lowest priority' },
+  { value: 'status', label: 'Status' },
+  { value: 'title', label: 'Title (A-Z)' }
+];
+
+const BugList = ({
+  bugs,
+  onEdit,
+  onDelete,
+  onStatusChange,
+  onToggleWatch,
+  onSearch,
+  queryError,
+  isLoading,
+  error,
+  errorReference = null,
+  workflow,
+  currentUser,
+  sort = '',
+  onSortChange,
+  total = null,
+  hasMore = false,
+  onLoadMore,
+  isLoadingMore = false,
+  onBulkUpdate,
+  labels = [],
+  milestones = [],
+  milestone = '',
+  onMilestoneChange,
+  changedBugIds = []
+}) => {
   const [filter, setFilter] = useState({
     status: '',
     priority: '',
@@ -10,6 +52,33 @@ const BugList = ({ bugs, onEdit, onDelete, onStatusChange, isLoading, error }) =
   });
 
   const [filteredBugs, setFilteredBugs] = useState(bugs);
+  const lastSearch = useRef('');
+
+  // Bulk selection: listed IDs, or every bug matching the filters (including ones not loaded yet)
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkWorking, setBulkWorking] = useState(false);
+  const [bulkResult, setBulkResult] = useState(null);
+
+  // A selection only makes sense for the filters it was made under
+  useEffect(() => {
+    setSelectedIds([]);
+    setAllMatching(false);
+  }, [filter.status, filter.priority, filter.search, milestone]);
+
+  // Searching happens on the server, once the user stops typing
+  useEffect(() => {
+    const query = filter.search.trim();
+    if (!onSearch || query === lastSearch.current) return undefined;
+
+    const timer = setTimeout(() => {
+      lastSearch.current = query;
+      console.log('Searching bugs:', query);
+      onSearch(query);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [filter.search, onSearch]);
 
   useEffect(() => {
     let filtered = [...bugs];
@@ -24,21 +93,9 @@ const BugList = ({ bugs, onEdit, onDelete, onStatusChange, isLoading, error }) =
       filtered = filtered.filter(bug => bug.priority === filter.priority);
     }
 
-    // Filter by search term
-    if (filter.search) {
-      const searchTerm = filter.search.toLowerCase();
-      filtered = filtered.filter(bug =>
-        bug.title.toLowerCase().includes(searchTerm) ||
-        bug.description.toLowerCase().includes(searchTerm) ||
-        bug.reporter.toLowerCase().includes(searchTerm) ||
-        (bug.assignee && bug.assignee.toLowerCase().includes(searchTerm)) ||
-        (bug.tags && bug.tags.some(tag => tag.toLowerCase().includes(searchTerm)))
-      );
-    }
-
     console.log('Filtered bugs:', filtered.length, 'out of', bugs.length);
     setFilteredBugs(filtered);
-  }, [bugs, filter]);
+  }, [bugs, filter.status, filter.priority]);
 
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
@@ -54,13 +111,67 @@ const BugList = ({ bugs, onEdit, onDelete, onStatusChange, isLoading, error }) =
       priority: '',
       search: ''
     });
+    if (milestone && onMilestoneChange) onMilestoneChange('');
+  };
+
+  const allVisibleSelected = filteredBugs.length > 0 &&
+    filteredBugs.every(bug => selectedIds.includes(bug._id));
+
+  const toggleBug = (bugId) => {
+    setAllMatching(false);
+    setSelectedIds(prev => (prev.includes(bugId)
+      ? prev.filter(id => id !== bugId)
+      : [...prev, bugId]));
   };
 
+  const toggleAllVisible = () => {
+    setAllMatching(false);
+    setSelectedIds(allVisibleSelected ? [] : filteredBugs.map(bug => bug._id));
+  };
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setAllMatching(false);
+  };
+
+  const handleBulkApply = async (operation) => {
+    // "All matching" sends the filters, so the server also updates bugs not loaded yet
+    const selection = allMatching
+      ? {
+        filter: Object.fromEntries(Object.entries({
+          q: filter.search.trim(),
+          status: filter.status,
+          priority: filter.priority,
+          milestone
+        }).filter(([, value]) => value))
+      }
+      : { ids: selectedIds };
+
+    try {
+      setBulkWorking(true);
+      setBulkResult(null);
+      const response = await onBulkUpdate(selection, operation);
+      const failures = response.results.filter(result => !result.success);
+
+      // Keep the bugs that failed selected, so they can be fixed and retried
+      setAllMatching(false);
+      setSelectedIds(failures.map(result => result.id));
+      setBulkResult({ summary: response.summary, failures });
+    } catch (err) {
+      setBulkResult({ error: err.details?.join(' ') || err.message });
+    } finally {
+      setBulkWorking(false);
+    }
+  };
+
+  const getBugTitle = (bugId) => bugs.find(bug => bug._id === bugId)?.title || bugId;
+
   if (error) {
     return (
       <div className="bug-list-error" data-testid="bug-list-error">
         <h3>Error Loading Bugs</h3>
         <p>{error}</p>
+        {errorReference && <ErrorReference reference={errorReference} />}
         <button onClick={() => window.location.reload()} className="btn btn-primary">
           Retry
         </button>
@@ -71,7 +182,9 @@ const BugList = ({ bugs, onEdit, onDelete, onStatusChange, isLoading, error }) =
   return (
     <div className="bug-list-container" data-testid="bug-list-container">
       <div className="bug-list-header">
-        <h2>Bug Reports ({filteredBugs.length})</h2>
+        <h2>
+          Bug Reports ({filteredBugs.length}{total > bugs.length ? ` of ${total}` : ''})
+        </h2>
 
         <div className="filters" data-testid="bug-filters">
           <div className="filter-group">
@@ -108,20 +221,54 @@ const BugList = ({ bugs, onEdit, onDelete, onStatusChange, isLoading, error }) =
             </select>
           </div>
 
-          <div className="filter-group">
+          {onMilestoneChange && (
+            <div className="filter-group">
+              <label htmlFor="milestone-filter">Milestone:</label>
+              <select
+                id="milestone-filter"
+                name="milestone"
+                value={milestone}
+                onChange={(e) => onMilestoneChange(e.target.value)}
+                data-testid="milestone-filter"
+              >
+                <option value="">All Milestones</option>
+                <option value="none">No milestone</option>
+                {milestones.map(option => (
+                  <option key={option._id} value={option._id}>
+                    {option.name}{option.state === 'closed' ? ' (closed)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {onSortChange && (
+            <div className="filter-group">
+              <label htmlFor="sort-select">Sort:</label>
+              <select
+                id="sort-select"
+                name="sort"
+                value={sort}
+                onChange={(e) => onSortChange(e.target.value)}
+                data-testid="sort-select"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="filter-group filter-group-query">
             <label htmlFor="search-filter">Search:</label>
-            <input
-              type="text"
-              id="search-filter"
-              name="search"
+            <QueryBar
               value={filter.search}
-              onChange={handleFilterChange}
-              placeholder="Search bugs..."
-              data-testid="search-filter"
+              onChange={(search) => setFilter(prev => ({ ...prev, search }))}
+              queryError={queryError}
             />
           </div>
 
-          {(filter.status || filter.priority || filter.search) && (
+          {(filter.status || filter.priority || filter.search || milestone) && (
             <button
               onClick={clearFilters}
               className="btn btn-secondary clear-filters-btn"
@@ -133,13 +280,84 @@ const BugList = ({ bugs, onEdit, onDelete, onStatusChange, isLoading, error }) =
         </div>
       </div>
 
+      {onBulkUpdate && (allMatching || selectedIds.length > 0) && (
+        <BulkToolbar
+          selectionLabel={allMatching
+            ? 'All matching bugs selected'
+            : `${selectedIds.length} selected`}
+          onApply={handleBulkApply}
+          onClear={clearSelection}
+          workflow={workflow}
+          isWorking={bulkWorking}
+        />
+      )}
+
+      {bulkResult && (
+        <div
+          className={`bulk-result ${bulkResult.error || bulkResult.failures.length > 0 ? 'bulk-result-error' : ''}`}
+          data-testid="bulk-result"
+        >
+          {bulkResult.error ? (
+            <p>Bulk update failed: {bulkResult.error}</p>
+          ) : (
+            <>
+              <p>Updated {bulkResult.summary.succeeded} of {bulkResult.summary.total} bugs.</p>
+              {bulkResult.failures.length > 0 && (
+                <ul data-testid="bulk-failures">
+                  {bulkResult.failures.map(failure => (
+                    <li key={failure.id}>
+                      {getBugTitle(failure.id)}: {failure.error}
+                      {failure.details && ` (${failure.details.join(' ')})`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => setBulkResult(null)}
+            data-testid="bulk-result-dismiss"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {onBulkUpdate && !isLoading && filteredBugs.length > 0 && (
+        <div className="bulk-select-all">
+          <label>
+            <input
+              type="checkbox"
+              checked={allMatching || allVisibleSelected}
+              onChange={toggleAllVisible}
+              data-testid="select-all-checkbox"
+            />
+            Select all shown
+          </label>
+          {allVisibleSelected && !allMatching && hasMore && (
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => setAllMatching(true)}
+              data-testid="select-all-matching-button"
+            >
+              {total !== null && !filter.status && !filter.priority
+                ? `Select all ${total} matching bugs`
+                : 'Select all matching bugs'}
+            </button>
+          )}
+        </div>
+      )}
+
       {isLoading ? (
         <div className="loading" data-testid="bug-list-loading">
           <p>Loading bugs...</p>
         </div>
       ) : filteredBugs.length === 0 ? (
         <div className="empty-state" data-testid="bug-list-empty">
-          {bugs.length === 0 ? (
+          {bugs.length === 0 && !filter.search.trim() ? (
             <div>
               <h3>No bugs reported yet</h3>
               <p>Be the first to report a bug!</p>
@@ -153,15 +371,53 @@ const BugList = ({ bugs, onEdit, onDelete, onStatusChange, isLoading, error }) =
         </div>
       ) : (
         <div className="bug-list" data-testid="bug-list">
-          {filteredBugs.map(bug => (
-            <BugItem
-              key={bug._id}
-              bug={bug}
-              onEdit={onEdit}
-              onDelete={onDelete}
-              onStatusChange={onStatusChange}
-            />
-          ))}
+          {filteredBugs.map(bug => {
+            const item = (
+              <BugItem
+                key={bug._id}
+                bug={bug}
+                onEdit={onEdit}
+                onDelete={onDelete}
+                onStatusChange={onStatusChange}
+                onToggleWatch={onToggleWatch}
+                workflow={workflow}
+                currentUser={currentUser}
+                labels={labels}
+                milestones={milestones}
+                original={bug.duplicateOf ? bugs.find(other => other._id === bug.duplicateOf) : null}
+                isChanged={changedBugIds.includes(bug._id)}
+              />
+            );
+
+            if (!onBulkUpdate) return item;
+
+            return (
+              <div key={bug._id} className="bug-list-row">
+                <input
+                  type="checkbox"
+                  className="bug-select"
+                  checked={allMatching || selectedIds.includes(bug._id)}
+                  onChange={() => toggleBug(bug._id)}
+                  aria-label={`Select ${bug.title}`}
+                  data-testid={`select-bug-${bug._id}`}
+                />
+                {item}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {!isLoading && hasMore && onLoadMore && (
+        <div className="load-more">
+          <button
+            onClick={onLoadMore}
+            className="btn btn-secondary"
+            disabled={isLoadingMore}
+            data-testid="load-more-button"
+          >
+            {isLoadingMore ? 'Loading...' : 'Load More'}
+          </button>
         </div>
       )}
     </div>
@@ -186,8 +442,26 @@ BugList.propTypes = {
   onEdit: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
   onStatusChange: PropTypes.func.isRequired,
+  onToggleWatch: PropTypes.func,
+  onSearch: PropTypes.func,
+  queryError: PropTypes.object,
   isLoading: PropTypes.bool,
-  error: PropTypes.string
+  error: PropTypes.string,
+  errorReference: PropTypes.string,
+  workflow: PropTypes.object,
+  currentUser: PropTypes.object,
+  sort: PropTypes.string,
+  onSortChange: PropTypes.func,
+  total: PropTypes.number,
+  hasMore: PropTypes.bool,
+  onLoadMore: PropTypes.func,
+  isLoadingMore: PropTypes.bool,
+  onBulkUpdate: PropTypes.func,
+  labels: PropTypes.arrayOf(PropTypes.object),
+  milestones: PropTypes.arrayOf(PropTypes.object),
+  milestone: PropTypes.string,
+  onMilestoneChange: PropTypes.func,
+  changedBugIds: PropTypes.arrayOf(PropTypes.string)
 };
 
 export default BugList;
\ No newline at end of file
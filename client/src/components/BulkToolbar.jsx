@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const ACTIONS = [
+  { type: 'set-status', label: 'Set status' },
+  { type: 'set-priority', label: 'Set priority' },
+  { type: 'set-assignee', label: 'Assign to' },
+  { type: 'add-tags', label: 'Add tags' },
+  { type: 'remove-tags', label: 'Remove tags' }
+];
+
+const DEFAULT_STATUSES = ['open', 'in-progress', 'resolved', 'closed'];
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Value each action starts with when picked
+const getInitialValue = (type, statuses) => {
+  if (type === 'set-status') return statuses[0];
+  if (type === 'set-priority') return 'medium';
+  return '';
+};
+
+const BulkToolbar = ({ selectionLabel, onApply, onClear, workflow = null, isWorking = false }) => {
+  const statuses = workflow?.statuses || DEFAULT_STATUSES;
+  const [type, setType] = useState('set-status');
+  const [value, setValue] = useState(statuses[0]);
+  const [resolution, setResolution] = useState('');
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState('');
+
+  const needsResolution = type === 'set-status' && Boolean(workflow?.resolvedStatuses?.includes(value));
+  const isTagAction = type === 'add-tags' || type === 'remove-tags';
+
+  const handleTypeChange = (e) => {
+    setType(e.target.value);
+    setValue(getInitialValue(e.target.value, statuses));
+    setError('');
+  };
+
+  const handleApply = () => {
+    const operation = { type, value };
+
+    if (isTagAction) {
+      operation.value = value.split(',').map(tag => tag.trim()).filter(Boolean);
+      if (operation.value.length === 0) {
+        setError('Enter at least one tag.');
+        return;
+      }
+    }
+
+    if (type === 'set-status') {
+      if (needsResolution && !resolution) {
+        setError('Select a resolution.');
+        return;
+      }
+      if (needsResolution) operation.resolution = resolution;
+      if (reason.trim()) operation.reason = reason.trim();
+    }
+
+    setError('');
+    onApply(operation);
+  };
+
+  return (
+    <div className="bulk-toolbar" data-testid="bulk-toolbar">
+      <span className="bulk-selection" data-testid="bulk-selection">{selectionLabel}</span>
+
+      <select
+        value={type}
+        onChange={handleTypeChange}
+        disabled={isWorking}
+        aria-label="Bulk action"
+        data-testid="bulk-action-select"
+      >
+        {ACTIONS.map(action => (
+          <option key={action.type} value={action.type}>{action.label}</option>
+        ))}
+      </select>
+
+      {type === 'set-status' || type === 'set-priority' ? (
+        <select
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          disabled={isWorking}
+          aria-label="Value"
+          data-testid="bulk-value-select"
+        >
+          {(type === 'set-status' ? statuses : PRIORITIES).map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          disabled={isWorking}
+          placeholder={isTagAction ? 'Tags, comma separated' : 'Username (blank to unassign)'}
+          aria-label="Value"
+          data-testid="bulk-value-input"
+        />
+      )}
+
+      {needsResolution && (
+        <select
+          value={resolution}
+          onChange={(e) => setResolution(e.target.value)}
+          disabled={isWorking}
+          aria-label="Resolution"
+          data-testid="bulk-resolution-select"
+        >
+          <option value="">Select a resolution</option>
+          {workflow.resolutions.map(option => (
+            <option key={option} value={option}>{option.replace(/-/g, ' ')}</option>
+          ))}
+        </select>
+      )}
+
+      {type === 'set-status' && (
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          disabled={isWorking}
+          placeholder="Reason (optional)"
+          aria-label="Reason"
+          data-testid="bulk-reason-input"
+        />
+      )}
+
+      <button
+        type="button"
+        className="btn btn-primary btn-sm"
+        onClick={handleApply}
+        disabled={isWorking}
+        data-testid="bulk-apply-button"
+      >
+        {isWorking ? 'Applying...' : 'Apply'}
+      </button>
+      <button
+        type="button"
+        className="btn btn-secondary btn-sm"
+        onClick={onClear}
+        disabled={isWorking}
+        data-testid="bulk-clear-button"
+      >
+        Clear Selection
+      </button>
+
+      {error && <span className="error-message" data-testid="bulk-error">{error}</span>}
+    </div>
+  );
+};
+
+BulkToolbar.propTypes = {
+  selectionLabel: PropTypes.string.isRequired,
+  onApply: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  workflow: PropTypes.shape({
+    statuses: PropTypes.arrayOf(PropTypes.string),
+    resolutions: PropTypes.arrayOf(PropTypes.string),
+    resolvedStatuses: PropTypes.arrayOf(PropTypes.string)
+  }),
+  isWorking: PropTypes.bool
+};
+
+export default BulkToolbar;
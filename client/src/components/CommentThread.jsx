@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { getComments, addComment, updateComment, deleteComment } from '../services/api';
+
+const CommentThread = ({ bugId, pageSize = 10 }) => {
+  const [comments, setComments] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState({ body: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editBody, setEditBody] = useState('');
+
+  const loadComments = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getComments(bugId, { page, limit: pageSize });
+      setComments(response.comments || []);
+      setPagination(response.pagination || { page, pages: 1, total: 0 });
+    } catch (err) {
+      console.error('Error loading comments:', err);
+      setError('Failed to load comments.');
+    } finally {
+      setLoading(false);
+    }
+  }, [bugId, page, pageSize]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.body.trim()) {
+      setError('Comment is required.');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      console.log('Adding comment to bug:', bugId);
+      await addComment(bugId, formData);
+      setFormData({ body: '' });
+
+      // New comments are appended, so jump to the last page to show them
+      const lastPage = Math.max(1, Math.ceil((pagination.total + 1) / pageSize));
+      if (lastPage === page) {
+        await loadComments();
+      } else {
+        setPage(lastPage);
+      }
+    } catch (err) {
+      console.error('Error adding comment:', err);
+      setError('Failed to add comment. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const startEditing = (comment) => {
+    setEditingId(comment._id);
+    setEditBody(comment.body);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditBody('');
+  };
+
+  const handleSaveEdit = async (commentId) => {
+    if (!editBody.trim()) return;
+
+    try {
+      console.log('Updating comment:', commentId);
+      const updatedComment = await updateComment(bugId, commentId, { body: editBody });
+      setComments(prev => prev.map(comment =>
+        comment._id === commentId ? updatedComment : comment
+      ));
+      cancelEditing();
+    } catch (err) {
+      console.error('Error updating comment:', err);
+      setError('Failed to update comment. Please try again.');
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Are you sure you want to delete this comment?')) {
+      return;
+    }
+
+    try {
+      console.log('Deleting comment:', commentId);
+      await deleteComment(bugId, commentId);
+
+      // Step back a page if this was the last comment on it
+      if (comments.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        await loadComments();
+      }
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      setError('Failed to delete comment. Please try again.');
+    }
+  };
+
+  return (
+    <div className="comment-thread" data-testid={`comment-thread-${bugId}`}>
+      <h4>Comments ({pagination.total})</h4>
+
+      {error && <p className="error-message" data-testid="comment-error">{error}</p>}
+
+      {loading ? (
+        <p className="comment-loading" data-testid="comments-loading">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="comment-empty" data-testid="comments-empty">No comments yet.</p>
+      ) : (
+        <ul className="comment-list" data-testid="comment-list">
+          {comments.map(comment => (
+            <li key={comment._id} className="comment" data-testid={`comment-${comment._id}`}>
+              <div className="comment-header">
+                <span className="comment-author">{comment.author}</span>
+                <span className="comment-date">
+                  {formatDate(comment.createdAt)}
+                  {comment.edited && <em className="comment-edited" data-testid="comment-edited"> (edited)</em>}
+                </span>
+              </div>
+
+              {editingId === comment._id ? (
+                <div className="comment-edit">
+                  <textarea
+                    value={editBody}
+                    onChange={(e) => setEditBody(e.target.value)}
+                    rows="3"
+                    data-testid="comment-edit-input"
+                  />
+                  <div className="comment-actions">
+                    <button
+                      type="button"
+                      onClick={() => handleSaveEdit(comment._id)}
+                      className="btn btn-primary btn-sm"
+                      disabled={!editBody.trim()}
+                      data-testid="comment-save-button"
+                    >
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      onClick={cancelEditing}
+                      className="btn btn-secondary btn-sm"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <p className="comment-body">{comment.body}</p>
+                  <div className="comment-actions">
+                    <button
+                      type="button"
+                      onClick={() => startEditing(comment)}
+                      className="btn btn-secondary btn-sm"
+                      data-testid="comment-edit-button"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(comment._id)}
+                      className="btn btn-danger btn-sm"
+                      data-testid="comment-delete-button"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="comment-pagination" data-testid="comment-pagination">
+          <button
+            type="button"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || loading}
+            className="btn btn-secondary btn-sm"
+            data-testid="comments-prev-page"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pagination.pages}</span>
+          <button
+            type="button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages || loading}
+            className="btn btn-secondary btn-sm"
+            data-testid="comments-next-page"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="comment-form" data-testid="comment-form">
+        <textarea
+          name="body"
+          value={formData.body}
+          onChange={handleInputChange}
+          placeholder="Add a comment"
+          rows="3"
+          disabled={submitting}
+          data-testid="comment-body-input"
+        />
+        <button
+          type="submit"
+          className="btn btn-primary btn-sm"
+          disabled={submitting}
+          data-testid="comment-submit-button"
+        >
+          {submitting ? 'Posting...' : 'Add Comment'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+CommentThread.propTypes = {
+  bugId: PropTypes.string.isRequired,
+  pageSize: PropTypes.number
+};
+
+export default CommentThread;
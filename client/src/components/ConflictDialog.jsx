@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getMergeFields, getDefaultChoice, mergeBugEdits } from '../utils/merge';
+
+// Shows a field value the same way in both columns
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(none)';
+  return value ? String(value) : '(none)';
+};
+
+const ConflictDialog = ({ base, mine, latest, onResolve, onDiscard, onCancel }) => {
+  const fields = getMergeFields(base, mine, latest);
+  const [choices, setChoices] = useState(() => fields.reduce((initial, entry) => ({
+    ...initial,
+    [entry.field]: getDefaultChoice(entry)
+  }), {}));
+  const [saving, setSaving] = useState(false);
+
+  const handleChoice = (field, choice) => {
+    setChoices(prev => ({ ...prev, [field]: choice }));
+  };
+
+  const handleResolve = async () => {
+    try {
+      setSaving(true);
+      await onResolve(mergeBugEdits(mine, latest, choices));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="conflict-overlay">
+      <div
+        className="conflict-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="conflict-title"
+        data-testid="conflict-dialog"
+      >
+        <h2 id="conflict-title">This bug was changed while you were editing</h2>
+        <p>
+          Someone else saved a newer version of this bug. Choose which value to keep for each
+          field that differs, then save the merged version.
+        </p>
+
+        {fields.length === 0 ? (
+          <p data-testid="conflict-no-differences">Your changes match the latest version.</p>
+        ) : (
+          <table className="conflict-table" data-testid="conflict-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Your version</th>
+                <th>Latest version</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(entry => (
+                <tr
+                  key={entry.field}
+                  className={entry.conflict ? 'conflict-both-changed' : ''}
+                  data-testid={`conflict-field-${entry.field}`}
+                >
+                  <th scope="row">
+                    {entry.label}
+                    {entry.conflict && <span className="conflict-badge">Both changed</span>}
+                  </th>
+                  {['mine', 'latest'].map(side => (
+                    <td key={side}>
+                      <label className="conflict-choice">
+                        <input
+                          type="radio"
+                          name={`conflict-${entry.field}`}
+                          checked={choices[entry.field] === side}
+                          onChange={() => handleChoice(entry.field, side)}
+                          disabled={saving}
+                          data-testid={`conflict-choose-${side}-${entry.field}`}
+                        />
+                        <span className="conflict-value">{formatValue(entry[side])}</span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="conflict-actions">
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={handleResolve}
+            disabled={saving}
+            data-testid="conflict-save-button"
+          >
+            {saving ? 'Saving...' : 'Save Merged Version'}
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onDiscard}
+            disabled={saving}
+            data-testid="conflict-discard-button"
+          >
+            Discard My Changes
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onCancel}
+            disabled={saving}
+            data-testid="conflict-cancel-button"
+          >
+            Back to Editing
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ConflictDialog.propTypes = {
+  base: PropTypes.object.isRequired,
+  mine: PropTypes.object.isRequired,
+  latest: PropTypes.object.isRequired,
+  onResolve: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ConflictDialog;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import BarChart from './BarChart';
+import TrendChart from './TrendChart';
+import { getBugStats } from '../services/api';
+import { formatDuration } from '../utils/charts';
+
+// Windows offered for the daily chart and the time to resolve
+export const WINDOW_OPTIONS = [7, 30, 90];
+
+// Assignees and tags charted; the rest are the long tail
+const TOP_ITEMS = 10;
+
+const formatAge = (date) => {
+  const days = Math.floor((Date.now() - new Date(date).getTime()) / (24 * 60 * 60 * 1000));
+  return days === 0 ? 'today' : `${days} ${days === 1 ? 'day' : 'days'} old`;
+};
+
+const Dashboard = ({ project = '', onOpenBug }) => {
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Stats change with every bug, so they are fetched each time the page opens
+  useEffect(() => {
+    const loadStats = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setStats(await getBugStats({ days, ...(project && { project }) }));
+      } catch (err) {
+        console.error('Error loading bug stats:', err);
+        setError('Failed to load bug statistics. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadStats();
+  }, [project, days]);
+
+  const handleOpen = (e, bugId) => {
+    e.preventDefault();
+    onOpenBug(bugId);
+  };
+
+  const openCritical = stats?.byPriority.find(item => item.priority === 'critical')?.open || 0;
+
+  return (
+    <div className="dashboard" data-testid="dashboard">
+      <div className="bug-list-header">
+        <h2>Dashboard</h2>
+        <label className="dashboard-window">
+          Last{' '}
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} data-testid="dashboard-days">
+            {WINDOW_OPTIONS.map(option => <option key={option} value={option}>{option} days</option>)}
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="error-message" data-testid="dashboard-error">{error}</p>}
+
+      {loading && !stats ? (
+        <p className="loading" data-testid="dashboard-loading">Loading statistics...</p>
+      ) : stats && (
+        <>
+          <div className="dashboard-cards">
+            <div className="dashboard-card" data-testid="stat-open">
+              <span className="dashboard-card-value">{stats.totals.open}</span>
+              <span className="dashboard-card-label">open of {stats.totals.total}</span>
+            </div>
+            <div className="dashboard-card dashboard-card-critical" data-testid="stat-critical">
+              <span className="dashboard-card-value">{openCritical}</span>
+              <span className="dashboard-card-label">critical open</span>
+            </div>
+            <div className="dashboard-card" data-testid="stat-resolve-time">
+              <span className="dashboard-card-value">{formatDuration(stats.timeToResolve.meanHours)}</span>
+              <span className="dashboard-card-label">
+                mean time to resolve ({stats.timeToResolve.bugs} resolved in {stats.window.days} days)
+              </span>
+            </div>
+          </div>
+
+          <TrendChart title={`Opened vs. closed, last ${stats.window.days} days`} days={stats.daily} />
+
+          <div className="dashboard-charts">
+            <BarChart
+              title="By status"
+              items={stats.byStatus.map(({ status, count }) => ({ label: status, value: count }))}
+              testId="chart-status"
+            />
+            <BarChart
+              title="By priority"
+              items={stats.byPriority.map(({ priority, total, open }) => ({ label: priority, value: total, highlight: open }))}
+              highlightLabel="open"
+              testId="chart-priority"
+            />
+            <BarChart
+              title="By assignee"
+              items={stats.byAssignee.slice(0, TOP_ITEMS).map(({ assignee, total, open }) => ({
+                label: assignee || 'Unassigned',
+                value: total,
+                highlight: open
+              }))}
+              highlightLabel="open"
+              testId="chart-assignee"
+            />
+            <BarChart
+              title="By tag"
+              items={stats.byTag.slice(0, TOP_ITEMS).map(({ tag, total, open }) => ({ label: tag, value: total, highlight: open }))}
+              highlightLabel="open"
+              emptyText="No tagged bugs yet."
+              testId="chart-tag"
+            />
+          </div>
+
+          <div className="dashboard-oldest">
+            <h3>Oldest open bugs</h3>
+            {stats.oldestOpen.length === 0 ? (
+              <p className="empty-state" data-testid="oldest-empty">No open bugs.</p>
+            ) : (
+              <ol className="dashboard-oldest-list" data-testid="oldest-open">
+                {stats.oldestOpen.map(bug => (
+                  <li key={bug._id}>
+                    <a href={`#bug-${bug._id}`} onClick={(e) => handleOpen(e, bug._id)}>
+                      {bug.key ? `${bug.key} ` : ''}{bug.title}
+                    </a>
+                    <span className="dashboard-oldest-meta">
+                      {bug.priority} &middot; {bug.assignee || 'unassigned'} &middot; {formatAge(bug.createdAt)}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+Dashboard.propTypes = {
+  project: PropTypes.string,
+  onOpenBug: PropTypes.func.isRequired
+};
+
+export default Dashboard;
@@ -0,0 +1,48 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const DuplicateSuggestions = ({ duplicates, onMarkDuplicate, isWorking = false, title = 'Possible duplicates' }) => {
+  if (duplicates.length === 0) return null;
+
+  return (
+    <div className="duplicate-suggestions" data-testid="duplicate-suggestions">
+      <h4>{title}</h4>
+      <ul>
+        {duplicates.map(duplicate => (
+          <li key={duplicate._id} className="duplicate-suggestion" data-testid={`duplicate-${duplicate._id}`}>
+            {/* Jumps to the bug when it is in the list below */}
+            <a href={`#bug-${duplicate._id}`} className="duplicate-link">
+              {duplicate.key && <strong>{duplicate.key}</strong>} {duplicate.title}
+            </a>
+            <span className="duplicate-score">{Math.round(duplicate.score * 100)}% match</span>
+            {onMarkDuplicate && (
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => onMarkDuplicate(duplicate)}
+                disabled={isWorking}
+                data-testid={`mark-duplicate-${duplicate._id}`}
+              >
+                Mark as duplicate of {duplicate.key || 'this bug'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+DuplicateSuggestions.propTypes = {
+  duplicates: PropTypes.arrayOf(PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    key: PropTypes.string,
+    title: PropTypes.string.isRequired,
+    score: PropTypes.number.isRequired
+  })).isRequired,
+  onMarkDuplicate: PropTypes.func,
+  isWorking: PropTypes.bool,
+  title: PropTypes.string
+};
+
+export default DuplicateSuggestions;
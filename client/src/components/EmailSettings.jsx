@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { updateAccount } from '../services/api';
+
+// The kinds of email a user can turn off, in the order they are listed
+export const EMAIL_KINDS = [
+  { kind: 'assigned', label: 'A bug is assigned to me' },
+  { kind: 'statusChanged', label: 'A bug I watch changes status' },
+  { kind: 'commented', label: 'Someone comments on a bug I watch' },
+  { kind: 'mentioned', label: 'Someone mentions me in a comment' }
+];
+
+// Every kind is on until the user turns it off
+const getPreferences = (user) => Object.fromEntries(
+  EMAIL_KINDS.map(({ kind }) => [kind, user.emailPreferences?.[kind] !== false])
+);
+
+const EmailSettings = ({ user, onSaved }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [email, setEmail] = useState('');
+  const [preferences, setPreferences] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [saved, setSaved] = useState(false);
+
+  const handleToggle = () => {
+    // Opened with what is saved, so abandoned edits do not come back
+    if (!isOpen) {
+      setEmail(user.email || '');
+      setPreferences(getPreferences(user));
+      setErrors([]);
+      setSaved(false);
+    }
+    setIsOpen(prev => !prev);
+  };
+
+  const handlePreferenceChange = (e) => {
+    const { name, checked } = e.target;
+    setPreferences(prev => ({
+      ...prev,
+      [name]: checked
+    }));
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setErrors([]);
+      const updatedUser = await updateAccount({ email: email.trim() || null, emailPreferences: preferences });
+      onSaved(updatedUser);
+      setSaved(true);
+    } catch (err) {
+      console.error('Error saving email settings:', err);
+      setErrors(err.details || [err.message || 'Failed to save email settings.']);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="email-settings">
+      <button
+        type="button"
+        className="btn btn-secondary btn-sm"
+        onClick={handleToggle}
+        aria-expanded={isOpen}
+        data-testid="email-settings-button"
+      >
+        Email settings
+      </button>
+
+      {isOpen && (
+        <form className="email-settings-panel" onSubmit={handleSubmit} data-testid="email-settings-panel">
+          <h4>Email settings</h4>
+
+          {errors.length > 0 && (
+            <ul className="error-message" data-testid="email-settings-errors">
+              {errors.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="account-email">Email address</label>
+            <input
+              type="email"
+              id="account-email"
+              value={email}
+              onChange={(e) => {
+                setEmail(e.target.value);
+                setSaved(false);
+              }}
+              placeholder="you@example.com"
+              disabled={saving}
+              data-testid="email-input"
+            />
+            {!email.trim() && <small className="form-hint">Without an address you only get in-app notifications.</small>}
+          </div>
+
+          <fieldset className="email-preferences" disabled={saving}>
+            <legend>Email me when</legend>
+            {EMAIL_KINDS.map(({ kind, label }) => (
+              <label key={kind} className="email-preference">
+                <input
+                  type="checkbox"
+                  name={kind}
+                  checked={preferences[kind]}
+                  onChange={handlePreferenceChange}
+                  data-testid={`email-preference-${kind}`}
+                />
+                {label}
+              </label>
+            ))}
+          </fieldset>
+
+          <div className="email-settings-actions">
+            {saved && <span className="email-settings-saved" data-testid="email-settings-saved">Saved</span>}
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => setIsOpen(false)}
+              disabled={saving}
+            >
+              Close
+            </button>
+            <button type="submit" className="btn btn-primary btn-sm" disabled={saving} data-testid="email-settings-save">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+EmailSettings.propTypes = {
+  user: PropTypes.shape({
+    email: PropTypes.string,
+    emailPreferences: PropTypes.object
+  }).isRequired,
+  onSaved: PropTypes.func.isRequired
+};
+
+export default EmailSettings;
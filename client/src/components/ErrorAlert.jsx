@@ -0,0 +1,28 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ErrorReference from './ErrorReference';
+
+// Stays up until dismissed, so the reference can be copied
+const ErrorAlert = ({ message, reference = null, onDismiss }) => (
+  <div className="error-alert" role="alert" data-testid="error-alert">
+    <p className="error-alert-message">{message}</p>
+    {reference && <ErrorReference reference={reference} />}
+    <button
+      type="button"
+      className="error-alert-close"
+      onClick={onDismiss}
+      aria-label="Dismiss"
+      data-testid="error-alert-dismiss"
+    >
+      ×
+    </button>
+  </div>
+);
+
+ErrorAlert.propTypes = {
+  message: PropTypes.string.isRequired,
+  reference: PropTypes.string,
+  onDismiss: PropTypes.func.isRequired
+};
+
+export default ErrorAlert;
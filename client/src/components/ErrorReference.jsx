@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+// How long the copy button says "Copied"
+const COPIED_MS = 2000;
+
+const ErrorReference = ({ reference }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(reference);
+      setCopied(true);
+      setTimeout(() => setCopied(false), COPIED_MS);
+    } catch (err) {
+      // Without clipboard access the field can still be selected and copied by hand
+      console.error('Error copying the error reference:', err);
+    }
+  };
+
+  return (
+    <div className="error-reference">
+      <label>
+        Error reference{' '}
+        <input
+          type="text"
+          value={reference}
+          readOnly
+          size={reference.length}
+          onFocus={(e) => e.target.select()}
+          data-testid="error-reference"
+        />
+      </label>
+      {navigator.clipboard && (
+        <button type="button" className="btn btn-secondary btn-sm" onClick={handleCopy} data-testid="error-reference-copy">
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+ErrorReference.propTypes = {
+  reference: PropTypes.string.isRequired
+};
+
+export default ErrorReference;
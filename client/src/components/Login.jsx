@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { login, register } from '../services/api';
+
+const Login = ({ onLogin, notice = null }) => {
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({ username: '', name: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isRegistering = mode === 'register';
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const toggleMode = () => {
+    setMode(prev => (prev === 'login' ? 'register' : 'login'));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.username.trim() || !formData.password || (isRegistering && !formData.name.trim())) {
+      setError('Please fill in all fields.');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const user = isRegistering
+        ? await register(formData)
+        : await login(formData.username, formData.password);
+      onLogin(user);
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setError(err.details ? err.details.join(' ') : err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login" data-testid="login">
+      <h2>{isRegistering ? 'Create an Account' : 'Sign In'}</h2>
+      {notice && <p className="login-notice" data-testid="login-notice">{notice}</p>}
+      {error && <p className="error-message" data-testid="login-error">{error}</p>}
+
+      <form onSubmit={handleSubmit} className="login-form" data-testid="login-form">
+        <div className="form-group">
+          <label htmlFor="username">Username</label>
+          <input
+            type="text"
+            id="username"
+            name="username"
+            value={formData.username}
+            onChange={handleInputChange}
+            autoComplete="username"
+            disabled={submitting}
+            data-testid="login-username-input"
+          />
+        </div>
+
+        {isRegistering && (
+          <div className="form-group">
+            <label htmlFor="name">Display Name</label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              disabled={submitting}
+              data-testid="login-name-input"
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="password">Password</label>
+          <input
+            type="password"
+            id="password"
+            name="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            autoComplete={isRegistering ? 'new-password' : 'current-password'}
+            disabled={submitting}
+            data-testid="login-password-input"
+          />
+        </div>
+
+        <div className="login-actions">
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={submitting}
+            data-testid="login-submit-button"
+          >
+            {submitting ? 'Please wait...' : isRegistering ? 'Create Account' : 'Sign In'}
+          </button>
+          <button
+            type="button"
+            onClick={toggleMode}
+            className="btn btn-secondary"
+            disabled={submitting}
+            data-testid="login-mode-toggle"
+          >
+            {isRegistering ? 'I already have an account' : 'Create an account'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+Login.propTypes = {
+  onLogin: PropTypes.func.isRequired,
+  notice: PropTypes.string
+};
+
+export default Login;
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getMilestones } from '../services/api';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const MilestoneOverview = ({ onViewBugs }) => {
+  const [milestones, setMilestones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Progress changes with every bug, so it is fetched each time the page opens
+  useEffect(() => {
+    const loadMilestones = async () => {
+      try {
+        const response = await getMilestones();
+        setMilestones(response.milestones);
+      } catch (err) {
+        console.error('Error loading milestones:', err);
+        setError('Failed to load milestones. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadMilestones();
+  }, []);
+
+  return (
+    <div className="milestone-overview" data-testid="milestone-overview">
+      <div className="bug-list-header">
+        <h2>Milestones ({milestones.length})</h2>
+      </div>
+
+      {error && <p className="error-message" data-testid="milestones-error">{error}</p>}
+
+      {loading ? (
+        <p className="loading" data-testid="milestones-loading">Loading milestones...</p>
+      ) : !error && milestones.length === 0 ? (
+        <div className="empty-state" data-testid="milestones-empty">
+          <h3>No milestones yet</h3>
+        </div>
+      ) : (
+        <ul className="milestone-list">
+          {milestones.map(({ _id, name, description, dueDate, state, progress }) => (
+            <li
+              key={_id}
+              className={`milestone-card ${progress.overdue ? 'milestone-overdue' : ''}`}
+              data-testid={`milestone-${_id}`}
+            >
+              <div className="milestone-heading">
+                <h3>
+                  {name}
+                  {state === 'closed' && <span className="milestone-state">Closed</span>}
+                </h3>
+                <span className="milestone-due">
+                  {dueDate ? `Due ${formatDate(dueDate)}` : 'No due date'}
+                </span>
+              </div>
+
+              {description && <p className="milestone-description">{description}</p>}
+
+              {progress.overdue && (
+                <p className="milestone-overdue-warning" role="alert" data-testid={`overdue-warning-${_id}`}>
+                  Overdue with {progress.open} open {progress.open === 1 ? 'bug' : 'bugs'}
+                </p>
+              )}
+
+              <div
+                className="milestone-progress"
+                role="progressbar"
+                aria-label={`${name} progress`}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={progress.percentComplete}
+                data-testid={`milestone-progress-${_id}`}
+              >
+                <div className="milestone-progress-bar" style={{ width: `${progress.percentComplete}%` }} />
+              </div>
+
+              <div className="milestone-counts">
+                <span>
+                  {progress.percentComplete}% complete &middot; {progress.resolved} resolved, {progress.open} open
+                </span>
+                {onViewBugs && (
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => onViewBugs(_id)}
+                    data-testid={`view-milestone-bugs-${_id}`}
+                  >
+                    View Bugs
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+MilestoneOverview.propTypes = {
+  onViewBugs: PropTypes.func
+};
+
+export default MilestoneOverview;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../services/api';
+
+// How often the unread count is checked while the inbox is closed
+export const POLL_MS = 60000;
+
+// Notifications shown in the inbox; older ones stay on the server
+const INBOX_LIMIT = 20;
+
+const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const NotificationBell = ({ onOpenBug, refreshKey = null }) => {
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadUnreadCount = useCallback(async () => {
+    try {
+      const response = await getUnreadNotificationCount();
+      setUnreadCount(response.unreadCount);
+    } catch (err) {
+      console.error('Error counting notifications:', err);
+    }
+  }, []);
+
+  // Checked again whenever something the user did may have notified them, and every so often
+  useEffect(() => {
+    loadUnreadCount();
+    const timer = setInterval(loadUnreadCount, POLL_MS);
+    return () => clearInterval(timer);
+  }, [loadUnreadCount, refreshKey]);
+
+  const loadNotifications = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getNotifications({ limit: INBOX_LIMIT });
+      setNotifications(response.notifications || []);
+      setUnreadCount(response.unreadCount);
+    } catch (err) {
+      console.error('Error loading notifications:', err);
+      setError('Failed to load notifications.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = () => {
+    if (!isOpen) loadNotifications();
+    setIsOpen(prev => !prev);
+  };
+
+  const handleOpen = async (e, notification) => {
+    e.preventDefault();
+    setIsOpen(false);
+    onOpenBug(notification.bug);
+
+    if (notification.readAt) return;
+
+    try {
+      const updated = await markNotificationRead(notification._id);
+      setNotifications(prev => prev.map(item => (item._id === updated._id ? updated : item)));
+      setUnreadCount(prev => Math.max(prev - 1, 0));
+    } catch (err) {
+      console.error('Error marking notification read:', err);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(item => ({ ...item, readAt: item.readAt || readAt })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+      setError('Failed to mark notifications read.');
+    }
+  };
+
+  return (
+    <div className="notification-bell">
+      <button
+        type="button"
+        className="btn btn-secondary btn-sm notification-bell-button"
+        onClick={handleToggle}
+        aria-expanded={isOpen}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        data-testid="notification-bell"
+      >
+        <span aria-hidden="true">&#128276;</span>
+        {unreadCount > 0 && (
+          <span className="notification-badge" data-testid="notification-badge">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-panel" data-testid="notification-panel">
+          <div className="notification-panel-header">
+            <h4>Notifications</h4>
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={handleMarkAllRead}
+              disabled={unreadCount === 0}
+              data-testid="mark-all-read-button"
+            >
+              Mark all read
+            </button>
+          </div>
+
+          {error && <p className="error-message" data-testid="notifications-error">{error}</p>}
+
+          {loading ? (
+            <p className="loading" data-testid="notifications-loading">Loading notifications...</p>
+          ) : notifications.length === 0 ? (
+            <p className="empty-state" data-testid="notifications-empty">Nothing yet. Watch a bug to hear about it.</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li
+                  key={notification._id}
+                  className={`notification-item ${notification.readAt ? '' : 'notification-unread'}`}
+                  data-testid={`notification-${notification._id}`}
+                >
+                  <a href={`#bug-${notification.bug}`} onClick={(e) => handleOpen(e, notification)}>
+                    <span className="notification-bug">
+                      {notification.bugKey ? `${notification.bugKey} ` : ''}{notification.bugTitle}
+                    </span>
+                    <span className="notification-summary">
+                      <strong>{notification.actor}</strong> {notification.summary}
+                    </span>
+                    <span className="notification-date">{formatDate(notification.createdAt)}</span>
+                  </a>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+NotificationBell.propTypes = {
+  onOpenBug: PropTypes.func.isRequired,
+  refreshKey: PropTypes.any
+};
+
+export default NotificationBell;
@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getProjects } from '../services/api';
+
+// Picks the project whose bugs are shown; an empty value means all projects
+const ProjectSwitcher = ({ value, onChange, disabled = false }) => {
+  const [projects, setProjects] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadProjects = async () => {
+      try {
+        const response = await getProjects();
+        if (!cancelled) setProjects(response.projects || []);
+      } catch (err) {
+        console.error('Error loading projects:', err);
+        if (!cancelled) setError('Failed to load projects.');
+      }
+    };
+
+    loadProjects();
+    return () => { cancelled = true; };
+  }, []);
+
+  return (
+    <div className="project-switcher">
+      <label htmlFor="project-select">Project</label>
+      <select
+        id="project-select"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        data-testid="project-select"
+      >
+        <option value="">All projects</option>
+        {projects.map(project => (
+          <option key={project.key} value={project.key}>
+            {project.key} - {project.name}
+          </option>
+        ))}
+      </select>
+      {error && <span className="error-message" data-testid="project-error">{error}</span>}
+    </div>
+  );
+};
+
+ProjectSwitcher.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default ProjectSwitcher;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { getQueryHints, applyQueryHint } from '../utils/query';
+
+const EXAMPLE_QUERY = 'status:open,in-progress priority:>=high assignee:me -tag:wontfix crash';
+
+const QueryBar = ({ value, onChange, queryError = null }) => {
+  const [cursor, setCursor] = useState(value.length);
+  const [focused, setFocused] = useState(false);
+  const inputRef = useRef(null);
+  const pendingCursor = useRef(null);
+
+  // Put the cursor after a hint once the new value has rendered
+  useEffect(() => {
+    if (pendingCursor.current !== null && inputRef.current) {
+      inputRef.current.setSelectionRange(pendingCursor.current, pendingCursor.current);
+      pendingCursor.current = null;
+    }
+  }, [value]);
+
+  const hints = focused ? getQueryHints(value, Math.min(cursor, value.length)) : [];
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    setCursor(e.target.selectionStart ?? e.target.value.length);
+  };
+
+  const handleCursorMove = (e) => {
+    setCursor(e.target.selectionStart ?? value.length);
+  };
+
+  const handleHint = (hint) => {
+    const next = applyQueryHint(value, Math.min(cursor, value.length), hint.insert);
+    pendingCursor.current = next.cursor;
+    setCursor(next.cursor);
+    onChange(next.value);
+  };
+
+  const firstError = queryError?.errors[0];
+
+  return (
+    <div className="query-bar" data-testid="query-bar">
+      <input
+        ref={inputRef}
+        type="text"
+        id="search-filter"
+        name="search"
+        value={value}
+        onChange={handleChange}
+        onKeyUp={handleCursorMove}
+        onClick={handleCursorMove}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        placeholder="Search or filter, e.g. status:open crash"
+        className={firstError ? 'error' : ''}
+        autoComplete="off"
+        spellCheck="false"
+        data-testid="search-filter"
+      />
+
+      {hints.length > 0 && (
+        <ul className="query-hints" data-testid="query-hints">
+          {hints.map(hint => (
+            <li key={hint.insert}>
+              <button
+                type="button"
+                // Keep focus in the input so the hints stay open
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  handleHint(hint);
+                }}
+                data-testid={`query-hint-${hint.label}`}
+              >
+                <code>{hint.label}</code>
+                <span className="query-hint-description">{hint.description}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {firstError ? (
+        <div className="query-error" data-testid="query-error">
+          {queryError.errors.map((error, index) => (
+            <p key={index} className="error-message">
+              {error.message} (at character {error.position + 1})
+            </p>
+          ))}
+          <code className="query-error-context" data-testid="query-error-context">
+            {queryError.query.slice(0, firstError.position)}
+            <mark>{queryError.query.slice(firstError.position, firstError.position + firstError.length)}</mark>
+            {queryError.query.slice(firstError.position + firstError.length)}
+          </code>
+        </div>
+      ) : (
+        <p className="query-help" data-testid="query-help">
+          Try <code>{EXAMPLE_QUERY}</code>
+        </p>
+      )}
+    </div>
+  );
+};
+
+QueryBar.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  queryError: PropTypes.shape({
+    query: PropTypes.string.isRequired,
+    errors: PropTypes.arrayOf(PropTypes.shape({
+      message: PropTypes.string.isRequired,
+      position: PropTypes.number.isRequired,
+      length: PropTypes.number.isRequired
+    })).isRequired
+  })
+};
+
+export default QueryBar;
@@ -0,0 +1,48 @@
+import React, { useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+// How long a toast stays up unless a duration is given
+const DEFAULT_DURATION_MS = 8000;
+
+const Toast = ({ message, actionLabel, onAction, onDismiss, duration = DEFAULT_DURATION_MS }) => {
+  // Dismiss on its own after a while; a new message restarts the clock
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss, duration]);
+
+  return (
+    <div className="toast" role="status" data-testid="toast">
+      <span className="toast-message">{message}</span>
+      {actionLabel && onAction && (
+        <button
+          type="button"
+          className="toast-action"
+          onClick={onAction}
+          data-testid="toast-action"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button
+        type="button"
+        className="toast-close"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+        data-testid="toast-dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+Toast.propTypes = {
+  message: PropTypes.string.isRequired,
+  actionLabel: PropTypes.string,
+  onAction: PropTypes.func,
+  onDismiss: PropTypes.func.isRequired,
+  duration: PropTypes.number
+};
+
+export default Toast;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { getTrash, restoreBug } from '../services/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const TrashView = ({ onRestored, project = '' }) => {
+  const [bugs, setBugs] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const loadTrash = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getTrash({ page, ...(project && { project }) });
+      setBugs(prev => (page === 1 ? response.bugs : [...prev, ...response.bugs]));
+      setRetentionDays(response.retentionDays);
+      setPagination(response.pagination);
+    } catch (err) {
+      console.error('Error loading trash:', err);
+      setError('Failed to load the trash. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [project]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (bug) => {
+    try {
+      setRestoringId(bug._id);
+      const restoredBug = await restoreBug(bug._id);
+      setBugs(prev => prev.filter(item => item._id !== bug._id));
+      setPagination(prev => prev && { ...prev, total: prev.total - 1 });
+      if (onRestored) onRestored(restoredBug);
+    } catch (err) {
+      console.error('Error restoring bug:', err);
+      setError(`Failed to restore "${bug.title}". Please try again.`);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="trash-view" data-testid="trash-view">
+      <div className="bug-list-header">
+        <h2>Trash ({pagination ? pagination.total : bugs.length})</h2>
+        {retentionDays && (
+          <p className="trash-notice">
+            Deleted bugs are removed for good after {retentionDays} days.
+          </p>
+        )}
+      </div>
+
+      {error && <p className="error-message" data-testid="trash-error">{error}</p>}
+
+      {!loading && bugs.length === 0 ? (
+        <div className="empty-state" data-testid="trash-empty">
+          <h3>The trash is empty</h3>
+        </div>
+      ) : (
+        <ul className="trash-list">
+          {bugs.map(bug => (
+            <li key={bug._id} className="trash-item" data-testid={`trash-item-${bug._id}`}>
+              <div>
+                <strong>{bug.title}</strong>
+                <p className="trash-meta">
+                  Deleted by {bug.deletedBy} on {formatDate(bug.deletedAt)}
+                  {retentionDays && (
+                    <> &middot; removed for good on {formatDate(new Date(bug.deletedAt).getTime() + retentionDays * DAY_MS)}</>
+                  )}
+                </p>
+              </div>
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={() => handleRestore(bug)}
+                disabled={restoringId === bug._id}
+                data-testid={`restore-bug-${bug._id}`}
+              >
+                {restoringId === bug._id ? 'Restoring...' : 'Restore'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {loading && <p className="loading" data-testid="trash-loading">Loading trash...</p>}
+
+      {!loading && pagination && pagination.page < pagination.pages && (
+        <div className="load-more">
+          <button
+            className="btn btn-secondary"
+            onClick={() => loadTrash(pagination.page + 1)}
+            data-testid="trash-load-more"
+          >
+            Load More
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+TrashView.propTypes = {
+  onRestored: PropTypes.func,
+  project: PropTypes.string
+};
+
+export default TrashView;
@@ -0,0 +1,87 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getNiceMax, getTicks, getLinePoints } from '../utils/charts';
+
+// Layout in viewBox units; the plot sits inside margins that hold the axis labels
+const WIDTH = 600;
+const HEIGHT = 220;
+const MARGIN = { top: 10, right: 10, bottom: 24, left: 32 };
+
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+const SERIES = [
+  { key: 'opened', label: 'Opened' },
+  { key: 'closed', label: 'Closed' }
+];
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const TrendChart = ({ title, days }) => {
+  const totals = Object.fromEntries(SERIES.map(({ key }) => [key, days.reduce((sum, day) => sum + day[key], 0)]));
+  const max = getNiceMax(Math.max(0, ...days.map(day => Math.max(day.opened, day.closed))));
+  const size = { width: PLOT_WIDTH, height: PLOT_HEIGHT, max };
+
+  // Days are UTC, as the server counts them
+  const summary = `${title}: ${totals.opened} opened and ${totals.closed} closed` +
+    (days.length > 0 ? ` from ${formatDay(days[0].date)} to ${formatDay(days[days.length - 1].date)}` : '');
+
+  return (
+    <figure className="chart chart-wide" data-testid="trend-chart">
+      <figcaption>{title}</figcaption>
+      <svg className="trend-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={summary}>
+        <g transform={`translate(${MARGIN.left},${MARGIN.top})`}>
+          {getTicks(max).map((tick) => {
+            const y = PLOT_HEIGHT - (tick / max) * PLOT_HEIGHT;
+            return (
+              <g key={tick}>
+                <line className="chart-grid" x1="0" x2={PLOT_WIDTH} y1={y} y2={y} />
+                <text className="chart-label" x="-6" y={y} textAnchor="end" dominantBaseline="central">{tick}</text>
+              </g>
+            );
+          })}
+
+          {SERIES.map(({ key }) => (
+            <polyline
+              key={key}
+              className={`trend-line trend-line-${key}`}
+              points={getLinePoints(days.map(day => day[key]), size)}
+              fill="none"
+            />
+          ))}
+
+          {days.length > 0 && (
+            <>
+              <text className="chart-label" x="0" y={PLOT_HEIGHT + 16} textAnchor="start">{formatDay(days[0].date)}</text>
+              <text className="chart-label" x={PLOT_WIDTH} y={PLOT_HEIGHT + 16} textAnchor="end">
+                {formatDay(days[days.length - 1].date)}
+              </text>
+            </>
+          )}
+        </g>
+      </svg>
+      <div className="chart-legend">
+        {SERIES.map(({ key, label }) => (
+          <span key={key} className={`chart-legend-${key}`} data-testid={`trend-total-${key}`}>
+            {label} ({totals[key]})
+          </span>
+        ))}
+      </div>
+    </figure>
+  );
+};
+
+TrendChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  days: PropTypes.arrayOf(PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    opened: PropTypes.number.isRequired,
+    closed: PropTypes.number.isRequired
+  })).isRequired
+};
+
+export default TrendChart;
@@ -1,72 +1,279 @@
 // api.js - API service for bug tracker
 
+import { createEventStreamParser } from '../utils/stream';
+
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const TOKEN_STORAGE_KEY = 'bugTrackerToken';
+
+// Called whenever the server rejects our token, so the app can show the login screen
+let unauthorizedHandler = null;
+
+// Every request carries a correlation ID in this header. The server logs the request
+// under it and echoes it back, so a user can quote it as an error reference. The requests
+// of one user action share an ID, so that one reference finds all of them
+const CORRELATION_HEADER = 'X-Request-Id';
+
+/**
+ * Get the stored authentication token
+ * @returns {string|null} - Token, or null when signed out
+ */
+export const getAuthToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+/**
+ * Store the authentication token
+ * @param {string} token - Signed token from the server
+ */
+export const setAuthToken = (token) => {
+  localStorage.setItem(TOKEN_STORAGE_KEY, token);
+};
+
+/**
+ * Forget the authentication token
+ */
+export const clearAuthToken = () => {
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+};
+
+/**
+ * Register the function to call when a request comes back 401
+ * @param {Function|null} handler - Callback, or null to remove it
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+/**
+ * Create a correlation ID for a user action
+ * @returns {string} - Random ID, in a form the server accepts as a request ID
+ */
+export const createCorrelationId = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
 
 /**
  * Generic API request function
  * @param {string} endpoint - API endpoint
- * @param {object} options - Fetch options
- * @returns {Promise} - Response data or throws error
+ * @param {object} options - Fetch options, plus skipAuthRedirect to handle a 401 yourself,
+ *   responseType 'blob' for file downloads or 'stream' for the response itself, to read as it arrives,
+ *   and correlationId of the user action the request is part of (a new one by default)
+ * @returns {Promise} - Response data or throws an error carrying the request's correlationId
  */
 const apiRequest = async (endpoint, options = {}) => {
+  const {
+    skipAuthRedirect = false,
+    responseType = 'json',
+    correlationId = createCorrelationId(),
+    ...fetchOptions
+  } = options;
   const url = `${API_BASE_URL}${endpoint}`;
+  const token = getAuthToken();
+  const isUpload = fetchOptions.body instanceof FormData;
   const config = {
+    ...fetchOptions,
     headers: {
-      'Content-Type': 'application/json',
-      ...options.headers
-    },
-    ...options
+      // Uploads need the multipart boundary the browser adds itself
+      ...(!isUpload && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      [CORRELATION_HEADER]: correlationId,
+      ...fetchOptions.headers
+    }
   };
 
-  console.log('API Request:', config.method || 'GET', url);
+  console.log('API Request:', config.method || 'GET', url, correlationId);
 
   try {
     const response = await fetch(url, config);
+
+    if (responseType === 'blob' && response.ok) {
+      console.log('API Response:', response.status, 'file');
+      return response.blob();
+    }
+
+    if (responseType === 'stream' && response.ok) {
+      console.log('API Response:', response.status, 'stream');
+      return response;
+    }
+
     const data = await response.json();
 
     console.log('API Response:', response.status, data);
 
+    if (response.status === 401 && !skipAuthRedirect) {
+      clearAuthToken();
+      if (unauthorizedHandler) unauthorizedHandler();
+    }
+
     if (!response.ok) {
-      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      error.details = data.details;
+      error.data = data;
+      // The server echoes the ID it logged the request under
+      error.correlationId = data.requestId || correlationId;
+      throw error;
     }
 
     return data;
   } catch (error) {
-    console.error('API Error:', error.message);
+    // Network failures and unreadable responses get the ID too; the server may still have logged them
+    error.correlationId = error.correlationId || correlationId;
+    console.error('API Error:', error.message, correlationId);
     throw error;
   }
 };
 
+// Bug routes for one project live under /projects/:key/bugs; without a project they span all of them
+const bugsPath = (project) => (project ? `/projects/${encodeURIComponent(project)}/bugs` : '/bugs');
+
+/**
+ * Sign in and store the token
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise} - Signed-in user
+ */
+export const login = async (username, password) => {
+  const data = await apiRequest('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ username, password }),
+    skipAuthRedirect: true
+  });
+  setAuthToken(data.token);
+  return data.user;
+};
+
+/**
+ * Create an account, then sign in with it
+ * @param {object} userData - Account data (username, name, password)
+ * @returns {Promise} - Signed-in user
+ */
+export const register = async (userData) => {
+  const data = await apiRequest('/auth/register', {
+    method: 'POST',
+    body: JSON.stringify(userData),
+    skipAuthRedirect: true
+  });
+  setAuthToken(data.token);
+  return data.user;
+};
+
+/**
+ * Get the user the stored token belongs to
+ * @returns {Promise} - Signed-in user
+ */
+export const getCurrentUser = async () => {
+  const data = await apiRequest('/auth/me', { skipAuthRedirect: true });
+  return data.user;
+};
+
+/**
+ * Change the signed-in user's email address and which emails they get
+ * @param {object} accountData - Account data (email, emailPreferences)
+ * @returns {Promise} - Updated user
+ */
+export const updateAccount = async (accountData) => {
+  const data = await apiRequest('/auth/me', {
+    method: 'PUT',
+    body: JSON.stringify(accountData)
+  });
+  return data.user;
+};
+
+/**
+ * Sign out by forgetting the token
+ */
+export const logout = () => {
+  clearAuthToken();
+};
+
+/**
+ * Get all projects
+ * @returns {Promise} - { projects } ordered by key
+ */
+export const getProjects = async () => {
+  return apiRequest('/projects');
+};
+
+/**
+ * Get labels ordered by name
+ * @param {object} params - { q } to suggest labels starting with it, { includeArchived: true } for archived ones too
+ * @returns {Promise} - { labels }
+ */
+export const getLabels = async (params = {}) => {
+  const queryString = new URLSearchParams(params).toString();
+  return apiRequest(`/labels${queryString ? `?${queryString}` : ''}`);
+};
+
+/**
+ * Get milestones ordered by due date, each with its progress
+ * @param {object} params - { state: 'open' | 'closed' } to list only those
+ * @returns {Promise} - { milestones }
+ */
+export const getMilestones = async (params = {}) => {
+  const queryString = new URLSearchParams(params).toString();
+  return apiRequest(`/milestones${queryString ? `?${queryString}` : ''}`);
+};
+
 /**
  * Get all bugs with optional filtering
- * @param {object} params - Query parameters
+ * @param {object} params - Query parameters, plus project to list one project's bugs by its key
+ * @param {object} options - { correlationId } of the user action the request is part of
  * @returns {Promise} - Bugs data
  */
-export const getBugs = async (params = {}) => {
+export const getBugs = async ({ project, ...params } = {}, { correlationId } = {}) => {
   const queryString = new URLSearchParams(params).toString();
-  const endpoint = `/bugs${queryString ? `?${queryString}` : ''}`;
-  return apiRequest(endpoint);
+  const endpoint = `${bugsPath(project)}${queryString ? `?${queryString}` : ''}`;
+  return apiRequest(endpoint, { correlationId });
 };
 
 /**
  * Get a single bug by ID
  * @param {string} id - Bug ID
+ * @param {object} options - { correlationId } of the user action the request is part of
  * @returns {Promise} - Bug data
  */
-export const getBug = async (id) => {
+export const getBug = async (id, { correlationId } = {}) => {
   if (!id) throw new Error('Bug ID is required');
-  return apiRequest(`/bugs/${id}`);
+  return apiRequest(`/bugs/${id}`, { correlationId });
 };
 
 /**
  * Create a new bug
- * @param {object} bugData - Bug data
+ * @param {object} bugData - Bug data; project is a project key, else the bug goes to the default project
+ * @param {object} options - { correlationId } of the user action the request is part of
  * @returns {Promise} - Created bug data
  */
-export const createBug = async (bugData) => {
+export const createBug = async (bugData, { correlationId } = {}) => {
   return apiRequest('/bugs', {
     method: 'POST',
-    body: JSON.stringify(bugData)
+    body: JSON.stringify(bugData),
+    correlationId
+  });
+};
+
+/**
+ * Find unresolved bugs like the one being reported
+ * @param {object} report - { title, description, project }; without a project every project is searched
+ * @returns {Promise} - { duplicates: [{ _id, key, title, status, score }] } best match first
+ */
+export const findDuplicateBugs = async ({ project, ...report }) => {
+  const queryString = new URLSearchParams(report).toString();
+  return apiRequest(`${bugsPath(project)}/duplicates?${queryString}`);
+};
+
+/**
+ * Close a bug as a duplicate of another
+ * @param {string} id - Bug ID
+ * @param {string} originalId - ID or key of the bug it duplicates
+ * @param {object} options - { correlationId } of the user action the request is part of
+ * @returns {Promise} - Closed bug
+ */
+export const markDuplicate = async (id, originalId, { correlationId } = {}) => {
+  if (!id) throw new Error('Bug ID is required');
+  return apiRequest(`/bugs/${id}/duplicate`, {
+    method: 'POST',
+    body: JSON.stringify({ of: originalId }),
+    correlationId
   });
 };
 
@@ -74,25 +281,81 @@ export const createBug = async (bugData) => {
  * Update an existing bug
  * @param {string} id - Bug ID
  * @param {object} bugData - Updated bug data
+ * @param {number} version - Version the edit is based on; a newer one on the server fails with 412
+ * @param {object} options - { correlationId } of the user action the request is part of
  * @returns {Promise} - Updated bug data
  */
-export const updateBug = async (id, bugData) => {
+export const updateBug = async (id, bugData, version, { correlationId } = {}) => {
   if (!id) throw new Error('Bug ID is required');
   return apiRequest(`/bugs/${id}`, {
     method: 'PUT',
-    body: JSON.stringify(bugData)
+    body: JSON.stringify(bugData),
+    ...(version !== undefined && { headers: { 'If-Match': `"${version}"` } }),
+    correlationId
+  });
+};
+
+/**
+ * Apply one operation to many bugs
+ * @param {object} selection - { ids } or { filter: { q, status, priority } }
+ * @param {object} operation - { type, value, resolution?, reason? }
+ * @param {string} project - Project key to keep the selection within, if any
+ * @param {object} options - { correlationId } of the user action the request is part of
+ * @returns {Promise} - { results: [{ id, success, bug?, error? }], summary }
+ */
+export const bulkUpdateBugs = async (selection, operation, project, { correlationId } = {}) => {
+  return apiRequest(`${bugsPath(project)}/bulk`, {
+    method: 'POST',
+    body: JSON.stringify({ ...selection, operation }),
+    correlationId
   });
 };
 
 /**
- * Delete a bug
+ * Move a bug to the trash
  * @param {string} id - Bug ID
- * @returns {Promise} - Success message
+ * @param {object} options - { correlationId } of the user action the request is part of
+ * @returns {Promise} - { message, bug } with the trashed bug
  */
-export const deleteBug = async (id) => {
+export const deleteBug = async (id, { correlationId } = {}) => {
   if (!id) throw new Error('Bug ID is required');
   return apiRequest(`/bugs/${id}`, {
-    method: 'DELETE'
+    method: 'DELETE',
+    correlationId
+  });
+};
+
+/**
+ * Get trashed bugs, most recently deleted first
+ * @param {object} params - { page, limit, project }
+ * @returns {Promise} - { bugs, retentionDays, pagination }
+ */
+export const getTrash = async ({ project, ...params } = {}) => {
+  const queryString = new URLSearchParams(params).toString();
+  return apiRequest(`${bugsPath(project)}/trash${queryString ? `?${queryString}` : ''}`);
+};
+
+/**
+ * Get bug statistics for the dashboard
+ * @param {object} params - { days, oldest }, plus project to count one project's bugs by its key
+ * @returns {Promise} - { window, totals, byStatus, byPriority, byAssignee, byTag, timeToResolve, daily, oldestOpen }
+ */
+export const getBugStats = async ({ project, ...params } = {}) => {
+  const queryString = new URLSearchParams(params).toString();
+  return apiRequest(`${bugsPath(project)}/stats${queryString ? `?${queryString}` : ''}`);
+};
+
+/**
+ * Take a bug back out of the trash
+ * @param {string} id - Bug ID
+ * @param {object} options - { correlationId } of the user action the request is part of
+ * @returns {Promise} - Restored bug
+ */
+export const restoreBug = async (id, { correlationId } = {}) => {
+  if (!id) throw new Error('Bug ID is required');
+  return apiRequest(`/bugs/${id}/restore`, {
+    method: 'POST',
+    correlationId
   });
 };
 
@@ -100,26 +363,333 @@ export const deleteBug = async (id) => {
  * Update bug status
  * @param {string} id - Bug ID
  * @param {string} status - New status
+ * @param {object} details - Fields the workflow requires for this move (resolution, reason)
+ * @param {object} options - { correlationId } of the user action the request is part of
  * @returns {Promise} - Updated bug data
  */
-export const updateBugStatus = async (id, status) => {
+export const updateBugStatus = async (id, status, details = {}, { correlationId } = {}) => {
   if (!id) throw new Error('Bug ID is required');
   if (!status) throw new Error('Status is required');
 
   return apiRequest(`/bugs/${id}`, {
     method: 'PUT',
-    body: JSON.stringify({ status })
+    body: JSON.stringify({ status, ...details }),
+    correlationId
+  });
+};
+
+/**
+ * Follow live bug changes until the stream ends or is aborted
+ * @param {object} options - project key to follow only its bugs, lastEventId to replay missed events,
+ *   signal to stop and onMessage, called with each { id, event, data }
+ * @returns {Promise} - Resolves when the server closes the stream
+ */
+export const streamBugEvents = async ({ project, lastEventId, signal, onMessage }) => {
+  const response = await apiRequest(`${bugsPath(project)}/stream`, {
+    responseType: 'stream',
+    signal,
+    headers: {
+      Accept: 'text/event-stream',
+      ...(lastEventId && { 'Last-Event-ID': lastEventId })
+    }
+  });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const parse = createEventStreamParser(onMessage);
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    parse(decoder.decode(value, { stream: true }));
+  }
+};
+
+/**
+ * Get the status workflow (statuses, allowed transitions, resolutions)
+ * @returns {Promise} - Workflow configuration
+ */
+export const getWorkflow = async () => {
+  return apiRequest('/bugs/workflow');
+};
+
+/**
+ * Get the change history (audit trail) of a bug
+ * @param {string} id - Bug ID
+ * @returns {Promise} - History entries, oldest first
+ */
+export const getBugHistory = async (id) => {
+  if (!id) throw new Error('Bug ID is required');
+  return apiRequest(`/bugs/${id}/history`);
+};
+
+/**
+ * Get a page of comments for a bug
+ * @param {string} bugId - Bug ID
+ * @param {object} params - Query parameters (page, limit)
+ * @returns {Promise} - Comments data with pagination
+ */
+export const getComments = async (bugId, params = {}) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  const queryString = new URLSearchParams(params).toString();
+  return apiRequest(`/bugs/${bugId}/comments${queryString ? `?${queryString}` : ''}`);
+};
+
+/**
+ * Add a comment to a bug
+ * @param {string} bugId - Bug ID
+ * @param {object} commentData - Comment data (author, body)
+ * @returns {Promise} - Created comment data
+ */
+export const addComment = async (bugId, commentData) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  return apiRequest(`/bugs/${bugId}/comments`, {
+    method: 'POST',
+    body: JSON.stringify(commentData)
+  });
+};
+
+/**
+ * Edit a comment
+ * @param {string} bugId - Bug ID
+ * @param {string} commentId - Comment ID
+ * @param {object} commentData - Updated comment data (body)
+ * @returns {Promise} - Updated comment data
+ */
+export const updateComment = async (bugId, commentId, commentData) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  if (!commentId) throw new Error('Comment ID is required');
+  return apiRequest(`/bugs/${bugId}/comments/${commentId}`, {
+    method: 'PUT',
+    body: JSON.stringify(commentData)
+  });
+};
+
+/**
+ * Delete a comment
+ * @param {string} bugId - Bug ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise} - Success message
+ */
+export const deleteComment = async (bugId, commentId) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  if (!commentId) throw new Error('Comment ID is required');
+  return apiRequest(`/bugs/${bugId}/comments/${commentId}`, {
+    method: 'DELETE'
+  });
+};
+
+/**
+ * Get a bug's attachments
+ * @param {string} bugId - Bug ID
+ * @returns {Promise} - { attachments }
+ */
+export const getAttachments = async (bugId) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  return apiRequest(`/bugs/${bugId}/attachments`);
+};
+
+/**
+ * Upload files to a bug
+ * @param {string} bugId - Bug ID
+ * @param {File[]} files - Files to attach
+ * @param {object} options - { correlationId } of the user action the request is part of
+ * @returns {Promise} - { attachments } that were created
+ */
+export const uploadAttachments = async (bugId, files, { correlationId } = {}) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  const formData = new FormData();
+  files.forEach(file => formData.append('files', file, file.name));
+  return apiRequest(`/bugs/${bugId}/attachments`, {
+    method: 'POST',
+    body: formData,
+    correlationId
+  });
+};
+
+/**
+ * Download an attachment's contents
+ * @param {string} bugId - Bug ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Blob>} - File contents
+ */
+export const getAttachmentFile = async (bugId, attachmentId) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  if (!attachmentId) throw new Error('Attachment ID is required');
+  return apiRequest(`/bugs/${bugId}/attachments/${attachmentId}`, { responseType: 'blob' });
+};
+
+/**
+ * Download the thumbnail of an image attachment
+ * @param {string} bugId - Bug ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Blob>} - WebP image
+ */
+export const getAttachmentThumbnail = async (bugId, attachmentId) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  if (!attachmentId) throw new Error('Attachment ID is required');
+  return apiRequest(`/bugs/${bugId}/attachments/${attachmentId}/thumbnail`, { responseType: 'blob' });
+};
+
+/**
+ * Delete an attachment
+ * @param {string} bugId - Bug ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise} - Success message
+ */
+export const deleteAttachment = async (bugId, attachmentId) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  if (!attachmentId) throw new Error('Attachment ID is required');
+  return apiRequest(`/bugs/${bugId}/attachments/${attachmentId}`, {
+    method: 'DELETE'
+  });
+};
+
+/**
+ * Get a bug's links in both directions
+ * @param {string} bugId - Bug ID
+ * @returns {Promise} - { links }, each with its relation and the linked bug
+ */
+export const getBugLinks = async (bugId) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  return apiRequest(`/bugs/${bugId}/links`);
+};
+
+/**
+ * Link a bug to another
+ * @param {string} bugId - Bug ID
+ * @param {object} link - { type, target, direction }; target is the other bug's key or ID
+ * @returns {Promise} - Created link
+ */
+export const addBugLink = async (bugId, link) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  return apiRequest(`/bugs/${bugId}/links`, {
+    method: 'POST',
+    body: JSON.stringify(link)
+  });
+};
+
+/**
+ * Remove a link from a bug
+ * @param {string} bugId - Bug ID
+ * @param {string} linkId - Link ID
+ * @returns {Promise} - Success message
+ */
+export const removeBugLink = async (bugId, linkId) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  if (!linkId) throw new Error('Link ID is required');
+  return apiRequest(`/bugs/${bugId}/links/${linkId}`, {
+    method: 'DELETE'
+  });
+};
+
+/**
+ * Start watching a bug, to be notified when it changes
+ * @param {string} bugId - Bug ID
+ * @param {object} options - { correlationId } of the user action the request is part of
+ * @returns {Promise} - { watching, watchers }
+ */
+export const watchBug = async (bugId, { correlationId } = {}) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  return apiRequest(`/bugs/${bugId}/watch`, {
+    method: 'POST',
+    correlationId
+  });
+};
+
+/**
+ * Stop watching a bug
+ * @param {string} bugId - Bug ID
+ * @param {object} options - { correlationId } of the user action the request is part of
+ * @returns {Promise} - { watching, watchers }
+ */
+export const unwatchBug = async (bugId, { correlationId } = {}) => {
+  if (!bugId) throw new Error('Bug ID is required');
+  return apiRequest(`/bugs/${bugId}/watch`, {
+    method: 'DELETE',
+    correlationId
+  });
+};
+
+/**
+ * Get a page of the signed-in user's notifications, newest first
+ * @param {object} params - Query parameters (unread, page, limit)
+ * @returns {Promise} - { notifications, unreadCount, pagination }
+ */
+export const getNotifications = async (params = {}) => {
+  const queryString = new URLSearchParams(params).toString();
+  return apiRequest(`/notifications${queryString ? `?${queryString}` : ''}`);
+};
+
+/**
+ * Count the signed-in user's unread notifications
+ * @returns {Promise} - { unreadCount }
+ */
+export const getUnreadNotificationCount = async () => {
+  return apiRequest('/notifications/unread-count');
+};
+
+/**
+ * Mark a notification read
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise} - Updated notification
+ */
+export const markNotificationRead = async (notificationId) => {
+  if (!notificationId) throw new Error('Notification ID is required');
+  return apiRequest(`/notifications/${notificationId}/read`, {
+    method: 'POST'
+  });
+};
+
+/**
+ * Mark all of the signed-in user's notifications read
+ * @returns {Promise} - { message, updated }
+ */
+export const markAllNotificationsRead = async () => {
+  return apiRequest('/notifications/read-all', {
+    method: 'POST'
   });
 };
 
 // Export default object for easier importing
 const apiService = {
+  login,
+  register,
+  getCurrentUser,
+  updateAccount,
+  logout,
+  getProjects,
+  getLabels,
   getBugs,
   getBug,
   createBug,
   updateBug,
+  bulkUpdateBugs,
   deleteBug,
-  updateBugStatus
+  getTrash,
+  getBugStats,
+  restoreBug,
+  updateBugStatus,
+  streamBugEvents,
+  getWorkflow,
+  getBugHistory,
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  getAttachments,
+  uploadAttachments,
+  getAttachmentFile,
+  getAttachmentThumbnail,
+  deleteAttachment,
+  getBugLinks,
+  addBugLink,
+  removeBugLink,
+  watchBug,
+  unwatchBug,
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead
 };
 
 export default apiService;
\ No newline at end of file
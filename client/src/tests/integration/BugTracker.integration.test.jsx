@@ -1,7 +1,7 @@
 // BugTracker.integration.test.jsx - Integration tests for BugTracker app
 
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import BugList from '../../components/BugList';
 import BugForm from '../../components/BugForm';
@@ -53,9 +53,6 @@ describe('BugTracker Integration Tests', () => {
       fireEvent.change(screen.getByTestId('bug-description-input'), {
         target: { value: 'Testing the full bug creation flow' }
       });
-      fireEvent.change(screen.getByTestId('bug-reporter-input'), {
-        target: { value: 'Integration Tester' }
-      });
 
       // Add tags
       fireEvent.change(screen.getByTestId('bug-tags-input'), { target: { value: 'integration' } });
@@ -73,7 +70,6 @@ describe('BugTracker Integration Tests', () => {
           description: 'Testing the full bug creation flow',
           status: 'open',
           priority: 'medium',
-          reporter: 'Integration Tester',
           assignee: '',
           tags: ['integration', 'test']
         });
@@ -144,57 +140,200 @@ describe('BugTracker Integration Tests', () => {
       expect(screen.queryByText('Backend Bug')).not.toBeInTheDocument();
     });
 
-    it('searches bugs by title', () => {
-      render(<BugList bugs={mockBugs} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} />);
+    describe('search', () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+      });
 
-      const searchFilter = screen.getByTestId('search-filter');
-      fireEvent.change(searchFilter, { target: { value: 'Frontend' } });
+      afterEach(() => {
+        jest.useRealTimers();
+      });
 
-      expect(screen.getByText('Frontend Bug')).toBeInTheDocument();
-      expect(screen.queryByText('Backend Bug')).not.toBeInTheDocument();
-      expect(screen.queryByText('Database Bug')).not.toBeInTheDocument();
-    });
+      it('searches on the server once typing stops', () => {
+        const onSearch = jest.fn();
+        render(<BugList bugs={mockBugs} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} onSearch={onSearch} />);
 
-    it('searches bugs by reporter', () => {
-      render(<BugList bugs={mockBugs} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} />);
+        fireEvent.change(screen.getByTestId('search-filter'), { target: { value: 'Front' } });
+        fireEvent.change(screen.getByTestId('search-filter'), { target: { value: 'Frontend ' } });
+        act(() => {
+          jest.advanceTimersByTime(299);
+        });
+        expect(onSearch).not.toHaveBeenCalled();
 
-      const searchFilter = screen.getByTestId('search-filter');
-      fireEvent.change(searchFilter, { target: { value: 'Alice' } });
+        act(() => {
+          jest.advanceTimersByTime(1);
+        });
+        expect(onSearch).toHaveBeenCalledTimes(1);
+        expect(onSearch).toHaveBeenCalledWith('Frontend');
 
-      expect(screen.getByText('Frontend Bug')).toBeInTheDocument();
-      expect(screen.queryByText('Backend Bug')).not.toBeInTheDocument();
-      expect(screen.queryByText('Database Bug')).not.toBeInTheDocument();
+        // The list itself is not filtered locally
+        expect(screen.getByText('Backend Bug')).toBeInTheDocument();
+      });
+
+      it('shows highlighted matches from the server', () => {
+        const results = [{
+          ...mockBugs[0],
+          highlights: {
+            title: [{ text: 'Frontend', highlight: true }, { text: ' Bug', highlight: false }],
+            description: [{ text: 'UI ', highlight: false }, { text: 'issue', highlight: true }]
+          }
+        }];
+        render(<BugList bugs={results} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} onSearch={jest.fn()} />);
+
+        const highlights = screen.getAllByTestId('search-highlight');
+        expect(highlights.map(highlight => highlight.textContent)).toEqual(['Frontend', 'issue']);
+        expect(screen.getByTestId('bug-title')).toHaveTextContent('Frontend Bug');
+      });
+
+      it('shows an empty state when nothing matches', () => {
+        const onSearch = jest.fn();
+        const { rerender } = render(
+          <BugList bugs={mockBugs} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} onSearch={onSearch} />
+        );
+
+        fireEvent.change(screen.getByTestId('search-filter'), { target: { value: 'nothing' } });
+        rerender(<BugList bugs={[]} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} onSearch={onSearch} />);
+
+        expect(screen.getByText('No bugs match your filters')).toBeInTheDocument();
+      });
+
+      it('clears all filters', () => {
+        const onSearch = jest.fn();
+        render(<BugList bugs={mockBugs} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} onSearch={onSearch} />);
+
+        // Apply filters
+        fireEvent.change(screen.getByTestId('status-filter'), { target: { value: 'open' } });
+        fireEvent.change(screen.getByTestId('search-filter'), { target: { value: 'Frontend' } });
+        act(() => {
+          jest.advanceTimersByTime(300);
+        });
+
+        // Should only show open bugs
+        expect(screen.queryByText('Backend Bug')).not.toBeInTheDocument();
+        expect(onSearch).toHaveBeenLastCalledWith('Frontend');
+
+        // Clear filters
+        fireEvent.click(screen.getByTestId('clear-filters-button'));
+        act(() => {
+          jest.advanceTimersByTime(300);
+        });
+
+        // Should show all bugs again and drop the search
+        expect(screen.getByText('Frontend Bug')).toBeInTheDocument();
+        expect(screen.getByText('Backend Bug')).toBeInTheDocument();
+        expect(screen.getByText('Database Bug')).toBeInTheDocument();
+        expect(onSearch).toHaveBeenLastCalledWith('');
+      });
     });
 
-    it('searches bugs by tags', () => {
-      render(<BugList bugs={mockBugs} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} />);
+    describe('sorting and paging', () => {
+      it('asks for a new sort order', () => {
+        const onSortChange = jest.fn();
+        render(<BugList bugs={mockBugs} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} onSortChange={onSortChange} />);
 
-      const searchFilter = screen.getByTestId('search-filter');
-      fireEvent.change(searchFilter, { target: { value: 'backend' } });
+        fireEvent.change(screen.getByTestId('sort-select'), { target: { value: '-priority' } });
 
-      expect(screen.getByText('Backend Bug')).toBeInTheDocument();
-      expect(screen.queryByText('Frontend Bug')).not.toBeInTheDocument();
-      expect(screen.queryByText('Database Bug')).not.toBeInTheDocument();
+        expect(onSortChange).toHaveBeenCalledWith('-priority');
+      });
+
+      it('shows the total and loads more bugs on request', () => {
+        const onLoadMore = jest.fn();
+        render(
+          <BugList
+            bugs={mockBugs}
+            onEdit={jest.fn()}
+            onDelete={jest.fn()}
+            onStatusChange={jest.fn()}
+            total={10}
+            hasMore
+            onLoadMore={onLoadMore}
+          />
+        );
+
+        expect(screen.getByText('Bug Reports (3 of 10)')).toBeInTheDocument();
+        fireEvent.click(screen.getByTestId('load-more-button'));
+        expect(onLoadMore).toHaveBeenCalledTimes(1);
+      });
+
+      it('hides the load more button on the last page', () => {
+        render(<BugList bugs={mockBugs} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} total={3} onLoadMore={jest.fn()} />);
+
+        expect(screen.getByText('Bug Reports (3)')).toBeInTheDocument();
+        expect(screen.queryByTestId('load-more-button')).not.toBeInTheDocument();
+      });
     });
 
-    it('clears all filters', () => {
-      render(<BugList bugs={mockBugs} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} />);
+    describe('bulk actions', () => {
+      const renderBulkList = (props = {}) => render(
+        <BugList
+          bugs={mockBugs}
+          onEdit={jest.fn()}
+          onDelete={jest.fn()}
+          onStatusChange={jest.fn()}
+          onBulkUpdate={jest.fn()}
+          {...props}
+        />
+      );
+
+      it('shows the toolbar once bugs are selected', () => {
+        renderBulkList();
+
+        expect(screen.queryByTestId('bulk-toolbar')).not.toBeInTheDocument();
+        fireEvent.click(screen.getByTestId('select-bug-1'));
+        fireEvent.click(screen.getByTestId('select-bug-3'));
+
+        expect(screen.getByTestId('bulk-selection')).toHaveTextContent('2 selected');
+      });
 
-      // Apply filters
-      fireEvent.change(screen.getByTestId('status-filter'), { target: { value: 'open' } });
-      fireEvent.change(screen.getByTestId('search-filter'), { target: { value: 'Frontend' } });
+      it('sends the selected IDs and reports failures', async () => {
+        const onBulkUpdate = jest.fn().mockResolvedValue({
+          results: [
+            { id: '1', success: true, bug: { ...mockBugs[0], priority: 'low' } },
+            { id: '2', success: false, status: 403, error: 'Permission denied' }
+          ],
+          summary: { total: 2, succeeded: 1, failed: 1 }
+        });
+        renderBulkList({ onBulkUpdate });
 
-      // Should only show Frontend Bug
-      expect(screen.getByText('Frontend Bug')).toBeInTheDocument();
-      expect(screen.queryByText('Backend Bug')).not.toBeInTheDocument();
+        fireEvent.click(screen.getByTestId('select-bug-1'));
+        fireEvent.click(screen.getByTestId('select-bug-2'));
+        fireEvent.change(screen.getByTestId('bulk-action-select'), { target: { value: 'set-priority' } });
+        fireEvent.change(screen.getByTestId('bulk-value-select'), { target: { value: 'low' } });
+        fireEvent.click(screen.getByTestId('bulk-apply-button'));
 
-      // Clear filters
-      fireEvent.click(screen.getByTestId('clear-filters-button'));
+        expect(onBulkUpdate).toHaveBeenCalledWith({ ids: ['1', '2'] }, { type: 'set-priority', value: 'low' });
+        await waitFor(() => {
+          expect(screen.getByTestId('bulk-result')).toHaveTextContent('Updated 1 of 2 bugs.');
+        });
+        expect(screen.getByTestId('bulk-failures')).toHaveTextContent('Backend Bug: Permission denied');
 
-      // Should show all bugs again
-      expect(screen.getByText('Frontend Bug')).toBeInTheDocument();
-      expect(screen.getByText('Backend Bug')).toBeInTheDocument();
-      expect(screen.getByText('Database Bug')).toBeInTheDocument();
+        // The failed bug stays selected for another try
+        expect(screen.getByTestId('select-bug-2')).toBeChecked();
+        expect(screen.getByTestId('select-bug-1')).not.toBeChecked();
+      });
+
+      it('can select every bug matching the filters', async () => {
+        const onBulkUpdate = jest.fn().mockResolvedValue({ results: [], summary: { total: 0, succeeded: 0, failed: 0 } });
+        renderBulkList({ onBulkUpdate, hasMore: true, total: 40 });
+
+        fireEvent.change(screen.getByTestId('status-filter'), { target: { value: 'open' } });
+        fireEvent.click(screen.getByTestId('select-all-checkbox'));
+        fireEvent.click(screen.getByTestId('select-all-matching-button'));
+
+        expect(screen.getByTestId('bulk-selection')).toHaveTextContent('All matching bugs selected');
+
+        fireEvent.change(screen.getByTestId('bulk-action-select'), { target: { value: 'set-assignee' } });
+        fireEvent.change(screen.getByTestId('bulk-value-input'), { target: { value: 'jdoe' } });
+        fireEvent.click(screen.getByTestId('bulk-apply-button'));
+
+        expect(onBulkUpdate).toHaveBeenCalledWith(
+          { filter: { status: 'open' } },
+          { type: 'set-assignee', value: 'jdoe' }
+        );
+        await waitFor(() => {
+          expect(screen.getByTestId('bulk-result')).toBeInTheDocument();
+        });
+      });
     });
   });
 
@@ -231,6 +370,22 @@ describe('BugTracker Integration Tests', () => {
       expect(screen.getByText('Retry')).toBeInTheDocument();
     });
 
+    it('shows the error reference of a failed load', () => {
+      render(
+        <BugList
+          bugs={[]}
+          onEdit={jest.fn()}
+          onDelete={jest.fn()}
+          onStatusChange={jest.fn()}
+          error="Failed to load bugs"
+          errorReference="ref-42"
+        />
+      );
+
+      expect(screen.getByTestId('bug-list-error')).toBeInTheDocument();
+      expect(screen.getByLabelText('Error reference')).toHaveValue('ref-42');
+    });
+
     it('shows loading state', () => {
       render(<BugList bugs={[]} onEdit={jest.fn()} onDelete={jest.fn()} onStatusChange={jest.fn()} isLoading={true} />);
 
@@ -0,0 +1,131 @@
+// AttachmentList.test.jsx - Unit tests for AttachmentList component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AttachmentList from '../../components/AttachmentList';
+import {
+  getAttachments,
+  getAttachmentFile,
+  getAttachmentThumbnail,
+  deleteAttachment
+} from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const bugId = '507f1f77bcf86cd799439011';
+
+const screenshot = {
+  _id: 'a1',
+  filename: 'checkout.png',
+  mimeType: 'image/png',
+  size: 204800,
+  width: 1280,
+  height: 720,
+  hasThumbnail: true,
+  uploadedBy: 'jdoe',
+  createdAt: '2026-01-01T10:00:00.000Z'
+};
+
+const log = {
+  _id: 'a2',
+  filename: 'console.log',
+  mimeType: 'text/plain',
+  size: 512,
+  width: null,
+  height: null,
+  hasThumbnail: false,
+  uploadedBy: 'jdoe',
+  createdAt: '2026-01-01T10:05:00.000Z'
+};
+
+describe('AttachmentList Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // jsdom has no blob URLs
+    URL.createObjectURL = jest.fn(() => 'blob:preview');
+    URL.revokeObjectURL = jest.fn();
+    getAttachmentThumbnail.mockResolvedValue(new Blob(['thumbnail']));
+  });
+
+  afterAll(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('lists attachments with their size and an image preview', async () => {
+    getAttachments.mockResolvedValue({ attachments: [screenshot, log] });
+
+    render(<AttachmentList bugId={bugId} />);
+
+    expect(await screen.findByText('Attachments (2)')).toBeInTheDocument();
+    expect(screen.getByTestId('attachment-a1')).toHaveTextContent('200 KB · 1280×720 · added by jdoe');
+    expect(screen.getByTestId('attachment-a2')).toHaveTextContent('512 B · added by jdoe');
+
+    const preview = await screen.findByTestId('attachment-preview-a1');
+    expect(preview).toHaveAttribute('src', 'blob:preview');
+    expect(getAttachmentThumbnail).toHaveBeenCalledTimes(1);
+    expect(getAttachmentThumbnail).toHaveBeenCalledWith(bugId, 'a1');
+  });
+
+  it('shows an empty state', async () => {
+    getAttachments.mockResolvedValue({ attachments: [] });
+
+    render(<AttachmentList bugId={bugId} />);
+
+    expect(await screen.findByTestId('attachments-empty')).toBeInTheDocument();
+  });
+
+  it('shows an error when attachments fail to load', async () => {
+    getAttachments.mockRejectedValue(new Error('Network error'));
+
+    render(<AttachmentList bugId={bugId} />);
+
+    expect(await screen.findByTestId('attachments-error')).toHaveTextContent('Failed to load attachments.');
+  });
+
+  it('downloads an attachment', async () => {
+    getAttachments.mockResolvedValue({ attachments: [log] });
+    getAttachmentFile.mockResolvedValue(new Blob(['log']));
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    render(<AttachmentList bugId={bugId} />);
+    fireEvent.click(await screen.findByTestId('download-attachment-a2'));
+
+    await waitFor(() => {
+      expect(click).toHaveBeenCalled();
+    });
+    expect(getAttachmentFile).toHaveBeenCalledWith(bugId, 'a2');
+    click.mockRestore();
+  });
+
+  it('only offers to delete when the user can edit the bug', async () => {
+    getAttachments.mockResolvedValue({ attachments: [log] });
+
+    const { rerender } = render(<AttachmentList bugId={bugId} />);
+    await screen.findByTestId('attachment-a2');
+    expect(screen.queryByTestId('delete-attachment-a2')).not.toBeInTheDocument();
+
+    rerender(<AttachmentList bugId={bugId} canEdit />);
+    expect(screen.getByTestId('delete-attachment-a2')).toBeInTheDocument();
+  });
+
+  it('deletes an attachment after confirming', async () => {
+    getAttachments.mockResolvedValue({ attachments: [log] });
+    deleteAttachment.mockResolvedValue({ message: 'Attachment deleted successfully' });
+    const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+    render(<AttachmentList bugId={bugId} canEdit />);
+    fireEvent.click(await screen.findByTestId('delete-attachment-a2'));
+
+    await waitFor(() => {
+      expect(screen.queryByTestId('attachment-a2')).not.toBeInTheDocument();
+    });
+    expect(deleteAttachment).toHaveBeenCalledWith(bugId, 'a2');
+    confirmSpy.mockRestore();
+  });
+});
@@ -28,7 +28,7 @@ describe('BugForm Component', () => {
     expect(screen.getByLabelText(/description/i)).toBeInTheDocument();
     expect(screen.getByLabelText(/status/i)).toBeInTheDocument();
     expect(screen.getByLabelText(/priority/i)).toBeInTheDocument();
-    expect(screen.getByLabelText(/reporter/i)).toBeInTheDocument();
+    expect(screen.queryByLabelText(/reporter/i)).not.toBeInTheDocument();
     expect(screen.getByTestId('bug-submit-button')).toBeInTheDocument();
   });
 
@@ -38,7 +38,6 @@ describe('BugForm Component', () => {
       description: 'Existing description',
       status: 'in-progress',
       priority: 'high',
-      reporter: 'John Doe',
       assignee: 'Jane Smith',
       tags: ['urgent', 'frontend']
     };
@@ -47,7 +46,6 @@ describe('BugForm Component', () => {
 
     expect(screen.getByDisplayValue('Existing Bug')).toBeInTheDocument();
     expect(screen.getByDisplayValue('Existing description')).toBeInTheDocument();
-    expect(screen.getByDisplayValue('John Doe')).toBeInTheDocument();
     expect(screen.getByDisplayValue('Jane Smith')).toBeInTheDocument();
     expect(screen.getByText('urgent')).toBeInTheDocument();
     expect(screen.getByText('frontend')).toBeInTheDocument();
@@ -58,15 +56,12 @@ describe('BugForm Component', () => {
 
     const titleInput = screen.getByTestId('bug-title-input');
     const descriptionInput = screen.getByTestId('bug-description-input');
-    const reporterInput = screen.getByTestId('bug-reporter-input');
 
     fireEvent.change(titleInput, { target: { value: 'New Bug Title' } });
     fireEvent.change(descriptionInput, { target: { value: 'New description' } });
-    fireEvent.change(reporterInput, { target: { value: 'New Reporter' } });
 
     expect(titleInput.value).toBe('New Bug Title');
     expect(descriptionInput.value).toBe('New description');
-    expect(reporterInput.value).toBe('New Reporter');
   });
 
   it('shows validation errors for empty required fields', async () => {
@@ -78,7 +73,6 @@ describe('BugForm Component', () => {
     await waitFor(() => {
       expect(screen.getByText('Title is required')).toBeInTheDocument();
       expect(screen.getByText('Description is required')).toBeInTheDocument();
-      expect(screen.getByText('Reporter is required')).toBeInTheDocument();
     });
 
     expect(mockOnSubmit).not.toHaveBeenCalled();
@@ -128,9 +122,6 @@ describe('BugForm Component', () => {
     fireEvent.change(screen.getByTestId('bug-description-input'), {
       target: { value: 'Valid description' }
     });
-    fireEvent.change(screen.getByTestId('bug-reporter-input'), {
-      target: { value: 'Valid Reporter' }
-    });
 
     const submitButton = screen.getByTestId('bug-submit-button');
     fireEvent.click(submitButton);
@@ -140,7 +131,6 @@ describe('BugForm Component', () => {
       description: 'Valid description',
       status: 'open',
       priority: 'medium',
-      reporter: 'Valid Reporter',
       assignee: '',
       tags: []
     });
@@ -188,7 +178,6 @@ describe('BugForm Component', () => {
 
     expect(screen.getByTestId('bug-title-input')).toBeDisabled();
     expect(screen.getByTestId('bug-description-input')).toBeDisabled();
-    expect(screen.getByTestId('bug-reporter-input')).toBeDisabled();
     expect(screen.getByTestId('bug-submit-button')).toBeDisabled();
     expect(screen.getByTestId('bug-submit-button')).toHaveTextContent('Submitting...');
   });
@@ -211,6 +200,221 @@ describe('BugForm Component', () => {
     expect(screen.queryByText('Title is required')).not.toBeInTheDocument();
   });
 
+  describe('labels', () => {
+    const labels = [
+      { name: 'UI', color: '#d73a4a', description: 'Looks and layout' },
+      { name: 'UX', color: '#fbca04' },
+      { name: 'legacy', color: '#cccccc', archived: true }
+    ];
+
+    const typeTag = (value) => {
+      fireEvent.change(screen.getByTestId('bug-tags-input'), { target: { value } });
+    };
+
+    it('suggests labels as you type and adds the one picked', () => {
+      render(<BugForm onSubmit={mockOnSubmit} labels={labels} />);
+
+      typeTag('u');
+      expect(screen.getByTestId('label-suggestion-UI')).toHaveTextContent('Looks and layout');
+      expect(screen.getByTestId('label-suggestion-UX')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByTestId('label-suggestion-UX'));
+
+      expect(screen.getByTestId('tag-UX')).toBeInTheDocument();
+      expect(screen.queryByTestId('label-suggestions')).not.toBeInTheDocument();
+    });
+
+    it('adds labels by name with their spelling and color', () => {
+      render(<BugForm onSubmit={mockOnSubmit} labels={labels} />);
+
+      typeTag('ui');
+      fireEvent.click(screen.getByTestId('add-tag-button'));
+
+      expect(screen.getByTestId('tag-UI')).toHaveStyle({ color: '#ffffff' });
+      expect(screen.queryByTestId('label-suggestion-UI')).not.toBeInTheDocument();
+    });
+
+    it('refuses names that are not labels, and archived labels', () => {
+      render(<BugForm onSubmit={mockOnSubmit} labels={labels} />);
+
+      typeTag('backend');
+      fireEvent.click(screen.getByTestId('add-tag-button'));
+      expect(screen.getByTestId('tag-error')).toHaveTextContent('No label named "backend"');
+
+      typeTag('legacy');
+      expect(screen.queryByTestId('tag-error')).not.toBeInTheDocument();
+      expect(screen.queryByTestId('label-suggestions')).not.toBeInTheDocument();
+      fireEvent.click(screen.getByTestId('add-tag-button'));
+
+      expect(screen.getByTestId('tag-error')).toHaveTextContent('Label "legacy" is archived');
+      expect(screen.queryByTestId('tags-list')).not.toBeInTheDocument();
+    });
+
+    it('takes any tag when no labels are loaded', () => {
+      render(<BugForm onSubmit={mockOnSubmit} />);
+
+      typeTag('anything');
+      fireEvent.click(screen.getByTestId('add-tag-button'));
+
+      expect(screen.getByTestId('tag-anything')).toBeInTheDocument();
+    });
+  });
+
+  describe('milestones', () => {
+    const milestones = [
+      { _id: 'm1', name: 'v2.4', state: 'open' },
+      { _id: 'm0', name: 'v2.3', state: 'closed' }
+    ];
+
+    it('offers open milestones and submits the one picked', () => {
+      render(<BugForm onSubmit={mockOnSubmit} milestones={milestones} />);
+
+      const select = screen.getByTestId('bug-milestone-select');
+      expect(Array.from(select.options).map(option => option.value)).toEqual(['', 'm1']);
+
+      fireEvent.change(screen.getByTestId('bug-title-input'), { target: { value: 'Planned bug' } });
+      fireEvent.change(screen.getByTestId('bug-description-input'), { target: { value: 'Fix in 2.4' } });
+      fireEvent.change(select, { target: { value: 'm1' } });
+      fireEvent.click(screen.getByTestId('bug-submit-button'));
+
+      expect(mockOnSubmit).toHaveBeenCalledWith(expect.objectContaining({ milestone: 'm1' }));
+    });
+
+    it('keeps a closed milestone the bug is already planned for', () => {
+      render(<BugForm onSubmit={mockOnSubmit} milestones={milestones} initialData={{ title: 'Old bug', description: 'Planned', milestone: 'm0' }} />);
+
+      expect(screen.getByTestId('bug-milestone-select')).toHaveValue('m0');
+      expect(screen.getByText('v2.3 (closed)')).toBeInTheDocument();
+    });
+
+    it('leaves the milestone out while milestones are not loaded', () => {
+      render(<BugForm onSubmit={mockOnSubmit} />);
+
+      expect(screen.queryByTestId('bug-milestone-select')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('duplicates', () => {
+    const duplicates = [{ _id: 'b1', key: 'WEB-12', title: 'Login button does nothing', status: 'open', score: 0.62 }];
+
+    it('looks for possible duplicates as the title is typed', async () => {
+      const onFindDuplicates = jest.fn().mockResolvedValue(duplicates);
+      render(<BugForm onSubmit={mockOnSubmit} onFindDuplicates={onFindDuplicates} />);
+
+      fireEvent.change(screen.getByTestId('bug-title-input'), { target: { value: 'Login button broken' } });
+
+      expect(await screen.findByTestId('duplicate-suggestions')).toHaveTextContent('WEB-12 Login button does nothing');
+      expect(onFindDuplicates).toHaveBeenCalledWith('Login button broken', '');
+    });
+
+    it('submits the bug as a duplicate of the one picked', async () => {
+      render(<BugForm onSubmit={mockOnSubmit} onFindDuplicates={jest.fn().mockResolvedValue(duplicates)} />);
+
+      fireEvent.change(screen.getByTestId('bug-title-input'), { target: { value: 'Login button broken' } });
+      fireEvent.change(screen.getByTestId('bug-description-input'), { target: { value: 'Nothing happens' } });
+      fireEvent.click(await screen.findByTestId('mark-duplicate-b1'));
+
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Login button broken' }),
+        [],
+        { duplicateOf: 'b1' }
+      );
+    });
+
+    it('does not look for duplicates while editing a bug', () => {
+      const onFindDuplicates = jest.fn();
+      render(
+        <BugForm
+          onSubmit={mockOnSubmit}
+          onFindDuplicates={onFindDuplicates}
+          initialData={{ _id: 'b2', title: 'Login button broken', description: 'Nothing happens' }}
+        />
+      );
+
+      expect(screen.queryByTestId('duplicate-suggestions')).not.toBeInTheDocument();
+      expect(onFindDuplicates).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('attachments', () => {
+    beforeEach(() => {
+      // jsdom has no blob URLs
+      URL.createObjectURL = jest.fn(() => 'blob:preview');
+      URL.revokeObjectURL = jest.fn();
+    });
+
+    const fillRequiredFields = () => {
+      fireEvent.change(screen.getByTestId('bug-title-input'), { target: { value: 'Broken layout' } });
+      fireEvent.change(screen.getByTestId('bug-description-input'), { target: { value: 'See screenshot' } });
+    };
+
+    it('submits dropped files along with the bug', () => {
+      const log = new File(['GET /cart 500'], 'server.log', { type: 'text/plain' });
+      render(<BugForm onSubmit={mockOnSubmit} />);
+
+      fireEvent.drop(screen.getByTestId('attachment-dropzone'), {
+        dataTransfer: { files: [log], types: ['Files'] }
+      });
+      expect(screen.getByTestId('pending-attachment-0')).toHaveTextContent('server.log');
+
+      fillRequiredFields();
+      fireEvent.click(screen.getByTestId('bug-submit-button'));
+
+      expect(mockOnSubmit).toHaveBeenCalledWith(expect.objectContaining({ title: 'Broken layout' }), [log]);
+    });
+
+    it('attaches pasted images with a preview and a readable name', () => {
+      const image = new File(['png'], 'image.png', { type: 'image/png' });
+      render(<BugForm onSubmit={mockOnSubmit} />);
+
+      fireEvent.paste(screen.getByTestId('bug-description-input'), {
+        clipboardData: { files: [image] }
+      });
+
+      const pending = screen.getByTestId('pending-attachment-0');
+      expect(pending).toHaveTextContent(/pasted-.*\.png/);
+      expect(screen.getByTestId('pending-preview-0')).toHaveAttribute('src', 'blob:preview');
+    });
+
+    it('leaves pasted text alone', () => {
+      render(<BugForm onSubmit={mockOnSubmit} />);
+
+      fireEvent.paste(screen.getByTestId('bug-description-input'), {
+        clipboardData: { files: [] }
+      });
+
+      expect(screen.queryByTestId('pending-attachments')).not.toBeInTheDocument();
+    });
+
+    it('adds chosen files and lets them be removed', () => {
+      const har = new File(['{}'], 'network.har', { type: '' });
+      render(<BugForm onSubmit={mockOnSubmit} />);
+
+      fireEvent.change(screen.getByTestId('attachment-input'), { target: { files: [har] } });
+      expect(screen.getByTestId('pending-attachment-0')).toHaveTextContent('network.har');
+
+      fireEvent.click(screen.getByTestId('remove-attachment-0'));
+      expect(screen.queryByTestId('pending-attachments')).not.toBeInTheDocument();
+
+      fillRequiredFields();
+      fireEvent.click(screen.getByTestId('bug-submit-button'));
+      expect(mockOnSubmit).toHaveBeenCalledWith(expect.objectContaining({ title: 'Broken layout' }));
+      expect(mockOnSubmit.mock.calls[0]).toHaveLength(1);
+    });
+
+    it('explains why a file was not added', () => {
+      const page = new File(['<html>'], 'page.html', { type: 'text/html' });
+      render(<BugForm onSubmit={mockOnSubmit} />);
+
+      fireEvent.drop(screen.getByTestId('attachment-dropzone'), {
+        dataTransfer: { files: [page], types: ['Files'] }
+      });
+
+      expect(screen.getByTestId('attachment-error')).toHaveTextContent("page.html: this file type can't be attached");
+      expect(screen.queryByTestId('pending-attachments')).not.toBeInTheDocument();
+    });
+  });
+
   it('logs form submission data', () => {
     render(<BugForm onSubmit={mockOnSubmit} />);
 
@@ -221,9 +425,6 @@ describe('BugForm Component', () => {
     fireEvent.change(screen.getByTestId('bug-description-input'), {
       target: { value: 'Test description' }
     });
-    fireEvent.change(screen.getByTestId('bug-reporter-input'), {
-      target: { value: 'Test Reporter' }
-    });
 
     fireEvent.click(screen.getByTestId('bug-submit-button'));
 
@@ -0,0 +1,152 @@
+// BugHistory.test.jsx - Unit tests for BugHistory component
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BugHistory from '../../components/BugHistory';
+import { getBugHistory } from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const bugId = '507f1f77bcf86cd799439011';
+const longText = (word) => `${word} `.repeat(20).trim();
+
+const mockHistory = [
+  {
+    _id: 'h1',
+    bug: bugId,
+    action: 'create',
+    field: null,
+    oldValue: null,
+    newValue: { title: 'Test Bug' },
+    actor: 'John Doe',
+    timestamp: '2023-01-01T10:00:00.000Z'
+  },
+  {
+    _id: 'h2',
+    bug: bugId,
+    action: 'status-change',
+    field: 'status',
+    oldValue: 'open',
+    newValue: 'closed',
+    actor: 'Jane Smith',
+    timestamp: '2023-01-02T10:00:00.000Z'
+  },
+  {
+    _id: 'h3',
+    bug: bugId,
+    action: 'update',
+    field: 'description',
+    oldValue: `${longText('before')} crash`,
+    newValue: `${longText('before')} freeze`,
+    actor: 'Jane Smith',
+    timestamp: '2023-01-03T10:00:00.000Z'
+  }
+];
+
+describe('BugHistory Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('renders the timeline of changes', async () => {
+    getBugHistory.mockResolvedValue({ history: mockHistory });
+    render(<BugHistory bugId={bugId} />);
+
+    expect(await screen.findByTestId('history-timeline')).toBeInTheDocument();
+    expect(screen.getByText('reported this bug')).toBeInTheDocument();
+    expect(screen.getByText('changed status from open to closed')).toBeInTheDocument();
+    expect(getBugHistory).toHaveBeenCalledWith(bugId);
+  });
+
+  it('shows a diff for long description edits', async () => {
+    getBugHistory.mockResolvedValue({ history: mockHistory });
+    render(<BugHistory bugId={bugId} />);
+
+    expect(await screen.findByText('edited the description')).toBeInTheDocument();
+    fireEvent.click(screen.getByTestId('toggle-diff-button'));
+
+    expect(screen.getByTestId('history-diff')).toBeInTheDocument();
+    expect(screen.getByTestId('diff-delete')).toHaveTextContent('crash');
+    expect(screen.getByTestId('diff-insert')).toHaveTextContent('freeze');
+  });
+
+  it('shows short field changes inline', async () => {
+    getBugHistory.mockResolvedValue({
+      history: [{
+        _id: 'h4',
+        action: 'update',
+        field: 'tags',
+        oldValue: [],
+        newValue: ['ui', 'api'],
+        actor: 'anonymous',
+        timestamp: '2023-01-04T10:00:00.000Z'
+      }]
+    });
+    render(<BugHistory bugId={bugId} />);
+
+    expect(await screen.findByText('changed tags from none to ui, api')).toBeInTheDocument();
+    expect(screen.queryByTestId('toggle-diff-button')).not.toBeInTheDocument();
+  });
+
+  it('describes trash and restore entries', async () => {
+    getBugHistory.mockResolvedValue({
+      history: [
+        { _id: 'h5', action: 'delete', actor: 'admin', timestamp: '2023-01-05T10:00:00.000Z' },
+        { _id: 'h6', action: 'restore', actor: 'admin', timestamp: '2023-01-06T10:00:00.000Z' }
+      ]
+    });
+    render(<BugHistory bugId={bugId} />);
+
+    expect(await screen.findByText('moved this bug to the trash')).toBeInTheDocument();
+    expect(screen.getByText('restored this bug from the trash')).toBeInTheDocument();
+  });
+
+  it('names milestones instead of showing their IDs', async () => {
+    getBugHistory.mockResolvedValue({
+      history: [{
+        _id: 'h7', action: 'update', field: 'milestone', oldValue: 'm0', newValue: 'm1',
+        actor: 'admin', timestamp: '2023-01-07T10:00:00.000Z'
+      }]
+    });
+    render(<BugHistory bugId={bugId} milestones={[{ _id: 'm1', name: 'v2.4' }]} />);
+
+    expect(await screen.findByText('changed milestone from a deleted milestone to v2.4')).toBeInTheDocument();
+  });
+
+  it('describes added and removed links', async () => {
+    getBugHistory.mockResolvedValue({
+      history: [
+        {
+          _id: 'h8', action: 'link', field: 'is blocked by', oldValue: null, newValue: 'WEB-2',
+          actor: 'admin', timestamp: '2023-01-08T10:00:00.000Z'
+        },
+        {
+          _id: 'h9', action: 'unlink', field: 'is blocked by', oldValue: 'WEB-2', newValue: null,
+          actor: 'admin', timestamp: '2023-01-09T10:00:00.000Z'
+        }
+      ]
+    });
+    render(<BugHistory bugId={bugId} />);
+
+    expect(await screen.findByText('added a link: is blocked by WEB-2')).toBeInTheDocument();
+    expect(screen.getByText('removed a link: is blocked by WEB-2')).toBeInTheDocument();
+  });
+
+  it('shows an empty state', async () => {
+    getBugHistory.mockResolvedValue({ history: [] });
+    render(<BugHistory bugId={bugId} />);
+
+    expect(await screen.findByTestId('history-empty')).toBeInTheDocument();
+  });
+
+  it('shows an error when history fails to load', async () => {
+    getBugHistory.mockRejectedValue(new Error('Network error'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    render(<BugHistory bugId={bugId} />);
+
+    expect(await screen.findByTestId('history-error')).toHaveTextContent('Failed to load history.');
+    console.error.mockRestore();
+  });
+});
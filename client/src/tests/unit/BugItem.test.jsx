@@ -57,6 +57,44 @@ describe('BugItem Component', () => {
     expect(screen.getByTestId('bug-id')).toHaveTextContent('#9439011');
   });
 
+  it('shows the project bug key when the bug has one', () => {
+    render(<BugItem {...mockProps} bug={{ ...mockBug, key: 'WEB-123' }} />);
+
+    expect(screen.getByTestId('bug-id')).toHaveTextContent('WEB-123');
+  });
+
+  it('shows tags in the colors of their labels', () => {
+    const labels = [{ name: 'frontend', color: '#fbca04', description: 'Browser code' }];
+    render(<BugItem {...mockProps} bug={{ ...mockBug, tags: ['frontend', 'other'] }} labels={labels} />);
+
+    expect(screen.getByTestId('bug-tag-frontend')).toHaveStyle({ color: '#212529' });
+    expect(screen.getByTestId('bug-tag-frontend')).toHaveAttribute('title', 'Browser code');
+    expect(screen.getByTestId('bug-tag-other')).not.toHaveAttribute('title');
+  });
+
+  it('shows the name of the milestone the bug is planned for', () => {
+    const milestones = [{ _id: 'm1', name: 'v2.4' }];
+    render(<BugItem {...mockProps} bug={{ ...mockBug, milestone: 'm1' }} milestones={milestones} />);
+
+    expect(screen.getByTestId('bug-milestone')).toHaveTextContent('v2.4');
+  });
+
+  it('links a duplicate to the bug it duplicates', () => {
+    const original = { _id: 'b1', key: 'WEB-12', title: 'Login button does nothing' };
+    render(<BugItem {...mockProps} bug={{ ...mockBug, duplicateOf: 'b1' }} original={original} />);
+
+    expect(screen.getByTestId('bug-duplicate-of')).toHaveTextContent('WEB-12 Login button does nothing');
+    expect(screen.getByTestId('bug-duplicate-of')).toHaveAttribute('href', '#bug-b1');
+  });
+
+  it('highlights a bug someone else just changed', () => {
+    const { rerender } = render(<BugItem {...mockProps} isChanged />);
+    expect(screen.getByTestId(`bug-item-${mockBug._id}`)).toHaveClass('bug-item-changed');
+
+    rerender(<BugItem {...mockProps} />);
+    expect(screen.getByTestId(`bug-item-${mockBug._id}`)).not.toHaveClass('bug-item-changed');
+  });
+
   it('renders truncated description when too long', () => {
     const longDescription = 'a'.repeat(200);
     const bugWithLongDesc = { ...mockBug, description: longDescription };
@@ -202,4 +240,136 @@ describe('BugItem Component', () => {
 
     expect(screen.queryByTestId('bug-tags')).not.toBeInTheDocument();
   });
+
+  describe('with a status workflow', () => {
+    const workflow = {
+      statuses: ['open', 'in-progress', 'resolved', 'closed'],
+      resolutions: ['fixed', 'wont-fix'],
+      transitions: [
+        { from: 'open', to: 'in-progress' },
+        { from: 'open', to: 'resolved', requires: ['resolution'] },
+        { from: 'closed', to: 'open', requires: ['reason'] }
+      ]
+    };
+
+    beforeEach(() => {
+      mockProps.onStatusChange.mockClear();
+    });
+
+    it('only offers legal transitions', () => {
+      render(<BugItem {...mockProps} workflow={workflow} />);
+
+      const options = screen.getAllByRole('option');
+      expect(options.map(option => option.value)).toEqual(['open', 'in-progress', 'resolved']);
+    });
+
+    it('changes status directly when nothing is required', () => {
+      render(<BugItem {...mockProps} workflow={workflow} />);
+
+      fireEvent.change(screen.getByTestId('status-select'), { target: { value: 'in-progress' } });
+
+      expect(mockProps.onStatusChange).toHaveBeenCalledWith(mockBug._id, 'in-progress');
+    });
+
+    it('asks for a resolution before resolving', () => {
+      render(<BugItem {...mockProps} workflow={workflow} />);
+
+      fireEvent.change(screen.getByTestId('status-select'), { target: { value: 'resolved' } });
+
+      expect(mockProps.onStatusChange).not.toHaveBeenCalled();
+      expect(screen.getByTestId('transition-confirm-button')).toBeDisabled();
+
+      fireEvent.change(screen.getByTestId('transition-resolution-select'), { target: { value: 'fixed' } });
+      fireEvent.click(screen.getByTestId('transition-confirm-button'));
+
+      expect(mockProps.onStatusChange).toHaveBeenCalledWith(mockBug._id, 'resolved', { resolution: 'fixed' });
+      expect(screen.queryByTestId('transition-form')).not.toBeInTheDocument();
+    });
+
+    it('asks for a reason before reopening', () => {
+      const closedBug = { ...mockBug, status: 'closed', resolution: 'wont-fix' };
+      render(<BugItem {...mockProps} bug={closedBug} workflow={workflow} />);
+
+      expect(screen.getByTestId('bug-resolution')).toHaveTextContent('wont fix');
+
+      fireEvent.change(screen.getByTestId('status-select'), { target: { value: 'open' } });
+      fireEvent.change(screen.getByTestId('transition-reason-input'), { target: { value: 'Regressed' } });
+      fireEvent.click(screen.getByTestId('transition-confirm-button'));
+
+      expect(mockProps.onStatusChange).toHaveBeenCalledWith(mockBug._id, 'open', { reason: 'Regressed' });
+    });
+
+    it('cancels a pending transition', () => {
+      render(<BugItem {...mockProps} workflow={workflow} />);
+
+      fireEvent.change(screen.getByTestId('status-select'), { target: { value: 'resolved' } });
+      fireEvent.click(screen.getByTestId('transition-cancel-button'));
+
+      expect(screen.queryByTestId('transition-form')).not.toBeInTheDocument();
+      expect(screen.getByTestId('status-select')).toHaveValue('open');
+      expect(mockProps.onStatusChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('with a signed-in user', () => {
+    const reporter = {
+      username: 'jdoe',
+      role: 'reporter',
+      permissions: { 'bug:create': 'any', 'bug:edit': 'own', 'bug:change-status': 'own' }
+    };
+
+    it('hides actions the role does not allow', () => {
+      render(<BugItem {...mockProps} currentUser={{ username: 'viewer', role: 'viewer', permissions: {} }} />);
+
+      expect(screen.queryByTestId('edit-button')).not.toBeInTheDocument();
+      expect(screen.queryByTestId('delete-button')).not.toBeInTheDocument();
+      expect(screen.getByTestId('status-select')).toBeDisabled();
+    });
+
+    it('offers own-scoped actions on bugs the user owns', () => {
+      render(<BugItem {...mockProps} bug={{ ...mockBug, reporter: 'jdoe' }} currentUser={reporter} />);
+
+      expect(screen.getByTestId('edit-button')).toBeInTheDocument();
+      expect(screen.queryByTestId('delete-button')).not.toBeInTheDocument();
+      expect(screen.getByTestId('status-select')).toBeEnabled();
+    });
+
+    it("does not offer own-scoped actions on other people's bugs", () => {
+      render(<BugItem {...mockProps} currentUser={reporter} />);
+
+      expect(screen.queryByTestId('edit-button')).not.toBeInTheDocument();
+      expect(screen.getByTestId('status-select')).toBeDisabled();
+      expect(screen.getAllByRole('option').map(option => option.value)).toEqual(['open']);
+    });
+
+    it('offers to watch bugs the user does not watch', () => {
+      const onToggleWatch = jest.fn();
+      render(<BugItem {...mockProps} currentUser={reporter} onToggleWatch={onToggleWatch} />);
+
+      const button = screen.getByTestId('watch-button');
+      expect(button).toHaveTextContent('Watch');
+      fireEvent.click(button);
+
+      expect(onToggleWatch).toHaveBeenCalledWith(mockBug._id, true);
+    });
+
+    it('offers to unwatch bugs the user watches', () => {
+      const onToggleWatch = jest.fn();
+      render(
+        <BugItem
+          {...mockProps}
+          bug={{ ...mockBug, watchers: ['jdoe'] }}
+          currentUser={reporter}
+          onToggleWatch={onToggleWatch}
+        />
+      );
+
+      const button = screen.getByTestId('watch-button');
+      expect(button).toHaveTextContent('Unwatch');
+      expect(button).toHaveAttribute('aria-pressed', 'true');
+      fireEvent.click(button);
+
+      expect(onToggleWatch).toHaveBeenCalledWith(mockBug._id, false);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,124 @@
+// BugLinks.test.jsx - Unit tests for BugLinks component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BugLinks from '../../components/BugLinks';
+import { getBugLinks, addBugLink, removeBugLink } from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const bugId = '507f1f77bcf86cd799439011';
+
+const blocker = {
+  _id: 'l1',
+  type: 'blocks',
+  direction: 'inward',
+  relation: 'is blocked by',
+  bug: { _id: 'b2', key: 'WEB-2', title: 'Login API returns 500', status: 'open' }
+};
+
+const related = {
+  _id: 'l2',
+  type: 'relates-to',
+  direction: 'outward',
+  relation: 'relates to',
+  bug: { _id: 'b3', key: 'WEB-3', title: 'Session cookie expires early', status: 'resolved' }
+};
+
+describe('BugLinks Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('groups links by relation and shows the status of each linked bug', async () => {
+    getBugLinks.mockResolvedValue({ links: [related, blocker] });
+
+    render(<BugLinks bugId={bugId} />);
+
+    expect(await screen.findByText('Links (2)')).toBeInTheDocument();
+    expect(getBugLinks).toHaveBeenCalledWith(bugId);
+
+    const groups = screen.getAllByTestId(/^link-group-/);
+    expect(groups[0]).toHaveAttribute('data-testid', 'link-group-is blocked by');
+    expect(groups[1]).toHaveAttribute('data-testid', 'link-group-relates to');
+
+    expect(screen.getByText('WEB-2')).toBeInTheDocument();
+    expect(screen.getByTestId('link-status-l1')).toHaveTextContent('open');
+    expect(screen.getByTestId('link-status-l1')).toHaveClass('status-badge', 'status-open');
+    expect(screen.getByTestId('link-status-l2')).toHaveTextContent('resolved');
+  });
+
+  it('shows an empty state without the form for read-only users', async () => {
+    getBugLinks.mockResolvedValue({ links: [] });
+
+    render(<BugLinks bugId={bugId} />);
+
+    expect(await screen.findByTestId('links-empty')).toBeInTheDocument();
+    expect(screen.queryByTestId('link-form')).not.toBeInTheDocument();
+  });
+
+  it('adds a link with the chosen relation and bug key', async () => {
+    getBugLinks.mockResolvedValue({ links: [] });
+    addBugLink.mockResolvedValue(blocker);
+
+    render(<BugLinks bugId={bugId} canEdit />);
+    await screen.findByTestId('links-empty');
+
+    fireEvent.change(screen.getByTestId('link-relation-select'), { target: { value: 'blocks:inward' } });
+    fireEvent.change(screen.getByTestId('link-target-input'), { target: { value: ' WEB-2 ' } });
+    fireEvent.click(screen.getByTestId('add-link-button'));
+
+    expect(await screen.findByTestId('link-l1')).toBeInTheDocument();
+    expect(addBugLink).toHaveBeenCalledWith(bugId, { type: 'blocks', direction: 'inward', target: 'WEB-2' });
+    expect(screen.getByTestId('link-target-input')).toHaveValue('');
+  });
+
+  it('shows why the server refused a link', async () => {
+    getBugLinks.mockResolvedValue({ links: [] });
+    const error = new Error('Validation failed');
+    error.details = ['Link would create a cycle: WEB-1 blocks WEB-2 blocks WEB-1'];
+    addBugLink.mockRejectedValue(error);
+
+    render(<BugLinks bugId={bugId} canEdit />);
+    await screen.findByTestId('links-empty');
+
+    fireEvent.change(screen.getByTestId('link-target-input'), { target: { value: 'WEB-2' } });
+    fireEvent.click(screen.getByTestId('add-link-button'));
+
+    expect(await screen.findByTestId('link-form-errors'))
+      .toHaveTextContent('Link would create a cycle: WEB-1 blocks WEB-2 blocks WEB-1');
+  });
+
+  it('removes a link', async () => {
+    getBugLinks.mockResolvedValue({ links: [blocker, related] });
+    removeBugLink.mockResolvedValue({ message: 'Link removed successfully' });
+
+    render(<BugLinks bugId={bugId} canEdit />);
+
+    fireEvent.click(await screen.findByTestId('remove-link-l1'));
+
+    await waitFor(() => {
+      expect(screen.queryByTestId('link-l1')).not.toBeInTheDocument();
+    });
+    expect(removeBugLink).toHaveBeenCalledWith(bugId, 'l1');
+    expect(screen.getByTestId('link-l2')).toBeInTheDocument();
+  });
+
+  it('shows an error when links fail to load', async () => {
+    getBugLinks.mockRejectedValue(new Error('Network error'));
+
+    render(<BugLinks bugId={bugId} />);
+
+    expect(await screen.findByTestId('links-error')).toHaveTextContent('Failed to load links.');
+  });
+});
@@ -0,0 +1,73 @@
+// BulkToolbar.test.jsx - Unit tests for BulkToolbar component
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BulkToolbar from '../../components/BulkToolbar';
+
+describe('BulkToolbar Component', () => {
+  const workflow = {
+    statuses: ['open', 'in-progress', 'resolved', 'closed'],
+    resolutions: ['fixed', 'duplicate'],
+    resolvedStatuses: ['resolved', 'closed']
+  };
+
+  const renderToolbar = (props = {}) => render(
+    <BulkToolbar
+      selectionLabel="3 selected"
+      onApply={jest.fn()}
+      onClear={jest.fn()}
+      workflow={workflow}
+      {...props}
+    />
+  );
+
+  it('shows the selection and applies a priority change', () => {
+    const onApply = jest.fn();
+    renderToolbar({ onApply });
+
+    expect(screen.getByTestId('bulk-selection')).toHaveTextContent('3 selected');
+
+    fireEvent.change(screen.getByTestId('bulk-action-select'), { target: { value: 'set-priority' } });
+    fireEvent.change(screen.getByTestId('bulk-value-select'), { target: { value: 'critical' } });
+    fireEvent.click(screen.getByTestId('bulk-apply-button'));
+
+    expect(onApply).toHaveBeenCalledWith({ type: 'set-priority', value: 'critical' });
+  });
+
+  it('asks for a resolution when resolving', () => {
+    const onApply = jest.fn();
+    renderToolbar({ onApply });
+
+    fireEvent.change(screen.getByTestId('bulk-value-select'), { target: { value: 'resolved' } });
+    fireEvent.click(screen.getByTestId('bulk-apply-button'));
+
+    expect(screen.getByTestId('bulk-error')).toHaveTextContent('Select a resolution.');
+    expect(onApply).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByTestId('bulk-resolution-select'), { target: { value: 'fixed' } });
+    fireEvent.click(screen.getByTestId('bulk-apply-button'));
+
+    expect(onApply).toHaveBeenCalledWith({ type: 'set-status', value: 'resolved', resolution: 'fixed' });
+  });
+
+  it('splits tags on commas', () => {
+    const onApply = jest.fn();
+    renderToolbar({ onApply });
+
+    fireEvent.change(screen.getByTestId('bulk-action-select'), { target: { value: 'add-tags' } });
+    fireEvent.change(screen.getByTestId('bulk-value-input'), { target: { value: 'triaged, ui,' } });
+    fireEvent.click(screen.getByTestId('bulk-apply-button'));
+
+    expect(onApply).toHaveBeenCalledWith({ type: 'add-tags', value: ['triaged', 'ui'] });
+  });
+
+  it('clears the selection', () => {
+    const onClear = jest.fn();
+    renderToolbar({ onClear });
+
+    fireEvent.click(screen.getByTestId('bulk-clear-button'));
+
+    expect(onClear).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,143 @@
+// CommentThread.test.jsx - Unit tests for CommentThread component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import CommentThread from '../../components/CommentThread';
+import { getComments, addComment, updateComment, deleteComment } from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+// Mock console.log to avoid test output pollution
+const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+const mockConfirm = jest.fn();
+
+const bugId = '507f1f77bcf86cd799439011';
+
+const mockComment = {
+  _id: '607f1f77bcf86cd799439022',
+  bug: bugId,
+  author: 'Jane Smith',
+  body: 'Reproduced on staging',
+  edited: false,
+  createdAt: '2023-01-01T10:00:00.000Z',
+  updatedAt: '2023-01-01T10:00:00.000Z'
+};
+
+beforeAll(() => {
+  global.confirm = mockConfirm;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getComments.mockResolvedValue({
+    comments: [mockComment],
+    pagination: { page: 1, limit: 10, total: 1, pages: 1 }
+  });
+});
+
+afterAll(() => {
+  consoleLogSpy.mockRestore();
+  delete global.confirm;
+});
+
+describe('CommentThread Component', () => {
+  it('loads and renders the first page of comments', async () => {
+    render(<CommentThread bugId={bugId} />);
+
+    expect(await screen.findByText('Reproduced on staging')).toBeInTheDocument();
+    expect(screen.getByText('Jane Smith')).toBeInTheDocument();
+    expect(getComments).toHaveBeenCalledWith(bugId, { page: 1, limit: 10 });
+  });
+
+  it('shows an empty state when there are no comments', async () => {
+    getComments.mockResolvedValue({ comments: [], pagination: { page: 1, total: 0, pages: 0 } });
+    render(<CommentThread bugId={bugId} />);
+
+    expect(await screen.findByTestId('comments-empty')).toBeInTheDocument();
+  });
+
+  it('marks edited comments', async () => {
+    getComments.mockResolvedValue({
+      comments: [{ ...mockComment, edited: true }],
+      pagination: { page: 1, total: 1, pages: 1 }
+    });
+    render(<CommentThread bugId={bugId} />);
+
+    expect(await screen.findByTestId('comment-edited')).toBeInTheDocument();
+  });
+
+  it('requests the next page', async () => {
+    getComments.mockResolvedValue({
+      comments: [mockComment],
+      pagination: { page: 1, total: 15, pages: 2 }
+    });
+    render(<CommentThread bugId={bugId} />);
+
+    fireEvent.click(await screen.findByTestId('comments-next-page'));
+
+    await waitFor(() => {
+      expect(getComments).toHaveBeenLastCalledWith(bugId, { page: 2, limit: 10 });
+    });
+  });
+
+  it('adds a comment', async () => {
+    addComment.mockResolvedValue({ ...mockComment, _id: 'new-comment', body: 'Me too' });
+    render(<CommentThread bugId={bugId} />);
+    await screen.findByText('Reproduced on staging');
+
+    fireEvent.change(screen.getByTestId('comment-body-input'), { target: { value: 'Me too' } });
+    fireEvent.click(screen.getByTestId('comment-submit-button'));
+
+    await waitFor(() => {
+      expect(addComment).toHaveBeenCalledWith(bugId, { body: 'Me too' });
+    });
+    await waitFor(() => {
+      expect(screen.getByTestId('comment-body-input')).toHaveValue('');
+    });
+  });
+
+  it('does not submit an empty comment', async () => {
+    render(<CommentThread bugId={bugId} />);
+    await screen.findByText('Reproduced on staging');
+
+    fireEvent.click(screen.getByTestId('comment-submit-button'));
+
+    expect(await screen.findByTestId('comment-error')).toHaveTextContent('Comment is required.');
+    expect(addComment).not.toHaveBeenCalled();
+  });
+
+  it('edits a comment', async () => {
+    updateComment.mockResolvedValue({ ...mockComment, body: 'Only on staging', edited: true });
+    render(<CommentThread bugId={bugId} />);
+
+    fireEvent.click(await screen.findByTestId('comment-edit-button'));
+    fireEvent.change(screen.getByTestId('comment-edit-input'), { target: { value: 'Only on staging' } });
+    fireEvent.click(screen.getByTestId('comment-save-button'));
+
+    expect(await screen.findByText('Only on staging')).toBeInTheDocument();
+    expect(updateComment).toHaveBeenCalledWith(bugId, mockComment._id, { body: 'Only on staging' });
+  });
+
+  it('deletes a comment when confirmed', async () => {
+    mockConfirm.mockReturnValue(true);
+    deleteComment.mockResolvedValue({ message: 'Comment deleted successfully' });
+    render(<CommentThread bugId={bugId} />);
+
+    fireEvent.click(await screen.findByTestId('comment-delete-button'));
+
+    await waitFor(() => {
+      expect(deleteComment).toHaveBeenCalledWith(bugId, mockComment._id);
+    });
+  });
+
+  it('shows an error when comments fail to load', async () => {
+    getComments.mockRejectedValue(new Error('Network error'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    render(<CommentThread bugId={bugId} />);
+
+    expect(await screen.findByTestId('comment-error')).toHaveTextContent('Failed to load comments.');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,83 @@
+// ConflictDialog.test.jsx - Unit tests for ConflictDialog component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ConflictDialog from '../../components/ConflictDialog';
+
+describe('ConflictDialog Component', () => {
+  const base = {
+    _id: '1',
+    title: 'Login fails',
+    description: 'Cannot sign in',
+    status: 'open',
+    priority: 'medium',
+    assignee: '',
+    tags: ['auth'],
+    version: 1
+  };
+  // The user retitled the bug and raised the priority...
+  const mine = { ...base, title: 'Login fails on Safari', priority: 'high' };
+  // ...while someone else also raised it, differently, and assigned it
+  const latest = { ...base, priority: 'critical', assignee: 'jdoe', version: 2 };
+
+  const renderDialog = (props = {}) => render(
+    <ConflictDialog
+      base={base}
+      mine={mine}
+      latest={latest}
+      onResolve={jest.fn()}
+      onDiscard={jest.fn()}
+      onCancel={jest.fn()}
+      {...props}
+    />
+  );
+
+  it('lists only the fields that differ, flagging ones both sides changed', () => {
+    renderDialog();
+
+    expect(screen.getByTestId('conflict-field-title')).toBeInTheDocument();
+    expect(screen.getByTestId('conflict-field-assignee')).toBeInTheDocument();
+    expect(screen.getByTestId('conflict-field-priority')).toHaveTextContent('Both changed');
+    expect(screen.queryByTestId('conflict-field-description')).not.toBeInTheDocument();
+  });
+
+  it('keeps my edits and their edits by default', () => {
+    renderDialog();
+
+    expect(screen.getByTestId('conflict-choose-mine-title')).toBeChecked();
+    expect(screen.getByTestId('conflict-choose-mine-priority')).toBeChecked();
+    expect(screen.getByTestId('conflict-choose-latest-assignee')).toBeChecked();
+  });
+
+  it('saves the merged version with the chosen values', async () => {
+    const onResolve = jest.fn().mockResolvedValue();
+    renderDialog({ onResolve });
+
+    fireEvent.click(screen.getByTestId('conflict-choose-latest-priority'));
+    fireEvent.click(screen.getByTestId('conflict-save-button'));
+
+    await waitFor(() => {
+      expect(onResolve).toHaveBeenCalledWith({
+        title: 'Login fails on Safari',
+        description: 'Cannot sign in',
+        status: 'open',
+        priority: 'critical',
+        assignee: 'jdoe',
+        tags: ['auth']
+      });
+    });
+  });
+
+  it('can discard my changes or go back to editing', () => {
+    const onDiscard = jest.fn();
+    const onCancel = jest.fn();
+    renderDialog({ onDiscard, onCancel });
+
+    fireEvent.click(screen.getByTestId('conflict-discard-button'));
+    fireEvent.click(screen.getByTestId('conflict-cancel-button'));
+
+    expect(onDiscard).toHaveBeenCalledTimes(1);
+    expect(onCancel).toHaveBeenCalledTimes(1);
+  });
+});
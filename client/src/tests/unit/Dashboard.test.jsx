@@ -0,0 +1,97 @@
+// Dashboard.test.jsx - Unit tests for Dashboard component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Dashboard from '../../components/Dashboard';
+import { getBugStats } from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const stats = {
+  window: { days: 30, from: '2024-02-01T00:00:00.000Z', to: '2024-03-01T10:00:00.000Z' },
+  totals: { total: 12, open: 7, resolved: 5 },
+  byStatus: [
+    { status: 'open', count: 5 },
+    { status: 'in-progress', count: 2 },
+    { status: 'resolved', count: 3 },
+    { status: 'closed', count: 2 }
+  ],
+  byPriority: [
+    { priority: 'critical', total: 3, open: 2 },
+    { priority: 'high', total: 4, open: 3 },
+    { priority: 'medium', total: 4, open: 2 },
+    { priority: 'low', total: 1, open: 0 }
+  ],
+  byAssignee: [{ assignee: 'alice', total: 8, open: 5 }, { assignee: null, total: 4, open: 2 }],
+  byTag: [],
+  timeToResolve: { meanHours: 60, bugs: 5 },
+  daily: [
+    { date: '2024-02-29', opened: 2, closed: 1 },
+    { date: '2024-03-01', opened: 1, closed: 3 }
+  ],
+  oldestOpen: [
+    { _id: 'b1', key: 'WEB-1', title: 'Login fails', priority: 'high', assignee: 'alice', createdAt: '2024-01-01T00:00:00.000Z' }
+  ]
+};
+
+describe('Dashboard Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getBugStats.mockResolvedValue(stats);
+  });
+
+  afterAll(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('shows the headline numbers', async () => {
+    render(<Dashboard onOpenBug={jest.fn()} />);
+
+    expect(await screen.findByTestId('stat-open')).toHaveTextContent('7open of 12');
+    expect(screen.getByTestId('stat-critical')).toHaveTextContent('2critical open');
+    expect(screen.getByTestId('stat-resolve-time')).toHaveTextContent('2.5 days');
+    expect(getBugStats).toHaveBeenCalledWith({ days: 30 });
+  });
+
+  it('draws the charts as SVG', async () => {
+    render(<Dashboard onOpenBug={jest.fn()} />);
+
+    expect(await screen.findByRole('img', { name: 'By priority' })).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: /Opened vs\. closed, last 30 days: 3 opened and 4 closed/ }))
+      .toBeInTheDocument();
+    expect(screen.getByText('critical: 3 (2 open)')).toBeInTheDocument();
+    expect(screen.getByText('Unassigned')).toBeInTheDocument();
+    expect(screen.getByText('No tagged bugs yet.')).toBeInTheDocument();
+  });
+
+  it('opens the oldest open bugs', async () => {
+    const onOpenBug = jest.fn();
+    render(<Dashboard onOpenBug={onOpenBug} />);
+
+    fireEvent.click(await screen.findByRole('link', { name: 'WEB-1 Login fails' }));
+
+    expect(onOpenBug).toHaveBeenCalledWith('b1');
+  });
+
+  it('reloads for another window and project', async () => {
+    render(<Dashboard project="WEB" onOpenBug={jest.fn()} />);
+    await screen.findByTestId('stat-open');
+
+    fireEvent.change(screen.getByTestId('dashboard-days'), { target: { value: '7' } });
+
+    await waitFor(() => {
+      expect(getBugStats).toHaveBeenLastCalledWith({ days: 7, project: 'WEB' });
+    });
+  });
+
+  it('shows an error when the stats fail to load', async () => {
+    getBugStats.mockRejectedValue(new Error('Network error'));
+    render(<Dashboard onOpenBug={jest.fn()} />);
+
+    expect(await screen.findByTestId('dashboard-error')).toHaveTextContent('Failed to load bug statistics');
+  });
+});
@@ -0,0 +1,37 @@
+// DuplicateSuggestions.test.jsx - Unit tests for DuplicateSuggestions component
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import DuplicateSuggestions from '../../components/DuplicateSuggestions';
+
+const duplicates = [
+  { _id: 'b1', key: 'WEB-12', title: 'Login button does nothing', status: 'open', score: 0.62 },
+  { _id: 'b2', key: 'WEB-7', title: 'Sign in broken on Safari', status: 'in-progress', score: 0.31 }
+];
+
+describe('DuplicateSuggestions Component', () => {
+  it('links each possible duplicate with its score', () => {
+    render(<DuplicateSuggestions duplicates={duplicates} />);
+
+    expect(screen.getByText('Possible duplicates')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'WEB-12 Login button does nothing' })).toHaveAttribute('href', '#bug-b1');
+    expect(screen.getByTestId('duplicate-b1')).toHaveTextContent('62% match');
+    expect(screen.queryByTestId('mark-duplicate-b1')).not.toBeInTheDocument();
+  });
+
+  it('marks the bug as a duplicate of the one picked', () => {
+    const onMarkDuplicate = jest.fn();
+    render(<DuplicateSuggestions duplicates={duplicates} onMarkDuplicate={onMarkDuplicate} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Mark as duplicate of WEB-7' }));
+
+    expect(onMarkDuplicate).toHaveBeenCalledWith(duplicates[1]);
+  });
+
+  it('renders nothing without duplicates', () => {
+    render(<DuplicateSuggestions duplicates={[]} />);
+
+    expect(screen.queryByTestId('duplicate-suggestions')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,95 @@
+// EmailSettings.test.jsx - Unit tests for EmailSettings component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import EmailSettings from '../../components/EmailSettings';
+import { updateAccount } from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const user = {
+  username: 'alice',
+  name: 'Alice',
+  email: 'alice@example.com',
+  emailPreferences: { assigned: true, statusChanged: true, commented: false, mentioned: true }
+};
+
+describe('EmailSettings Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('opens with the saved address and preferences', () => {
+    render(<EmailSettings user={user} onSaved={jest.fn()} />);
+
+    expect(screen.queryByTestId('email-settings-panel')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByTestId('email-settings-button'));
+
+    expect(screen.getByTestId('email-input')).toHaveValue('alice@example.com');
+    expect(screen.getByTestId('email-preference-assigned')).toBeChecked();
+    expect(screen.getByTestId('email-preference-commented')).not.toBeChecked();
+  });
+
+  it('turns every kind of email on for users who never chose', () => {
+    render(<EmailSettings user={{ username: 'bob', name: 'Bob' }} onSaved={jest.fn()} />);
+    fireEvent.click(screen.getByTestId('email-settings-button'));
+
+    expect(screen.getByTestId('email-input')).toHaveValue('');
+    expect(screen.getByText(/only get in-app notifications/)).toBeInTheDocument();
+    expect(screen.getByTestId('email-preference-mentioned')).toBeChecked();
+  });
+
+  it('saves the settings and hands back the updated user', async () => {
+    const updated = { ...user, email: 'alice@example.org' };
+    updateAccount.mockResolvedValue(updated);
+    const onSaved = jest.fn();
+
+    render(<EmailSettings user={user} onSaved={onSaved} />);
+    fireEvent.click(screen.getByTestId('email-settings-button'));
+    fireEvent.change(screen.getByTestId('email-input'), { target: { value: ' alice@example.org ' } });
+    fireEvent.click(screen.getByTestId('email-preference-statusChanged'));
+    fireEvent.click(screen.getByTestId('email-settings-save'));
+
+    expect(await screen.findByTestId('email-settings-saved')).toBeInTheDocument();
+    expect(updateAccount).toHaveBeenCalledWith({
+      email: 'alice@example.org',
+      emailPreferences: { assigned: true, statusChanged: false, commented: false, mentioned: true }
+    });
+    expect(onSaved).toHaveBeenCalledWith(updated);
+  });
+
+  it('clears the address when the field is emptied', async () => {
+    updateAccount.mockResolvedValue({ ...user, email: null });
+
+    render(<EmailSettings user={user} onSaved={jest.fn()} />);
+    fireEvent.click(screen.getByTestId('email-settings-button'));
+    fireEvent.change(screen.getByTestId('email-input'), { target: { value: '' } });
+    fireEvent.click(screen.getByTestId('email-settings-save'));
+
+    await waitFor(() => {
+      expect(updateAccount).toHaveBeenCalledWith(expect.objectContaining({ email: null }));
+    });
+  });
+
+  it('shows validation errors from the server', async () => {
+    const error = new Error('Validation failed');
+    error.details = ['Email must be a valid email address'];
+    updateAccount.mockRejectedValue(error);
+    const onSaved = jest.fn();
+
+    render(<EmailSettings user={user} onSaved={onSaved} />);
+    fireEvent.click(screen.getByTestId('email-settings-button'));
+    fireEvent.click(screen.getByTestId('email-settings-save'));
+
+    expect(await screen.findByTestId('email-settings-errors')).toHaveTextContent('Email must be a valid email address');
+    expect(onSaved).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+// ErrorAlert.test.jsx - Unit tests for the ErrorAlert and ErrorReference components
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ErrorAlert from '../../components/ErrorAlert';
+import ErrorReference from '../../components/ErrorReference';
+
+describe('ErrorAlert Component', () => {
+  it('shows the message and its error reference', () => {
+    render(<ErrorAlert message="Failed to delete bug." reference="ref-123" onDismiss={jest.fn()} />);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Failed to delete bug.');
+    expect(screen.getByLabelText('Error reference')).toHaveValue('ref-123');
+  });
+
+  it('leaves the reference out when there is none', () => {
+    render(<ErrorAlert message="Failed to delete bug." onDismiss={jest.fn()} />);
+
+    expect(screen.queryByTestId('error-reference')).not.toBeInTheDocument();
+  });
+
+  it('dismisses when closed', () => {
+    const onDismiss = jest.fn();
+    render(<ErrorAlert message="Failed to delete bug." reference="ref-123" onDismiss={onDismiss} />);
+
+    fireEvent.click(screen.getByTestId('error-alert-dismiss'));
+
+    expect(onDismiss).toHaveBeenCalled();
+  });
+});
+
+describe('ErrorReference Component', () => {
+  const originalClipboard = navigator.clipboard;
+
+  afterEach(() => {
+    Object.defineProperty(navigator, 'clipboard', { value: originalClipboard, configurable: true });
+  });
+
+  it('copies the reference to the clipboard', async () => {
+    const writeText = jest.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+    render(<ErrorReference reference="ref-123" />);
+    fireEvent.click(screen.getByRole('button', { name: 'Copy' }));
+
+    expect(writeText).toHaveBeenCalledWith('ref-123');
+    expect(await screen.findByRole('button', { name: 'Copied' })).toBeInTheDocument();
+  });
+
+  it('offers only the field when the clipboard is unavailable', async () => {
+    Object.defineProperty(navigator, 'clipboard', { value: undefined, configurable: true });
+
+    render(<ErrorReference reference="ref-123" />);
+
+    await waitFor(() => expect(screen.getByTestId('error-reference')).toHaveAttribute('readonly'));
+    expect(screen.queryByTestId('error-reference-copy')).not.toBeInTheDocument();
+  });
+});
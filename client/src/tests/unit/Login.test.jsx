@@ -0,0 +1,79 @@
+// Login.test.jsx - Unit tests for Login component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Login from '../../components/Login';
+import { login, register } from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const mockUser = { _id: 'u1', username: 'jsmith', name: 'Jane Smith' };
+
+describe('Login Component', () => {
+  const mockOnLogin = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('signs in with username and password', async () => {
+    login.mockResolvedValue(mockUser);
+    render(<Login onLogin={mockOnLogin} />);
+
+    fireEvent.change(screen.getByTestId('login-username-input'), { target: { value: 'jsmith' } });
+    fireEvent.change(screen.getByTestId('login-password-input'), { target: { value: 'correct horse' } });
+    fireEvent.click(screen.getByTestId('login-submit-button'));
+
+    await waitFor(() => {
+      expect(mockOnLogin).toHaveBeenCalledWith(mockUser);
+    });
+    expect(login).toHaveBeenCalledWith('jsmith', 'correct horse');
+  });
+
+  it('shows the server error when sign in fails', async () => {
+    login.mockRejectedValue(new Error('Invalid username or password'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    render(<Login onLogin={mockOnLogin} />);
+
+    fireEvent.change(screen.getByTestId('login-username-input'), { target: { value: 'jsmith' } });
+    fireEvent.change(screen.getByTestId('login-password-input'), { target: { value: 'wrong' } });
+    fireEvent.click(screen.getByTestId('login-submit-button'));
+
+    expect(await screen.findByTestId('login-error')).toHaveTextContent('Invalid username or password');
+    expect(mockOnLogin).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it('registers a new account', async () => {
+    register.mockResolvedValue(mockUser);
+    render(<Login onLogin={mockOnLogin} />);
+
+    fireEvent.click(screen.getByTestId('login-mode-toggle'));
+    fireEvent.change(screen.getByTestId('login-username-input'), { target: { value: 'jsmith' } });
+    fireEvent.change(screen.getByTestId('login-name-input'), { target: { value: 'Jane Smith' } });
+    fireEvent.change(screen.getByTestId('login-password-input'), { target: { value: 'correct horse' } });
+    fireEvent.click(screen.getByTestId('login-submit-button'));
+
+    await waitFor(() => {
+      expect(mockOnLogin).toHaveBeenCalledWith(mockUser);
+    });
+    expect(register).toHaveBeenCalledWith({ username: 'jsmith', name: 'Jane Smith', password: 'correct horse' });
+  });
+
+  it('does not submit an incomplete form', () => {
+    render(<Login onLogin={mockOnLogin} />);
+
+    fireEvent.click(screen.getByTestId('login-submit-button'));
+
+    expect(screen.getByTestId('login-error')).toHaveTextContent('Please fill in all fields.');
+    expect(login).not.toHaveBeenCalled();
+  });
+
+  it('shows a notice when given one', () => {
+    render(<Login onLogin={mockOnLogin} notice="Your session has expired. Please sign in again." />);
+
+    expect(screen.getByTestId('login-notice')).toHaveTextContent('Your session has expired.');
+  });
+});
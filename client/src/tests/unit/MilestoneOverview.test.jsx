@@ -0,0 +1,87 @@
+// MilestoneOverview.test.jsx - Unit tests for MilestoneOverview component
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import MilestoneOverview from '../../components/MilestoneOverview';
+import { getMilestones } from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const milestones = [
+  {
+    _id: 'm1',
+    name: 'v2.3',
+    dueDate: '2026-01-15T00:00:00.000Z',
+    state: 'open',
+    progress: { total: 4, open: 1, resolved: 3, percentComplete: 75, overdue: true }
+  },
+  {
+    _id: 'm2',
+    name: 'v2.4',
+    dueDate: null,
+    state: 'open',
+    progress: { total: 0, open: 0, resolved: 0, percentComplete: 0, overdue: false }
+  }
+];
+
+describe('MilestoneOverview Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('shows the progress of each milestone', async () => {
+    getMilestones.mockResolvedValue({ milestones });
+
+    render(<MilestoneOverview />);
+
+    const progress = await screen.findByTestId('milestone-progress-m1');
+    expect(progress).toHaveAttribute('role', 'progressbar');
+    expect(progress).toHaveAttribute('aria-valuenow', '75');
+    expect(screen.getByTestId('milestone-m1')).toHaveTextContent('75% complete · 3 resolved, 1 open');
+    expect(screen.getByTestId('milestone-m1')).toHaveTextContent('Due Jan 15, 2026');
+    expect(screen.getByTestId('milestone-m2')).toHaveTextContent('No due date');
+  });
+
+  it('warns about overdue milestones only', async () => {
+    getMilestones.mockResolvedValue({ milestones });
+
+    render(<MilestoneOverview />);
+
+    expect(await screen.findByTestId('overdue-warning-m1')).toHaveTextContent('Overdue with 1 open bug');
+    expect(screen.queryByTestId('overdue-warning-m2')).not.toBeInTheDocument();
+  });
+
+  it('opens the bugs of a milestone', async () => {
+    getMilestones.mockResolvedValue({ milestones });
+    const onViewBugs = jest.fn();
+
+    render(<MilestoneOverview onViewBugs={onViewBugs} />);
+    fireEvent.click(await screen.findByTestId('view-milestone-bugs-m2'));
+
+    expect(onViewBugs).toHaveBeenCalledWith('m2');
+  });
+
+  it('shows an empty state', async () => {
+    getMilestones.mockResolvedValue({ milestones: [] });
+
+    render(<MilestoneOverview />);
+
+    expect(await screen.findByTestId('milestones-empty')).toBeInTheDocument();
+  });
+
+  it('shows an error when milestones fail to load', async () => {
+    getMilestones.mockRejectedValue(new Error('Network error'));
+
+    render(<MilestoneOverview />);
+
+    expect(await screen.findByTestId('milestones-error')).toHaveTextContent('Failed to load milestones.');
+  });
+});
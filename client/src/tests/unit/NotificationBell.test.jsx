@@ -0,0 +1,147 @@
+// NotificationBell.test.jsx - Unit tests for NotificationBell component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import NotificationBell, { POLL_MS } from '../../components/NotificationBell';
+import {
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const unread = {
+  _id: 'n1',
+  bug: 'b1',
+  bugKey: 'WEB-1',
+  bugTitle: 'Login fails',
+  event: 'bug.updated',
+  actor: 'alice',
+  summary: 'changed status from open to closed',
+  readAt: null,
+  createdAt: '2024-03-01T10:00:00.000Z'
+};
+
+const read = {
+  _id: 'n2',
+  bug: 'b2',
+  bugKey: 'WEB-2',
+  bugTitle: 'Slow search',
+  event: 'bug.commented',
+  actor: 'bob',
+  summary: 'commented: Still slow',
+  readAt: '2024-02-28T10:00:00.000Z',
+  createdAt: '2024-02-27T10:00:00.000Z'
+};
+
+describe('NotificationBell Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getUnreadNotificationCount.mockResolvedValue({ unreadCount: 1 });
+    getNotifications.mockResolvedValue({ notifications: [unread, read], unreadCount: 1 });
+  });
+
+  afterAll(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('shows the unread count on the bell', async () => {
+    render(<NotificationBell onOpenBug={jest.fn()} />);
+
+    expect(await screen.findByTestId('notification-badge')).toHaveTextContent('1');
+    expect(screen.getByTestId('notification-bell')).toHaveAttribute('aria-label', 'Notifications (1 unread)');
+  });
+
+  it('hides the badge when nothing is unread', async () => {
+    getUnreadNotificationCount.mockResolvedValue({ unreadCount: 0 });
+    render(<NotificationBell onOpenBug={jest.fn()} />);
+
+    await waitFor(() => expect(getUnreadNotificationCount).toHaveBeenCalled());
+    expect(screen.queryByTestId('notification-badge')).not.toBeInTheDocument();
+  });
+
+  it('checks the unread count again every so often', async () => {
+    jest.useFakeTimers();
+    try {
+      render(<NotificationBell onOpenBug={jest.fn()} />);
+      await waitFor(() => expect(getUnreadNotificationCount).toHaveBeenCalledTimes(1));
+
+      await act(async () => {
+        jest.advanceTimersByTime(POLL_MS);
+      });
+      expect(getUnreadNotificationCount).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('lists notifications in the inbox, marking the unread ones', async () => {
+    render(<NotificationBell onOpenBug={jest.fn()} />);
+    fireEvent.click(screen.getByTestId('notification-bell'));
+
+    const item = await screen.findByTestId('notification-n1');
+    expect(item).toHaveTextContent('WEB-1 Login fails');
+    expect(item).toHaveTextContent('alice changed status from open to closed');
+    expect(item).toHaveClass('notification-unread');
+    expect(screen.getByTestId('notification-n2')).not.toHaveClass('notification-unread');
+    expect(getNotifications).toHaveBeenCalledWith({ limit: 20 });
+  });
+
+  it('opens the bug and marks the notification read', async () => {
+    const onOpenBug = jest.fn();
+    markNotificationRead.mockResolvedValue({ ...unread, readAt: '2024-03-02T10:00:00.000Z' });
+    render(<NotificationBell onOpenBug={onOpenBug} />);
+    fireEvent.click(screen.getByTestId('notification-bell'));
+
+    const link = await screen.findByRole('link', { name: /Login fails/ });
+    expect(link).toHaveAttribute('href', '#bug-b1');
+    fireEvent.click(link);
+
+    expect(onOpenBug).toHaveBeenCalledWith('b1');
+    await waitFor(() => expect(markNotificationRead).toHaveBeenCalledWith('n1'));
+    await waitFor(() => expect(screen.queryByTestId('notification-badge')).not.toBeInTheDocument());
+    expect(screen.queryByTestId('notification-panel')).not.toBeInTheDocument();
+  });
+
+  it('does not mark read notifications again', async () => {
+    const onOpenBug = jest.fn();
+    render(<NotificationBell onOpenBug={onOpenBug} />);
+    fireEvent.click(screen.getByTestId('notification-bell'));
+
+    fireEvent.click(await screen.findByRole('link', { name: /Slow search/ }));
+
+    expect(onOpenBug).toHaveBeenCalledWith('b2');
+    expect(markNotificationRead).not.toHaveBeenCalled();
+  });
+
+  it('marks every notification read', async () => {
+    markAllNotificationsRead.mockResolvedValue({ updated: 1 });
+    render(<NotificationBell onOpenBug={jest.fn()} />);
+    fireEvent.click(screen.getByTestId('notification-bell'));
+    await screen.findByTestId('notification-n1');
+
+    fireEvent.click(screen.getByTestId('mark-all-read-button'));
+
+    await waitFor(() => expect(screen.getByTestId('notification-n1')).not.toHaveClass('notification-unread'));
+    expect(screen.queryByTestId('notification-badge')).not.toBeInTheDocument();
+    expect(screen.getByTestId('mark-all-read-button')).toBeDisabled();
+  });
+
+  it('shows an empty inbox and load errors', async () => {
+    getNotifications.mockResolvedValueOnce({ notifications: [], unreadCount: 0 });
+    render(<NotificationBell onOpenBug={jest.fn()} />);
+    fireEvent.click(screen.getByTestId('notification-bell'));
+    expect(await screen.findByTestId('notifications-empty')).toBeInTheDocument();
+
+    getNotifications.mockRejectedValueOnce(new Error('Network error'));
+    fireEvent.click(screen.getByTestId('notification-bell'));
+    fireEvent.click(screen.getByTestId('notification-bell'));
+    expect(await screen.findByTestId('notifications-error')).toHaveTextContent('Failed to load notifications.');
+  });
+});
@@ -0,0 +1,67 @@
+// ProjectSwitcher.test.jsx - Unit tests for ProjectSwitcher component
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ProjectSwitcher from '../../components/ProjectSwitcher';
+import { getProjects } from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const projects = [
+  { _id: '1', key: 'APP', name: 'Mobile App' },
+  { _id: '2', key: 'WEB', name: 'Web App' }
+];
+
+describe('ProjectSwitcher Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('lists all projects after an option for all of them', async () => {
+    getProjects.mockResolvedValue({ projects });
+
+    render(<ProjectSwitcher value="" onChange={jest.fn()} />);
+
+    expect(await screen.findByRole('option', { name: 'WEB - Web App' })).toBeInTheDocument();
+    expect(screen.getAllByRole('option').map(option => option.value)).toEqual(['', 'APP', 'WEB']);
+    expect(screen.getByTestId('project-select')).toHaveValue('');
+  });
+
+  it('reports the key of the chosen project', async () => {
+    getProjects.mockResolvedValue({ projects });
+    const onChange = jest.fn();
+
+    render(<ProjectSwitcher value="" onChange={onChange} />);
+    await screen.findByRole('option', { name: 'APP - Mobile App' });
+
+    fireEvent.change(screen.getByTestId('project-select'), { target: { value: 'APP' } });
+
+    expect(onChange).toHaveBeenCalledWith('APP');
+  });
+
+  it('shows the selected project', async () => {
+    getProjects.mockResolvedValue({ projects });
+
+    render(<ProjectSwitcher value="WEB" onChange={jest.fn()} />);
+    await screen.findByRole('option', { name: 'WEB - Web App' });
+
+    expect(screen.getByTestId('project-select')).toHaveValue('WEB');
+  });
+
+  it('still offers all projects when loading them fails', async () => {
+    getProjects.mockRejectedValue(new Error('Network error'));
+
+    render(<ProjectSwitcher value="" onChange={jest.fn()} />);
+
+    expect(await screen.findByTestId('project-error')).toHaveTextContent('Failed to load projects.');
+    expect(screen.getAllByRole('option')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,68 @@
+// QueryBar.test.jsx - Unit tests for QueryBar component
+
+import React, { useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import QueryBar from '../../components/QueryBar';
+
+// QueryBar is controlled, so tests drive it through a small stateful wrapper
+const ControlledQueryBar = (props) => {
+  const [value, setValue] = useState('');
+  return <QueryBar value={value} onChange={setValue} {...props} />;
+};
+
+describe('QueryBar Component', () => {
+  it('shows field hints while typing and completes them', () => {
+    render(<ControlledQueryBar />);
+
+    const input = screen.getByTestId('search-filter');
+    fireEvent.focus(input);
+    fireEvent.change(input, { target: { value: 'pri', selectionStart: 3 } });
+
+    expect(screen.getByTestId('query-hints')).toBeInTheDocument();
+    fireEvent.mouseDown(screen.getByTestId('query-hint-priority:'));
+
+    expect(input).toHaveValue('priority:');
+  });
+
+  it('shows value hints for a field', () => {
+    render(<ControlledQueryBar />);
+
+    const input = screen.getByTestId('search-filter');
+    fireEvent.focus(input);
+    fireEvent.change(input, { target: { value: 'status:', selectionStart: 7 } });
+
+    expect(screen.getByTestId('query-hint-open')).toBeInTheDocument();
+    expect(screen.getByTestId('query-hint-closed')).toBeInTheDocument();
+  });
+
+  it('hides hints when the input loses focus', () => {
+    render(<ControlledQueryBar />);
+
+    const input = screen.getByTestId('search-filter');
+    fireEvent.focus(input);
+    fireEvent.change(input, { target: { value: 'ta', selectionStart: 2 } });
+    fireEvent.blur(input);
+
+    expect(screen.queryByTestId('query-hints')).not.toBeInTheDocument();
+  });
+
+  it('points at the part of the query the server rejected', () => {
+    const queryError = {
+      query: 'tag:ui priority:urgent',
+      errors: [{ message: 'Unknown priority "urgent"', position: 7, length: 15 }]
+    };
+    render(<QueryBar value="tag:ui priority:urgent" onChange={jest.fn()} queryError={queryError} />);
+
+    expect(screen.getByTestId('query-error')).toHaveTextContent('Unknown priority "urgent" (at character 8)');
+    expect(screen.getByTestId('query-error-context')).toHaveTextContent('tag:ui priority:urgent');
+    expect(screen.getByText('priority:urgent')).toBeInTheDocument();
+    expect(screen.queryByTestId('query-help')).not.toBeInTheDocument();
+  });
+
+  it('shows syntax help when there is no error', () => {
+    render(<QueryBar value="" onChange={jest.fn()} />);
+
+    expect(screen.getByTestId('query-help')).toHaveTextContent('status:open,in-progress');
+  });
+});
@@ -0,0 +1,54 @@
+// Toast.test.jsx - Unit tests for Toast component
+
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Toast from '../../components/Toast';
+
+describe('Toast Component', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('shows the message and runs the action', () => {
+    const onAction = jest.fn();
+    render(<Toast message="Bug moved to trash." actionLabel="Undo" onAction={onAction} onDismiss={jest.fn()} />);
+
+    expect(screen.getByTestId('toast')).toHaveTextContent('Bug moved to trash.');
+    fireEvent.click(screen.getByTestId('toast-action'));
+    expect(onAction).toHaveBeenCalled();
+  });
+
+  it('has no action button without an action', () => {
+    render(<Toast message="Saved." onDismiss={jest.fn()} />);
+
+    expect(screen.queryByTestId('toast-action')).not.toBeInTheDocument();
+  });
+
+  it('dismisses itself after the duration', () => {
+    const onDismiss = jest.fn();
+    render(<Toast message="Bug moved to trash." onDismiss={onDismiss} duration={5000} />);
+
+    act(() => {
+      jest.advanceTimersByTime(4999);
+    });
+    expect(onDismiss).not.toHaveBeenCalled();
+
+    act(() => {
+      jest.advanceTimersByTime(1);
+    });
+    expect(onDismiss).toHaveBeenCalledTimes(1);
+  });
+
+  it('can be dismissed by hand', () => {
+    const onDismiss = jest.fn();
+    render(<Toast message="Bug moved to trash." onDismiss={onDismiss} />);
+
+    fireEvent.click(screen.getByTestId('toast-dismiss'));
+    expect(onDismiss).toHaveBeenCalled();
+  });
+});
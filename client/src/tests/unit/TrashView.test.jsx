@@ -0,0 +1,121 @@
+// TrashView.test.jsx - Unit tests for TrashView component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TrashView from '../../components/TrashView';
+import { getTrash, restoreBug } from '../../services/api';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const trashedBug = {
+  _id: '507f1f77bcf86cd799439011',
+  title: 'Deleted Bug',
+  description: 'No longer needed',
+  status: 'open',
+  priority: 'low',
+  deletedAt: '2026-01-01T10:00:00.000Z',
+  deletedBy: 'jdoe'
+};
+
+describe('TrashView Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('lists trashed bugs with who deleted them and when they will be purged', async () => {
+    getTrash.mockResolvedValue({
+      bugs: [trashedBug],
+      retentionDays: 30,
+      pagination: { page: 1, pages: 1, limit: 20, total: 1 }
+    });
+
+    render(<TrashView />);
+
+    const item = await screen.findByTestId(`trash-item-${trashedBug._id}`);
+    expect(item).toHaveTextContent('Deleted Bug');
+    expect(item).toHaveTextContent('Deleted by jdoe on Jan 1, 2026');
+    expect(item).toHaveTextContent('removed for good on Jan 31, 2026');
+    expect(screen.getByText('Trash (1)')).toBeInTheDocument();
+  });
+
+  it('shows an empty state', async () => {
+    getTrash.mockResolvedValue({
+      bugs: [],
+      retentionDays: 30,
+      pagination: { page: 1, pages: 0, limit: 20, total: 0 }
+    });
+
+    render(<TrashView />);
+
+    expect(await screen.findByTestId('trash-empty')).toBeInTheDocument();
+  });
+
+  it('restores a bug and hands it back', async () => {
+    const onRestored = jest.fn();
+    const restored = { ...trashedBug, deletedAt: null, deletedBy: null };
+    getTrash.mockResolvedValue({
+      bugs: [trashedBug],
+      retentionDays: 30,
+      pagination: { page: 1, pages: 1, limit: 20, total: 1 }
+    });
+    restoreBug.mockResolvedValue(restored);
+
+    render(<TrashView onRestored={onRestored} />);
+
+    fireEvent.click(await screen.findByTestId(`restore-bug-${trashedBug._id}`));
+
+    await waitFor(() => {
+      expect(onRestored).toHaveBeenCalledWith(restored);
+    });
+    expect(restoreBug).toHaveBeenCalledWith(trashedBug._id);
+    expect(screen.queryByTestId(`trash-item-${trashedBug._id}`)).not.toBeInTheDocument();
+    expect(screen.getByText('Trash (0)')).toBeInTheDocument();
+  });
+
+  it('keeps the bug and shows an error when restoring fails', async () => {
+    getTrash.mockResolvedValue({
+      bugs: [trashedBug],
+      retentionDays: 30,
+      pagination: { page: 1, pages: 1, limit: 20, total: 1 }
+    });
+    restoreBug.mockRejectedValue(new Error('Network error'));
+
+    render(<TrashView />);
+
+    fireEvent.click(await screen.findByTestId(`restore-bug-${trashedBug._id}`));
+
+    expect(await screen.findByTestId('trash-error')).toHaveTextContent('Failed to restore "Deleted Bug"');
+    expect(screen.getByTestId(`trash-item-${trashedBug._id}`)).toBeInTheDocument();
+  });
+
+  it('loads the next page', async () => {
+    const secondBug = { ...trashedBug, _id: '507f1f77bcf86cd799439012', title: 'Another Bug' };
+    getTrash
+      .mockResolvedValueOnce({
+        bugs: [trashedBug],
+        retentionDays: 30,
+        pagination: { page: 1, pages: 2, limit: 1, total: 2 }
+      })
+      .mockResolvedValueOnce({
+        bugs: [secondBug],
+        retentionDays: 30,
+        pagination: { page: 2, pages: 2, limit: 1, total: 2 }
+      });
+
+    render(<TrashView />);
+
+    fireEvent.click(await screen.findByTestId('trash-load-more'));
+
+    expect(await screen.findByTestId(`trash-item-${secondBug._id}`)).toBeInTheDocument();
+    expect(getTrash).toHaveBeenLastCalledWith({ page: 2 });
+    expect(screen.getByTestId(`trash-item-${trashedBug._id}`)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,60 @@
+// api.test.js - Unit tests for the correlation IDs the API service sends
+
+import { getBug, createBug, uploadAttachments, createCorrelationId } from '../../services/api';
+
+describe('API correlation IDs', () => {
+  const originalFetch = global.fetch;
+  let consoleLogSpy;
+  let consoleErrorSpy;
+
+  const mockResponse = (status, data) => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: status < 400, status, json: () => Promise.resolve(data) });
+  };
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('sends a new ID with every request', async () => {
+    mockResponse(200, { _id: 'bug-1' });
+
+    await getBug('bug-1');
+    await getBug('bug-1');
+
+    const [first, second] = global.fetch.mock.calls.map(([, config]) => config.headers['X-Request-Id']);
+    expect(first).toMatch(/^[\w.:-]{1,128}$/);
+    expect(second).not.toBe(first);
+  });
+
+  it('sends the requests of one action under its ID', async () => {
+    mockResponse(201, { _id: 'bug-1' });
+    const correlationId = createCorrelationId();
+
+    await createBug({ title: 'Checkout fails' }, { correlationId });
+    await uploadAttachments('bug-1', [new File(['log'], 'log.txt')], { correlationId });
+
+    const sent = global.fetch.mock.calls.map(([, config]) => config.headers['X-Request-Id']);
+    expect(sent).toEqual([correlationId, correlationId]);
+  });
+
+  it('puts the ID the server logged on errors', async () => {
+    mockResponse(404, { error: 'Bug not found', requestId: 'server-ref' });
+
+    await expect(getBug('missing')).rejects.toMatchObject({ status: 404, correlationId: 'server-ref' });
+  });
+
+  it('puts the sent ID on network errors', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const error = await getBug('bug-1').catch(err => err);
+
+    expect(error.correlationId).toBe(global.fetch.mock.calls[0][1].headers['X-Request-Id']);
+  });
+});
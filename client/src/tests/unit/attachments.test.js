@@ -0,0 +1,65 @@
+// attachments.test.js - Unit tests for attachment file checks
+
+import {
+  MAX_ATTACHMENT_BYTES,
+  checkAttachmentFiles,
+  formatFileSize,
+  isImage,
+  namePastedImage
+} from '../../utils/attachments';
+
+// Creates a file of the given size without allocating its contents
+const makeFile = (name, type, size = 10) => {
+  const file = new File(['x'], name, { type });
+  Object.defineProperty(file, 'size', { value: size });
+  return file;
+};
+
+describe('attachment helpers', () => {
+  it('formats file sizes', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(3.25 * 1024 * 1024)).toBe('3.3 MB');
+  });
+
+  it('recognises images from files and attachments', () => {
+    expect(isImage({ type: 'image/png' })).toBe(true);
+    expect(isImage({ mimeType: 'image/jpeg' })).toBe(true);
+    expect(isImage({ type: 'text/plain' })).toBe(false);
+  });
+
+  it('accepts known types, including HAR and log files with no type', () => {
+    const files = [makeFile('shot.png', 'image/png'), makeFile('network.har', ''), makeFile('server.log', '')];
+
+    expect(checkAttachmentFiles(files)).toEqual({ accepted: files, errors: [] });
+  });
+
+  it('explains why files are turned away', () => {
+    const result = checkAttachmentFiles([
+      makeFile('page.html', 'text/html'),
+      makeFile('huge.png', 'image/png', MAX_ATTACHMENT_BYTES + 1),
+      makeFile('ok.txt', 'text/plain')
+    ]);
+
+    expect(result.accepted.map(file => file.name)).toEqual(['ok.txt']);
+    expect(result.errors).toEqual([
+      "page.html: this file type can't be attached",
+      'huge.png: files cannot exceed 10 MB'
+    ]);
+  });
+
+  it('limits how many files wait for upload', () => {
+    const files = [makeFile('a.txt', 'text/plain'), makeFile('b.txt', 'text/plain')];
+    const result = checkAttachmentFiles(files, 4);
+
+    expect(result.accepted.map(file => file.name)).toEqual(['a.txt']);
+    expect(result.errors).toEqual(['b.txt: attach at most 5 files at a time']);
+  });
+
+  it('names pasted images after when they were pasted', () => {
+    const pasted = namePastedImage(makeFile('image.png', 'image/png'), new Date('2026-01-31T14:05:09Z'));
+
+    expect(pasted.name).toBe('pasted-2026-01-31-14-05-09.png');
+    expect(pasted.type).toBe('image/png');
+  });
+});
@@ -0,0 +1,31 @@
+// charts.test.js - Unit tests for chart helpers
+
+import { getNiceMax, getTicks, getLinePoints, formatDuration } from '../../utils/charts';
+
+describe('chart helpers', () => {
+  it('rounds the top of an axis up to 1, 2 or 5 times a power of ten', () => {
+    expect(getNiceMax(0)).toBe(1);
+    expect(getNiceMax(3)).toBe(5);
+    expect(getNiceMax(7)).toBe(10);
+    expect(getNiceMax(12)).toBe(20);
+    expect(getNiceMax(200)).toBe(200);
+  });
+
+  it('lists whole-number ticks from zero to the top', () => {
+    expect(getTicks(20)).toEqual([0, 5, 10, 15, 20]);
+    expect(getTicks(2)).toEqual([0, 1, 2]);
+  });
+
+  it('spreads points across the width, with zero at the bottom', () => {
+    expect(getLinePoints([0, 5, 10], { width: 100, height: 50, max: 10 })).toBe('0,50 50,25 100,0');
+    expect(getLinePoints([5], { width: 100, height: 50, max: 10 })).toBe('50,25');
+  });
+
+  it('describes durations in minutes, hours or days', () => {
+    expect(formatDuration(null)).toBe('—');
+    expect(formatDuration(0.5)).toBe('30 min');
+    expect(formatDuration(5.25)).toBe('5.3 hours');
+    expect(formatDuration(1)).toBe('1 hour');
+    expect(formatDuration(84)).toBe('3.5 days');
+  });
+});
@@ -0,0 +1,42 @@
+// diff.test.js - Unit tests for the word diff utility
+
+import { diffWords } from '../../utils/diff';
+
+describe('diffWords', () => {
+  it('returns a single equal part for identical text', () => {
+    expect(diffWords('same text', 'same text')).toEqual([{ type: 'equal', value: 'same text' }]);
+  });
+
+  it('detects inserted words', () => {
+    expect(diffWords('crash on save', 'crash on every save')).toEqual([
+      { type: 'equal', value: 'crash on ' },
+      { type: 'insert', value: 'every ' },
+      { type: 'equal', value: 'save' }
+    ]);
+  });
+
+  it('detects deleted and replaced words', () => {
+    expect(diffWords('button is red', 'button is blue')).toEqual([
+      { type: 'equal', value: 'button is ' },
+      { type: 'delete', value: 'red' },
+      { type: 'insert', value: 'blue' }
+    ]);
+  });
+
+  it('handles empty input on either side', () => {
+    expect(diffWords('', 'new text')).toEqual([{ type: 'insert', value: 'new text' }]);
+    expect(diffWords('old text', '')).toEqual([{ type: 'delete', value: 'old text' }]);
+    expect(diffWords(undefined, undefined)).toEqual([]);
+  });
+
+  it('rebuilds both texts from the parts', () => {
+    const oldText = 'The app crashes when the user clicks save twice';
+    const newText = 'The app freezes when a user clicks save';
+    const parts = diffWords(oldText, newText);
+
+    const rebuiltOld = parts.filter(p => p.type !== 'insert').map(p => p.value).join('');
+    const rebuiltNew = parts.filter(p => p.type !== 'delete').map(p => p.value).join('');
+    expect(rebuiltOld).toBe(oldText);
+    expect(rebuiltNew).toBe(newText);
+  });
+});
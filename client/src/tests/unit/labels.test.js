@@ -0,0 +1,34 @@
+// labels.test.js - Unit tests for label helpers
+
+import { MAX_LABEL_SUGGESTIONS, findLabel, getLabelStyle, suggestLabels } from '../../utils/labels';
+
+const labels = [
+  { name: 'UI', color: '#d73a4a' },
+  { name: 'UX', color: '#fbca04' },
+  { name: 'Needs Repro', color: '#0e8a16' },
+  { name: 'unused', color: '#cccccc', archived: true }
+];
+
+describe('label helpers', () => {
+  it('finds labels ignoring case and extra whitespace', () => {
+    expect(findLabel(labels, ' ui ')).toBe(labels[0]);
+    expect(findLabel(labels, 'needs   repro')).toBe(labels[2]);
+    expect(findLabel(labels, 'backend')).toBeUndefined();
+  });
+
+  it('suggests active labels starting with the input that are not chosen yet', () => {
+    expect(suggestLabels(labels, 'u', ['UI']).map(label => label.name)).toEqual(['UX']);
+    expect(suggestLabels(labels, 'NEEDS').map(label => label.name)).toEqual(['Needs Repro']);
+  });
+
+  it('limits the number of suggestions', () => {
+    const many = Array.from({ length: 20 }, (_, index) => ({ name: `label-${index}` }));
+    expect(suggestLabels(many, 'label')).toHaveLength(MAX_LABEL_SUGGESTIONS);
+  });
+
+  it('picks readable text for the label color', () => {
+    expect(getLabelStyle(labels[0])).toEqual({ background: '#d73a4a', color: '#ffffff' });
+    expect(getLabelStyle(labels[1])).toEqual({ background: '#fbca04', color: '#212529' });
+    expect(getLabelStyle(undefined)).toEqual({});
+  });
+});
@@ -0,0 +1,29 @@
+// links.test.js - Unit tests for link helpers
+
+import { LINK_OPTIONS, findLinkOption, groupLinks } from '../../utils/links';
+
+const link = (id, relation) => ({ _id: id, relation, bug: { _id: `b${id}`, title: `Bug ${id}` } });
+
+describe('link helpers', () => {
+  it('offers each relation once', () => {
+    const relations = LINK_OPTIONS.map(option => option.relation);
+    expect(new Set(relations).size).toBe(relations.length);
+  });
+
+  it('finds the type and direction of an option', () => {
+    expect(findLinkOption('parent:inward')).toMatchObject({ type: 'parent', direction: 'inward', relation: 'is child of' });
+    expect(findLinkOption('unknown')).toBeUndefined();
+  });
+
+  it('groups links by relation in the order the options are listed', () => {
+    const groups = groupLinks([link(1, 'relates to'), link(2, 'blocks'), link(3, 'relates to')]);
+
+    expect(groups.map(group => group.relation)).toEqual(['blocks', 'relates to']);
+    expect(groups[1].links.map(item => item._id)).toEqual([1, 3]);
+  });
+
+  it('keeps relations it does not know at the end', () => {
+    const groups = groupLinks([link(1, 'mentions'), link(2, 'is child of')]);
+    expect(groups.map(group => group.relation)).toEqual(['is child of', 'mentions']);
+  });
+});
@@ -0,0 +1,32 @@
+// permissions.test.js - Unit tests for the client-side permission helpers
+
+import { can, ownsBug } from '../../utils/permissions';
+
+const bug = { reporter: 'jsmith', assignee: 'jdoe' };
+
+const reporter = {
+  username: 'jsmith',
+  permissions: { 'bug:create': 'any', 'bug:edit': 'own' }
+};
+
+describe('permissions', () => {
+  it('treats reporters and assignees as owners', () => {
+    expect(ownsBug({ username: 'jsmith' }, bug)).toBe(true);
+    expect(ownsBug({ username: 'jdoe' }, bug)).toBe(true);
+    expect(ownsBug({ username: 'someone' }, bug)).toBe(false);
+  });
+
+  it('allows actions with an any scope', () => {
+    expect(can(reporter, 'bug:create')).toBe(true);
+  });
+
+  it('limits own-scoped actions to owned bugs', () => {
+    expect(can(reporter, 'bug:edit', bug)).toBe(true);
+    expect(can({ ...reporter, username: 'someone' }, 'bug:edit', bug)).toBe(false);
+  });
+
+  it('denies actions that are not listed', () => {
+    expect(can(reporter, 'bug:delete', bug)).toBe(false);
+    expect(can(null, 'bug:create')).toBe(false);
+  });
+});
@@ -0,0 +1,32 @@
+// query.test.js - Unit tests for the query language hints
+
+import { getTermAt, getQueryHints, applyQueryHint } from '../../utils/query';
+
+describe('query hints', () => {
+  it('finds the term around the cursor', () => {
+    expect(getTermAt('status:open pri', 15)).toEqual({ start: 12, end: 15, prefix: 'pri' });
+    expect(getTermAt('status:open pri', 3)).toEqual({ start: 0, end: 11, prefix: 'sta' });
+  });
+
+  it('suggests field names', () => {
+    expect(getQueryHints('crash pr', 8).map(hint => hint.insert)).toEqual(['priority:']);
+    expect(getQueryHints('-ta', 3).map(hint => hint.insert)).toEqual(['-tag:']);
+  });
+
+  it('suggests values after the operator and earlier list values', () => {
+    expect(getQueryHints('priority:>=h', 12).map(hint => hint.insert)).toEqual(['priority:>=high']);
+    expect(getQueryHints('status:open,in', 14).map(hint => hint.insert)).toEqual(['status:open,in-progress']);
+  });
+
+  it('suggests nothing for unknown fields or complete values', () => {
+    expect(getQueryHints('owner:', 6)).toEqual([]);
+    expect(getQueryHints('status:open', 11)).toEqual([]);
+  });
+
+  it('replaces the term around the cursor', () => {
+    expect(applyQueryHint('crash pr tag:ui', 8, 'priority:')).toEqual({
+      value: 'crash priority: tag:ui',
+      cursor: 15
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// stream.test.js - Unit tests for following the live bug stream
+
+import {
+  RECONNECT_MAX_MS,
+  createEventStreamParser,
+  getReconnectDelay,
+  applyBugEvent
+} from '../../utils/stream';
+
+describe('createEventStreamParser', () => {
+  it('parses messages split across chunks', () => {
+    const onMessage = jest.fn();
+    const push = createEventStreamParser(onMessage);
+
+    push('id: abc-1\nevent: bug.upd');
+    push('ated\ndata: {"bug":{"_id":"b1"}}\n');
+    expect(onMessage).not.toHaveBeenCalled();
+
+    push('\nid: abc-2\r\nevent: bug.deleted\r\ndata: {"bug":{"_id":"b2"}}\r\n\r\n');
+
+    expect(onMessage.mock.calls.map(([message]) => message)).toEqual([
+      { id: 'abc-1', event: 'bug.updated', data: { bug: { _id: 'b1' } } },
+      { id: 'abc-2', event: 'bug.deleted', data: { bug: { _id: 'b2' } } }
+    ]);
+  });
+
+  it('skips heartbeat comments and joins multi-line data', () => {
+    const onMessage = jest.fn();
+    const push = createEventStreamParser(onMessage);
+
+    push(': heartbeat\n\nevent: ready\ndata: {\ndata: "ok": true}\n\n');
+
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage).toHaveBeenCalledWith({ id: undefined, event: 'ready', data: { ok: true } });
+  });
+});
+
+describe('getReconnectDelay', () => {
+  it('doubles the delay with each attempt, up to a maximum', () => {
+    expect([0, 1, 2, 3].map(getReconnectDelay)).toEqual([1000, 2000, 4000, 8000]);
+    expect(getReconnectDelay(20)).toBe(RECONNECT_MAX_MS);
+  });
+});
+
+describe('applyBugEvent', () => {
+  const bugs = [
+    { _id: 'b1', key: 'WEB-1', title: 'Login fails', status: 'open', milestone: null },
+    { _id: 'b2', key: 'WEB-2', title: 'Slow search', status: 'open', milestone: 'm1' }
+  ];
+
+  it('replaces updated bugs in place', () => {
+    const updated = { ...bugs[1], status: 'closed' };
+    const result = applyBugEvent(bugs, { event: 'bug.updated', data: { bug: updated } });
+
+    expect(result).toEqual([bugs[0], updated]);
+  });
+
+  it('removes deleted bugs', () => {
+    expect(applyBugEvent(bugs, { event: 'bug.deleted', data: { bug: bugs[0] } })).toEqual([bugs[1]]);
+  });
+
+  it('leaves the list alone for bugs it does not show', () => {
+    const other = { _id: 'b9', title: 'Elsewhere' };
+
+    expect(applyBugEvent(bugs, { event: 'bug.updated', data: { bug: other } })).toBe(bugs);
+    expect(applyBugEvent(bugs, { event: 'bug.deleted', data: { bug: other } })).toBe(bugs);
+  });
+
+  it('adds new and restored bugs at the top when they match the list', () => {
+    const created = { _id: 'b3', key: 'WEB-3', title: 'Broken footer', milestone: null };
+
+    expect(applyBugEvent(bugs, { event: 'bug.created', data: { bug: created } })).toEqual([created, ...bugs]);
+    expect(applyBugEvent(bugs, { event: 'bug.restored', data: { bug: created } }, { project: 'WEB' }))
+      .toEqual([created, ...bugs]);
+    expect(applyBugEvent(bugs, { event: 'bug.created', data: { bug: bugs[0] } })).toBe(bugs);
+  });
+
+  it('leaves out new bugs outside the project, milestone or search', () => {
+    const created = { _id: 'b3', key: 'API-3', title: 'Timeout', milestone: 'm1' };
+    const message = { event: 'bug.created', data: { bug: created } };
+
+    expect(applyBugEvent(bugs, message, { project: 'WEB' })).toBe(bugs);
+    expect(applyBugEvent(bugs, message, { milestone: 'none' })).toBe(bugs);
+    expect(applyBugEvent(bugs, message, { milestone: 'm2' })).toBe(bugs);
+    expect(applyBugEvent(bugs, message, { q: 'timeout' })).toBe(bugs);
+    expect(applyBugEvent(bugs, message, { milestone: 'm1' })).toEqual([created, ...bugs]);
+  });
+});
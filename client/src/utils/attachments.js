@@ -0,0 +1,89 @@
+// attachments.js - Checks and formatting for attachment files
+//
+// The server has the final say on uploads; these limits mirror its defaults so
+// the form can point out a bad file before anything is sent.
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const MAX_ATTACHMENT_FILES = 5;
+
+// Types the server accepts, plus extensions browsers often give no type for
+export const ACCEPTED_ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'application/json',
+  'application/har+json',
+  'application/pdf',
+  'application/zip',
+  '.har',
+  '.log',
+  '.txt',
+  '.json'
+];
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. '512 B', '1.5 KB', '3.2 MB'
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024 * 10) / 10} KB`;
+  return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+};
+
+/**
+ * Checks whether a file or attachment is an image
+ * @param {object} file - File ({ type }) or attachment ({ mimeType })
+ * @returns {boolean}
+ */
+export const isImage = (file) => (file.type || file.mimeType || '').startsWith('image/');
+
+/**
+ * Checks whether the server would take a file's type
+ * @param {File} file - File to check
+ * @returns {boolean}
+ */
+const isAcceptedType = (file) => {
+  const extension = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+  return ACCEPTED_ATTACHMENT_TYPES.includes(file.type) || ACCEPTED_ATTACHMENT_TYPES.includes(extension);
+};
+
+/**
+ * Splits files into ones that can be uploaded and reasons the rest can't
+ * @param {File[]} files - Files being added
+ * @param {number} alreadyAdded - Files already waiting to be uploaded
+ * @returns {object} - { accepted: File[], errors: string[] }
+ */
+export const checkAttachmentFiles = (files, alreadyAdded = 0) => {
+  const accepted = [];
+  const errors = [];
+
+  for (const file of files) {
+    if (!isAcceptedType(file)) {
+      errors.push(`${file.name}: this file type can't be attached`);
+    } else if (file.size > MAX_ATTACHMENT_BYTES) {
+      errors.push(`${file.name}: files cannot exceed ${formatFileSize(MAX_ATTACHMENT_BYTES)}`);
+    } else if (alreadyAdded + accepted.length >= MAX_ATTACHMENT_FILES) {
+      errors.push(`${file.name}: attach at most ${MAX_ATTACHMENT_FILES} files at a time`);
+    } else {
+      accepted.push(file);
+    }
+  }
+
+  return { accepted, errors };
+};
+
+/**
+ * Names pasted images, which all arrive as "image.png"
+ * @param {File} file - Image from the clipboard
+ * @param {Date} date - When it was pasted
+ * @returns {File} - Same image with a name like 'pasted-2026-01-31-14-05-09.png'
+ */
+export const namePastedImage = (file, date = new Date()) => {
+  const stamp = date.toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  const extension = file.type.split('/')[1] || 'png';
+  return new File([file], `pasted-${stamp}.${extension}`, { type: file.type });
+};
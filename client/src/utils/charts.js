@@ -0,0 +1,61 @@
+// charts.js - Scales and shapes for the dashboard's SVG charts
+//
+// Charts are drawn in their own coordinate space (a viewBox) and scaled by
+// CSS, so these helpers work in those units rather than in pixels.
+
+/**
+ * Rounds a maximum up to a value axis ticks divide evenly: 1, 2 or 5 times a power of ten
+ * @param {number} value - Largest value charted
+ * @returns {number} - Top of the axis, at least 1
+ */
+export const getNiceMax = (value) => {
+  if (!(value > 1)) return 1;
+
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+  return step * magnitude;
+};
+
+/**
+ * Lists evenly spaced tick values from zero to the top of an axis
+ * @param {number} max - Top of the axis, from getNiceMax
+ * @param {number} count - Most gaps between ticks
+ * @returns {number[]} - Whole-number ticks, zero first
+ */
+export const getTicks = (max, count = 4) => {
+  const step = Math.max(1, Math.ceil(max / count));
+  const ticks = [];
+
+  for (let tick = 0; tick <= max; tick += step) ticks.push(tick);
+  return ticks;
+};
+
+/**
+ * Places a series of values as the points of an SVG polyline, spread across the width
+ * @param {number[]} values - Values in order
+ * @param {object} size - { width, height, max } where max is the top of the axis
+ * @returns {string} - Points attribute, "x,y x,y ..."
+ */
+export const getLinePoints = (values, { width, height, max }) => {
+  const gap = values.length > 1 ? width / (values.length - 1) : 0;
+
+  return values
+    .map((value, index) => {
+      const x = values.length > 1 ? index * gap : width / 2;
+      const y = height - (value / max) * height;
+      return `${Math.round(x * 10) / 10},${Math.round(y * 10) / 10}`;
+    })
+    .join(' ');
+};
+
+/**
+ * Describes a length of time given in hours the way people say it
+ * @param {number|null} hours - Hours, or null when there is nothing to measure
+ * @returns {string} - Such as "45 min", "5.5 hours" or "3.2 days"
+ */
+export const formatDuration = (hours) => {
+  if (hours === null || hours === undefined) return '—';
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${Math.round(hours * 10) / 10} ${hours === 1 ? 'hour' : 'hours'}`;
+  return `${Math.round((hours / 24) * 10) / 10} days`;
+};
@@ -0,0 +1,64 @@
+// diff.js - Word-level text diff used to show long description edits
+
+/**
+ * Splits text into words while keeping the whitespace between them,
+ * so that joining the tokens gives back the original text
+ * @param {string} text - Text to split
+ * @returns {string[]} - Tokens
+ */
+const tokenize = (text) => (text ? text.match(/\s+|[^\s]+/g) : []);
+
+/**
+ * Computes a word-level diff between two strings using the longest common subsequence
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Array} - [{ type: 'equal' | 'insert' | 'delete', value: string }]
+ */
+export const diffWords = (oldText = '', newText = '') => {
+  const oldTokens = tokenize(oldText);
+  const newTokens = tokenize(newText);
+  const rows = oldTokens.length;
+  const cols = newTokens.length;
+
+  // lengths[i][j] = LCS length of oldTokens[i..] and newTokens[j..]
+  const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = oldTokens[i] === newTokens[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, value) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      parts.push({ type, value });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldTokens[i] === newTokens[j]) {
+      push('equal', oldTokens[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('delete', oldTokens[i]);
+      i++;
+    } else {
+      push('insert', newTokens[j]);
+      j++;
+    }
+  }
+  while (i < rows) push('delete', oldTokens[i++]);
+  while (j < cols) push('insert', newTokens[j++]);
+
+  return parts;
+};
+
+export default diffWords;
@@ -0,0 +1,58 @@
+// labels.js - Finding labels and showing them in their colors
+//
+// Label names match without regard to case or extra whitespace, as on the server.
+
+// Most suggestions the tag input offers at once
+export const MAX_LABEL_SUGGESTIONS = 8;
+
+const getLabelKey = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Finds the label a tag names
+ * @param {object[]} labels - Labels ({ name, color, archived })
+ * @param {string} name - Tag or typed name
+ * @returns {object|undefined} - Matching label
+ */
+export const findLabel = (labels, name) => {
+  const key = getLabelKey(name);
+  return labels.find(label => getLabelKey(label.name) === key);
+};
+
+/**
+ * Suggests active labels starting with what was typed, leaving out ones already chosen
+ * @param {object[]} labels - Labels ({ name, archived })
+ * @param {string} input - Typed text
+ * @param {string[]} chosen - Tags already on the bug
+ * @returns {object[]} - Labels to offer, at most MAX_LABEL_SUGGESTIONS
+ */
+export const suggestLabels = (labels, input, chosen = []) => {
+  const prefix = getLabelKey(input);
+  const chosenKeys = chosen.map(getLabelKey);
+
+  return labels
+    .filter(label => !label.archived)
+    .filter(label => getLabelKey(label.name).startsWith(prefix))
+    .filter(label => !chosenKeys.includes(getLabelKey(label.name)))
+    .slice(0, MAX_LABEL_SUGGESTIONS);
+};
+
+/**
+ * Gets the inline style for a label chip: its color, with text that stays readable on it
+ * @param {object} label - Label with a hex color such as #d73a4a
+ * @returns {object} - Style object, empty for tags without a label
+ */
+export const getLabelStyle = (label) => {
+  if (!label?.color) return {};
+
+  const red = parseInt(label.color.slice(1, 3), 16);
+  const green = parseInt(label.color.slice(3, 5), 16);
+  const blue = parseInt(label.color.slice(5, 7), 16);
+  // Perceived brightness (ITU-R BT.601)
+  const brightness = (red * 299 + green * 587 + blue * 114) / 1000;
+
+  return {
+    // The shorthand, so it replaces the default tag gradient
+    background: label.color,
+    color: brightness > 150 ? '#212529' : '#ffffff'
+  };
+};
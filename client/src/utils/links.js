@@ -0,0 +1,37 @@
+// links.js - Relations a bug can have to other bugs
+//
+// Each option names a link type and which end of it this bug is; the labels
+// match the relations the server reports for each link.
+
+export const LINK_OPTIONS = [
+  { value: 'blocks:outward', type: 'blocks', direction: 'outward', relation: 'blocks' },
+  { value: 'blocks:inward', type: 'blocks', direction: 'inward', relation: 'is blocked by' },
+  { value: 'parent:outward', type: 'parent', direction: 'outward', relation: 'is parent of' },
+  { value: 'parent:inward', type: 'parent', direction: 'inward', relation: 'is child of' },
+  { value: 'duplicates:outward', type: 'duplicates', direction: 'outward', relation: 'duplicates' },
+  { value: 'duplicates:inward', type: 'duplicates', direction: 'inward', relation: 'is duplicated by' },
+  { value: 'relates-to:outward', type: 'relates-to', direction: 'outward', relation: 'relates to' }
+];
+
+/**
+ * Finds the option for a select value
+ * @param {string} value - Option value such as blocks:inward
+ * @returns {object|undefined} - { type, direction, relation }
+ */
+export const findLinkOption = (value) => LINK_OPTIONS.find(option => option.value === value);
+
+/**
+ * Groups a bug's links by relation, in the order the options are listed
+ * @param {object[]} links - Links from the server ({ relation, bug })
+ * @returns {object[]} - [{ relation, links }], leaving out relations without links
+ */
+export const groupLinks = (links) => {
+  const relations = [...new Set([
+    ...LINK_OPTIONS.map(option => option.relation),
+    ...links.map(link => link.relation)
+  ])];
+
+  return relations
+    .map(relation => ({ relation, links: links.filter(link => link.relation === relation) }))
+    .filter(group => group.links.length > 0);
+};
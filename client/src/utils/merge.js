@@ -0,0 +1,63 @@
+// merge.js - Three-way merge of bug edits after a conflicting save
+//
+// "base" is the copy the user started editing, "mine" is what they tried to
+// save and "latest" is the server copy someone else saved in the meantime.
+
+export const MERGE_FIELDS = [
+  { field: 'title', label: 'Title' },
+  { field: 'description', label: 'Description' },
+  { field: 'status', label: 'Status' },
+  { field: 'priority', label: 'Priority' },
+  { field: 'assignee', label: 'Assignee' },
+  { field: 'tags', label: 'Tags' }
+];
+
+/**
+ * Normalizes a field value so that missing values and arrays compare equally
+ * @param {*} value - Field value
+ * @returns {string} - Comparable value
+ */
+const normalize = (value) => JSON.stringify(value ?? '');
+
+/**
+ * Compares both versions of every editable field
+ * @param {object} base - Bug the user started editing
+ * @param {object} mine - Data the user tried to save
+ * @param {object} latest - Current server copy
+ * @returns {Array} - [{ field, label, mine, latest, changedByMe, changedByThem, conflict }] for fields that differ
+ */
+export const getMergeFields = (base, mine, latest) => MERGE_FIELDS
+  .map(({ field, label }) => {
+    const changedByMe = normalize(mine[field]) !== normalize(base[field]);
+    const changedByThem = normalize(latest[field]) !== normalize(base[field]);
+
+    return {
+      field,
+      label,
+      mine: mine[field],
+      latest: latest[field],
+      changedByMe,
+      changedByThem,
+      conflict: changedByMe && changedByThem
+    };
+  })
+  .filter(entry => normalize(entry.mine) !== normalize(entry.latest));
+
+/**
+ * Picks the side to keep by default: the user's own edits, otherwise the latest copy
+ * @param {object} entry - Entry from getMergeFields
+ * @returns {string} - 'mine' or 'latest'
+ */
+export const getDefaultChoice = (entry) => (entry.changedByMe ? 'mine' : 'latest');
+
+/**
+ * Builds the data to save from the latest copy and the chosen side of each differing field
+ * @param {object} mine - Data the user tried to save
+ * @param {object} latest - Current server copy
+ * @param {object} choices - { [field]: 'mine' | 'latest' }
+ * @returns {object} - Bug data for the editable fields
+ */
+export const mergeBugEdits = (mine, latest, choices) => MERGE_FIELDS.reduce((merged, { field }) => {
+  merged[field] = choices[field] === 'mine' ? mine[field] : latest[field];
+  return merged;
+}, {});
@@ -0,0 +1,28 @@
+// permissions.js - Reads the permissions the server sends with the signed-in user
+//
+// The server enforces every rule; this only decides which controls to offer.
+
+/**
+ * Checks whether a user owns a bug, i.e. reported it or is assigned to it
+ * @param {object} user - Signed-in user
+ * @param {object} bug - Bug to check
+ * @returns {boolean} - True if the bug belongs to the user
+ */
+export const ownsBug = (user, bug) => {
+  return bug.reporter === user.username || bug.assignee === user.username;
+};
+
+/**
+ * Checks whether a user may perform an action, optionally on a specific bug
+ * @param {object} user - Signed-in user with a permissions map of action to 'any' or 'own'
+ * @param {string} action - Action name, e.g. 'bug:delete'
+ * @param {object} bug - Bug the action applies to
+ * @returns {boolean} - True if the action is allowed
+ */
+export const can = (user, action, bug = null) => {
+  const scope = user?.permissions?.[action];
+
+  if (!scope) return false;
+  if (scope === 'own' && bug) return ownsBug(user, bug);
+  return true;
+};
@@ -0,0 +1,110 @@
+// query.js - Syntax hints for the bug query language
+//
+// The server parses and validates queries; this only suggests what to type next.
+
+export const QUERY_FIELDS = {
+  status: {
+    description: 'Workflow status, e.g. status:open,in-progress',
+    values: ['open', 'in-progress', 'resolved', 'closed']
+  },
+  priority: {
+    description: 'Priority; compare with >, >=, < or <=, e.g. priority:>=high',
+    values: ['low', 'medium', 'high', 'critical']
+  },
+  resolution: {
+    description: 'Why a bug was resolved',
+    values: ['fixed', 'wont-fix', 'duplicate', 'cannot-reproduce', 'by-design']
+  },
+  assignee: {
+    description: 'Assigned user; "me" or "none"',
+    values: ['me', 'none']
+  },
+  reporter: {
+    description: 'User who reported the bug; "me" for yourself',
+    values: ['me']
+  },
+  tag: {
+    description: 'Tag, e.g. tag:ui or -tag:wontfix',
+    values: []
+  },
+  created: {
+    description: 'Creation date, e.g. created:>2026-01-01',
+    values: []
+  },
+  updated: {
+    description: 'Last update, e.g. updated:<=2026-01-31',
+    values: []
+  }
+};
+
+/**
+ * Finds the whitespace-separated term around the cursor
+ * @param {string} input - Query text
+ * @param {number} cursor - Cursor position
+ * @returns {object} - { start, end, prefix } where prefix is the part before the cursor
+ */
+export const getTermAt = (input, cursor) => {
+  const before = input.slice(0, cursor);
+  const start = before.search(/\S*$/);
+  const rest = input.slice(cursor).search(/\s/);
+  const end = rest === -1 ? input.length : cursor + rest;
+
+  return { start, end, prefix: input.slice(start, cursor) };
+};
+
+/**
+ * Suggests field names or values for the term being typed
+ * @param {string} input - Query text
+ * @param {number} cursor - Cursor position
+ * @returns {Array} - [{ label, insert, description }]
+ */
+export const getQueryHints = (input, cursor) => {
+  const { prefix } = getTermAt(input, cursor);
+  const negation = prefix.startsWith('-') ? '-' : '';
+  const term = prefix.slice(negation.length);
+  const colon = term.indexOf(':');
+
+  // Still typing the field name
+  if (colon === -1) {
+    const name = term.toLowerCase();
+    return Object.entries(QUERY_FIELDS)
+      .filter(([field]) => field.startsWith(name) && field !== name)
+      .map(([field, { description }]) => ({
+        label: `${field}:`,
+        insert: `${negation}${field}:`,
+        description
+      }));
+  }
+
+  const field = term.slice(0, colon).toLowerCase();
+  const definition = QUERY_FIELDS[field === 'tags' ? 'tag' : field];
+  if (!definition) return [];
+
+  // Keep the operator and any earlier values of a list, complete the last one
+  const [, operator, rest] = /^(>=|<=|>|<|=)?(.*)$/.exec(term.slice(colon + 1));
+  const listStart = rest.lastIndexOf(',') + 1;
+  const partial = rest.slice(listStart).toLowerCase();
+  const head = `${negation}${term.slice(0, colon + 1)}${operator || ''}${rest.slice(0, listStart)}`;
+
+  return definition.values
+    .filter(value => value.startsWith(partial) && value !== partial)
+    .map(value => ({
+      label: value,
+      insert: `${head}${value}`,
+      description: definition.description
+    }));
+};
+
+/**
+ * Replaces the term around the cursor with a hint
+ * @param {string} input - Query text
+ * @param {number} cursor - Cursor position
+ * @param {string} insert - Replacement term
+ * @returns {object} - { value, cursor } after the replacement
+ */
+export const applyQueryHint = (input, cursor, insert) => {
+  const { start, end } = getTermAt(input, cursor);
+  const value = `${input.slice(0, start)}${insert}${input.slice(end)}`;
+
+  return { value, cursor: start + insert.length };
+};
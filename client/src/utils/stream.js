@@ -0,0 +1,100 @@
+// stream.js - Following the live bug stream (GET /api/bugs/stream)
+//
+// The stream is read with fetch rather than EventSource, which can't send the
+// Authorization header, so its text/event-stream messages are parsed here.
+
+// Reconnecting waits 1s, then 2s, 4s... up to 30s
+export const RECONNECT_BASE_MS = 1000;
+export const RECONNECT_MAX_MS = 30000;
+
+// How long a bug someone else changed stays highlighted
+export const HIGHLIGHT_MS = 4000;
+
+/**
+ * Creates a parser for text/event-stream data that arrives in arbitrary chunks
+ * @param {Function} onMessage - Called with { id, event, data } for each message; data is parsed JSON
+ * @returns {Function} - Takes the next chunk of text
+ */
+export const createEventStreamParser = (onMessage) => {
+  let buffer = '';
+
+  const dispatch = (block) => {
+    const message = { id: undefined, event: 'message', data: [] };
+
+    block.split('\n').forEach(line => {
+      // Lines starting with a colon are comments, such as heartbeats
+      if (!line || line.startsWith(':')) return;
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+      if (field === 'data') message.data.push(value);
+      else if (field === 'id' || field === 'event') message[field] = value;
+    });
+
+    if (message.data.length === 0) return;
+
+    try {
+      onMessage({ ...message, data: JSON.parse(message.data.join('\n')) });
+    } catch (err) {
+      console.error('Ignoring malformed stream message:', err);
+    }
+  };
+
+  return (chunk) => {
+    buffer += chunk.replace(/\r\n?/g, '\n');
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  };
+};
+
+/**
+ * Works out how long to wait before reconnecting
+ * @param {number} attempt - Reconnects tried since the stream was last open, from 0
+ * @returns {number} - Delay in milliseconds
+ */
+export const getReconnectDelay = (attempt) => Math.min(RECONNECT_BASE_MS * 2 ** attempt, RECONNECT_MAX_MS);
+
+/**
+ * Checks whether a new bug belongs in the list as it is filtered
+ * @param {object} bug - Bug from the stream
+ * @param {object} params - The list's parameters ({ project, milestone, q })
+ * @returns {boolean} - False when the bug would not be listed, or that can't be told here
+ */
+const belongsInList = (bug, { project, milestone, q }) => {
+  // Queries are evaluated by the server, so matching bugs turn up on the next load
+  if (q) return false;
+  if (project && !(bug.key || '').startsWith(`${project}-`)) return false;
+  if (milestone === 'none') return !bug.milestone;
+  if (milestone) return bug.milestone === milestone;
+  return true;
+};
+
+/**
+ * Merges a message from the bug stream into the listed bugs
+ * @param {object[]} bugs - Bugs currently listed
+ * @param {object} message - { event, data: { bug } }
+ * @param {object} params - The list's parameters, to tell whether a new bug is listed
+ * @returns {object[]} - Updated bugs; the same array when nothing changed
+ */
+export const applyBugEvent = (bugs, { event, data }, params = {}) => {
+  const { bug } = data;
+  const index = bugs.findIndex(item => item._id === bug._id);
+
+  switch (event) {
+    case 'bug.updated':
+      if (index === -1) return bugs;
+      return bugs.map(item => (item._id === bug._id ? bug : item));
+    case 'bug.deleted':
+      if (index === -1) return bugs;
+      return bugs.filter(item => item._id !== bug._id);
+    case 'bug.created':
+    case 'bug.restored':
+      if (index !== -1 || !belongsInList(bug, params)) return bugs;
+      return [bug, ...bugs];
+    default:
+      return bugs;
+  }
+};
@@ -1,31 +1,22 @@
 // debug.js - Debugging utilities for the server
 
-const util = require('util');
+const { logger } = require('./src/logging');
 
 /**
- * Enhanced logging function with timestamps and levels
+ * Logs through the server's logger; kept for callers from before it existed
  * @param {string} level - Log level (info, warn, error, debug)
  * @param {string} message - Log message
- * @param {*} data - Additional data to log
+ * @param {*} data - Additional data to log; objects become the line's fields
  */
 function log(level, message, data = null) {
-  const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-
-  switch (level) {
-    case 'error':
-      console.error(logMessage, data ? util.inspect(data, { depth: 3 }) : '');
-      break;
-    case 'warn':
-      console.warn(logMessage, data ? util.inspect(data, { depth: 3 }) : '');
-      break;
-    case 'debug':
-      if (process.env.NODE_ENV === 'development') {
-        console.debug(logMessage, data ? util.inspect(data, { depth: 3 }) : '');
-      }
-      break;
-    default:
-      console.log(logMessage, data ? util.inspect(data, { depth: 3 }) : '');
+  const write = logger[level] || logger.info;
+
+  if (data === null || data === undefined) {
+    write(message);
+  } else if (data instanceof Error) {
+    write(message, { error: data });
+  } else {
+    write(message, typeof data === 'object' && !Array.isArray(data) ? data : { data });
   }
 }
 
@@ -36,9 +27,8 @@ function log(level, message, data = null) {
  * @param {Function} next - Next middleware function
  */
 function debugMiddleware(req, res, next) {
-  const start = Date.now();
-
-  log('info', `Request: ${req.method} ${req.url}`, {
+  // Secrets in headers and bodies are redacted by the logger
+  req.log.debug(`Request: ${req.method} ${req.originalUrl}`, {
     headers: req.headers,
     query: req.query,
     body: req.method !== 'GET' ? req.body : undefined
@@ -47,11 +37,10 @@ function debugMiddleware(req, res, next) {
   // Log response
   const originalSend = res.send;
   res.send = function(data) {
-    const duration = Date.now() - start;
-    log('info', `Response: ${res.statusCode} (${duration}ms)`, {
+    req.log.debug(`Response: ${res.statusCode}`, {
       contentLength: data ? data.length : 0
     });
-    originalSend.call(this, data);
+    return originalSend.call(this, data);
   };
 
   next();
@@ -141,8 +130,7 @@ const devTools = {
    */
   inspect: (obj, label = 'Object Inspection') => {
     if (process.env.NODE_ENV === 'development') {
-      console.log(`🔍 ${label}:`);
-      console.log(util.inspect(obj, { depth: 5, colors: true }));
+      logger.debug(label, { value: obj });
     }
   },
 
@@ -153,13 +141,14 @@ const devTools = {
    */
   time: async (label, fn) => {
     if (process.env.NODE_ENV === 'development') {
-      console.time(`⏱️  ${label}`);
+      const start = process.hrtime.bigint();
+      const logDuration = () => logger.debug(label, { durationMs: Number(process.hrtime.bigint() - start) / 1000000 });
       try {
         const result = await fn();
-        console.timeEnd(`⏱️  ${label}`);
+        logDuration();
         return result;
       } catch (error) {
-        console.timeEnd(`⏱️  ${label}`);
+        logDuration();
         throw error;
       }
     }
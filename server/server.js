@@ -1,12 +1,24 @@
 const app = require('./src/app');
+const { startTrashPurge } = require('./src/jobs/purgeTrash');
+const { startWebhookDelivery } = require('./src/jobs/deliverWebhooks');
+const { startEmailSending } = require('./src/jobs/sendEmails');
+const { logger } = require('./src/logging');
 
 const PORT = process.env.PORT || 5000;
 
 // Start server
 const server = app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Health check available at http://localhost:${PORT}/health`);
+  logger.info('Server running', { port: Number(PORT), health: `http://localhost:${PORT}/health` });
 });
 
+// Remove bugs that have been in the trash longer than the retention period
+startTrashPurge();
+
+// Send queued webhook deliveries and retry failed ones
+startWebhookDelivery();
+
+// Send batched bug emails and retry failed ones
+startEmailSending();
+
 // For testing purposes
 module.exports = server;
\ No newline at end of file
@@ -4,26 +4,48 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const { errorHandler, notFoundHandler, requestLogger } = require('./middleware/errorHandler');
+const { authenticate, requirePermission } = require('./middleware/auth');
 const { debugMiddleware, logMemoryUsage } = require('../debug');
+const { recordError, instrumentMongoClient } = require('./metrics');
+const { logger } = require('./logging');
+const metricsSettings = require('./config/metrics');
+const Bug = require('./models/Bug');
+const Label = require('./models/Label');
+const authRouter = require('./routes/auth');
 const bugsRouter = require('./routes/bugs');
+const labelsRouter = require('./routes/labels');
+const metricsRouter = require('./routes/metrics');
+const milestonesRouter = require('./routes/milestones');
+const notificationsRouter = require('./routes/notifications');
+const projectsRouter = require('./routes/projects');
+const usersRouter = require('./routes/users');
+const webhooksRouter = require('./routes/webhooks');
 
 const app = express();
 
+// Custom middleware, first so every request has an ID and a logger, even one whose body fails to parse
+app.use(requestLogger);
+
 // Middleware
-app.use(cors());
+// Expose ETag so the client can read bug versions for If-Match, and the request ID
+app.use(cors({ exposedHeaders: ['ETag', 'X-Request-Id'] }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Custom middleware
-app.use(requestLogger);
-
 // Debug middleware (development only)
 if (process.env.NODE_ENV === 'development') {
   app.use(debugMiddleware);
 }
 
 // Routes
-app.use('/api/bugs', bugsRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/bugs', authenticate, bugsRouter);
+app.use('/api/labels', authenticate, labelsRouter);
+app.use('/api/milestones', authenticate, milestonesRouter);
+app.use('/api/notifications', authenticate, notificationsRouter);
+app.use('/api/projects', authenticate, projectsRouter);
+app.use('/api/users', authenticate, requirePermission('user:manage'), usersRouter);
+app.use('/api/webhooks', authenticate, requirePermission('webhook:manage'), webhooksRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -34,6 +56,11 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics, unless turned off
+if (metricsSettings.enabled) {
+  app.use('/metrics', metricsRouter);
+}
+
 // Error handling middleware (must be last)
 app.use(notFoundHandler);
 app.use(errorHandler);
@@ -42,10 +69,18 @@ app.use(errorHandler);
 const connectDB = async () => {
   try {
     const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/bug-tracker';
-    await mongoose.connect(mongoUri);
-    console.log('Connected to MongoDB');
+    // Command monitoring lets the metrics time every query
+    await mongoose.connect(mongoUri, { monitorCommands: true });
+    instrumentMongoClient(mongoose.connection.getClient());
+    logger.info('Connected to MongoDB');
+
+    // Bugs stored before projects, sort ranks and versions existed need them filled in
+    await Bug.syncDerivedFields();
+
+    // Tags from before labels existed become labels
+    await Label.importTags();
   } catch (error) {
-    console.error('MongoDB connection error:', error);
+    logger.error('MongoDB connection error', { error });
     process.exit(1);
   }
 };
@@ -60,7 +95,8 @@ if (process.env.NODE_ENV === 'development') {
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
-  console.error('Unhandled Rejection:', err.message);
+  logger.error('Unhandled rejection', { error: err });
+  recordError(err, 'unhandledRejection');
   // Close server & exit process
   server.close(() => {
     process.exit(1);
@@ -69,7 +105,8 @@ process.on('unhandledRejection', (err, promise) => {
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err.message);
+  logger.error('Uncaught exception', { error: err });
+  recordError(err, 'uncaughtException');
   process.exit(1);
 });
 
@@ -0,0 +1,39 @@
+// attachments.js - Attachment upload settings
+//
+// Files are stored under ATTACHMENT_DIR (default "uploads" in the server
+// directory). Each file may be up to ATTACHMENT_MAX_BYTES (default 10 MB) and
+// one upload may carry up to ATTACHMENT_MAX_FILES files (default 5).
+
+const path = require('path');
+const { readPositiveNumber } = require('./env');
+
+// Screenshots, logs and HAR files; anything else is refused
+const allowedMimeTypes = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'application/json',
+  'application/har+json',
+  'application/pdf',
+  'application/zip'
+];
+
+// Browsers send no useful type for some files, so these are recognised by extension
+const extensionMimeTypes = {
+  '.har': 'application/har+json',
+  '.log': 'text/plain',
+  '.txt': 'text/plain',
+  '.json': 'application/json'
+};
+
+module.exports = {
+  directory: path.resolve(process.env.ATTACHMENT_DIR || path.join(__dirname, '..', '..', 'uploads')),
+  maxFileSize: readPositiveNumber('ATTACHMENT_MAX_BYTES', 10 * 1024 * 1024),
+  maxFiles: readPositiveNumber('ATTACHMENT_MAX_FILES', 5),
+  // Longest side of a generated thumbnail, in pixels
+  thumbnailSize: 320,
+  allowedMimeTypes,
+  extensionMimeTypes
+};
@@ -0,0 +1,17 @@
+// duplicates.js - Duplicate detection settings
+//
+// Bugs being reported are compared with the DUPLICATE_CANDIDATES (default 1000)
+// most recent unresolved bugs. Those scoring at least DUPLICATE_MIN_SCORE
+// (0-1, default 0.3) are offered as possible duplicates, best first, up to
+// DUPLICATE_MAX_RESULTS (default 5).
+
+const { readPositiveNumber } = require('./env');
+
+module.exports = {
+  maxCandidates: readPositiveNumber('DUPLICATE_CANDIDATES', 1000),
+  minScore: Math.min(readPositiveNumber('DUPLICATE_MIN_SCORE', 0.3), 1),
+  maxResults: readPositiveNumber('DUPLICATE_MAX_RESULTS', 5),
+
+  // Share of the score that comes from the title; the rest comes from the description
+  titleWeight: 0.7
+};
@@ -0,0 +1,16 @@
+// env.js - Helpers for reading settings from the environment
+
+/**
+ * Reads a positive number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number}
+ */
+function readPositiveNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return value > 0 ? value : fallback;
+}
+
+module.exports = {
+  readPositiveNumber
+};
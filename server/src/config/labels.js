@@ -0,0 +1,9 @@
+// labels.js - Label settings
+
+module.exports = {
+  // Colors are hex RGB, e.g. #d73a4a
+  colorPattern: /^#[0-9a-f]{6}$/i,
+  defaultColor: '#6c757d',
+  maxNameLength: 50,
+  maxDescriptionLength: 200
+};
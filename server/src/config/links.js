@@ -0,0 +1,17 @@
+// links.js - Relationship types between bugs
+//
+// A link is stored once, from its source to its target, and read from both
+// ends: `outward` names the relationship as seen from the source, `inward` as
+// seen from the target. Acyclic types may never loop back to where they started.
+
+const LINK_TYPES = {
+  blocks: { outward: 'blocks', inward: 'is blocked by', acyclic: true },
+  parent: { outward: 'is parent of', inward: 'is child of', acyclic: true },
+  duplicates: { outward: 'duplicates', inward: 'is duplicated by' },
+  'relates-to': { outward: 'relates to', inward: 'relates to', symmetric: true }
+};
+
+module.exports = {
+  LINK_TYPES,
+  LINK_DIRECTIONS: ['outward', 'inward']
+};
@@ -0,0 +1,21 @@
+// logging.js - Server log settings
+//
+// Log lines are written to stdout as JSON, one per line. LOG_LEVEL (debug,
+// info, warn, error or silent) sets the least severe level written; it defaults
+// to debug in development, silent under test and info otherwise. A request's
+// X-Request-Id is used as its ID when it is 1-128 letters, digits, dots,
+// colons, dashes or underscores; otherwise one is generated.
+
+const { LEVELS } = require('../logging/logger');
+
+const DEFAULT_LEVELS = { development: 'debug', test: 'silent' };
+
+const readLevel = () => {
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  return LEVELS[level] !== undefined ? level : DEFAULT_LEVELS[process.env.NODE_ENV] || 'info';
+};
+
+module.exports = {
+  level: readLevel(),
+  requestIdPattern: /^[\w.:-]{1,128}$/
+};
@@ -0,0 +1,50 @@
+// mail.js - Outgoing email settings
+//
+// MAIL_TRANSPORT picks how email leaves the server: "smtp" through SMTP_HOST
+// (SMTP_PORT default 587; SMTP_SECURE=true for TLS from the first byte,
+// otherwise STARTTLS is used when the server offers it; SMTP_USER and
+// SMTP_PASS to sign in), "outbox" as .eml files in MAIL_OUTBOX_DIR (default
+// "outbox" in the server directory) for development, or "memory" for tests.
+// It must be set outside development and test, where it defaults to outbox,
+// so that a deployment never quietly keeps its emails on disk.
+//
+// Emails come from MAIL_FROM and link to the client at APP_URL. Changes to a
+// user's bugs are batched: an email goes out once nothing new has come in for
+// MAIL_BATCH_SECONDS (default 60), or MAIL_MAX_BATCH_SECONDS (default 600)
+// after the oldest change, whichever is first. The queue is checked every
+// MAIL_POLL_INTERVAL_SECONDS (default 10), and a failed send is retried after
+// MAIL_RETRY_BASE_SECONDS (default 60), doubling up to MAIL_RETRY_MAX_SECONDS
+// (default 3600), for up to MAIL_MAX_ATTEMPTS (default 5) attempts.
+
+const path = require('path');
+const { readPositiveNumber } = require('./env');
+
+// Kinds of email a user can get, each of which they can turn off
+const EMAIL_KINDS = ['assigned', 'statusChanged', 'commented', 'mentioned'];
+
+module.exports = {
+  EMAIL_KINDS,
+  transport: process.env.MAIL_TRANSPORT ||
+    (['development', 'test'].includes(process.env.NODE_ENV) ? 'outbox' : null),
+  from: process.env.MAIL_FROM || 'Bug Tracker <bugtracker@localhost>',
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: readPositiveNumber('SMTP_PORT', 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    timeoutMs: readPositiveNumber('SMTP_TIMEOUT_MS', 10000)
+  },
+  outboxDir: path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox')),
+  batchSeconds: readPositiveNumber('MAIL_BATCH_SECONDS', 60),
+  maxBatchSeconds: readPositiveNumber('MAIL_MAX_BATCH_SECONDS', 600),
+  pollIntervalSeconds: readPositiveNumber('MAIL_POLL_INTERVAL_SECONDS', 10),
+  maxAttempts: readPositiveNumber('MAIL_MAX_ATTEMPTS', 5),
+  retryBaseSeconds: readPositiveNumber('MAIL_RETRY_BASE_SECONDS', 60),
+  retryMaxSeconds: readPositiveNumber('MAIL_RETRY_MAX_SECONDS', 3600),
+
+  // Recipients emailed per run of the queue, and the longest comment quoted in an email
+  batchSize: 20,
+  maxExcerptLength: 500
+};
@@ -0,0 +1,15 @@
+// metrics.js - Prometheus metrics settings
+//
+// Metrics are served at /metrics unless METRICS_ENABLED is "false". Anyone who
+// can reach the server can read them unless METRICS_TOKEN is set, in which
+// case scrapers must send it as "Authorization: Bearer <token>". Event-loop
+// lag is sampled every METRICS_EVENT_LOOP_RESOLUTION_MS (default 20) for the
+// default process metrics.
+
+const { readPositiveNumber } = require('./env');
+
+module.exports = {
+  enabled: process.env.METRICS_ENABLED !== 'false',
+  token: process.env.METRICS_TOKEN || null,
+  eventLoopResolutionMs: readPositiveNumber('METRICS_EVENT_LOOP_RESOLUTION_MS', 20)
+};
@@ -0,0 +1,82 @@
+// permissions.js - Role-based permission policy
+//
+// Each role maps an action to a scope: 'any' allows it on every bug,
+// 'own' only on bugs the user reported or is assigned to (for comment
+// actions, only on comments the user wrote). Actions that are not listed
+// are denied.
+
+const roles = ['viewer', 'reporter', 'developer', 'triager', 'admin'];
+
+// Role given to newly registered users
+const defaultRole = 'reporter';
+
+const actions = [
+  'bug:create',
+  'bug:edit',
+  'bug:change-status',
+  'bug:reassign',
+  'bug:delete',
+  'comment:create',
+  'comment:edit',
+  'comment:delete',
+  'label:manage',
+  'milestone:manage',
+  'project:manage',
+  'user:manage',
+  'webhook:manage'
+];
+
+const policy = {
+  viewer: {},
+  reporter: {
+    'bug:create': 'any',
+    'bug:edit': 'own',
+    'bug:change-status': 'own',
+    'comment:create': 'any',
+    'comment:edit': 'own',
+    'comment:delete': 'own'
+  },
+  developer: {
+    'bug:create': 'any',
+    'bug:edit': 'any',
+    'bug:change-status': 'any',
+    'bug:reassign': 'own',
+    'comment:create': 'any',
+    'comment:edit': 'own',
+    'comment:delete': 'own'
+  },
+  triager: {
+    'bug:create': 'any',
+    'bug:edit': 'any',
+    'bug:change-status': 'any',
+    'bug:reassign': 'any',
+    'comment:create': 'any',
+    'comment:edit': 'own',
+    'comment:delete': 'own',
+    'label:manage': 'any',
+    'milestone:manage': 'any'
+  },
+  admin: {
+    'bug:create': 'any',
+    'bug:edit': 'any',
+    'bug:change-status': 'any',
+    'bug:reassign': 'any',
+    'bug:delete': 'any',
+    'comment:create': 'any',
+    // Anyone's comments may be moderated, but only their author edits them
+    'comment:edit': 'own',
+    'comment:delete': 'any',
+    'label:manage': 'any',
+    'milestone:manage': 'any',
+    'project:manage': 'any',
+    'user:manage': 'any',
+    'webhook:manage': 'any'
+  }
+};
+
+module.exports = {
+  roles,
+  defaultRole,
+  actions,
+  policy
+};
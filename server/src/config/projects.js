@@ -0,0 +1,14 @@
+// projects.js - Project settings
+//
+// Bugs filed without a project, and bugs stored before projects existed, go
+// to the default project. Its key is DEFAULT_PROJECT_KEY (default "BUG").
+
+module.exports = {
+  // Keys prefix bug numbers, e.g. WEB in WEB-123
+  keyPattern: /^[A-Z][A-Z0-9]{1,9}$/,
+  defaultProject: {
+    key: (process.env.DEFAULT_PROJECT_KEY || 'BUG').toUpperCase(),
+    name: 'General',
+    description: 'Bugs not filed under a specific product'
+  }
+};
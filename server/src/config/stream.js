@@ -0,0 +1,13 @@
+// stream.js - Live bug event stream settings
+//
+// The last BUG_STREAM_LOG_SIZE events (default 1000) are kept in memory, so a
+// browser that reconnects with Last-Event-ID gets what it missed. Open streams
+// get a comment every BUG_STREAM_HEARTBEAT_SECONDS (default 25) to keep proxies
+// from closing them.
+
+const { readPositiveNumber } = require('./env');
+
+module.exports = {
+  logSize: readPositiveNumber('BUG_STREAM_LOG_SIZE', 1000),
+  heartbeatSeconds: readPositiveNumber('BUG_STREAM_HEARTBEAT_SECONDS', 25)
+};
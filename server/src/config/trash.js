@@ -0,0 +1,12 @@
+// trash.js - Soft delete settings
+//
+// Deleted bugs stay in the trash, restorable, for TRASH_RETENTION_DAYS days
+// (default 30). The purge job checks for expired bugs every
+// TRASH_PURGE_INTERVAL_MINUTES minutes (default 60) and removes them for good.
+
+const { readPositiveNumber } = require('./env');
+
+module.exports = {
+  retentionDays: readPositiveNumber('TRASH_RETENTION_DAYS', 30),
+  purgeIntervalMinutes: readPositiveNumber('TRASH_PURGE_INTERVAL_MINUTES', 60)
+};
@@ -0,0 +1,31 @@
+// webhooks.js - Outgoing webhook settings
+//
+// Deliveries are attempted up to WEBHOOK_MAX_ATTEMPTS times (default 8). After
+// a failure the next attempt waits WEBHOOK_RETRY_BASE_SECONDS (default 30),
+// doubling each time up to WEBHOOK_RETRY_MAX_SECONDS (default 3600). A receiver
+// has WEBHOOK_TIMEOUT_MS (default 10000) to answer, and the queue is checked
+// for due deliveries every WEBHOOK_POLL_INTERVAL_SECONDS (default 5).
+
+const { readPositiveNumber } = require('./env');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'bug.created',
+  'bug.updated',
+  'bug.status_changed',
+  'bug.deleted',
+  'bug.restored'
+];
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  maxAttempts: readPositiveNumber('WEBHOOK_MAX_ATTEMPTS', 8),
+  retryBaseSeconds: readPositiveNumber('WEBHOOK_RETRY_BASE_SECONDS', 30),
+  retryMaxSeconds: readPositiveNumber('WEBHOOK_RETRY_MAX_SECONDS', 3600),
+  timeoutMs: readPositiveNumber('WEBHOOK_TIMEOUT_MS', 10000),
+  pollIntervalSeconds: readPositiveNumber('WEBHOOK_POLL_INTERVAL_SECONDS', 5),
+
+  // Deliveries sent per run of the queue, and how much of each response is kept in the log
+  batchSize: 20,
+  maxLoggedResponseLength: 1000
+};
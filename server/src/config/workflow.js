@@ -0,0 +1,47 @@
+// workflow.js - Status workflow configuration
+//
+// Set WORKFLOW_CONFIG to the path of a JSON file with the same shape to
+// replace the default workflow without touching the code.
+
+const fs = require('fs');
+const path = require('path');
+
+const defaultWorkflow = {
+  statuses: ['open', 'in-progress', 'resolved', 'closed'],
+
+  // Statuses a bug may be created in
+  initialStatuses: ['open'],
+
+  // Reasons accepted for the `resolution` field
+  resolutions: ['fixed', 'wont-fix', 'duplicate', 'cannot-reproduce', 'by-design'],
+
+  // Allowed moves; `requires` lists request fields that must accompany the move
+  transitions: [
+    { from: 'open', to: 'in-progress' },
+    { from: 'open', to: 'resolved', requires: ['resolution'] },
+    { from: 'open', to: 'closed', requires: ['resolution'] },
+    { from: 'in-progress', to: 'open' },
+    { from: 'in-progress', to: 'resolved', requires: ['resolution'] },
+    { from: 'resolved', to: 'closed' },
+    { from: 'resolved', to: 'open', requires: ['reason'] },
+    { from: 'closed', to: 'open', requires: ['reason'] }
+  ],
+
+  // Statuses in which a bug keeps its resolution; moving anywhere else clears it
+  resolvedStatuses: ['resolved', 'closed']
+};
+
+/**
+ * Loads the workflow, preferring the file named by WORKFLOW_CONFIG
+ * @returns {Object} - Workflow configuration
+ */
+function loadWorkflow() {
+  if (!process.env.WORKFLOW_CONFIG) {
+    return defaultWorkflow;
+  }
+
+  const configPath = path.resolve(process.env.WORKFLOW_CONFIG);
+  return { ...defaultWorkflow, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+}
+
+module.exports = loadWorkflow();
@@ -0,0 +1,152 @@
+// deliverWebhooks.js - Sends queued webhook deliveries, retrying failures with exponential backoff
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { SIGNATURE_HEADER, EVENT_HEADER, DELIVERY_HEADER, signPayload } = require('../utils/webhooks');
+const { getRetryDelay } = require('../utils/retry');
+const settings = require('../config/webhooks');
+const { logger } = require('../logging');
+
+const log = logger.child({ job: 'deliverWebhooks' });
+
+/**
+ * POSTs a delivery's payload to its webhook
+ * @param {Object} delivery - Delivery document
+ * @param {Object} webhook - Webhook with its url and secret
+ * @param {Object} options - { timeoutMs, maxLoggedResponseLength }
+ * @returns {Promise<Object>} - { ok } plus the attempt to log: statusCode, responseBody, error, durationMs
+ */
+async function sendDelivery(delivery, webhook, { timeoutMs, maxLoggedResponseLength }) {
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BugTracker-Webhooks',
+        [EVENT_HEADER]: delivery.event,
+        [DELIVERY_HEADER]: delivery._id.toString(),
+        [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+      },
+      body,
+      // A redirect could send the signed payload somewhere else, so it counts as a failure
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const text = await response.text();
+
+    return {
+      ok: response.ok,
+      statusCode: response.status,
+      responseBody: text.slice(0, maxLoggedResponseLength),
+      error: response.ok ? null : `Receiver answered with HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      statusCode: null,
+      responseBody: null,
+      error: error.name === 'TimeoutError' ? `No response within ${timeoutMs} ms` : error.cause?.message || error.message,
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
+
+/**
+ * Makes one attempt at a claimed delivery and records the outcome
+ * @param {Object} delivery - Delivery document, locked for this worker
+ * @param {Date} now - Current time, from which a retry is scheduled
+ * @param {Object} options - Webhook settings
+ * @returns {Promise<string>} - Status afterwards: delivered, pending or failed
+ */
+async function attemptDelivery(delivery, now, options) {
+  // The run's clock schedules retries; the history records when this attempt was really made
+  const attemptedAt = new Date();
+  const webhook = await Webhook.findById(delivery.webhook);
+  let result;
+
+  // Deliveries queued before a webhook was turned off are not sent
+  if (!webhook || !webhook.active) {
+    result = { ok: false, error: 'Webhook is no longer active', final: true };
+  } else {
+    result = await sendDelivery(delivery, webhook, options);
+  }
+
+  const { ok, final, ...attempt } = result;
+  delivery.attempts.push({ attemptedAt, ...attempt });
+  delivery.lockedUntil = null;
+
+  if (ok) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+  } else if (final || delivery.attempts.length >= options.maxAttempts) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(now.getTime() + getRetryDelay(delivery.attempts.length, {
+      baseSeconds: options.retryBaseSeconds,
+      maxSeconds: options.retryMaxSeconds
+    }));
+  }
+
+  await delivery.save();
+  return delivery.status;
+}
+
+/**
+ * Sends the deliveries that are due, one batch at a time
+ * @param {Date} now - Current time
+ * @param {Object} options - Webhook settings, defaulting to the configured ones
+ * @returns {Promise<Object>} - { delivered, pending, failed } counts for this run
+ */
+async function deliverWebhooks(now = new Date(), options = settings) {
+  const counts = { delivered: 0, pending: 0, failed: 0 };
+
+  for (let sent = 0; sent < options.batchSize; sent++) {
+    // Locked for longer than a send can take, so a crashed worker's delivery is picked up again
+    const delivery = await WebhookDelivery.claimNext(now, options.timeoutMs * 2);
+    if (!delivery) break;
+
+    counts[await attemptDelivery(delivery, now, options)]++;
+  }
+
+  if (counts.delivered + counts.pending + counts.failed > 0) {
+    log.info('Webhook deliveries sent', { counts });
+  }
+
+  return counts;
+}
+
+/**
+ * Runs deliverWebhooks on an interval, never overlapping runs
+ * @param {number} intervalSeconds - Seconds between checks of the queue
+ * @returns {Object} - Interval timer, which does not keep the process alive
+ */
+function startWebhookDelivery(intervalSeconds = settings.pollIntervalSeconds) {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await deliverWebhooks();
+    } catch (error) {
+      log.error('Error delivering webhooks', { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = {
+  deliverWebhooks,
+  startWebhookDelivery
+};
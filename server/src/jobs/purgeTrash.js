@@ -0,0 +1,88 @@
+// purgeTrash.js - Removes bugs for good once they have been in the trash too long
+
+const Bug = require('../models/Bug');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
+const BugHistory = require('../models/BugHistory');
+const BugLink = require('../models/BugLink');
+const Notification = require('../models/Notification');
+const QueuedEmail = require('../models/QueuedEmail');
+const { getStorage } = require('../storage');
+const { snapshotBug } = require('../utils/history');
+const trash = require('../config/trash');
+const { logger } = require('../logging');
+
+const log = logger.child({ job: 'purgeTrash' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Deletes a bug's attachments and their stored files
+ * @param {Object} bugId - Bug ID
+ */
+async function removeAttachments(bugId) {
+  const attachments = await Attachment.find({ bug: bugId });
+  const keys = attachments.flatMap(attachment => [attachment.storageKey, attachment.thumbnailKey].filter(Boolean));
+
+  await Promise.all(keys.map(key => getStorage().remove(key)));
+  await Attachment.deleteMany({ bug: bugId });
+}
+
+/**
+ * Deletes trashed bugs older than the retention period, with their comments, attachments, links and notifications
+ * @param {Date} now - Current time
+ * @param {number} retentionDays - Days a bug stays in the trash
+ * @returns {Promise<number>} - Number of bugs purged
+ */
+async function purgeTrash(now = new Date(), retentionDays = trash.retentionDays) {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const expired = await Bug.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+  let purged = 0;
+
+  for (const { _id } of expired) {
+    // Checked again on delete, in case the bug was restored in the meantime
+    const bug = await Bug.findOneAndDelete({ _id, deletedAt: { $ne: null, $lte: cutoff } });
+    if (!bug) continue;
+
+    await Comment.deleteMany({ bug: bug._id });
+    await removeAttachments(bug._id);
+    await BugLink.deleteMany({ $or: [{ source: bug._id }, { target: bug._id }] });
+    await Notification.deleteMany({ bug: bug._id });
+    await QueuedEmail.deleteMany({ bug: bug._id });
+    await BugHistory.create({
+      bug: bug._id,
+      action: 'purge',
+      oldValue: snapshotBug(bug),
+      actor: 'system'
+    });
+    purged++;
+  }
+
+  if (purged > 0) {
+    log.info('Purged bugs from the trash', { purged });
+  }
+
+  return purged;
+}
+
+/**
+ * Runs purgeTrash now and then on an interval
+ * @param {number} intervalMinutes - Minutes between runs
+ * @returns {Object} - Interval timer, which does not keep the process alive
+ */
+function startTrashPurge(intervalMinutes = trash.purgeIntervalMinutes) {
+  const run = () => purgeTrash().catch(error => {
+    log.error('Error purging trash', { error });
+  });
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = {
+  purgeTrash,
+  startTrashPurge
+};
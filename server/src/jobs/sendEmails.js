@@ -0,0 +1,115 @@
+// sendEmails.js - Sends queued bug emails, one per recipient per batch, retrying failures with exponential backoff
+
+const QueuedEmail = require('../models/QueuedEmail');
+const { getTransport } = require('../mail');
+const { renderEmail } = require('../mail/templates');
+const { getRetryDelay } = require('../utils/retry');
+const settings = require('../config/mail');
+const { logger } = require('../logging');
+
+const log = logger.child({ job: 'sendEmails' });
+
+/**
+ * Sends one recipient's claimed emails as a single email and records the outcome
+ * @param {Object[]} emails - Queued emails for the same address, oldest first
+ * @param {Date} now - Current time, from which a retry is scheduled
+ * @param {Object} options - Mail settings
+ * @returns {Promise<string>} - Status afterwards: sent, pending or failed
+ */
+async function sendBatch(emails, now, options) {
+  const ids = emails.map(email => email._id);
+  const [{ to, recipientName }] = emails;
+
+  try {
+    const { subject, text } = renderEmail(emails, { appUrl: options.appUrl, name: recipientName });
+    const { messageId } = await getTransport().send({ from: options.from, to, subject, text });
+
+    await QueuedEmail.updateMany(
+      { _id: { $in: ids } },
+      { status: 'sent', sentAt: new Date(), messageId, lockedUntil: null, lastError: null, $inc: { attempts: 1 } }
+    );
+    return 'sent';
+  } catch (error) {
+    log.error('Error sending email', { to, reason: error.message });
+
+    // Emails batched together are retried together, as often as the most-tried of them allows
+    const attempts = Math.max(...emails.map(email => email.attempts)) + 1;
+    const failed = attempts >= options.maxAttempts;
+
+    await QueuedEmail.updateMany({ _id: { $in: ids } }, {
+      attempts,
+      lastError: error.message,
+      lockedUntil: null,
+      ...(failed
+        ? { status: 'failed' }
+        : {
+          nextAttemptAt: new Date(now.getTime() + getRetryDelay(attempts, {
+            baseSeconds: options.retryBaseSeconds,
+            maxSeconds: options.retryMaxSeconds
+          }))
+        })
+    });
+    return failed ? 'failed' : 'pending';
+  }
+}
+
+/**
+ * Sends the emails whose batches are due
+ * @param {Date} now - Current time
+ * @param {Object} options - Mail settings, defaulting to the configured ones
+ * @returns {Promise<Object>} - { sent, pending, failed } counts of emails (not queued items) for this run
+ */
+async function sendEmails(now = new Date(), options = settings) {
+  const counts = { sent: 0, pending: 0, failed: 0 };
+  const recipients = await QueuedEmail.findDueRecipients(now, {
+    batchSeconds: options.batchSeconds,
+    maxBatchSeconds: options.maxBatchSeconds,
+    limit: options.batchSize
+  });
+
+  for (const to of recipients) {
+    // Locked for longer than a send can take, so a crashed worker's emails are picked up again
+    const emails = await QueuedEmail.claimBatch(to, now, options.smtp.timeoutMs * 3);
+    if (emails.length === 0) continue;
+
+    counts[await sendBatch(emails, now, options)]++;
+  }
+
+  if (counts.sent + counts.pending + counts.failed > 0) {
+    log.info('Emails sent', { counts });
+  }
+
+  return counts;
+}
+
+/**
+ * Runs sendEmails on an interval, never overlapping runs
+ * @param {number} intervalSeconds - Seconds between checks of the queue
+ * @returns {Object} - Interval timer, which does not keep the process alive
+ */
+function startEmailSending(intervalSeconds = settings.pollIntervalSeconds) {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await sendEmails();
+    } catch (error) {
+      log.error('Error sending emails', { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = {
+  sendEmails,
+  startEmailSending
+};
@@ -0,0 +1,26 @@
+// index.js - The server's logger and request IDs
+//
+// Modules log through `logger`, or a child of it naming what they are, such as
+// logger.child({ job: 'purgeTrash' }). While handling a request, use req.log,
+// which adds the request ID, route, user and time taken to every line.
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const settings = require('../config/logging');
+
+const logger = createLogger({ level: settings.level });
+
+/**
+ * Picks the ID for a request: the caller's X-Request-Id when it is usable, so the
+ * request can be followed across services, otherwise a new one
+ * @param {string|undefined} header - X-Request-Id header value
+ * @returns {string} - Request ID
+ */
+function getRequestId(header) {
+  return header && settings.requestIdPattern.test(header) ? header : crypto.randomUUID();
+}
+
+module.exports = {
+  logger,
+  getRequestId
+};
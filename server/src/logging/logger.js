@@ -0,0 +1,74 @@
+// logger.js - Leveled JSON logger with child loggers
+//
+// Every line is one JSON object: { time, level, msg, ...bindings, ...fields }.
+// Child loggers add their bindings to every line they write; bindings may be a
+// function, called for each line, for values that change over time such as
+// the route a request ends up at.
+
+const { redact } = require('./redact');
+
+// Least to most severe; silent writes nothing
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+const writeLine = line => process.stdout.write(`${line}\n`);
+
+/**
+ * Creates a logger
+ * @param {Object} options - { level, bindings, write } where write takes each line; stdout by default
+ * @returns {Object} - { debug, info, warn, error, child, isLevelEnabled, level }, where each level
+ *   method takes a message and optional fields
+ */
+function createLogger({ level = 'info', bindings = {}, write = writeLine } = {}) {
+  if (LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  const isLevelEnabled = name => LEVELS[name] >= LEVELS[level];
+
+  const resolveBindings = () => (typeof bindings === 'function' ? bindings() : bindings);
+
+  const logAt = name => (msg, fields = {}) => {
+    if (!isLevelEnabled(name)) return;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: name,
+      msg,
+      ...resolveBindings(),
+      ...fields
+    });
+
+    // Fields left undefined, such as the user on an unauthenticated request, are dropped
+    write(JSON.stringify(entry));
+  };
+
+  return {
+    level,
+    isLevelEnabled,
+    debug: logAt('debug'),
+    info: logAt('info'),
+    warn: logAt('warn'),
+    error: logAt('error'),
+
+    /**
+     * Creates a logger that adds bindings to every line
+     * @param {Object|Function} childBindings - Fields, or a function returning them
+     * @returns {Object} - Logger at the same level, writing to the same place
+     */
+    child(childBindings) {
+      const combined = typeof childBindings === 'function' || typeof bindings === 'function'
+        ? () => ({
+          ...resolveBindings(),
+          ...(typeof childBindings === 'function' ? childBindings() : childBindings)
+        })
+        : { ...bindings, ...childBindings };
+
+      return createLogger({ level, bindings: combined, write });
+    }
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createLogger
+};
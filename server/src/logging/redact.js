@@ -0,0 +1,77 @@
+// redact.js - Makes values safe to write to the logs
+//
+// Values are copied the way JSON.stringify would see them, except that errors
+// keep their message and stack and anything under a key that looks like it
+// holds a secret (passwords, tokens, API keys, cookies, Authorization headers)
+// is replaced, so request bodies and headers can be logged as they are.
+
+const REDACTED = '[REDACTED]';
+
+const SECRET_KEY = /pass|secret|token|authorization|cookie|api[-_]?key|credential/i;
+
+// Deeper than anything worth reading in a log line
+const MAX_DEPTH = 8;
+
+/**
+ * Tells whether a key names a secret
+ * @param {string} key - Object key, such as a header or body field name
+ * @returns {boolean}
+ */
+function isSecretKey(key) {
+  return SECRET_KEY.test(key);
+}
+
+/**
+ * Spells out an error, which JSON.stringify would turn into {}
+ * @param {Error} error - The error
+ * @returns {Object} - { name, message, code, stack }
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Copies a value for logging, with secrets redacted and errors spelled out
+ * @param {*} value - Any value, such as request headers or a Mongoose document
+ * @returns {*} - A copy that JSON.stringify can write
+ */
+function redact(value) {
+  const seen = new WeakSet();
+
+  const copy = (item, depth) => {
+    if (item instanceof Error) return copy(serializeError(item), depth);
+    if (typeof item === 'bigint') return item.toString();
+    if (item === null || typeof item !== 'object') return item;
+
+    // Dates, ObjectIds and Mongoose documents say how they want to be written
+    if (typeof item.toJSON === 'function') return copy(item.toJSON(), depth);
+
+    if (seen.has(item)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return Array.isArray(item) ? '[Array]' : '[Object]';
+    seen.add(item);
+
+    const result = Array.isArray(item)
+      ? item.map(entry => copy(entry, depth + 1))
+      : Object.fromEntries(Object.entries(item).map(([key, entry]) => [
+        key,
+        isSecretKey(key) && entry !== undefined && entry !== null ? REDACTED : copy(entry, depth + 1)
+      ]));
+
+    seen.delete(item);
+    return result;
+  };
+
+  return copy(value, 0);
+}
+
+module.exports = {
+  REDACTED,
+  isSecretKey,
+  serializeError,
+  redact
+};
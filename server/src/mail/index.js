@@ -0,0 +1,49 @@
+// index.js - The transport outgoing email is sent through
+
+const { createSmtpTransport } = require('./smtpTransport');
+const { createFileOutbox, createMemoryOutbox } = require('./outboxTransport');
+const mail = require('../config/mail');
+
+/**
+ * Creates the transport named in the mail settings
+ * @param {Object} settings - Mail settings
+ * @returns {Object} - Transport with send(message)
+ */
+function createTransport(settings = mail) {
+  switch (settings.transport) {
+    case 'smtp':
+      return createSmtpTransport(settings.smtp);
+    case 'outbox':
+      return createFileOutbox(settings.outboxDir);
+    case 'memory':
+      return createMemoryOutbox();
+    case null:
+      throw new Error('MAIL_TRANSPORT must be set outside development and test; use smtp, outbox or memory');
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${settings.transport}"; use smtp, outbox or memory`);
+  }
+}
+
+let transport = createTransport();
+
+/**
+ * Gets the active mail transport
+ * @returns {Object} - Transport
+ */
+function getTransport() {
+  return transport;
+}
+
+/**
+ * Replaces the mail transport, e.g. with an in-memory outbox in tests
+ * @param {Object} adapter - Object with send(message)
+ */
+function setTransport(adapter) {
+  transport = adapter;
+}
+
+module.exports = {
+  createTransport,
+  getTransport,
+  setTransport
+};
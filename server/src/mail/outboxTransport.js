@@ -0,0 +1,66 @@
+// outboxTransport.js - Mail transports that keep emails instead of sending them, for development and tests
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Builds each email exactly as SMTP would send it, but hands it back instead
+const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+
+/**
+ * Builds the full text of an email
+ * @param {Object} message - { from, to, subject, text }; to is an address or a list of them
+ * @returns {Promise<Object>} - { messageId, raw }
+ */
+async function composeMessage(message) {
+  const { messageId, message: raw } = await composer.sendMail(message);
+  return { messageId, raw: raw.toString('utf8') };
+}
+
+/**
+ * Creates a transport that writes each email to a directory as an .eml file,
+ * which any mail client can open
+ * @param {string} directory - Directory emails are written to
+ * @returns {Object} - { send(message) }
+ */
+function createFileOutbox(directory) {
+  return {
+    async send(message) {
+      const { messageId, raw } = await composeMessage(message);
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID().slice(0, 8)}.eml`;
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(path.join(directory, fileName), raw);
+
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Creates a transport that keeps emails in memory
+ * @returns {Object} - { messages, send(message), clear() }; messages are the ones sent, with their messageId and raw text
+ */
+function createMemoryOutbox() {
+  const messages = [];
+
+  return {
+    messages,
+
+    async send(message) {
+      const { messageId, raw } = await composeMessage(message);
+      messages.push({ ...message, messageId, raw });
+      return { messageId };
+    },
+
+    clear() {
+      messages.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  createFileOutbox,
+  createMemoryOutbox
+};
@@ -0,0 +1,33 @@
+// smtpTransport.js - Mail transport that hands each email to an SMTP server through nodemailer
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Creates a transport that sends through an SMTP server
+ * @param {Object} smtp - { host, port, secure, user, pass, timeoutMs }
+ * @returns {Object} - { send(message) }
+ */
+function createSmtpTransport({ host, port, secure = false, user = null, pass = null, timeoutMs = 10000 }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    // A password is only ever sent over TLS, so without implicit TLS the server must offer STARTTLS
+    requireTLS: Boolean(user) && !secure,
+    auth: user ? { user, pass } : undefined,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs
+  });
+
+  return {
+    async send(message) {
+      const { messageId } = await transporter.sendMail(message);
+      return { messageId };
+    }
+  };
+}
+
+module.exports = {
+  createSmtpTransport
+};
@@ -0,0 +1,94 @@
+// templates.js - The emails sent about bugs: one per change, or a digest when several come together
+
+// How each kind of queued email reads; items carry bugKey, bugTitle, actor and the kind's details
+const TEMPLATES = {
+  assigned: {
+    subject: item => `Assigned to you: ${item.bugTitle}`,
+    text: item => `${item.actor} assigned ${describeBug(item)} to you.`
+  },
+  statusChanged: {
+    subject: item => `Status changed to ${item.details.to}: ${item.bugTitle}`,
+    text: (item) => {
+      const { from, to, resolution } = item.details;
+      return `${item.actor} changed the status of ${describeBug(item)} from ${from} to ${to}` +
+        `${resolution ? ` (${resolution.replace(/-/g, ' ')})` : ''}.`;
+    }
+  },
+  commented: {
+    subject: item => `New comment: ${item.bugTitle}`,
+    text: item => `${item.actor} commented on ${describeBug(item)}:\n\n${quote(item.details.comment)}`
+  },
+  mentioned: {
+    subject: item => `You were mentioned: ${item.bugTitle}`,
+    text: item => `${item.actor} mentioned you in a comment on ${describeBug(item)}:\n\n${quote(item.details.comment)}`
+  }
+};
+
+/**
+ * Names a bug the way emails refer to it
+ * @param {Object} item - Queued email
+ * @returns {string} - Such as WEB-12 "Login fails"
+ */
+function describeBug(item) {
+  return item.bugKey ? `${item.bugKey} "${item.bugTitle}"` : `"${item.bugTitle}"`;
+}
+
+/**
+ * Quotes text the way email replies do
+ * @param {string} text - Text to quote
+ * @returns {string} - Every line prefixed with "> "
+ */
+function quote(text = '') {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Builds the address of a bug in the client
+ * @param {Object} item - Queued email
+ * @param {string} appUrl - Client address, without a trailing slash
+ * @returns {string} - Link to the bug
+ */
+function getBugUrl(item, appUrl) {
+  return `${appUrl}/#bug-${item.bug}`;
+}
+
+/**
+ * Renders the email for one recipient's queued items
+ * @param {Object[]} items - Queued emails for the same recipient, oldest first
+ * @param {Object} options - { appUrl, name } where name is the recipient's
+ * @returns {Object} - { subject, text }
+ */
+function renderEmail(items, { appUrl, name }) {
+  const greeting = `Hi ${name},`;
+  const footer = '-- \nYou get these emails about bugs you are assigned, watch or are mentioned on.\n' +
+    `To choose which ones you get, open Email settings at ${appUrl}`;
+
+  if (items.length === 1) {
+    const [item] = items;
+    const template = TEMPLATES[item.kind];
+
+    return {
+      subject: `${item.bugKey ? `[${item.bugKey}] ` : ''}${template.subject(item)}`,
+      text: [greeting, template.text(item), `View the bug: ${getBugUrl(item, appUrl)}`, footer].join('\n\n')
+    };
+  }
+
+  const bugIds = new Set(items.map(item => String(item.bug)));
+  const [first] = items;
+  const subject = bugIds.size === 1
+    ? `${first.bugKey ? `[${first.bugKey}] ` : ''}${items.length} updates: ${first.bugTitle}`
+    : `${items.length} updates on ${bugIds.size} bugs`;
+
+  return {
+    subject,
+    text: [
+      greeting,
+      ...items.map(item => `${TEMPLATES[item.kind].text(item)}\n${getBugUrl(item, appUrl)}`),
+      footer
+    ].join('\n\n')
+  };
+}
+
+module.exports = {
+  renderEmail
+};
@@ -0,0 +1,118 @@
+// index.js - The server's metrics and the helpers that record them
+//
+// Request metrics are labelled by route pattern rather than URL, so a series
+// stands for an endpoint and IDs in paths don't multiply them.
+
+const client = require('prom-client');
+const settings = require('../config/metrics');
+
+const registry = new client.Registry();
+
+// Process, memory, event-loop lag and garbage collection metrics, read on every scrape
+client.collectDefaultMetrics({ register: registry, eventLoopMonitoringPrecision: settings.eventLoopResolutionMs });
+
+// Mongo commands mostly take milliseconds, so the buckets start lower than for requests
+const MONGO_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests answered, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time taken to answer HTTP requests, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const errors = new client.Counter({
+  name: 'errors_total',
+  help: 'Errors that reached the error handler or were never handled, by type',
+  labelNames: ['type', 'source'],
+  registers: [registry]
+});
+
+const mongoCommandDuration = new client.Histogram({
+  name: 'mongodb_command_duration_seconds',
+  help: 'Time taken by MongoDB commands, by command, collection and outcome',
+  labelNames: ['command', 'collection', 'outcome'],
+  buckets: MONGO_BUCKETS,
+  registers: [registry]
+});
+
+/**
+ * Names the route that answered a request, with parameters as placeholders
+ * @param {Object} req - Express request object, after the response
+ * @returns {string} - Such as /api/bugs/:id, or "unmatched" when no route answered
+ */
+function getRouteLabel(req) {
+  if (!req.route) return 'unmatched';
+
+  // Routers are mounted at /api/<name> and nested at /:param/<name>, so past the first
+  // two segments every other segment of the mount path is a parameter value
+  const base = req.baseUrl
+    .split('/')
+    .filter(Boolean)
+    .map((segment, index) => (index >= 2 && index % 2 === 0 ? ':param' : segment));
+  const path = String(req.route.path).split('/').filter(Boolean);
+
+  return `/${[...base, ...path].join('/')}`;
+}
+
+/**
+ * Records an answered request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object, once finished
+ * @param {number} seconds - Time taken to answer
+ */
+function recordRequest(req, res, seconds) {
+  const labels = { method: req.method, route: getRouteLabel(req), status: res.statusCode };
+
+  httpRequests.inc(labels);
+  httpRequestDuration.observe(labels, seconds);
+}
+
+/**
+ * Records an error
+ * @param {Error} error - The error
+ * @param {string} source - Where it was caught: request, unhandledRejection or uncaughtException
+ */
+function recordError(error, source) {
+  errors.inc({ type: (error && error.name) || 'Error', source });
+}
+
+/**
+ * Times the commands a MongoDB client sends; the client must be connected with monitorCommands
+ * @param {Object} client - MongoClient, such as mongoose.connection.getClient()
+ */
+function instrumentMongoClient(client) {
+  // Only started events name the collection, so it is kept until the command finishes
+  const collections = new Map();
+
+  const record = outcome => (event) => {
+    mongoCommandDuration.observe({
+      command: event.commandName,
+      collection: collections.get(event.requestId) || '',
+      outcome
+    }, event.duration / 1000);
+    collections.delete(event.requestId);
+  };
+
+  client.on('commandStarted', (event) => {
+    const target = event.command[event.commandName];
+    collections.set(event.requestId, typeof target === 'string' ? target : event.command.collection || '');
+  });
+  client.on('commandSucceeded', record('success'));
+  client.on('commandFailed', record('failure'));
+}
+
+module.exports = {
+  registry,
+  getRouteLabel,
+  recordRequest,
+  recordError,
+  instrumentMongoClient
+};
@@ -0,0 +1,76 @@
+// auth.js - Authentication middleware
+
+const User = require('../models/User');
+const { verifyToken, getBearerToken } = require('../utils/auth');
+const { checkPermission } = require('../utils/permissions');
+
+/**
+ * Requires a valid bearer token and loads the user into req.user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req.get('Authorization'));
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    req.log.info('Rejected token', { reason: error.message });
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Answers 403 for a failed permission check, with a machine-readable reason
+ * @param {Object} res - Express response object
+ * @param {Object} permission - Result of checkPermission
+ * @returns {Object} - Express response
+ */
+const sendForbidden = (res, permission) => {
+  return res.status(403).json({
+    error: 'Permission denied',
+    action: permission.action,
+    reason: permission.reason
+  });
+};
+
+/**
+ * Requires the signed-in user's role to allow an action; use after authenticate
+ * @param {string} action - Action name, e.g. 'bug:create'
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (action) => (req, res, next) => {
+  const permission = checkPermission(req.user, action);
+
+  if (!permission.isAllowed) {
+    req.log.info('Permission denied', { permission });
+    return sendForbidden(res, permission);
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requirePermission,
+  sendForbidden
+};
@@ -1,5 +1,8 @@
 // errorHandler.js - Global error handling middleware
 
+const { recordRequest, recordError, getRouteLabel } = require('../metrics');
+const { logger, getRequestId } = require('../logging');
+
 /**
  * Global error handling middleware
  * @param {Error} err - The error object
@@ -8,12 +11,12 @@
  * @param {Function} next - Express next function
  */
 const errorHandler = (err, req, res, next) => {
-  console.error('Error occurred:', {
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
-    method: req.method,
-    timestamp: new Date().toISOString()
+  recordError(err, 'request');
+
+  (req.log || logger).error('Error occurred', {
+    error: err,
+    url: req.originalUrl,
+    method: req.method
   });
 
   // Mongoose validation error
@@ -55,10 +58,9 @@ const errorHandler = (err, req, res, next) => {
  * @param {Function} next - Express next function
  */
 const notFoundHandler = (req, res, next) => {
-  console.log('404 Not Found:', {
-    url: req.url,
-    method: req.method,
-    timestamp: new Date().toISOString()
+  req.log.info('Not found', {
+    url: req.originalUrl,
+    method: req.method
   });
 
   res.status(404).json({
@@ -68,30 +70,45 @@ const notFoundHandler = (req, res, next) => {
 };
 
 /**
- * Request logging middleware
+ * Request logging middleware; also records request metrics. Gives each request an ID,
+ * sent back as X-Request-Id and as requestId in error bodies, and a child logger as req.log
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 const requestLogger = (req, res, next) => {
-  const start = Date.now();
+  const start = process.hrtime.bigint();
+  const elapsedSeconds = () => Number(process.hrtime.bigint() - start) / 1e9;
+
+  req.id = getRequestId(req.get('X-Request-Id'));
+  res.set('X-Request-Id', req.id);
+
+  // Clients show the ID with the error, as a reference to find the request in the logs by
+  const json = res.json.bind(res);
+  res.json = body => json(res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)
+    ? { ...body, requestId: req.id }
+    : body);
+
+  // The route and user are only known once the request has been routed and authenticated
+  req.log = logger.child(() => ({
+    requestId: req.id,
+    route: req.route ? getRouteLabel(req) : undefined,
+    user: req.user ? req.user.username : undefined,
+    durationMs: Math.round(elapsedSeconds() * 1000)
+  }));
 
-  // Log request
-  console.log('Incoming request:', {
+  req.log.debug('Incoming request', {
     method: req.method,
-    url: req.url,
-    timestamp: new Date().toISOString()
+    url: req.originalUrl
   });
 
-  // Log response
   res.on('finish', () => {
-    const duration = Date.now() - start;
-    console.log('Request completed:', {
+    recordRequest(req, res, elapsedSeconds());
+    req.log.info('Request completed', {
       method: req.method,
-      url: req.url,
+      url: req.originalUrl,
       status: res.statusCode,
-      duration: `${duration}ms`,
-      timestamp: new Date().toISOString()
+      route: getRouteLabel(req)
     });
   });
 
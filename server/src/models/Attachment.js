@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: [true, 'Attachment must belong to a bug']
+  },
+  // Original file name, as shown to users
+  filename: {
+    type: String,
+    required: [true, 'Attachment file name is required'],
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'Attachment type is required']
+  },
+  size: {
+    type: Number,
+    required: [true, 'Attachment size is required'],
+    min: [0, 'Attachment size cannot be negative']
+  },
+  // SHA-256 of the file contents, hex encoded
+  checksum: {
+    type: String,
+    required: [true, 'Attachment checksum is required']
+  },
+  // Keys in the storage adapter; thumbnails only exist for images
+  storageKey: {
+    type: String,
+    required: [true, 'Attachment storage key is required']
+  },
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  uploadedBy: {
+    type: String,
+    required: [true, 'Attachment uploader is required'],
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Storage keys are internal, so leave them out of API responses
+attachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.storageKey;
+    delete ret.thumbnailKey;
+    delete ret.__v;
+    ret.hasThumbnail = Boolean(doc.thumbnailKey);
+    return ret;
+  }
+});
+
+// Attachments are always listed per bug, oldest first
+attachmentSchema.index({ bug: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
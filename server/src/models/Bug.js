@@ -1,6 +1,29 @@
 const mongoose = require('mongoose');
+const Project = require('./Project');
+const BugHistory = require('./BugHistory');
+const { PRIORITY_ORDER, getPriorityRank, getStatusRank } = require('../utils/ranks');
+const { workflow } = require('../utils/workflow');
+const { rankDuplicates } = require('../utils/duplicates');
+const duplicates = require('../config/duplicates');
+const { isValidObjectId } = require('../utils/validation');
+const { getStatsWindow, buildStats } = require('../utils/stats');
+
+// Bug keys such as WEB-123, in any case
+const BUG_KEY_PATTERN = /^([A-Za-z][A-Za-z0-9]{1,9})-(\d{1,9})$/;
 
 const bugSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Bug must belong to a project']
+  },
+  // Position in the project, and the name people use for the bug, e.g. 123 and WEB-123
+  number: {
+    type: Number
+  },
+  key: {
+    type: String
+  },
   title: {
     type: String,
     required: [true, 'Bug title is required'],
@@ -13,10 +36,17 @@ const bugSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Allowed statuses come from config/workflow.js
   status: {
     type: String,
-    enum: ['open', 'in-progress', 'resolved', 'closed'],
-    default: 'open'
+    enum: workflow.statuses,
+    default: workflow.initialStatuses[0]
+  },
+  // Why the bug was resolved; allowed values come from config/workflow.js
+  resolution: {
+    type: String,
+    trim: true,
+    default: null
   },
   priority: {
     type: String,
@@ -37,6 +67,46 @@ const bugSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Release the fix is planned for
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone',
+    default: null
+  },
+  // Bug this one was closed as a duplicate of
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    default: null
+  },
+  // Usernames notified when the bug changes; watching is not an edit, so it leaves the version alone
+  watchers: {
+    type: [String],
+    default: []
+  },
+  // Sort keys for GET /api/bugs?sort=priority|status, kept in step with the fields
+  priorityRank: {
+    type: Number,
+    default: getPriorityRank('medium')
+  },
+  statusRank: {
+    type: Number,
+    default: getStatusRank(workflow.initialStatuses[0])
+  },
+  // Bumped on every write; sent as the ETag for optimistic concurrency
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Set when the bug is moved to the trash; trashed bugs are left out of queries
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -47,13 +117,346 @@ const bugSchema = new mongoose.Schema({
   }
 });
 
-// Update the updatedAt field before saving
+// New bugs take the next number in their project; bugs filed without one go to the default project
+bugSchema.pre('validate', async function() {
+  if (!this.isNew || this.number) return;
+
+  const projectId = this.project || (await Project.getDefault())._id;
+  const project = await Project.claimBugNumber(projectId);
+
+  if (!project) {
+    this.invalidate('project', 'Project not found');
+    return;
+  }
+
+  this.project = project._id;
+  this.number = project.bugCounter;
+  this.key = `${project.key}-${project.bugCounter}`;
+});
+
+// Update the updatedAt field, version and sort ranks before saving
 bugSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  if (!this.isNew) this.version += 1;
+  this.priorityRank = getPriorityRank(this.priority);
+  this.statusRank = getStatusRank(this.status);
   next();
 });
 
+// Bump the version, and keep the sort ranks in step, when bugs change through an update query
+bugSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+
+  // Pipeline updates only maintain derived fields
+  if (Array.isArray(update)) return next();
+
+  const fields = update.$set || update;
+  this.setUpdate({ ...update, $inc: { ...update.$inc, version: 1 } });
+
+  if (fields.priority !== undefined) {
+    this.set('priorityRank', getPriorityRank(fields.priority));
+  }
+  if (fields.status !== undefined) {
+    this.set('statusRank', getStatusRank(fields.status));
+  }
+  next();
+});
+
+// Leave trashed bugs out of every query that doesn't ask about deletedAt itself
+bugSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+/**
+ * Fills in fields maintained by the model for bugs stored before they existed,
+ * and re-ranks statuses after the workflow changed
+ * @returns {Promise} - Resolves with the update result
+ */
+bugSchema.statics.syncDerivedFields = async function() {
+  // Straight to the collection, so trashed bugs are included and versions stay put.
+  // Bugs from before projects existed join the default project, numbered in the order they were filed.
+  const unfiled = await this.collection
+    .find({ project: { $exists: false } }, { projection: { _id: 1 } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+
+  if (unfiled.length > 0) {
+    const defaultProject = await Project.getDefault();
+
+    for (const { _id } of unfiled) {
+      const { key, bugCounter } = await Project.claimBugNumber(defaultProject._id);
+      await this.collection.updateOne(
+        { _id },
+        { $set: { project: defaultProject._id, number: bugCounter, key: `${key}-${bugCounter}` } }
+      );
+    }
+  }
+
+  return this.collection.updateMany({}, [
+    {
+      $set: {
+        priorityRank: { $indexOfArray: [PRIORITY_ORDER, '$priority'] },
+        statusRank: { $indexOfArray: [workflow.statuses, '$status'] },
+        version: { $ifNull: ['$version', 1] }
+      }
+    }
+  ]);
+};
+
+/**
+ * Renames a tag on every bug that has it, trashed ones included. A bug that already
+ * has the new name keeps a single copy, which is how labels are merged.
+ * @param {string} from - Current tag
+ * @param {string} to - New tag
+ * @returns {Promise} - Resolves with the update result
+ */
+bugSchema.statics.renameTag = function(from, to) {
+  return this.collection.updateMany({ tags: from }, [
+    {
+      $set: {
+        tags: {
+          $reduce: {
+            input: { $map: { input: '$tags', in: { $cond: [{ $eq: ['$$this', from] }, to, '$$this'] } } },
+            initialValue: [],
+            in: {
+              $cond: [{ $in: ['$$this', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }]
+            }
+          }
+        },
+        version: { $add: [{ $ifNull: ['$version', 1] }, 1] }
+      }
+    }
+  ]);
+};
+
+/**
+ * Takes a tag off every bug that has it, trashed ones included
+ * @param {string} tag - Tag to remove
+ * @returns {Promise} - Resolves with the update result
+ */
+bugSchema.statics.removeTag = function(tag) {
+  return this.collection.updateMany({ tags: tag }, { $pull: { tags: tag }, $inc: { version: 1 } });
+};
+
+/**
+ * Adds watchers to a bug, without counting as a change to it
+ * @param {Object} bugId - Bug ID
+ * @param {string[]} usernames - Users who start watching; ones already watching are skipped
+ * @returns {Promise} - Resolves with the update result
+ */
+bugSchema.statics.addWatchers = function(bugId, usernames) {
+  return this.collection.updateOne(
+    { _id: new mongoose.Types.ObjectId(String(bugId)) },
+    { $addToSet: { watchers: { $each: usernames.filter(Boolean) } } }
+  );
+};
+
+/**
+ * Starts or stops a user watching a bug that is not in the trash
+ * @param {Object} bugId - Bug ID
+ * @param {string} username - User
+ * @param {boolean} watching - Whether they should watch it
+ * @returns {Promise<string[]|null>} - The bug's watchers afterwards, or null if there is no such bug
+ */
+bugSchema.statics.setWatching = async function(bugId, username, watching) {
+  const bug = await this.collection.findOneAndUpdate(
+    { _id: new mongoose.Types.ObjectId(String(bugId)), deletedAt: null },
+    watching ? { $addToSet: { watchers: username } } : { $pull: { watchers: username } },
+    { returnDocument: 'after', projection: { watchers: 1 } }
+  );
+
+  return bug ? bug.watchers || [] : null;
+};
+
+/**
+ * Takes a milestone off every bug planned for it, trashed ones included
+ * @param {Object} milestoneId - Milestone ID
+ * @returns {Promise} - Resolves with the update result
+ */
+bugSchema.statics.clearMilestone = function(milestoneId) {
+  return this.collection.updateMany({ milestone: milestoneId }, { $set: { milestone: null }, $inc: { version: 1 } });
+};
+
+/**
+ * Counts the open and resolved bugs of each milestone
+ * @param {Object[]} milestoneIds - Milestone IDs
+ * @returns {Promise<Map>} - Milestone ID string to { open, resolved }
+ */
+bugSchema.statics.countByMilestone = async function(milestoneIds) {
+  // Aggregations skip the query hooks, so trashed bugs are left out here
+  const groups = await this.aggregate([
+    { $match: { milestone: { $in: milestoneIds }, deletedAt: null } },
+    {
+      $group: {
+        _id: { milestone: '$milestone', resolved: { $in: ['$status', workflow.resolvedStatuses] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const counts = new Map(milestoneIds.map(id => [id.toString(), { open: 0, resolved: 0 }]));
+
+  groups.forEach(({ _id, count }) => {
+    counts.get(_id.milestone.toString())[_id.resolved ? 'resolved' : 'open'] = count;
+  });
+
+  return counts;
+};
+
+/**
+ * Finds a bug, outside the trash, by its ID or its key
+ * @param {string} ref - Bug ID or key such as WEB-123
+ * @returns {Promise<Object|null>} - Bug, or null if there is none
+ */
+bugSchema.statics.findByRef = function(ref) {
+  const text = typeof ref === 'string' ? ref.trim() : '';
+  const keyMatch = BUG_KEY_PATTERN.exec(text);
+
+  if (keyMatch) return this.findOne({ key: `${keyMatch[1].toUpperCase()}-${keyMatch[2]}` });
+  if (isValidObjectId(text)) return this.findById(text);
+  return Promise.resolve(null);
+};
+
+/**
+ * Finds unresolved bugs that look like the same problem as a report
+ * @param {Object} report - { title, description } being reported
+ * @param {Object} options - project ID to search in (all projects without one), and a bug ID to exclude
+ * @returns {Promise<Object[]>} - [{ _id, key, title, status, score }] best first
+ */
+bugSchema.statics.findPossibleDuplicates = async function(report, { project = null, exclude = null } = {}) {
+  const filter = { status: { $nin: workflow.resolvedStatuses } };
+  if (project) filter.project = project;
+  if (exclude) filter._id = { $ne: exclude };
+
+  const candidates = await this.find(filter)
+    .select('key title description status')
+    .sort({ createdAt: -1 })
+    .limit(duplicates.maxCandidates)
+    .lean();
+
+  return rankDuplicates(report, candidates, {
+    minScore: duplicates.minScore,
+    limit: duplicates.maxResults,
+    titleWeight: duplicates.titleWeight
+  }).map(({ bug, score }) => ({ _id: bug._id, key: bug.key, title: bug.title, status: bug.status, score }));
+};
+
+/**
+ * Gathers the dashboard statistics, see utils/stats.js
+ * @param {Object} options - project ID to count in (all projects without one), days in the window,
+ * oldest open bugs to list, and the current time
+ * @returns {Promise<Object>} - Stats response body
+ */
+bugSchema.statics.getStats = async function({ project = null, days, oldest, now = new Date() }) {
+  const window = getStatsWindow(days, now);
+  const resolved = workflow.resolvedStatuses;
+  const byDay = field => ({ $dateToString: { format: '%Y-%m-%d', date: field, timezone: 'UTC' } });
+
+  // Aggregations skip the query hooks, so trashed bugs are left out here
+  const match = { deletedAt: null };
+  if (project) match.project = project;
+
+  const isOpen = { $cond: [{ $in: ['$status', resolved] }, 0, 1] };
+  const countBy = field => [
+    { $group: { _id: field, total: { $sum: 1 }, open: { $sum: isOpen } } },
+    { $sort: { open: -1, total: -1, _id: 1 } }
+  ];
+
+  const [bugFacets] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, total: { $sum: 1 }, open: { $sum: isOpen } } }],
+        byStatus: countBy('$status'),
+        byPriority: countBy('$priority'),
+        // Unassigned bugs count under null
+        byAssignee: countBy({ $cond: [{ $gt: ['$assignee', ''] }, '$assignee', null] }),
+        byTag: [{ $unwind: '$tags' }, ...countBy('$tags')],
+        openedPerDay: [
+          { $match: { createdAt: { $gte: window.from } } },
+          { $group: { _id: byDay('$createdAt'), count: { $sum: 1 } } }
+        ],
+        oldestOpen: [
+          { $match: { status: { $nin: resolved } } },
+          { $sort: { createdAt: 1, _id: 1 } },
+          { $limit: oldest },
+          { $project: { key: 1, title: 1, status: 1, priority: 1, assignee: 1, createdAt: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  // Bugs are resolved when their status moves into a resolved one, which only history records
+  const [resolutionFacets] = await BugHistory.aggregate([
+    {
+      $match: {
+        action: 'status-change',
+        newValue: { $in: resolved },
+        oldValue: { $nin: resolved },
+        timestamp: { $gte: window.from }
+      }
+    },
+    {
+      $lookup: {
+        from: this.collection.name,
+        let: { bugId: '$bug' },
+        pipeline: [
+          { $match: { ...match, $expr: { $eq: ['$_id', '$$bugId'] } } },
+          { $project: { status: 1, createdAt: 1 } }
+        ],
+        as: 'bug'
+      }
+    },
+    { $unwind: '$bug' },
+    {
+      $facet: {
+        closedPerDay: [{ $group: { _id: byDay('$timestamp'), count: { $sum: 1 } } }],
+        // Bugs since reopened are not resolved, so they have no time to resolve yet
+        resolveTime: [
+          { $match: { 'bug.status': { $in: resolved } } },
+          { $group: { _id: '$bug._id', createdAt: { $first: '$bug.createdAt' }, resolvedAt: { $max: '$timestamp' } } },
+          { $group: { _id: null, meanMs: { $avg: { $subtract: ['$resolvedAt', '$createdAt'] } }, bugs: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  return buildStats(window, bugFacets, resolutionFacets);
+};
+
 // Index for efficient querying
 bugSchema.index({ status: 1, priority: 1, createdAt: -1 });
 
+// One index per sort order of GET /api/bugs; _id breaks ties for cursor pagination
+bugSchema.index({ createdAt: -1, _id: -1 });
+bugSchema.index({ updatedAt: -1, _id: -1 });
+bugSchema.index({ priorityRank: -1, _id: -1 });
+bugSchema.index({ statusRank: 1, _id: 1 });
+bugSchema.index({ title: 1, _id: 1 });
+
+// Bug numbers are unique within a project; bugs not yet numbered are left out
+bugSchema.index(
+  { project: 1, number: 1 },
+  { unique: true, partialFilterExpression: { number: { $type: 'number' } } }
+);
+bugSchema.index({ project: 1, createdAt: -1, _id: -1 });
+
+// Milestone filter and progress
+bugSchema.index({ milestone: 1, status: 1 });
+
+// Trash listing and the purge job
+bugSchema.index({ deletedAt: -1 });
+
+// Full-text search for GET /api/bugs?q=; matches in the title count most
+bugSchema.index(
+  { title: 'text', description: 'text', tags: 'text', reporter: 'text', assignee: 'text' },
+  {
+    name: 'bug_text_search',
+    weights: { title: 10, tags: 5, description: 2, reporter: 1, assignee: 1 }
+  }
+);
+
 module.exports = mongoose.model('Bug', bugSchema);
\ No newline at end of file
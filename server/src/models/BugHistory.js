@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const bugHistorySchema = new mongoose.Schema({
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: [true, 'History entry must belong to a bug']
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'status-change', 'link', 'unlink', 'delete', 'restore', 'purge'],
+    required: [true, 'History action is required']
+  },
+  // Only set for update, status-change and link entries; for links it names the relationship
+  field: {
+    type: String,
+    default: null
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Free-text context for the change, such as the reason for reopening
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  actor: {
+    type: String,
+    trim: true,
+    default: 'anonymous'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// History is read per bug as a timeline
+bugHistorySchema.index({ bug: 1, timestamp: 1 });
+
+// Bug stats read status changes across bugs over a window
+bugHistorySchema.index({ action: 1, timestamp: 1 });
+
+module.exports = mongoose.model('BugHistory', bugHistorySchema);
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Bug = require('./Bug');
+const BugHistory = require('./BugHistory');
+const { LINK_TYPES } = require('../config/links');
+const { workflow } = require('../utils/workflow');
+
+const bugLinkSchema = new mongoose.Schema({
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: [true, 'Link must have a source bug']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: [true, 'Link must have a target bug']
+  },
+  type: {
+    type: String,
+    enum: Object.keys(LINK_TYPES),
+    required: [true, 'Link type is required']
+  },
+  createdBy: {
+    type: String,
+    trim: true,
+    default: 'anonymous'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Finds a chain of links of one type leading from one bug to another
+ * @param {string} type - Link type to follow, from source to target
+ * @param {Object} from - Bug ID to start at
+ * @param {Object} to - Bug ID to look for
+ * @returns {Promise<Object[]|null>} - Bug IDs along the chain, from and to included, or null if there is none
+ */
+bugLinkSchema.statics.findPath = async function(type, from, to) {
+  const previous = new Map([[from.toString(), null]]);
+  let frontier = [from];
+
+  // Breadth first, one query per step, remembering how each bug was reached
+  while (frontier.length > 0) {
+    const links = await this.find({ type, source: { $in: frontier } }).select('source target').lean();
+    frontier = [];
+
+    for (const { source, target } of links) {
+      const id = target.toString();
+      if (previous.has(id)) continue;
+
+      previous.set(id, source.toString());
+      if (id === to.toString()) {
+        const path = [];
+        for (let step = id; step !== null; step = previous.get(step)) path.unshift(step);
+        return path;
+      }
+      frontier.push(target);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Checks whether a link may be added
+ * @param {Object} source - Source bug
+ * @param {Object} target - Target bug
+ * @param {string} type - Link type
+ * @returns {Promise<Object|null>} - { status, message } explaining why not, or null if it may
+ */
+bugLinkSchema.statics.checkLink = async function(source, target, type) {
+  if (source._id.equals(target._id)) {
+    return { status: 400, message: 'A bug cannot be linked to itself' };
+  }
+
+  // Symmetric links are the same whichever way round they were added
+  const existing = await this.exists(LINK_TYPES[type].symmetric
+    ? { type, $or: [{ source: source._id, target: target._id }, { source: target._id, target: source._id }] }
+    : { type, source: source._id, target: target._id });
+
+  if (existing) {
+    return { status: 409, message: `${source.key} already ${LINK_TYPES[type].outward} ${target.key}` };
+  }
+
+  if (type === 'parent' && await this.exists({ type, target: target._id })) {
+    return { status: 400, message: `${target.key} already has a parent` };
+  }
+
+  if (LINK_TYPES[type].acyclic) {
+    const path = await this.findPath(type, target._id, source._id);
+
+    if (path) {
+      const bugs = await Bug.collection.find({ _id: { $in: path.map(id => new mongoose.Types.ObjectId(id)) } })
+        .project({ key: 1 })
+        .toArray();
+      const keys = new Map(bugs.map(bug => [bug._id.toString(), bug.key]));
+      const cycle = [source.key, ...path.map(id => keys.get(id))].join(` ${LINK_TYPES[type].outward} `);
+
+      return { status: 400, message: `Link would create a cycle: ${cycle}` };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Adds a link and records it in the history of both bugs
+ * @param {Object} source - Source bug
+ * @param {Object} target - Target bug
+ * @param {string} type - Link type
+ * @param {string} actor - Who added the link
+ * @returns {Promise<Object>} - The new link
+ */
+bugLinkSchema.statics.addLink = async function(source, target, type, actor) {
+  const link = await this.create({ source: source._id, target: target._id, type, createdBy: actor });
+
+  await BugHistory.insertMany([
+    { bug: source._id, action: 'link', field: LINK_TYPES[type].outward, newValue: target.key, actor },
+    { bug: target._id, action: 'link', field: LINK_TYPES[type].inward, newValue: source.key, actor }
+  ]);
+
+  return link;
+};
+
+/**
+ * Removes a link and records it in the history of both bugs
+ * @param {Object} link - Link to remove
+ * @param {string} actor - Who removed the link
+ * @returns {Promise}
+ */
+bugLinkSchema.statics.removeLink = async function(link, actor) {
+  await this.deleteOne({ _id: link._id });
+
+  // Either bug may be in the trash by now, so go straight to the collection for their keys
+  const bugs = await Bug.collection.find({ _id: { $in: [link.source, link.target] } })
+    .project({ key: 1 })
+    .toArray();
+  const keys = new Map(bugs.map(bug => [bug._id.toString(), bug.key]));
+
+  const { outward, inward } = LINK_TYPES[link.type];
+
+  await BugHistory.insertMany([
+    { bug: link.source, action: 'unlink', field: outward, oldValue: keys.get(link.target.toString()), actor },
+    { bug: link.target, action: 'unlink', field: inward, oldValue: keys.get(link.source.toString()), actor }
+  ]);
+};
+
+/**
+ * Lists the unresolved bugs blocking a bug; bugs in the trash no longer block
+ * @param {Object} bugId - Bug ID
+ * @returns {Promise<Object[]>} - Blocking bugs with their key, title and status
+ */
+bugLinkSchema.statics.findOpenBlockers = async function(bugId) {
+  const links = await this.find({ type: 'blocks', target: bugId }).select('source').lean();
+  if (links.length === 0) return [];
+
+  return Bug.find({
+    _id: { $in: links.map(link => link.source) },
+    status: { $nin: workflow.resolvedStatuses }
+  })
+    .select('key title status')
+    .sort({ key: 1 })
+    .lean();
+};
+
+// Links are read from both ends
+bugLinkSchema.index({ source: 1, type: 1, target: 1 }, { unique: true });
+bugLinkSchema.index({ target: 1, type: 1 });
+
+module.exports = mongoose.model('BugLink', bugLinkSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: [true, 'Comment must belong to a bug']
+  },
+  author: {
+    type: String,
+    required: [true, 'Comment author is required'],
+    trim: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  edited: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+commentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Threads are always read per bug in chronological order
+commentSchema.index({ bug: 1, createdAt: 1, _id: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Bug = require('./Bug');
+const { colorPattern, defaultColor, maxNameLength, maxDescriptionLength } = require('../config/labels');
+const { normalizeLabelName, getLabelKey } = require('../utils/labels');
+
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [maxNameLength, `Label name cannot exceed ${maxNameLength} characters`]
+  },
+  // Lowercased name; keeps "UI" and "ui" from becoming two labels
+  nameKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  color: {
+    type: String,
+    lowercase: true,
+    match: [colorPattern, 'Color must be a hex color like #d73a4a'],
+    default: defaultColor
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [maxDescriptionLength, `Label description cannot exceed ${maxDescriptionLength} characters`],
+    default: ''
+  },
+  // Archived labels stay on the bugs that have them but can't be added to others
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Keep the name normalized and its key in step
+labelSchema.pre('validate', function(next) {
+  if (typeof this.name === 'string') {
+    this.name = normalizeLabelName(this.name);
+    this.nameKey = getLabelKey(this.name);
+  }
+  next();
+});
+
+// Update the updatedAt field before saving
+labelSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Finds the label with a name, ignoring case and extra whitespace
+ * @param {string} name - Label name
+ * @returns {Promise<Object|null>} - Label document
+ */
+labelSchema.statics.findByName = function(name) {
+  return this.findOne({ nameKey: getLabelKey(name) });
+};
+
+/**
+ * Creates labels for tags bugs carried before labels existed. Spellings of the
+ * same tag ("UI", "ui ") become one label, and bugs are changed to its name.
+ * @returns {Promise<number>} - Number of labels created
+ */
+labelSchema.statics.importTags = async function() {
+  const tags = await Bug.collection.distinct('tags');
+  let created = 0;
+
+  for (const tag of tags) {
+    if (typeof tag !== 'string' || normalizeLabelName(tag) === '') continue;
+
+    const name = normalizeLabelName(tag);
+    const result = await this.findOneAndUpdate(
+      { nameKey: getLabelKey(name) },
+      { $setOnInsert: { name, nameKey: getLabelKey(name) } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+
+    if (!result.lastErrorObject?.updatedExisting) created += 1;
+    if (result.value.name !== tag) {
+      await Bug.renameTag(tag, result.value.name);
+    }
+  }
+
+  return created;
+};
+
+labelSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.nameKey;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Label', labelSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const milestoneSchema = new mongoose.Schema({
+  // Usually the release, e.g. "2.4"
+  name: {
+    type: String,
+    required: [true, 'Milestone name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Milestone name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Milestone description cannot exceed 1000 characters'],
+    default: ''
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  // Closed milestones keep their bugs but take no new ones
+  state: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+milestoneSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+milestoneSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Milestone', milestoneSchema);
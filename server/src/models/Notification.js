@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS, describeNotification } = require('../utils/notifications');
+
+const notificationSchema = new mongoose.Schema({
+  // Username of the watcher it is for
+  recipient: {
+    type: String,
+    required: true
+  },
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: true
+  },
+  // Copied from the bug, so the inbox reads the same after the bug is edited
+  bugKey: {
+    type: String,
+    default: null
+  },
+  bugTitle: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    enum: NOTIFICATION_EVENTS,
+    required: true
+  },
+  actor: {
+    type: String,
+    required: true
+  },
+  // What the actor did, e.g. "changed status from open to closed"
+  summary: {
+    type: String,
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The inbox lists a user's notifications newest first, often only the unread ones
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ bug: 1 });
+
+/**
+ * Notifies everyone watching a bug about an event, except whoever caused it
+ * @param {string} event - Event name; ones that don't notify are ignored
+ * @param {Object} bug - Bug as it is after the event, with its watchers
+ * @param {Object} details - Event data, with the actor
+ * @returns {Promise<Object[]>} - Notifications created
+ */
+notificationSchema.statics.notifyWatchers = function(event, bug, details = {}) {
+  const recipients = (bug.watchers || []).filter(watcher => watcher !== details.actor);
+
+  if (!NOTIFICATION_EVENTS.includes(event) || recipients.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  const summary = describeNotification(event, details);
+
+  return this.insertMany(recipients.map(recipient => ({
+    recipient,
+    bug: bug._id,
+    bugKey: bug.key || null,
+    bugTitle: bug.title,
+    event,
+    actor: details.actor,
+    summary
+  })));
+};
+
+notificationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Notification', notificationSchema);
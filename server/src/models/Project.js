@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { defaultProject, keyPattern } = require('../config/projects');
+
+const projectSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Project key is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [keyPattern, 'Project key must be 2-10 letters or digits, starting with a letter']
+  },
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Project description cannot exceed 1000 characters'],
+    default: ''
+  },
+  // New bugs without an assignee are assigned to this user
+  defaultAssignee: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Number given to the project's most recent bug
+  bugCounter: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+projectSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Gets the default project, creating it the first time
+ * @returns {Promise<Object>} - Project document
+ */
+projectSchema.statics.getDefault = function() {
+  const { key, ...fields } = defaultProject;
+  return this.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { key, ...fields } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Hands out the next bug number of a project; numbers are never reused
+ * @param {Object} projectId - Project ID
+ * @returns {Promise<Object|null>} - Project with bugCounter set to the new number, or null if it doesn't exist
+ */
+projectSchema.statics.claimBugNumber = function(projectId) {
+  return this.findOneAndUpdate({ _id: projectId }, { $inc: { bugCounter: 1 } }, { new: true });
+};
+
+projectSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+const { EMAIL_KINDS, maxExcerptLength } = require('../config/mail');
+const { getEmailRecipients } = require('../utils/mail');
+
+// One thing to tell a user about a bug; a user's pending ones go out together as one email
+const queuedEmailSchema = new mongoose.Schema({
+  // Username, display name and address of who it is for, as they were when it was queued
+  recipient: {
+    type: String,
+    required: true
+  },
+  recipientName: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: EMAIL_KINDS,
+    required: true
+  },
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: true
+  },
+  bugKey: {
+    type: String,
+    default: null
+  },
+  bugTitle: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: String,
+    required: true
+  },
+  // What the template needs: from and to for status changes, the comment for comments and mentions
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // pending emails wait in the queue until their batch is due and nextAttemptAt has passed
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending the email, so no other worker picks it up
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // Message-ID of the email it went out in, shared by everything batched into that email
+  messageId: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+queuedEmailSchema.index({ status: 1, to: 1, createdAt: 1 });
+
+// Matches pending emails that may be sent now
+const dueFilter = (now) => ({
+  status: 'pending',
+  nextAttemptAt: { $lte: now },
+  $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+});
+
+/**
+ * Describes an event for the template of one kind of email
+ * @param {string} kind - One of EMAIL_KINDS
+ * @param {Object} details - Event data
+ * @returns {Object} - Details to store
+ */
+const getKindDetails = (kind, details) => {
+  if (kind === 'statusChanged') {
+    return { from: details.from, to: details.to, resolution: details.resolution || null };
+  }
+  if (kind === 'commented' || kind === 'mentioned') {
+    const body = details.comment?.body || '';
+    return { comment: body.length > maxExcerptLength ? `${body.slice(0, maxExcerptLength - 1)}…` : body };
+  }
+  return {};
+};
+
+/**
+ * Queues emails about a bug event for the users it concerns who have an address and
+ * have not turned that kind of email off
+ * @param {string} event - Event name, such as bug.status_changed
+ * @param {Object} bug - Bug as it is after the event, with its assignee and watchers
+ * @param {Object} details - Event data, with the actor
+ * @returns {Promise<Object[]>} - Emails queued
+ */
+queuedEmailSchema.statics.enqueueForEvent = async function(event, bug, details = {}) {
+  const recipients = getEmailRecipients(event, bug, details);
+
+  if (recipients.length === 0) return [];
+
+  const users = await User.find({
+    username: { $in: recipients.map(recipient => recipient.username) },
+    email: { $ne: null }
+  });
+  const usersByName = new Map(users.map(user => [user.username, user]));
+
+  const emails = recipients
+    .filter(({ username, kind }) => usersByName.get(username)?.emailPreferences?.[kind])
+    .map(({ username, kind }) => {
+      const user = usersByName.get(username);
+
+      return {
+        recipient: username,
+        recipientName: user.name,
+        to: user.email,
+        kind,
+        bug: bug._id,
+        bugKey: bug.key || null,
+        bugTitle: bug.title,
+        actor: details.actor,
+        details: getKindDetails(kind, details)
+      };
+    });
+
+  return emails.length > 0 ? this.insertMany(emails) : [];
+};
+
+/**
+ * Finds the addresses whose pending emails are due: nothing new has been queued for them
+ * for a while, or the oldest has waited long enough
+ * @param {Date} now - Current time
+ * @param {Object} options - { batchSeconds, maxBatchSeconds, limit }
+ * @returns {Promise<string[]>} - Addresses, the longest-waiting first
+ */
+queuedEmailSchema.statics.findDueRecipients = async function(now, { batchSeconds, maxBatchSeconds, limit }) {
+  const groups = await this.aggregate([
+    { $match: dueFilter(now) },
+    { $group: { _id: '$to', oldest: { $min: '$createdAt' }, newest: { $max: '$createdAt' } } },
+    {
+      $match: {
+        $or: [
+          { newest: { $lte: new Date(now.getTime() - batchSeconds * 1000) } },
+          { oldest: { $lte: new Date(now.getTime() - maxBatchSeconds * 1000) } }
+        ]
+      }
+    },
+    { $sort: { oldest: 1 } },
+    { $limit: limit }
+  ]);
+
+  return groups.map(group => group._id);
+};
+
+/**
+ * Locks an address's due emails for one worker
+ * @param {string} to - Address
+ * @param {Date} now - Current time
+ * @param {number} lockMs - How long the worker may take before others retry them
+ * @returns {Promise<Object[]>} - Emails claimed, oldest first; none if another worker got there first
+ */
+queuedEmailSchema.statics.claimBatch = async function(to, now, lockMs) {
+  const lockedUntil = new Date(now.getTime() + lockMs);
+  const ids = (await this.find({ ...dueFilter(now), to }).select('_id')).map(email => email._id);
+
+  await this.updateMany({ ...dueFilter(now), _id: { $in: ids } }, { lockedUntil });
+
+  return this.find({ _id: { $in: ids }, lockedUntil }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('QueuedEmail', queuedEmailSchema);
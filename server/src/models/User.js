@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { roles, defaultRole } = require('../config/permissions');
+const { EMAIL_KINDS } = require('../config/mail');
+const { getRolePermissions } = require('../utils/permissions');
+
+const SALT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: [3, 'Username must be at least 3 characters'],
+    maxlength: [30, 'Username cannot exceed 30 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Decides what the user may do; see config/permissions.js
+  role: {
+    type: String,
+    enum: roles,
+    default: defaultRole
+  },
+  // Where bug emails go; users without one get none
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  // Kinds of bug email the user gets; every kind is on until turned off
+  emailPreferences: EMAIL_KINDS.reduce((preferences, kind) => ({
+    ...preferences,
+    [kind]: { type: Boolean, default: true }
+  }), {}),
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Hashes and stores a new password
+ * @param {string} password - Plain text password
+ */
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+/**
+ * Checks a password against the stored hash
+ * @param {string} password - Plain text password
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+userSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Never send the password hash to clients; do send what the user may do
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.__v;
+    ret.permissions = getRolePermissions(ret.role);
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
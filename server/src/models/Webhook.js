@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+const webhookSchema = new mongoose.Schema({
+  // Receiver that events are POSTed to
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2000, 'Webhook URL cannot exceed 2000 characters']
+  },
+  // Key for the HMAC-SHA256 signature on every delivery; never sent back after creation
+  secret: {
+    type: String,
+    required: [true, 'Webhook secret is required']
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Webhook must subscribe to at least one event'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Webhook description cannot exceed 500 characters'],
+    default: ''
+  },
+  // Inactive webhooks are kept with their deliveries but get no new events
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+// Update the updatedAt field before saving
+webhookSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
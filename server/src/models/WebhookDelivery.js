@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('./Webhook');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+// One try at sending a delivery, kept as its log
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  // HTTP status the receiver answered with; null when it could not be reached
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: WEBHOOK_EVENTS,
+    required: true
+  },
+  // Body that is sent, as plain JSON; redeliveries send the same one again
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending deliveries wait in the queue until nextAttemptAt
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending the delivery, so no other worker picks it up
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // The delivery this one sends again, for manual redeliveries
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The queue looks for due pending deliveries; the log lists a webhook's newest first
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+/**
+ * Queues an event for every active webhook subscribed to it
+ * @param {string} event - Event name, such as bug.created
+ * @param {Object} data - Event data; stored as plain JSON
+ * @returns {Promise<Object[]>} - Deliveries queued
+ */
+webhookDeliverySchema.statics.enqueue = async function(event, data) {
+  const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+
+  if (webhooks.length === 0) return [];
+
+  // Every webhook gets the same event ID, so receivers can tell repeats apart
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data: JSON.parse(JSON.stringify(data))
+  };
+
+  return this.insertMany(webhooks.map(webhook => ({ webhook: webhook._id, event, payload })));
+};
+
+/**
+ * Takes the next due delivery off the queue, locking it for one worker
+ * @param {Date} now - Current time
+ * @param {number} lockMs - How long the worker may take before others retry it
+ * @returns {Promise<Object|null>} - Delivery, or null when none are due
+ */
+webhookDeliverySchema.statics.claimNext = function(now, lockMs) {
+  return this.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { lockedUntil: new Date(now.getTime() + lockMs) },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Queues a delivery to be sent again as a new delivery with the same payload
+ * @returns {Promise<Object>} - New delivery
+ */
+webhookDeliverySchema.methods.redeliver = function() {
+  return this.constructor.create({
+    webhook: this.webhook,
+    event: this.event,
+    payload: this.payload,
+    redeliveryOf: this._id
+  });
+};
+
+webhookDeliverySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.lockedUntil;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
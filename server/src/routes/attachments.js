@@ -0,0 +1,290 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { pipeline } = require('stream/promises');
+const router = express.Router({ mergeParams: true });
+const Bug = require('../models/Bug');
+const Attachment = require('../models/Attachment');
+const settings = require('../config/attachments');
+const { getStorage } = require('../storage');
+const { sendForbidden } = require('../middleware/auth');
+const { checkPermission } = require('../utils/permissions');
+const { isValidObjectId } = require('../utils/validation');
+const { validateFileTypes, processFile } = require('../utils/attachments');
+
+// Files are kept in memory until checked, so the size limit also bounds memory use
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: settings.maxFileSize, files: settings.maxFiles }
+}).array('files');
+
+/**
+ * Receives the multipart "files" field, answering upload limit errors itself
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const receiveFiles = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            const megabytes = Math.round(settings.maxFileSize / (1024 * 1024) * 10) / 10;
+            return res.status(413).json({
+                error: 'File too large',
+                details: [`Files cannot exceed ${megabytes} MB`]
+            });
+        }
+
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                details: [error.code === 'LIMIT_FILE_COUNT'
+                    ? `Upload at most ${settings.maxFiles} files at a time`
+                    : error.message]
+            });
+        }
+
+        next(error);
+    });
+};
+
+/**
+ * Requires the signed-in user to be allowed to edit the bug loaded by the router
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireBugEdit = (req, res, next) => {
+    const permission = checkPermission(req.user, 'bug:edit', req.bug);
+
+    if (!permission.isAllowed) {
+        req.log.info('Permission denied', { permission });
+        return sendForbidden(res, permission);
+    }
+
+    next();
+};
+
+/**
+ * Streams a stored file to the response
+ * @param {Object} res - Express response object
+ * @param {string} key - Storage key
+ * @param {Object} headers - Headers to send with the file
+ * @param {string} downloadName - File name to save as; omit to show inline
+ */
+const sendStoredFile = async (res, key, headers, downloadName = null) => {
+    let stream;
+    try {
+        stream = await getStorage().createReadStream(key);
+    } catch (error) {
+        res.req.log.error('Attachment file missing from storage', { key, reason: error.message });
+        return res.status(404).json({ error: 'Attachment file not found' });
+    }
+
+    if (downloadName) {
+        res.attachment(downloadName);
+    }
+
+    // Never let a browser guess a different type for user-supplied content
+    res.set({ ...headers, 'X-Content-Type-Options': 'nosniff' });
+    await pipeline(stream, res);
+};
+
+/**
+ * Looks up the attachment named in the URL, answering 400/404 itself
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Attachment document, or null once answered
+ */
+const findAttachment = async (req, res) => {
+    if (!isValidObjectId(req.params.attachmentId)) {
+        res.status(400).json({ error: 'Invalid attachment ID format' });
+        return null;
+    }
+
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, bug: req.params.id });
+
+    if (!attachment) {
+        res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    return attachment;
+};
+
+// Every attachment route is nested under /api/bugs/:id, so load the bug first
+router.use(async (req, res, next) => {
+    try {
+        if (!isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid bug ID format' });
+        }
+
+        const bug = await Bug.findById(req.params.id);
+
+        if (!bug) {
+            return res.status(404).json({ error: 'Bug not found' });
+        }
+
+        req.bug = bug;
+        next();
+    } catch (error) {
+        req.log.error('Error loading bug for attachments', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/bugs/:id/attachments - List a bug's attachments, oldest first
+router.get('/', async (req, res) => {
+    try {
+        req.log.debug('Fetching attachments for bug', { id: req.params.id });
+
+        const attachments = await Attachment.find({ bug: req.params.id }).sort({ createdAt: 1 });
+
+        res.json({ attachments });
+    } catch (error) {
+        req.log.error('Error fetching attachments', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/bugs/:id/attachments - Upload files (multipart field "files")
+router.post('/', requireBugEdit, receiveFiles, async (req, res) => {
+    const storedKeys = [];
+
+    try {
+        req.log.debug('Uploading attachments to bug', { id: req.params.id });
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['At least one file is required in the "files" field']
+            });
+        }
+
+        const validation = validateFileTypes(req.files);
+
+        if (!validation.isValid) {
+            req.log.info('Unsupported attachments', { errors: validation.errors });
+            return res.status(415).json({
+                error: 'Unsupported file type',
+                details: validation.errors
+            });
+        }
+
+        // Check every file before storing any, so an upload is all or nothing
+        const processed = await Promise.all(req.files.map(processFile));
+        const failures = processed.filter(result => result.error).map(result => result.error);
+
+        if (failures.length > 0) {
+            req.log.info('Unsupported attachments', { failures });
+            return res.status(415).json({
+                error: 'Unsupported file type',
+                details: failures
+            });
+        }
+
+        const storage = getStorage();
+        const documents = [];
+
+        for (const [index, { attachment, thumbnail }] of processed.entries()) {
+            const _id = new mongoose.Types.ObjectId();
+            const storageKey = `${req.params.id}/${_id}`;
+            const thumbnailKey = thumbnail ? `${storageKey}-thumbnail.webp` : null;
+
+            await storage.save(storageKey, req.files[index].buffer);
+            storedKeys.push(storageKey);
+
+            if (thumbnail) {
+                await storage.save(thumbnailKey, thumbnail);
+                storedKeys.push(thumbnailKey);
+            }
+
+            documents.push({
+                ...attachment,
+                _id,
+                bug: req.params.id,
+                storageKey,
+                thumbnailKey,
+                uploadedBy: req.user.username
+            });
+        }
+
+        const attachments = await Attachment.insertMany(documents);
+
+        req.log.info('Attachments uploaded successfully', { attachmentIds: attachments.map(attachment => attachment._id) });
+        res.status(201).json({ attachments });
+    } catch (error) {
+        req.log.error('Error uploading attachments', { error });
+
+        // Don't leave files behind that no attachment points to
+        await Promise.all(storedKeys.map(key => getStorage().remove(key).catch(() => {})));
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/bugs/:id/attachments/:attachmentId - Download an attachment
+router.get('/:attachmentId', async (req, res) => {
+    try {
+        req.log.debug('Downloading attachment', { attachmentId: req.params.attachmentId });
+
+        const attachment = await findAttachment(req, res);
+        if (!attachment) return;
+
+        await sendStoredFile(res, attachment.storageKey, {
+            'Content-Type': attachment.mimeType,
+            'Content-Length': attachment.size
+        }, attachment.filename);
+    } catch (error) {
+        req.log.error('Error downloading attachment', { error });
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+});
+
+// GET /api/bugs/:id/attachments/:attachmentId/thumbnail - Get an image attachment's thumbnail
+router.get('/:attachmentId/thumbnail', async (req, res) => {
+    try {
+        const attachment = await findAttachment(req, res);
+        if (!attachment) return;
+
+        if (!attachment.thumbnailKey) {
+            return res.status(404).json({ error: 'Attachment has no thumbnail' });
+        }
+
+        await sendStoredFile(res, attachment.thumbnailKey, {
+            'Content-Type': 'image/webp',
+            'Cache-Control': 'private, max-age=86400'
+        });
+    } catch (error) {
+        req.log.error('Error sending thumbnail', { error });
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+});
+
+// DELETE /api/bugs/:id/attachments/:attachmentId - Delete an attachment
+router.delete('/:attachmentId', requireBugEdit, async (req, res) => {
+    try {
+        req.log.debug('Deleting attachment', { attachmentId: req.params.attachmentId });
+
+        const attachment = await findAttachment(req, res);
+        if (!attachment) return;
+
+        await Attachment.deleteOne({ _id: attachment._id });
+
+        const keys = [attachment.storageKey, attachment.thumbnailKey].filter(Boolean);
+        await Promise.all(keys.map(key => getStorage().remove(key).catch(error => {
+            req.log.error('Error removing attachment file', { key, error });
+        })));
+
+        req.log.info('Attachment deleted successfully', { attachmentId: attachment._id });
+        res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+        req.log.error('Error deleting attachment', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { signToken } = require('../utils/auth');
+const { validateRegistrationData, validateAccountData } = require('../utils/validation');
+
+// POST /api/auth/register - Create an account and sign in
+router.post('/register', async (req, res) => {
+    try {
+        // Without a body Express leaves req.body undefined; validation then reports the missing fields
+        const body = req.body || {};
+        req.log.debug('Registering user', { username: body.username });
+
+        const validation = validateRegistrationData(body);
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        const username = body.username.trim().toLowerCase();
+
+        if (await User.exists({ username })) {
+            return res.status(409).json({ error: 'Username is already taken' });
+        }
+
+        // The first account gets to hand out roles to everybody else
+        const isFirstUser = (await User.countDocuments()) === 0;
+
+        const user = new User({ username, name: body.name.trim(), email: body.email?.trim() || null });
+        if (isFirstUser) user.role = 'admin';
+        await user.setPassword(body.password);
+        const savedUser = await user.save();
+
+        req.log.info('User registered successfully', { userId: savedUser._id });
+        res.status(201).json({ token: signToken(savedUser), user: savedUser });
+    } catch (error) {
+        req.log.error('Error registering user', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/auth/login - Exchange a username and password for a token
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        req.log.debug('Login attempt', { username });
+
+        if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        const user = await User.findOne({ username: username.trim().toLowerCase() }).select('+passwordHash');
+
+        // Same answer for unknown users and wrong passwords
+        if (!user || !(await user.comparePassword(password))) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        req.log.info('User logged in successfully', { userId: user._id });
+        res.json({ token: signToken(user), user });
+    } catch (error) {
+        req.log.error('Error logging in', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/auth/me - Get the signed-in user
+router.get('/me', authenticate, (req, res) => {
+    res.json({ user: req.user });
+});
+
+// PUT /api/auth/me - Change the signed-in user's email address and which bug emails they get
+router.put('/me', authenticate, async (req, res) => {
+    try {
+        req.log.debug('Updating account');
+
+        const { email, emailPreferences } = req.body || {};
+        const validation = validateAccountData({ email, emailPreferences });
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        // Preferences left out keep their current value
+        const { user } = req;
+        if (email !== undefined) user.email = email ? email.trim() : null;
+        Object.entries(emailPreferences || {}).forEach(([kind, value]) => {
+            user.emailPreferences[kind] = value;
+        });
+        const savedUser = await user.save();
+
+        req.log.info('Account updated successfully', { userId: savedUser._id });
+        res.json({ user: savedUser });
+    } catch (error) {
+        req.log.error('Error updating account', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
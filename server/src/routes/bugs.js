@@ -1,41 +1,499 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Bug = require('../models/Bug');
+const Project = require('../models/Project');
+const Label = require('../models/Label');
+const Milestone = require('../models/Milestone');
+const BugHistory = require('../models/BugHistory');
+const BugLink = require('../models/BugLink');
+const commentsRouter = require('./comments');
+const attachmentsRouter = require('./attachments');
+const linksRouter = require('./links');
+const trash = require('../config/trash');
+const { requirePermission, sendForbidden } = require('../middleware/auth');
 const { validateBugData, sanitizeBugData, isValidObjectId } = require('../utils/validation');
+const { snapshotBug, diffBugFields, buildUpdateEntries, getActor } = require('../utils/history');
+const { workflow, checkTransition, checkInitialStatus, keepsResolution } = require('../utils/workflow');
+const { checkPermission, getUpdateActions } = require('../utils/permissions');
+const { validateSearchQuery, getSearchTerms, getHighlights } = require('../utils/search');
+const { parseQuery } = require('../utils/query');
+const { parseListParams, getSortSpec, encodeCursor, buildCursorFilter } = require('../utils/pagination');
+const { getETag, matchesETag } = require('../utils/concurrency');
+const { bugEventLog, publishBugEvent } = require('../utils/events');
+const { formatServerSentEvent } = require('../utils/eventLog');
+const stream = require('../config/stream');
+const { parseStatsParams } = require('../utils/stats');
+const { MAX_BULK_ITEMS, BULK_OPERATIONS, validateBulkRequest, buildBulkChanges } = require('../utils/bulk');
+
+// Fields that may accompany a status change without requiring a full update
+const STATUS_CHANGE_FIELDS = ['status', 'resolution', 'reason', 'ignoreBlockers'];
+
+// Tags must name a label; archived ones included, since bugs may keep them
+const loadLabels = () => Label.find().select('name archived').lean();
+
+// Refuses a write based on a stale copy of a bug, sending the current copy for the client to merge
+const sendPreconditionFailed = (res, currentBug) => res
+    .status(412)
+    .set('ETag', getETag(currentBug))
+    .json({
+    error: 'Precondition failed',
+    details: ['This bug has been changed by someone else since you loaded it'],
+    current: currentBug
+    });
+
+/**
+ * Checks that a bug may be planned for a milestone
+ * @param {*} milestoneId - Requested milestone, if any
+ * @param {Object} existingBug - Bug being updated; it may stay on its milestone after that closes
+ * @returns {Promise<string|null>} - Reason it may not, or null
+ */
+const checkMilestone = async (milestoneId, existingBug = null) => {
+    if (!milestoneId) return null;
+    if (existingBug && String(existingBug.milestone) === String(milestoneId)) return null;
+
+    const milestone = await Milestone.findById(milestoneId);
+
+    if (!milestone) return 'Unknown milestone';
+    if (milestone.state === 'closed') return `Milestone "${milestone.name}" is closed`;
+    return null;
+};
+
+/**
+ * Builds the MongoDB filter for the list parameters shared by GET /api/bugs and bulk updates
+ * @param {Object} params - { status, priority, milestone, q }; milestone is an ID or "none"
+ * @param {Object} req - Express request, for the signed-in user ("me" in queries) and its logger
+ * @returns {Object} - { filter, text } where text is left for full-text search, or { error } to answer 400 with
+ */
+const buildBugFilter = ({ status, priority, milestone, q }, req) => {
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (priority) filter.priority = priority;
+
+    if (milestone === 'none') {
+    filter.milestone = null;
+    } else if (milestone !== undefined) {
+    if (!isValidObjectId(milestone)) {
+        return { error: { error: 'Validation failed', details: ['Milestone must be a milestone ID or "none"'] } };
+    }
+    filter.milestone = milestone;
+    }
+
+    if (q === undefined) {
+    return { filter, text: '' };
+    }
+
+    const searchValidation = validateSearchQuery(q);
+
+    if (!searchValidation.isValid) {
+    return { error: { error: 'Validation failed', details: searchValidation.errors } };
+    }
+
+    // field:value terms become filters; whatever is left is full-text search
+    const query = parseQuery(q, { username: req.user.username });
+
+    if (!query.isValid) {
+    req.log.info('Invalid query', { errors: query.errors });
+    return {
+        error: {
+        error: 'Invalid query',
+        details: query.errors.map(queryError => queryError.message),
+        errors: query.errors
+        }
+    };
+    }
+
+    return { filter: { ...filter, ...query.filter }, text: query.text };
+};
+
+/**
+ * Applies a validated update to a bug: enforces the workflow, writes only if the bug is
+ * still the version that was checked, and records the change history
+ * @param {Object} req - Express request, for the acting user and its logger
+ * @param {Object} existingBug - Bug the update was checked against
+ * @param {Object} sanitizedData - Update data, including any reason for a status change
+ * @returns {Promise<Object>} - { bug } when saved, otherwise { status, body }; 412s also carry `current`
+ */
+const applyBugUpdate = async (req, existingBug, sanitizedData) => {
+    const { reason, ignoreBlockers, ignoreTransitions, ...updateData } = sanitizedData;
+
+    // Status changes must follow the workflow, unless the caller sets ignoreTransitions
+    if (updateData.status && updateData.status !== existingBug.status) {
+        const transition = ignoreTransitions === true
+        ? { isValid: true }
+        : checkTransition(existingBug.status, updateData.status, sanitizedData);
+
+        if (!transition.isValid) {
+        req.log.info('Invalid status transition', { errors: transition.errors });
+        return {
+            status: 422,
+            body: {
+            error: 'Invalid status transition',
+            details: transition.errors,
+            allowedTransitions: transition.allowedTransitions
+            }
+        };
+        }
+
+        // Bugs wait for their blockers to be resolved first, unless the caller sets ignoreBlockers
+        if (keepsResolution(updateData.status) && ignoreBlockers !== true) {
+        const blockers = await BugLink.findOpenBlockers(existingBug._id);
+
+        if (blockers.length > 0) {
+            req.log.info('Status change blocked', { bugId: existingBug._id, blockers: blockers.map(blocker => blocker.key) });
+            return {
+            status: 422,
+            body: {
+                error: 'Open blockers',
+                details: blockers.map(blocker => `Blocked by ${blocker.key} (${blocker.status})`),
+                blockers
+            }
+            };
+        }
+        }
+    }
+
+    if (updateData.resolution && !workflow.resolutions.includes(updateData.resolution)) {
+    return {
+        status: 400,
+        body: {
+        error: 'Validation failed',
+        details: [`Resolution must be one of: ${workflow.resolutions.join(', ')}`]
+        }
+    };
+    }
+
+    // Only resolved bugs carry a resolution; reopening clears it
+    if (!keepsResolution(updateData.status || existingBug.status)) {
+    updateData.resolution = null;
+    }
+
+    // A bug is only a duplicate while it is resolved as one
+    if (updateData.resolution !== undefined && updateData.resolution !== 'duplicate') {
+    updateData.duplicateOf = null;
+    }
+
+    // The checks above ran against existingBug, so only write if it is still the current version
+    // New assignees start watching the bug
+    const updatedBug = await Bug.findOneAndUpdate(
+    { _id: existingBug._id, version: existingBug.version },
+    { ...updateData, updatedAt: new Date(), ...(updateData.assignee && { $addToSet: { watchers: updateData.assignee } }) },
+    { new: true, runValidators: true }
+    );
+
+    if (!updatedBug) {
+    const currentBug = await Bug.findById(existingBug._id);
+
+    if (!currentBug) {
+        return { status: 404, body: { error: 'Bug not found' } };
+    }
+
+    req.log.info('Concurrent update rejected', { bugId: existingBug._id });
+    return { status: 412, body: { error: 'Precondition failed' }, current: currentBug };
+    }
+
+    const changes = diffBugFields(existingBug, updatedBug);
+    if (changes.length > 0) {
+    const actor = getActor(req);
+    await BugHistory.insertMany(buildUpdateEntries(updatedBug._id, changes, actor, reason));
+    await publishBugEvent('bug.updated', updatedBug, { actor, changes });
+
+    // Status changes are also published on their own, for subscribers that only follow those
+    const statusChange = changes.find(change => change.field === 'status');
+    if (statusChange) {
+        await publishBugEvent('bug.status_changed', updatedBug, {
+        actor,
+        from: statusChange.oldValue,
+        to: statusChange.newValue,
+        resolution: updatedBug.resolution,
+        reason: reason || null
+        });
+    }
+    }
+
+    return { bug: updatedBug };
+};
+
+/**
+ * Finds the first permission an update needs that the user lacks
+ * @param {Object} user - Signed-in user
+ * @param {Object} existingBug - Bug being updated
+ * @param {Object} sanitizedData - Update data
+ * @returns {Object|undefined} - Failed checkPermission result, if any
+ */
+const findDeniedPermission = (user, existingBug, sanitizedData) => getUpdateActions(existingBug, sanitizedData)
+    .map(action => checkPermission(user, action, existingBug))
+    .find(permission => !permission.isAllowed);
+
+// Bug numbers within a project (123 under /api/projects/WEB/bugs) and keys (WEB-123) work as well as IDs
+const BUG_NUMBER_PATTERN = /^\d{1,9}$/;
+const BUG_KEY_PATTERN = /^([A-Za-z][A-Za-z0-9]{1,9})-(\d{1,9})$/;
+
+// Every route with an :id first resolves it to the bug's ID. Under a project the bug must belong to it.
+router.param('id', async (req, res, next, id) => {
+    const isNumber = req.project && BUG_NUMBER_PATTERN.test(id);
+    const keyMatch = BUG_KEY_PATTERN.exec(id);
+
+    // Anything else is left for the route to check as an ID
+    if (!isNumber && !keyMatch && !(req.project && isValidObjectId(id))) {
+        return next();
+    }
+
+    try {
+        const filter = req.project ? { project: req.project._id } : {};
+
+        if (isNumber) {
+        filter.number = Number(id);
+        } else if (keyMatch) {
+        filter.key = `${keyMatch[1].toUpperCase()}-${keyMatch[2]}`;
+        } else {
+        filter._id = new mongoose.Types.ObjectId(id);
+        }
+
+        // Straight to the collection, so bugs in the trash can still be found and restored
+        const bug = await Bug.collection.findOne(filter, { projection: { _id: 1 } });
+
+        if (!bug) {
+        return res.status(404).json({ error: 'Bug not found' });
+        }
+
+        req.params.id = bug._id.toString();
+        next();
+    } catch (error) {
+        req.log.error('Error resolving bug', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
 // GET /api/bugs - Get all bugs with optional filtering
 router.get('/', async (req, res) => {
     try {
-        console.log('GET /api/bugs - Fetching bugs with query:', req.query);
+        req.log.debug('Fetching bugs with query', { query: req.query });
 
-        const { status, priority, page = 1, limit = 10 } = req.query;
-        const filter = {};
+        const params = parseListParams(req.query);
 
-        if (status) filter.status = status;
-        if (priority) filter.priority = priority;
+        if (!params.isValid) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: params.errors
+        });
+        }
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const { filter, text, error } = buildBugFilter(req.query, req);
 
-        const bugs = await Bug.find(filter)
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(parseInt(limit));
+        if (error) {
+        return res.status(400).json(error);
+        }
+
+        // Under /api/projects/:key/bugs only that project's bugs are listed
+        if (req.project) filter.project = req.project._id;
+
+        // Searches are ranked by relevance unless a sort is given; plain listings default to newest first
+        const isSearch = Boolean(text);
+        if (isSearch) filter.$text = { $search: text };
+
+        // Relevance scores have no stable position to resume from, so those pages go by number
+        const byRelevance = isSearch && req.query.sort === undefined;
+        const cursor = params.after || params.before;
+
+        if (byRelevance && cursor) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: ['Cursors require an explicit sort when searching']
+        });
+        }
 
         const total = await Bug.countDocuments(filter);
 
-        console.log(`Found ${bugs.length} bugs out of ${total} total`);
+        // Walking back from a "before" cursor reads the sort in reverse, then flips the page
+        let query = Bug.find(
+            cursor ? { ...filter, ...buildCursorFilter(params.sort, cursor, Boolean(params.before)) } : filter,
+            isSearch ? { score: { $meta: 'textScore' } } : null
+        )
+            .sort(byRelevance
+            ? { score: { $meta: 'textScore' }, createdAt: -1 }
+            : getSortSpec(params.sort, Boolean(params.before)));
+
+        if (!cursor) query = query.skip((params.page - 1) * params.limit);
+
+        // One extra bug tells whether there is another page in the direction of travel
+        const results = await query.limit(params.limit + 1).lean(isSearch);
+        const hasMore = results.length > params.limit;
+        const pageResults = results.slice(0, params.limit);
+        if (params.before) pageResults.reverse();
+
+        const first = pageResults[0];
+        const last = pageResults[pageResults.length - 1];
+        const pagination = { limit: params.limit, total, nextCursor: null, prevCursor: null };
+
+        if (!cursor) {
+        pagination.page = params.page;
+        pagination.pages = Math.ceil(total / params.limit);
+        }
+
+        if (!byRelevance && first) {
+        const hasNext = params.before ? true : hasMore;
+        const hasPrev = params.before ? hasMore : Boolean(params.after) || params.page > 1;
+
+        if (hasNext) pagination.nextCursor = encodeCursor(last, params.sort);
+        if (hasPrev) pagination.prevCursor = encodeCursor(first, params.sort);
+        }
+
+        const terms = isSearch ? getSearchTerms(text) : [];
+        const bugs = isSearch
+            ? pageResults.map(bug => ({ ...bug, highlights: getHighlights(bug, terms) }))
+            : pageResults;
+
+        req.log.info('Found bugs', { found: bugs.length, total });
+
+        res.json({ bugs, pagination });
+    } catch (error) {
+        req.log.error('Error fetching bugs', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+    });
+
+    // GET /api/bugs/workflow - Get the status workflow (statuses, transitions, resolutions)
+    router.get('/workflow', (req, res) => {
+        res.json(workflow);
+    });
+
+    // GET /api/bugs/stream - Server-Sent Events as bugs are created, updated, deleted and restored.
+    // With a Last-Event-ID header the events missed since are replayed first; when they can't
+    // be any more, a reset event tells the client to reload. A ready event marks the live part.
+    router.get('/stream', (req, res) => {
+        req.log.debug('Opening bug stream');
+
+        // Under /api/projects/:key/bugs only that project's bugs are streamed
+        const projectId = req.project ? req.project._id.toString() : null;
+        const send = (entry) => {
+        if (projectId && String(entry.data.bug.project) !== projectId) return;
+        res.write(formatServerSentEvent(entry));
+        };
+
+        res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stops proxies such as nginx from holding events back
+        'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const lastEventId = req.get('Last-Event-ID');
+
+        if (lastEventId) {
+        const missed = bugEventLog.since(lastEventId);
+
+        if (missed) {
+            missed.forEach(send);
+        } else {
+            res.write(formatServerSentEvent({ event: 'reset', data: { reason: 'Missed events are no longer available' } }));
+        }
+        }
+
+        res.write(formatServerSentEvent({ id: bugEventLog.lastId(), event: 'ready', data: {} }));
+
+        const unsubscribe = bugEventLog.subscribe(send);
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), stream.heartbeatSeconds * 1000);
+
+        req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        req.log.info('Bug stream closed');
+        });
+    });
+
+    // GET /api/bugs/duplicates - Find unresolved bugs like the one being reported, best match first
+    router.get('/duplicates', async (req, res) => {
+    try {
+        const { title, description = '' } = req.query;
+
+        if (typeof title !== 'string' || !title.trim() || typeof description !== 'string') {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: ['Title is required to find duplicates']
+        });
+        }
+
+        // Under /api/projects/:key/bugs only that project's bugs are compared
+        const duplicates = await Bug.findPossibleDuplicates(
+            { title, description },
+            { project: req.project?._id }
+        );
+
+        res.json({ duplicates });
+    } catch (error) {
+        req.log.error('Error finding duplicates', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+    });
+
+    // GET /api/bugs/stats - Counts by status, priority, assignee and tag, opened and closed bugs
+    // per day, mean time to resolve and the oldest open bugs, for the dashboard
+    router.get('/stats', async (req, res) => {
+    try {
+        req.log.debug('Gathering bug stats', { query: req.query });
+
+        const params = parseStatsParams(req.query);
+
+        if (!params.isValid) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: params.errors
+        });
+        }
+
+        // Under /api/projects/:key/bugs only that project's bugs are counted
+        const stats = await Bug.getStats({
+            project: req.project?._id,
+            days: params.days,
+            oldest: params.oldest
+        });
+
+        res.json(stats);
+    } catch (error) {
+        req.log.error('Error gathering bug stats', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+    });
+
+    // GET /api/bugs/trash - List trashed bugs, most recently deleted first
+    router.get('/trash', requirePermission('bug:delete'), async (req, res) => {
+    try {
+        req.log.debug('Fetching trash', { query: req.query });
+
+        const params = parseListParams({ page: req.query.page, limit: req.query.limit });
+
+        if (!params.isValid) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: params.errors
+        });
+        }
+
+        const filter = { deletedAt: { $ne: null } };
+        if (req.project) filter.project = req.project._id;
+
+        const bugs = await Bug.find(filter)
+            .sort({ deletedAt: -1, _id: -1 })
+            .skip((params.page - 1) * params.limit)
+            .limit(params.limit);
+        const total = await Bug.countDocuments(filter);
 
         res.json({
         bugs,
+        retentionDays: trash.retentionDays,
         pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
+            page: params.page,
+            limit: params.limit,
             total,
-            pages: Math.ceil(total / parseInt(limit))
+            pages: Math.ceil(total / params.limit)
         }
         });
     } catch (error) {
-        console.error('Error fetching bugs:', error);
+        req.log.error('Error fetching trash', { error });
         res.status(500).json({ error: 'Internal server error' });
     }
     });
@@ -43,7 +501,7 @@ router.get('/', async (req, res) => {
     // GET /api/bugs/:id - Get a single bug by ID
     router.get('/:id', async (req, res) => {
     try {
-        console.log('GET /api/bugs/:id - Fetching bug:', req.params.id);
+        req.log.debug('Fetching bug', { id: req.params.id });
 
         if (!isValidObjectId(req.params.id)) {
         return res.status(400).json({ error: 'Invalid bug ID format' });
@@ -55,36 +513,229 @@ router.get('/', async (req, res) => {
         return res.status(404).json({ error: 'Bug not found' });
         }
 
-        res.json(bug);
+        res.set('ETag', getETag(bug)).json(bug);
     } catch (error) {
-        console.error('Error fetching bug:', error);
+        req.log.error('Error fetching bug', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+    });
+
+    // GET /api/bugs/:id/history - Get the audit trail of a bug, oldest first
+    router.get('/:id/history', async (req, res) => {
+    try {
+        req.log.debug('Fetching history for bug', { id: req.params.id });
+
+        if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid bug ID format' });
+        }
+
+        // History outlives its bug, so deleted bugs can still be audited
+        const history = await BugHistory.find({ bug: req.params.id }).sort({ timestamp: 1, _id: 1 });
+
+        if (history.length === 0 && !(await Bug.exists({ _id: req.params.id }))) {
+        return res.status(404).json({ error: 'Bug not found' });
+        }
+
+        res.json({ history });
+    } catch (error) {
+        req.log.error('Error fetching bug history', { error });
         res.status(500).json({ error: 'Internal server error' });
     }
     });
 
     // POST /api/bugs - Create a new bug
-    router.post('/', async (req, res) => {
+    router.post('/', requirePermission('bug:create'), async (req, res) => {
     try {
-        console.log('POST /api/bugs - Creating new bug:', req.body);
+        req.log.debug('Creating new bug', { body: req.body });
 
-        const sanitizedData = sanitizeBugData(req.body);
-        const validation = validateBugData(sanitizedData);
+        // The reporter is always the signed-in user
+        const labels = await loadLabels();
+        const sanitizedData = sanitizeBugData({ ...req.body, reporter: req.user.username }, { labels });
+        const validation = validateBugData(sanitizedData, { labels });
 
         if (!validation.isValid) {
-        console.log('Validation failed:', validation.errors);
+        req.log.info('Validation failed', { errors: validation.errors });
         return res.status(400).json({
             error: 'Validation failed',
             details: validation.errors
         });
         }
 
-        const bug = new Bug(sanitizedData);
+        const milestoneError = await checkMilestone(sanitizedData.milestone);
+
+        if (milestoneError) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: [milestoneError]
+        });
+        }
+
+        const initialStatus = checkInitialStatus(sanitizedData.status);
+
+        if (!initialStatus.isValid) {
+        return res.status(422).json({
+            error: 'Invalid status transition',
+            details: initialStatus.errors
+        });
+        }
+
+        // Bugs are filed under the project in the URL, else the one named in the body, else the default project
+        let project = req.project;
+
+        if (!project && req.body.project !== undefined) {
+        project = typeof req.body.project === 'string'
+            ? await Project.findOne({ key: req.body.project.trim().toUpperCase() })
+            : null;
+
+        if (!project) {
+            return res.status(400).json({
+            error: 'Validation failed',
+            details: [`Unknown project "${req.body.project}"`]
+            });
+        }
+        }
+
+        if (!project) project = await Project.getDefault();
+
+        // Resolutions and reasons only ever accompany a status change; numbers come from the project
+        // The reporter and assignee watch the bug from the start
+        const { reason, resolution, number, key, duplicateOf, watchers, ...bugData } = sanitizedData;
+        const assignee = bugData.assignee || project.defaultAssignee;
+        const bug = new Bug({
+        ...bugData,
+        project: project._id,
+        assignee,
+        watchers: [...new Set([bugData.reporter, assignee].filter(Boolean))]
+        });
         const savedBug = await bug.save();
 
-        console.log('Bug created successfully:', savedBug._id);
-        res.status(201).json(savedBug);
+        await BugHistory.create({
+        bug: savedBug._id,
+        action: 'create',
+        newValue: snapshotBug(savedBug),
+        actor: savedBug.reporter
+        });
+        await publishBugEvent('bug.created', savedBug, { actor: savedBug.reporter });
+
+        // Likely duplicates in the same project come back with the bug, so the reporter can mark it as one
+        const possibleDuplicates = await Bug.findPossibleDuplicates(savedBug, {
+        project: savedBug.project,
+        exclude: savedBug._id
+        });
+
+        req.log.info('Bug created successfully', { bugId: savedBug._id, possibleDuplicates: possibleDuplicates.length });
+        res.status(201).set('ETag', getETag(savedBug)).json({ ...savedBug.toJSON(), possibleDuplicates });
+    } catch (error) {
+        req.log.error('Error creating bug', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+    });
+
+    // POST /api/bugs/bulk - Apply one operation to many bugs, chosen by ID or by filter
+    router.post('/bulk', async (req, res) => {
+    try {
+        req.log.debug('Bulk update', { body: req.body });
+
+        const requestValidation = validateBulkRequest(req.body);
+
+        if (!requestValidation.isValid) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: requestValidation.errors
+        });
+        }
+
+        // Tags are spelled as their labels are, so removing "ui" takes off "UI"
+        const labels = await loadLabels();
+        const operation = BULK_OPERATIONS[req.body.operation.type] === 'tags'
+            ? { ...req.body.operation, value: sanitizeBugData({ tags: req.body.operation.value }, { labels }).tags }
+            : req.body.operation;
+        let ids = req.body.ids;
+
+        if (!ids) {
+        const { filter, text, error } = buildBugFilter(req.body.filter, req);
+
+        if (error) {
+            return res.status(400).json(error);
+        }
+
+        if (text) filter.$text = { $search: text };
+        if (req.project) filter.project = req.project._id;
+
+        const matches = await Bug.find(filter).select('_id').limit(MAX_BULK_ITEMS + 1);
+
+        if (matches.length > MAX_BULK_ITEMS) {
+            return res.status(400).json({
+            error: 'Validation failed',
+            details: [`Filter matches more than ${MAX_BULK_ITEMS} bugs; narrow it down`]
+            });
+        }
+
+        ids = matches.map(match => match._id.toString());
+        }
+
+        const uniqueIds = [...new Set(ids)];
+        // Under a project, bugs from other projects are reported as not found
+        const bugs = await Bug.find({
+        _id: { $in: uniqueIds.filter(isValidObjectId) },
+        ...(req.project && { project: req.project._id })
+        });
+        const bugsById = new Map(bugs.map(bug => [bug._id.toString(), bug]));
+
+        // Bugs are applied one at a time with the same checks as PUT, so one failure never blocks the rest
+        const results = [];
+
+        for (const id of uniqueIds) {
+        const fail = (status, body) => results.push({ id, success: false, status, ...body });
+
+        if (!isValidObjectId(id)) {
+            fail(400, { error: 'Invalid bug ID format' });
+            continue;
+        }
+
+        const existingBug = bugsById.get(id);
+
+        if (!existingBug) {
+            fail(404, { error: 'Bug not found' });
+            continue;
+        }
+
+        const sanitizedData = sanitizeBugData(buildBulkChanges(operation, existingBug), { labels });
+        const denied = findDeniedPermission(req.user, existingBug, sanitizedData);
+
+        if (denied) {
+            fail(403, { error: 'Permission denied', action: denied.action, reason: denied.reason });
+            continue;
+        }
+
+        const validation = validateBugData(
+            { ...existingBug.toObject(), ...sanitizedData },
+            { labels, existingTags: existingBug.tags }
+        );
+
+        if (!validation.isValid) {
+            fail(400, { error: 'Validation failed', details: validation.errors });
+            continue;
+        }
+
+        const result = await applyBugUpdate(req, existingBug, sanitizedData);
+
+        if (result.bug) {
+            results.push({ id, success: true, bug: result.bug });
+        } else {
+            fail(result.status, result.body);
+        }
+        }
+
+        const succeeded = results.filter(result => result.success).length;
+        req.log.info('Bulk update applied', { succeeded, requested: results.length });
+
+        res.json({
+        results,
+        summary: { total: results.length, succeeded, failed: results.length - succeeded }
+        });
     } catch (error) {
-        console.error('Error creating bug:', error);
+        req.log.error('Error applying bulk update', { error });
         res.status(500).json({ error: 'Internal server error' });
     }
     });
@@ -92,42 +743,88 @@ router.get('/', async (req, res) => {
     // PUT /api/bugs/:id - Update a bug
     router.put('/:id', async (req, res) => {
     try {
-        console.log('PUT /api/bugs/:id - Updating bug:', req.params.id, req.body);
+        req.log.debug('Updating bug', { id: req.params.id, body: req.body });
 
         if (!isValidObjectId(req.params.id)) {
         return res.status(400).json({ error: 'Invalid bug ID format' });
         }
 
-        const sanitizedData = sanitizeBugData(req.body);
+        const existingBug = await Bug.findById(req.params.id);
+
+        if (!existingBug) {
+        return res.status(404).json({ error: 'Bug not found' });
+        }
+
+        // The reporter and project are fixed when the bug is created; version, number and ranks belong to the model
+        // Duplicates are marked through POST /api/bugs/:id/duplicate, which alone may skip the workflow,
+        // and watchers through /api/bugs/:id/watch
+        const {
+        reporter, project, number, key, version, priorityRank, statusRank, duplicateOf, watchers, ignoreTransitions,
+        ...requestedData
+        } = req.body || {};
+        const labels = await loadLabels();
+        const sanitizedData = sanitizeBugData(requestedData, { labels });
+
+        // Editing, changing status and reassigning are separate permissions
+        const denied = findDeniedPermission(req.user, existingBug, sanitizedData);
+
+        if (denied) {
+        req.log.info('Permission denied', { permission: denied });
+        return sendForbidden(res, denied);
+        }
+
+        // If-Match carries the ETag the client edited; an older one means someone else saved first
+        const ifMatch = req.get('If-Match');
+
+        if (ifMatch && !matchesETag(ifMatch, existingBug)) {
+        req.log.info('Stale update rejected', { id: req.params.id, ifMatch, current: getETag(existingBug) });
+        return sendPreconditionFailed(res, existingBug);
+        }
 
         // For status-only updates, skip full validation
+        const isStatusOnlyUpdate = sanitizedData.status &&
+            Object.keys(sanitizedData).every(key => STATUS_CHANGE_FIELDS.includes(key));
+
         let validation = { isValid: true };
-        if (Object.keys(sanitizedData).length > 1 || !sanitizedData.status) {
-            validation = validateBugData(sanitizedData);
+        if (!isStatusOnlyUpdate) {
+            validation = validateBugData(
+                { ...sanitizedData, reporter: existingBug.reporter },
+                { labels, existingTags: existingBug.tags }
+            );
         }
 
         if (!validation.isValid) {
-        console.log('Validation failed:', validation.errors);
+        req.log.info('Validation failed', { errors: validation.errors });
         return res.status(400).json({
             error: 'Validation failed',
             details: validation.errors
         });
         }
 
-        const updatedBug = await Bug.findByIdAndUpdate(
-        req.params.id,
-        { ...sanitizedData, updatedAt: new Date() },
-        { new: true, runValidators: true }
-        );
+        const milestoneError = await checkMilestone(sanitizedData.milestone, existingBug);
 
-        if (!updatedBug) {
-        return res.status(404).json({ error: 'Bug not found' });
+        if (milestoneError) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: [milestoneError]
+        });
+        }
+
+        const result = await applyBugUpdate(req, existingBug, sanitizedData);
+
+        if (result.current) {
+        return sendPreconditionFailed(res, result.current);
         }
 
-        console.log('Bug updated successfully:', updatedBug._id);
-        res.json(updatedBug);
+        if (!result.bug) {
+        return res.status(result.status).json(result.body);
+        }
+
+        const updatedBug = result.bug;
+        req.log.info('Bug updated successfully', { bugId: updatedBug._id });
+        res.set('ETag', getETag(updatedBug)).json(updatedBug);
     } catch (error) {
-        console.error('Error updating bug:', error);
+        req.log.error('Error updating bug', { error });
         res.status(500).json({ error: 'Internal server error' });
     }
     });
@@ -135,24 +832,221 @@ router.get('/', async (req, res) => {
     // DELETE /api/bugs/:id - Delete a bug
     router.delete('/:id', async (req, res) => {
     try {
-        console.log('DELETE /api/bugs/:id - Deleting bug:', req.params.id);
+        req.log.debug('Deleting bug', { id: req.params.id });
 
         if (!isValidObjectId(req.params.id)) {
         return res.status(400).json({ error: 'Invalid bug ID format' });
         }
 
-        const deletedBug = await Bug.findByIdAndDelete(req.params.id);
+        const existingBug = await Bug.findById(req.params.id);
+
+        if (!existingBug) {
+        return res.status(404).json({ error: 'Bug not found' });
+        }
+
+        const permission = checkPermission(req.user, 'bug:delete', existingBug);
+
+        if (!permission.isAllowed) {
+        req.log.info('Permission denied', { permission });
+        return sendForbidden(res, permission);
+        }
+
+        // Bugs go to the trash first; comments stay so a restore brings everything back
+        const deletedBug = await Bug.findOneAndUpdate(
+        { _id: req.params.id },
+        { deletedAt: new Date(), deletedBy: req.user.username },
+        { new: true }
+        );
 
         if (!deletedBug) {
         return res.status(404).json({ error: 'Bug not found' });
         }
 
-        console.log('Bug deleted successfully:', deletedBug._id);
-        res.json({ message: 'Bug deleted successfully' });
+        await BugHistory.create({
+        bug: deletedBug._id,
+        action: 'delete',
+        oldValue: snapshotBug(deletedBug),
+        actor: getActor(req)
+        });
+        await publishBugEvent('bug.deleted', deletedBug, { actor: getActor(req) });
+
+        req.log.info('Bug moved to trash', { bugId: deletedBug._id });
+        res.json({ message: 'Bug moved to trash', bug: deletedBug });
+    } catch (error) {
+        req.log.error('Error deleting bug', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+    });
+
+    // POST /api/bugs/:id/duplicate - Close a bug as a duplicate of the bug in `of` (an ID or key)
+    router.post('/:id/duplicate', async (req, res) => {
+    try {
+        req.log.debug('Marking duplicate', { id: req.params.id, body: req.body });
+
+        if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid bug ID format' });
+        }
+
+        const existingBug = await Bug.findById(req.params.id);
+
+        if (!existingBug) {
+        return res.status(404).json({ error: 'Bug not found' });
+        }
+
+        const { of } = req.body || {};
+
+        if (typeof of !== 'string' || !of.trim()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: ['Of must be the ID or key of the original bug']
+        });
+        }
+
+        const original = await Bug.findByRef(of);
+
+        if (!original) {
+        return res.status(404).json({ error: 'Original bug not found' });
+        }
+
+        if (original._id.equals(existingBug._id)) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: ['A bug cannot be a duplicate of itself']
+        });
+        }
+
+        // Pointing at a bug that is itself a duplicate would leave a chain to follow
+        if (original.duplicateOf) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: [`${original.key} is itself a duplicate; mark this bug as a duplicate of the original`]
+        });
+        }
+
+        const sanitizedData = { status: 'closed', resolution: 'duplicate', duplicateOf: original._id };
+        const denied = findDeniedPermission(req.user, existingBug, sanitizedData);
+
+        if (denied) {
+        req.log.info('Permission denied', { permission: denied });
+        return sendForbidden(res, denied);
+        }
+
+        // The work carries on under the original, so neither the workflow nor blockers hold the duplicate open
+        const result = await applyBugUpdate(
+            req,
+            existingBug,
+            { ...sanitizedData, reason: `Duplicate of ${original.key}`, ignoreTransitions: true, ignoreBlockers: true }
+        );
+
+        if (result.current) {
+        return sendPreconditionFailed(res, result.current);
+        }
+
+        if (!result.bug) {
+        return res.status(result.status).json(result.body);
+        }
+
+        // Linked as well, unless the two already were
+        if (!(await BugLink.checkLink(result.bug, original, 'duplicates'))) {
+        await BugLink.addLink(result.bug, original, 'duplicates', getActor(req));
+        }
+
+        req.log.info('Bug marked as a duplicate', { bug: result.bug.key, original: original.key });
+        res.set('ETag', getETag(result.bug)).json(result.bug);
+    } catch (error) {
+        req.log.error('Error marking duplicate', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+    });
+
+    // POST /api/bugs/:id/restore - Take a bug back out of the trash
+    router.post('/:id/restore', async (req, res) => {
+    try {
+        req.log.debug('Restoring bug', { id: req.params.id });
+
+        if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid bug ID format' });
+        }
+
+        const trashedBug = await Bug.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+        if (!trashedBug) {
+        return res.status(404).json({ error: 'Bug not found in trash' });
+        }
+
+        // Whoever may delete a bug may also undo it
+        const permission = checkPermission(req.user, 'bug:delete', trashedBug);
+
+        if (!permission.isAllowed) {
+        req.log.info('Permission denied', { permission });
+        return sendForbidden(res, permission);
+        }
+
+        const restoredBug = await Bug.findOneAndUpdate(
+        { _id: req.params.id, deletedAt: { $ne: null } },
+        { deletedAt: null, deletedBy: null },
+        { new: true }
+        );
+
+        if (!restoredBug) {
+        return res.status(404).json({ error: 'Bug not found in trash' });
+        }
+
+        await BugHistory.create({
+        bug: restoredBug._id,
+        action: 'restore',
+        newValue: snapshotBug(restoredBug),
+        actor: getActor(req)
+        });
+        await publishBugEvent('bug.restored', restoredBug, { actor: getActor(req) });
+
+        req.log.info('Bug restored from trash', { bugId: restoredBug._id });
+        res.set('ETag', getETag(restoredBug)).json(restoredBug);
+    } catch (error) {
+        req.log.error('Error restoring bug', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+    });
+
+    /**
+     * Starts or stops the signed-in user watching a bug
+     * @param {boolean} watching - Whether they should watch it
+     * @returns {Function} - Route handler, responding with { watching, watchers }
+     */
+    const watchHandler = (watching) => async (req, res) => {
+    try {
+        req.log.debug(watching ? 'Watching bug' : 'Unwatching bug', { id: req.params.id });
+
+        if (!isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid bug ID format' });
+        }
+
+        const watchers = await Bug.setWatching(req.params.id, req.user.username, watching);
+
+        if (!watchers) {
+        return res.status(404).json({ error: 'Bug not found' });
+        }
+
+        res.json({ watching, watchers });
     } catch (error) {
-        console.error('Error deleting bug:', error);
+        req.log.error('Error changing watch', { error });
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+    };
+
+    // POST /api/bugs/:id/watch - Watch a bug, to be notified when it changes
+    router.post('/:id/watch', watchHandler(true));
+
+    // DELETE /api/bugs/:id/watch - Stop watching a bug
+    router.delete('/:id/watch', watchHandler(false));
+
+// Comment threads: /api/bugs/:id/comments
+router.use('/:id/comments', commentsRouter);
+
+// Attachments: /api/bugs/:id/attachments
+router.use('/:id/attachments', attachmentsRouter);
+
+// Links to other bugs: /api/bugs/:id/links
+router.use('/:id/links', linksRouter);
 
 module.exports = router;
\ No newline at end of file
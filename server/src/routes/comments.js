@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Bug = require('../models/Bug');
+const Comment = require('../models/Comment');
+const { requirePermission, sendForbidden } = require('../middleware/auth');
+const { publishBugEvent } = require('../utils/events');
+const { checkPermission } = require('../utils/permissions');
+const { parseListParams } = require('../utils/pagination');
+const { validateCommentData, sanitizeCommentData, isValidObjectId } = require('../utils/validation');
+
+// Threads show more comments per page than the bug list shows bugs
+const DEFAULT_LIMIT = 20;
+
+// Every comment route is nested under /api/bugs/:id, so make sure the bug exists first
+router.use(async (req, res, next) => {
+    try {
+        if (!isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid bug ID format' });
+        }
+
+        const bugExists = await Bug.exists({ _id: req.params.id });
+
+        if (!bugExists) {
+            return res.status(404).json({ error: 'Bug not found' });
+        }
+
+        next();
+    } catch (error) {
+        req.log.error('Error loading bug for comments', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/bugs/:id/comments - Get a page of comments for a bug, oldest first
+router.get('/', async (req, res) => {
+    try {
+        req.log.debug('Fetching comments for bug', { id: req.params.id, query: req.query });
+
+        const params = parseListParams({ page: req.query.page, limit: req.query.limit });
+
+        if (!params.isValid) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: params.errors
+            });
+        }
+
+        const limit = req.query.limit !== undefined ? params.limit : DEFAULT_LIMIT;
+        const filter = { bug: req.params.id };
+
+        // _id breaks ties, so comments made in the same millisecond keep their place across pages
+        const comments = await Comment.find(filter)
+            .sort({ createdAt: 1, _id: 1 })
+            .skip((params.page - 1) * limit)
+            .limit(limit);
+
+        const total = await Comment.countDocuments(filter);
+
+        res.json({
+            comments,
+            pagination: {
+                page: params.page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        req.log.error('Error fetching comments', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/bugs/:id/comments - Add a comment to a bug
+router.post('/', requirePermission('comment:create'), async (req, res) => {
+    try {
+        req.log.debug('Adding comment to bug', { id: req.params.id });
+
+        // Comments are always posted as the signed-in user
+        const sanitizedData = sanitizeCommentData({ ...req.body, author: req.user.username });
+        const validation = validateCommentData(sanitizedData);
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        const comment = new Comment({ ...sanitizedData, bug: req.params.id });
+        const savedComment = await comment.save();
+
+        // Commenting on a bug means following it from then on
+        await Bug.addWatchers(req.params.id, [savedComment.author]);
+        const bug = await Bug.findById(req.params.id);
+        await publishBugEvent('bug.commented', bug, {
+            actor: savedComment.author,
+            comment: { _id: savedComment._id, body: savedComment.body }
+        });
+
+        req.log.info('Comment created successfully', { commentId: savedComment._id });
+        res.status(201).json(savedComment);
+    } catch (error) {
+        req.log.error('Error creating comment', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/bugs/:id/comments/:commentId - Edit a comment
+router.put('/:commentId', async (req, res) => {
+    try {
+        req.log.debug('Updating comment', { commentId: req.params.commentId });
+
+        if (!isValidObjectId(req.params.commentId)) {
+            return res.status(400).json({ error: 'Invalid comment ID format' });
+        }
+
+        const comment = await Comment.findOne({ _id: req.params.commentId, bug: req.params.id });
+
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        // Only the author may reword a comment, so it never speaks for someone else
+        const permission = checkPermission(req.user, 'comment:edit', comment);
+
+        if (!permission.isAllowed) {
+            req.log.info('Permission denied', { permission });
+            return sendForbidden(res, permission);
+        }
+
+        // The author of a comment never changes, only its body
+        const sanitizedData = sanitizeCommentData({ ...req.body, author: comment.author });
+        const validation = validateCommentData(sanitizedData);
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        if (sanitizedData.body !== comment.body) {
+            comment.body = sanitizedData.body;
+            comment.edited = true;
+        }
+
+        const savedComment = await comment.save();
+
+        req.log.info('Comment updated successfully', { commentId: savedComment._id });
+        res.json(savedComment);
+    } catch (error) {
+        req.log.error('Error updating comment', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/bugs/:id/comments/:commentId - Delete a comment
+router.delete('/:commentId', async (req, res) => {
+    try {
+        req.log.debug('Deleting comment', { commentId: req.params.commentId });
+
+        if (!isValidObjectId(req.params.commentId)) {
+            return res.status(400).json({ error: 'Invalid comment ID format' });
+        }
+
+        const comment = await Comment.findOne({ _id: req.params.commentId, bug: req.params.id });
+
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        const permission = checkPermission(req.user, 'comment:delete', comment);
+
+        if (!permission.isAllowed) {
+            req.log.info('Permission denied', { permission });
+            return sendForbidden(res, permission);
+        }
+
+        await comment.deleteOne();
+
+        req.log.info('Comment deleted successfully', { commentId: comment._id });
+        res.json({ message: 'Comment deleted successfully' });
+    } catch (error) {
+        req.log.error('Error deleting comment', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const Label = require('../models/Label');
+const Bug = require('../models/Bug');
+const { requirePermission } = require('../middleware/auth');
+const { validateLabelData, sanitizeLabelData, isValidObjectId } = require('../utils/validation');
+const { getLabelKey } = require('../utils/labels');
+
+// Most labels GET /api/labels?q= suggests
+const MAX_SUGGESTIONS = 10;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every route with an :id works on that label, so load it first
+router.param('id', async (req, res, next, id) => {
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ error: 'Invalid label ID format' });
+    }
+
+    try {
+        const label = await Label.findById(id);
+
+        if (!label) {
+            return res.status(404).json({ error: 'Label not found' });
+        }
+
+        req.label = label;
+        next();
+    } catch (error) {
+        req.log.error('Error loading label', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/labels - List labels by name; q suggests labels starting with it
+router.get('/', async (req, res) => {
+    try {
+        req.log.debug('Fetching labels', { query: req.query });
+
+        const { q, includeArchived } = req.query;
+        const filter = {};
+
+        if (includeArchived !== 'true') filter.archived = false;
+        if (typeof q === 'string' && q.trim()) {
+            filter.nameKey = new RegExp(`^${escapeRegExp(getLabelKey(q))}`);
+        }
+
+        let query = Label.find(filter).sort({ nameKey: 1 });
+        if (filter.nameKey) query = query.limit(MAX_SUGGESTIONS);
+
+        res.json({ labels: await query });
+    } catch (error) {
+        req.log.error('Error fetching labels', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/labels - Create a label
+router.post('/', requirePermission('label:manage'), async (req, res) => {
+    try {
+        req.log.debug('Creating label', { body: req.body });
+
+        const sanitizedData = sanitizeLabelData(req.body);
+        const validation = validateLabelData(sanitizedData);
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        const existing = await Label.findByName(sanitizedData.name);
+
+        if (existing) {
+            return res.status(409).json({
+                error: 'Duplicate Error',
+                details: [`Label "${existing.name}" already exists`]
+            });
+        }
+
+        const label = await new Label(sanitizedData).save();
+
+        req.log.info('Label created successfully', { label: label.name });
+        res.status(201).json(label);
+    } catch (error) {
+        req.log.error('Error creating label', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/labels/:id - Get a single label
+router.get('/:id', (req, res) => {
+    res.json(req.label);
+});
+
+// PUT /api/labels/:id - Update a label; a new name is applied to every bug that has it
+router.put('/:id', requirePermission('label:manage'), async (req, res) => {
+    try {
+        req.log.debug('Updating label', { id: req.params.id, body: req.body });
+
+        const sanitizedData = sanitizeLabelData(req.body);
+        const validation = validateLabelData(sanitizedData, { isUpdate: true });
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        const oldName = req.label.name;
+        const isRename = sanitizedData.name !== undefined && sanitizedData.name !== oldName;
+
+        // Only a change of case may keep the key; taking another label's name is a merge
+        if (isRename && getLabelKey(sanitizedData.name) !== req.label.nameKey) {
+            const existing = await Label.findByName(sanitizedData.name);
+
+            if (existing) {
+                return res.status(409).json({
+                    error: 'Duplicate Error',
+                    details: [`Label "${existing.name}" already exists; merge into it instead`]
+                });
+            }
+        }
+
+        req.label.set(sanitizedData);
+        const label = await req.label.save();
+
+        if (isRename) {
+            const result = await Bug.renameTag(oldName, label.name);
+            req.log.info('Label renamed', { from: oldName, to: label.name, modified: result.modifiedCount });
+        }
+
+        res.json(label);
+    } catch (error) {
+        req.log.error('Error updating label', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/labels/:id/merge - Replace this label with another on every bug, then delete it
+router.post('/:id/merge', requirePermission('label:manage'), async (req, res) => {
+    try {
+        req.log.debug('Merging label', { id: req.params.id, body: req.body });
+
+        const { into } = req.body || {};
+
+        if (typeof into !== 'string' || !isValidObjectId(into)) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['Into must be the ID of the label to merge into']
+            });
+        }
+
+        if (into === req.label._id.toString()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['A label cannot be merged into itself']
+            });
+        }
+
+        const target = await Label.findById(into);
+
+        if (!target) {
+            return res.status(404).json({ error: 'Label not found' });
+        }
+
+        const result = await Bug.renameTag(req.label.name, target.name);
+        await Label.deleteOne({ _id: req.label._id });
+
+        req.log.info('Label merged', { label: req.label.name, into: target.name, modified: result.modifiedCount });
+        res.json({ label: target, bugsUpdated: result.modifiedCount });
+    } catch (error) {
+        req.log.error('Error merging label', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/labels/:id - Delete a label and take it off every bug
+router.delete('/:id', requirePermission('label:manage'), async (req, res) => {
+    try {
+        req.log.debug('Deleting label', { id: req.params.id });
+
+        const result = await Bug.removeTag(req.label.name);
+        await Label.deleteOne({ _id: req.label._id });
+
+        req.log.info('Label deleted', { label: req.label.name, modified: result.modifiedCount });
+        res.json({ message: 'Label deleted successfully', bugsUpdated: result.modifiedCount });
+    } catch (error) {
+        req.log.error('Error deleting label', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
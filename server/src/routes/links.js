@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Bug = require('../models/Bug');
+const BugLink = require('../models/BugLink');
+const { sendForbidden } = require('../middleware/auth');
+const { checkPermission } = require('../utils/permissions');
+const { isValidObjectId } = require('../utils/validation');
+const { getActor } = require('../utils/history');
+const { LINK_TYPES, LINK_DIRECTIONS } = require('../config/links');
+
+/**
+ * Describes a link as seen from one of its bugs
+ * @param {Object} link - Link document
+ * @param {Object} bugId - ID of the bug it is seen from
+ * @param {Object} other - The bug at the other end
+ * @returns {Object} - { _id, type, direction, relation, bug }
+ */
+const viewLink = (link, bugId, other) => {
+    const direction = link.source.equals(bugId) ? 'outward' : 'inward';
+
+    return {
+        _id: link._id,
+        type: link.type,
+        direction,
+        relation: LINK_TYPES[link.type][direction],
+        bug: { _id: other._id, key: other.key, title: other.title, status: other.status }
+    };
+};
+
+// Every link route is nested under /api/bugs/:id, so load the bug first
+router.use(async (req, res, next) => {
+    try {
+        if (!isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid bug ID format' });
+        }
+
+        const bug = await Bug.findById(req.params.id);
+
+        if (!bug) {
+            return res.status(404).json({ error: 'Bug not found' });
+        }
+
+        req.bug = bug;
+        next();
+    } catch (error) {
+        req.log.error('Error loading bug for links', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Linking counts as editing the bug the link is added from or removed from
+router.use((req, res, next) => {
+    if (req.method === 'GET') return next();
+
+    const permission = checkPermission(req.user, 'bug:edit', req.bug);
+
+    if (!permission.isAllowed) {
+        req.log.info('Permission denied', { permission });
+        return sendForbidden(res, permission);
+    }
+
+    next();
+});
+
+// GET /api/bugs/:id/links - List the bug's links in both directions, with the status of each linked bug
+router.get('/', async (req, res) => {
+    try {
+        req.log.debug('Fetching links for bug', { id: req.params.id });
+
+        const bugId = req.bug._id;
+        const links = await BugLink.find({ $or: [{ source: bugId }, { target: bugId }] }).sort({ createdAt: 1 });
+        const otherIds = links.map(link => (link.source.equals(bugId) ? link.target : link.source));
+
+        // Bugs in the trash are left out until they are restored
+        const others = await Bug.find({ _id: { $in: otherIds } }).select('key title status');
+        const othersById = new Map(others.map(other => [other._id.toString(), other]));
+
+        res.json({
+            links: links
+                .map((link, index) => ({ link, other: othersById.get(otherIds[index].toString()) }))
+                .filter(({ other }) => other)
+                .map(({ link, other }) => viewLink(link, bugId, other))
+        });
+    } catch (error) {
+        req.log.error('Error fetching links', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/bugs/:id/links - Link the bug to another; inward links point from the other bug to this one
+router.post('/', async (req, res) => {
+    try {
+        req.log.debug('Linking bug', { id: req.params.id, body: req.body });
+
+        const { type, target, direction = 'outward' } = req.body || {};
+        const errors = [];
+
+        if (!Object.prototype.hasOwnProperty.call(LINK_TYPES, type)) {
+            errors.push(`Type must be one of: ${Object.keys(LINK_TYPES).join(', ')}`);
+        }
+        if (typeof target !== 'string' || !target.trim()) {
+            errors.push('Target must be the ID or key of a bug');
+        }
+        if (!LINK_DIRECTIONS.includes(direction)) {
+            errors.push(`Direction must be one of: ${LINK_DIRECTIONS.join(', ')}`);
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+
+        const other = await Bug.findByRef(target);
+
+        if (!other) {
+            return res.status(404).json({ error: 'Target bug not found' });
+        }
+
+        const [source, linkTarget] = direction === 'outward' ? [req.bug, other] : [other, req.bug];
+        const problem = await BugLink.checkLink(source, linkTarget, type);
+
+        if (problem) {
+            req.log.info('Link rejected', { reason: problem.message });
+            return res.status(problem.status).json({
+                error: problem.status === 409 ? 'Duplicate Error' : 'Validation failed',
+                details: [problem.message]
+            });
+        }
+
+        const link = await BugLink.addLink(source, linkTarget, type, getActor(req));
+
+        req.log.info('Bugs linked', { source: source.key, relation: LINK_TYPES[type].outward, target: linkTarget.key });
+        res.status(201).json(viewLink(link, req.bug._id, other));
+    } catch (error) {
+        req.log.error('Error adding link', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/bugs/:id/links/:linkId - Remove a link from either of its bugs
+router.delete('/:linkId', async (req, res) => {
+    try {
+        req.log.debug('Removing link', { linkId: req.params.linkId });
+
+        if (!isValidObjectId(req.params.linkId)) {
+            return res.status(400).json({ error: 'Invalid link ID format' });
+        }
+
+        const link = await BugLink.findOne({
+            _id: req.params.linkId,
+            $or: [{ source: req.bug._id }, { target: req.bug._id }]
+        });
+
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        await BugLink.removeLink(link, getActor(req));
+
+        req.log.info('Link removed', { linkId: link._id });
+        res.json({ message: 'Link removed successfully' });
+    } catch (error) {
+        req.log.error('Error removing link', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
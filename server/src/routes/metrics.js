@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { registry } = require('../metrics');
+const { getBearerToken } = require('../utils/auth');
+const settings = require('../config/metrics');
+
+// With METRICS_TOKEN set, scrapers must send it as a bearer token
+router.use((req, res, next) => {
+    if (!settings.token) return next();
+
+    const expected = Buffer.from(settings.token);
+    const actual = Buffer.from(getBearerToken(req.get('Authorization')) || '');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    next();
+});
+
+// GET /metrics - Metrics in the Prometheus text format
+router.get('/', async (req, res) => {
+    try {
+        res.set('Content-Type', registry.contentType).send(await registry.metrics());
+    } catch (error) {
+        req.log.error('Error rendering metrics', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
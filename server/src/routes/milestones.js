@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const Milestone = require('../models/Milestone');
+const Bug = require('../models/Bug');
+const { requirePermission } = require('../middleware/auth');
+const { validateMilestoneData, sanitizeMilestoneData, isValidObjectId } = require('../utils/validation');
+const { getMilestoneProgress } = require('../utils/milestones');
+
+/**
+ * Adds the progress of each milestone
+ * @param {Object[]} milestones - Milestone documents
+ * @returns {Promise<Object[]>} - Milestones as JSON, each with a progress object
+ */
+const withProgress = async (milestones) => {
+    const counts = await Bug.countByMilestone(milestones.map(milestone => milestone._id));
+    const now = new Date();
+
+    return milestones.map(milestone => ({
+        ...milestone.toJSON(),
+        progress: getMilestoneProgress(milestone, counts.get(milestone._id.toString()), now)
+    }));
+};
+
+// Every route with an :id works on that milestone, so load it first
+router.param('id', async (req, res, next, id) => {
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ error: 'Invalid milestone ID format' });
+    }
+
+    try {
+        const milestone = await Milestone.findById(id);
+
+        if (!milestone) {
+            return res.status(404).json({ error: 'Milestone not found' });
+        }
+
+        req.milestone = milestone;
+        next();
+    } catch (error) {
+        req.log.error('Error loading milestone', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/milestones - List milestones by due date, with their progress; undated ones come last
+router.get('/', async (req, res) => {
+    try {
+        req.log.debug('Fetching milestones', { query: req.query });
+
+        const { state } = req.query;
+
+        if (state !== undefined && !['open', 'closed'].includes(state)) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['State must be one of: open, closed']
+            });
+        }
+
+        const milestones = await Milestone.find(state ? { state } : {}).sort({ dueDate: 1, name: 1 });
+        const dated = milestones.filter(milestone => milestone.dueDate);
+        const undated = milestones.filter(milestone => !milestone.dueDate);
+
+        res.json({ milestones: await withProgress([...dated, ...undated]) });
+    } catch (error) {
+        req.log.error('Error fetching milestones', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/milestones - Create a milestone
+router.post('/', requirePermission('milestone:manage'), async (req, res) => {
+    try {
+        req.log.debug('Creating milestone', { body: req.body });
+
+        const sanitizedData = sanitizeMilestoneData(req.body);
+        const validation = validateMilestoneData(sanitizedData);
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        if (await Milestone.exists({ name: sanitizedData.name })) {
+            return res.status(409).json({
+                error: 'Duplicate Error',
+                details: [`Milestone "${sanitizedData.name}" already exists`]
+            });
+        }
+
+        const milestone = await new Milestone(sanitizedData).save();
+
+        req.log.info('Milestone created successfully', { milestone: milestone.name });
+        res.status(201).json(milestone);
+    } catch (error) {
+        req.log.error('Error creating milestone', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/milestones/:id - Get a single milestone with its progress
+router.get('/:id', async (req, res) => {
+    try {
+        const [milestone] = await withProgress([req.milestone]);
+        res.json(milestone);
+    } catch (error) {
+        req.log.error('Error fetching milestone', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/milestones/:id/progress - Open and resolved bug counts and percent complete
+router.get('/:id/progress', async (req, res) => {
+    try {
+        const counts = await Bug.countByMilestone([req.milestone._id]);
+
+        res.json({
+            milestone: req.milestone._id,
+            ...getMilestoneProgress(req.milestone, counts.get(req.milestone._id.toString()))
+        });
+    } catch (error) {
+        req.log.error('Error fetching milestone progress', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/milestones/:id - Update a milestone; closing it stops new bugs being planned for it
+router.put('/:id', requirePermission('milestone:manage'), async (req, res) => {
+    try {
+        req.log.debug('Updating milestone', { id: req.params.id, body: req.body });
+
+        const sanitizedData = sanitizeMilestoneData(req.body);
+        const validation = validateMilestoneData(sanitizedData, { isUpdate: true });
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        if (sanitizedData.name !== undefined && sanitizedData.name !== req.milestone.name &&
+            await Milestone.exists({ name: sanitizedData.name })) {
+            return res.status(409).json({
+                error: 'Duplicate Error',
+                details: [`Milestone "${sanitizedData.name}" already exists`]
+            });
+        }
+
+        req.milestone.set(sanitizedData);
+        const milestone = await req.milestone.save();
+
+        req.log.info('Milestone updated successfully', { milestone: milestone.name });
+        res.json(milestone);
+    } catch (error) {
+        req.log.error('Error updating milestone', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/milestones/:id - Delete a milestone; its bugs are no longer planned for any
+router.delete('/:id', requirePermission('milestone:manage'), async (req, res) => {
+    try {
+        req.log.debug('Deleting milestone', { id: req.params.id });
+
+        const result = await Bug.clearMilestone(req.milestone._id);
+        await Milestone.deleteOne({ _id: req.milestone._id });
+
+        req.log.info('Milestone deleted', { milestone: req.milestone.name, modified: result.modifiedCount });
+        res.json({ message: 'Milestone deleted successfully', bugsUpdated: result.modifiedCount });
+    } catch (error) {
+        req.log.error('Error deleting milestone', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { isValidObjectId } = require('../utils/validation');
+
+/**
+ * Counts the signed-in user's unread notifications
+ * @param {Object} req - Express request with the user
+ * @returns {Promise<number>} - Unread count
+ */
+const countUnread = (req) => Notification.countDocuments({ recipient: req.user.username, readAt: null });
+
+// GET /api/notifications - Get a page of the signed-in user's notifications, newest first; ?unread=true for unread only
+router.get('/', async (req, res) => {
+    try {
+        const { unread, page = 1, limit = 20 } = req.query;
+        const filter = { recipient: req.user.username, ...(unread === 'true' ? { readAt: null } : {}) };
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const notifications = await Notification.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Notification.countDocuments(filter);
+        const unreadCount = await countUnread(req);
+
+        res.json({
+            notifications,
+            unreadCount,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        req.log.error('Error fetching notifications', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/notifications/unread-count - Count the signed-in user's unread notifications
+router.get('/unread-count', async (req, res) => {
+    try {
+        res.json({ unreadCount: await countUnread(req) });
+    } catch (error) {
+        req.log.error('Error counting notifications', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/notifications/read-all - Mark all of the signed-in user's notifications read
+router.post('/read-all', async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user.username, readAt: null },
+            { readAt: new Date() }
+        );
+
+        req.log.info('Notifications marked read', { modified: result.modifiedCount });
+        res.json({ message: 'Notifications marked read', updated: result.modifiedCount });
+    } catch (error) {
+        req.log.error('Error marking notifications read', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/notifications/:id/read - Mark one notification read
+router.post('/:id/read', async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid notification ID format' });
+        }
+
+        // Other users' notifications are reported as not found
+        const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user.username });
+
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.json(notification);
+    } catch (error) {
+        req.log.error('Error marking notification read', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
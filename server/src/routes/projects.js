@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const Project = require('../models/Project');
+const bugsRouter = require('./bugs');
+const { requirePermission } = require('../middleware/auth');
+const { validateProjectData, sanitizeProjectData } = require('../utils/validation');
+
+// Every route with a :key works on that project, so load it first
+router.param('key', async (req, res, next, key) => {
+    try {
+        const project = await Project.findOne({ key: String(key).toUpperCase() });
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        req.project = project;
+        next();
+    } catch (error) {
+        req.log.error('Error loading project', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/projects - List all projects
+router.get('/', async (req, res) => {
+    try {
+        req.log.debug('Fetching projects');
+
+        // Make sure there is always somewhere to file bugs
+        await Project.getDefault();
+        const projects = await Project.find().sort({ key: 1 });
+
+        res.json({ projects });
+    } catch (error) {
+        req.log.error('Error fetching projects', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/projects - Create a project
+router.post('/', requirePermission('project:manage'), async (req, res) => {
+    try {
+        req.log.debug('Creating project', { body: req.body });
+
+        const sanitizedData = sanitizeProjectData(req.body);
+        const validation = validateProjectData(sanitizedData);
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        if (await Project.exists({ key: sanitizedData.key })) {
+            return res.status(409).json({
+                error: 'Duplicate Error',
+                details: [`Project key ${sanitizedData.key} is already taken`]
+            });
+        }
+
+        const project = await new Project(sanitizedData).save();
+
+        req.log.info('Project created successfully', { project: project.key });
+        res.status(201).json(project);
+    } catch (error) {
+        req.log.error('Error creating project', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/projects/:key - Get a single project
+router.get('/:key', (req, res) => {
+    res.json(req.project);
+});
+
+// PUT /api/projects/:key - Update a project's name, description or default assignee
+router.put('/:key', requirePermission('project:manage'), async (req, res) => {
+    try {
+        req.log.debug('Updating project', { project: req.project.key, body: req.body });
+
+        // Keys are part of every bug number in the project, so they never change
+        const { key, ...requestedData } = sanitizeProjectData(req.body);
+
+        if (key !== undefined && key !== req.project.key) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['Project key cannot be changed']
+            });
+        }
+
+        const updateData = { name: req.project.name, ...requestedData };
+        const validation = validateProjectData(updateData, { isUpdate: true });
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        const project = await Project.findByIdAndUpdate(
+            req.project._id,
+            { ...updateData, updatedAt: new Date() },
+            { new: true, runValidators: true }
+        );
+
+        req.log.info('Project updated successfully', { project: project.key });
+        res.json(project);
+    } catch (error) {
+        req.log.error('Error updating project', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// A project's bugs: /api/projects/:key/bugs, with the same routes as /api/bugs
+router.use('/:key/bugs', bugsRouter);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { roles } = require('../config/permissions');
+const { isValidObjectId } = require('../utils/validation');
+
+// GET /api/users - List all users with their roles
+router.get('/', async (req, res) => {
+    try {
+        req.log.debug('Fetching users');
+
+        const users = await User.find().sort({ username: 1 });
+
+        res.json({ users });
+    } catch (error) {
+        req.log.error('Error fetching users', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/users/:id/role - Change a user's role
+router.put('/:id/role', async (req, res) => {
+    try {
+        const { role } = req.body || {};
+        req.log.debug('Changing role of user', { id: req.params.id, role });
+
+        if (!isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid user ID format' });
+        }
+
+        if (!roles.includes(role)) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: [`Role must be one of: ${roles.join(', ')}`]
+            });
+        }
+
+        // Keeps the last admin from locking everybody out
+        if (req.params.id === req.user._id.toString()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['You cannot change your own role']
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { role },
+            { new: true, runValidators: true }
+        );
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        req.log.info('User role updated successfully', { userId: user._id, role: user.role });
+        res.json(user);
+    } catch (error) {
+        req.log.error('Error updating user role', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
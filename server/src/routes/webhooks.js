@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { validateWebhookData, sanitizeWebhookData, isValidObjectId } = require('../utils/validation');
+const { generateSecret } = require('../utils/webhooks');
+
+// Every route with an :id works on that webhook, so load it first
+router.param('id', async (req, res, next, id) => {
+    if (!isValidObjectId(id)) {
+        return res.status(400).json({ error: 'Invalid webhook ID format' });
+    }
+
+    try {
+        const webhook = await Webhook.findById(id);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        req.webhook = webhook;
+        next();
+    } catch (error) {
+        req.log.error('Error loading webhook', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/webhooks - List webhooks, newest first
+router.get('/', async (req, res) => {
+    try {
+        const webhooks = await Webhook.find().sort({ createdAt: -1 });
+        res.json({ webhooks });
+    } catch (error) {
+        req.log.error('Error fetching webhooks', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/webhooks - Subscribe a URL to events; the secret is only ever shown in this response
+router.post('/', async (req, res) => {
+    try {
+        req.log.debug('Creating webhook', { url: req.body?.url, events: req.body?.events });
+
+        const sanitizedData = sanitizeWebhookData(req.body || {});
+        const validation = validateWebhookData(sanitizedData);
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        const webhook = await new Webhook({
+            ...sanitizedData,
+            secret: sanitizedData.secret || generateSecret(),
+            createdBy: req.user.username
+        }).save();
+
+        req.log.info('Webhook created successfully', { webhookId: webhook._id, url: webhook.url });
+        res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret });
+    } catch (error) {
+        req.log.error('Error creating webhook', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/webhooks/:id - Get a single webhook
+router.get('/:id', (req, res) => {
+    res.json(req.webhook);
+});
+
+// PUT /api/webhooks/:id - Change a webhook's URL, events, secret or whether it is active
+router.put('/:id', async (req, res) => {
+    try {
+        req.log.debug('Updating webhook', { id: req.params.id, url: req.body?.url, events: req.body?.events });
+
+        const sanitizedData = sanitizeWebhookData(req.body || {});
+        const validation = validateWebhookData(sanitizedData, { isUpdate: true });
+
+        if (!validation.isValid) {
+            req.log.info('Validation failed', { errors: validation.errors });
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+
+        req.webhook.set(sanitizedData);
+        const webhook = await req.webhook.save();
+
+        req.log.info('Webhook updated successfully', { webhookId: webhook._id });
+        res.json(webhook);
+    } catch (error) {
+        req.log.error('Error updating webhook', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/webhooks/:id - Delete a webhook along with its delivery log
+router.delete('/:id', async (req, res) => {
+    try {
+        req.log.debug('Deleting webhook', { id: req.params.id });
+
+        const result = await WebhookDelivery.deleteMany({ webhook: req.webhook._id });
+        await Webhook.deleteOne({ _id: req.webhook._id });
+
+        req.log.info('Webhook deleted', { webhookId: req.webhook._id, deliveries: result.deletedCount });
+        res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+        req.log.error('Error deleting webhook', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/webhooks/:id/deliveries - The delivery log, newest first, optionally by status
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+
+        if (status !== undefined && !['pending', 'delivered', 'failed'].includes(status)) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['Status must be one of: pending, delivered, failed']
+            });
+        }
+
+        const filter = { webhook: req.webhook._id, ...(status ? { status } : {}) };
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const deliveries = await WebhookDelivery.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await WebhookDelivery.countDocuments(filter);
+
+        res.json({
+            deliveries,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        req.log.error('Error fetching deliveries', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Loads one of the webhook's deliveries, answering 400 or 404 when there is none
+ * @param {Object} req - Express request with the webhook loaded
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - Delivery, or null once an error has been sent
+ */
+const loadDelivery = async (req, res) => {
+    if (!isValidObjectId(req.params.deliveryId)) {
+        res.status(400).json({ error: 'Invalid delivery ID format' });
+        return null;
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.webhook._id });
+
+    if (!delivery) {
+        res.status(404).json({ error: 'Delivery not found' });
+        return null;
+    }
+
+    return delivery;
+};
+
+// GET /api/webhooks/:id/deliveries/:deliveryId - A delivery with its payload and every attempt
+router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+    try {
+        const delivery = await loadDelivery(req, res);
+        if (!delivery) return;
+
+        res.json(delivery);
+    } catch (error) {
+        req.log.error('Error fetching delivery', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Queue the same payload again as a new delivery
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+    try {
+        req.log.debug('Redelivering', { deliveryId: req.params.deliveryId });
+
+        const delivery = await loadDelivery(req, res);
+        if (!delivery) return;
+
+        if (!req.webhook.active) {
+            return res.status(409).json({
+                error: 'Webhook inactive',
+                details: ['Activate the webhook before redelivering to it']
+            });
+        }
+
+        const redelivery = await delivery.redeliver();
+
+        req.log.info('Delivery queued again', { deliveryId: delivery._id, redeliveryId: redelivery._id });
+        res.status(202).json(redelivery);
+    } catch (error) {
+        req.log.error('Error redelivering', { error });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// index.js - The storage adapter attachments are kept in
+
+const { createLocalStorage } = require('./localStorage');
+const attachments = require('../config/attachments');
+
+let storage = createLocalStorage(attachments.directory);
+
+/**
+ * Gets the active storage adapter
+ * @returns {Object} - Storage adapter
+ */
+function getStorage() {
+  return storage;
+}
+
+/**
+ * Replaces the storage adapter, e.g. with a cloud backend or one for tests
+ * @param {Object} adapter - Object with save, createReadStream and remove
+ */
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+module.exports = {
+  getStorage,
+  setStorage
+};
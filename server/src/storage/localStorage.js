@@ -0,0 +1,47 @@
+// localStorage.js - Storage adapter that keeps attachment files on local disk
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a storage adapter rooted at a directory
+ *
+ * Every adapter provides the same three async methods, so another backend
+ * (S3, GridFS, ...) can be dropped in with setStorage.
+ *
+ * @param {string} rootDir - Directory files are written under
+ * @returns {Object} - { save(key, buffer), createReadStream(key), remove(key) }
+ */
+function createLocalStorage(rootDir) {
+  // Keys are generated by the server, but never let one point outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async createReadStream(key) {
+      const filePath = resolveKey(key);
+      // Fail here, not mid-response, when the file is missing
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
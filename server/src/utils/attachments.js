@@ -0,0 +1,145 @@
+// attachments.js - Checks and processing for uploaded attachment files
+
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const settings = require('../config/attachments');
+
+// Image types that get a thumbnail, keyed by sharp's name for the format
+const IMAGE_FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+/**
+ * Works out a file's MIME type, falling back to its extension for generic types
+ * @param {Object} file - Uploaded file, { originalname, mimetype }
+ * @returns {string} - MIME type
+ */
+function resolveMimeType(file) {
+  const declared = (file.mimetype || '').toLowerCase();
+
+  if (declared && declared !== 'application/octet-stream') {
+    return declared;
+  }
+
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  return settings.extensionMimeTypes[extension] || declared || 'application/octet-stream';
+}
+
+/**
+ * Cleans a file name for storing and showing; directory parts are dropped
+ * @param {string} filename - Name sent by the client
+ * @returns {string} - Safe name, "attachment" if nothing usable is left
+ */
+function sanitizeFilename(filename) {
+  const name = path.basename(String(filename || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim();
+
+  if (!name || name === '.' || name === '..') return 'attachment';
+
+  // Keep the extension when shortening a long name
+  if (name.length > 255) {
+    const extension = path.extname(name).slice(0, 16);
+    return name.slice(0, 255 - extension.length) + extension;
+  }
+
+  return name;
+}
+
+/**
+ * Checks the type of each file in an upload; sizes are enforced while receiving
+ * @param {Object[]} files - Uploaded files
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function validateFileTypes(files) {
+  const errors = [];
+
+  for (const file of files) {
+    const mimeType = resolveMimeType(file);
+    if (!settings.allowedMimeTypes.includes(mimeType)) {
+      errors.push(`${sanitizeFilename(file.originalname)}: file type ${mimeType} is not allowed`);
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Computes the SHA-256 checksum of file contents
+ * @param {Buffer} buffer - File contents
+ * @returns {string} - Hex digest
+ */
+function computeChecksum(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Reads an image and renders its thumbnail
+ * @param {Buffer} buffer - Image contents
+ * @param {string} mimeType - Type the client claimed for it
+ * @returns {Promise<Object>} - { width, height, thumbnail } or { error }
+ */
+async function createThumbnail(buffer, mimeType) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: 'is not a valid image' };
+  }
+
+  // The contents must match the claimed type, or the type checks mean nothing
+  if (IMAGE_FORMATS[metadata.format] !== mimeType) {
+    return { error: `does not contain ${mimeType} data` };
+  }
+
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(settings.thumbnailSize, settings.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+
+  return { width: metadata.width, height: metadata.height, thumbnail };
+}
+
+/**
+ * Prepares an uploaded file for storing: name, type, checksum and thumbnail
+ * @param {Object} file - Uploaded file, { originalname, mimetype, buffer, size }
+ * @returns {Promise<Object>} - { attachment, thumbnail } or { error }
+ */
+async function processFile(file) {
+  const filename = sanitizeFilename(file.originalname);
+  const mimeType = resolveMimeType(file);
+  const attachment = {
+    filename,
+    mimeType,
+    size: file.size,
+    checksum: computeChecksum(file.buffer)
+  };
+
+  if (!Object.values(IMAGE_FORMATS).includes(mimeType)) {
+    return { attachment, thumbnail: null };
+  }
+
+  const image = await createThumbnail(file.buffer, mimeType);
+  if (image.error) {
+    return { error: `${filename} ${image.error}` };
+  }
+
+  return {
+    attachment: { ...attachment, width: image.width, height: image.height },
+    thumbnail: image.thumbnail
+  };
+}
+
+module.exports = {
+  resolveMimeType,
+  sanitizeFilename,
+  validateFileTypes,
+  computeChecksum,
+  createThumbnail,
+  processFile
+};
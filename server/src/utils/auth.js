@@ -0,0 +1,62 @@
+// auth.js - Signing and verifying authentication tokens
+
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_DEV_SECRET = 'bug-tracker-dev-secret';
+
+/**
+ * Returns the secret used to sign tokens
+ * @returns {string} - JWT secret
+ */
+function getSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
+  return DEFAULT_DEV_SECRET;
+}
+
+/**
+ * Issues a signed token for a user
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+function signToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), username: user.username },
+    getSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '12h' }
+  );
+}
+
+/**
+ * Verifies a token and returns its payload
+ * @param {string} token - Signed JWT
+ * @returns {Object} - Token payload
+ * @throws {Error} - If the token is invalid or expired
+ */
+function verifyToken(token) {
+  return jwt.verify(token, getSecret());
+}
+
+/**
+ * Extracts the bearer token from an Authorization header
+ * @param {string} header - Authorization header value
+ * @returns {string|null} - Token, or null if there is none
+ */
+function getBearerToken(header) {
+  if (!header || typeof header !== 'string') return null;
+
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  getBearerToken
+};
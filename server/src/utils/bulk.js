@@ -0,0 +1,100 @@
+// bulk.js - Validation and per-bug changes for POST /api/bugs/bulk
+
+// Most bugs a single bulk request may touch, by ID or by filter
+const MAX_BULK_ITEMS = 500;
+
+// Supported operations and the type of value each takes
+const BULK_OPERATIONS = {
+  'set-status': 'string',
+  'set-priority': 'string',
+  'set-assignee': 'string',
+  'add-tags': 'tags',
+  'remove-tags': 'tags'
+};
+
+// Filter parameters accepted instead of a list of IDs; the same as GET /api/bugs
+const FILTER_FIELDS = ['q', 'status', 'priority', 'milestone'];
+
+/**
+ * Validates the shape of a bulk request; each bug is validated separately when applied
+ * @param {Object} body - Request body: { ids | filter, operation }
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function validateBulkRequest(body) {
+  const errors = [];
+  const { ids, filter, operation } = body || {};
+
+  if ((ids === undefined) === (filter === undefined)) {
+    errors.push('Provide either ids or filter');
+  } else if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+      errors.push('Ids must be a non-empty array of strings');
+    } else if (ids.length > MAX_BULK_ITEMS) {
+      errors.push(`Cannot update more than ${MAX_BULK_ITEMS} bugs at once`);
+    }
+  } else if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    errors.push('Filter must be an object');
+  } else {
+    const unknown = Object.keys(filter).filter(key => !FILTER_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`Filter can only contain: ${FILTER_FIELDS.join(', ')}`);
+    } else if (Object.values(filter).some(value => typeof value !== 'string')) {
+      errors.push('Filter values must be strings');
+    }
+  }
+
+  if (!operation || typeof operation !== 'object') {
+    errors.push('Operation is required');
+  } else if (!BULK_OPERATIONS[operation.type]) {
+    errors.push(`Operation type must be one of: ${Object.keys(BULK_OPERATIONS).join(', ')}`);
+  } else if (BULK_OPERATIONS[operation.type] === 'tags') {
+    if (!Array.isArray(operation.value) || operation.value.length === 0 ||
+        operation.value.some(tag => typeof tag !== 'string')) {
+      errors.push('Operation value must be a non-empty array of tags');
+    }
+  } else if (typeof operation.value !== 'string') {
+    errors.push('Operation value must be a string');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Builds the update an operation makes to one bug
+ * @param {Object} operation - { type, value, resolution?, reason? }
+ * @param {Object} bug - Current bug
+ * @returns {Object} - Update data, as a PUT body would carry it
+ */
+function buildBulkChanges(operation, bug) {
+  const { type } = operation;
+  const value = BULK_OPERATIONS[type] === 'tags' ? operation.value.map(tag => tag.trim()) : operation.value;
+
+  switch (type) {
+    case 'set-status': {
+      const changes = { status: value };
+      if (operation.resolution !== undefined) changes.resolution = operation.resolution;
+      if (operation.reason !== undefined) changes.reason = operation.reason;
+      return changes;
+    }
+    case 'set-priority':
+      return { priority: value };
+    case 'set-assignee':
+      return { assignee: value };
+    case 'add-tags':
+      return { tags: [...bug.tags, ...value.filter(tag => !bug.tags.includes(tag))] };
+    case 'remove-tags':
+      return { tags: bug.tags.filter(tag => !value.includes(tag)) };
+    default:
+      return {};
+  }
+}
+
+module.exports = {
+  MAX_BULK_ITEMS,
+  BULK_OPERATIONS,
+  validateBulkRequest,
+  buildBulkChanges
+};
@@ -0,0 +1,33 @@
+// concurrency.js - ETags and If-Match checks for optimistic concurrency on bugs
+//
+// Every write bumps a bug's version. Clients send back the ETag they read as
+// If-Match, and a write based on an older version is refused with 412.
+
+/**
+ * Builds the ETag for a version of a bug
+ * @param {Object} bug - Bug document or plain object
+ * @returns {string} - Strong ETag, e.g. '"3"'
+ */
+function getETag(bug) {
+  return `"${bug.version}"`;
+}
+
+/**
+ * Checks an If-Match header against the current version of a bug
+ * @param {string} ifMatch - Header value: '*' or a comma-separated list of ETags
+ * @param {Object} bug - Current bug
+ * @returns {boolean} - True if the write may go ahead
+ */
+function matchesETag(ifMatch, bug) {
+  if (ifMatch.trim() === '*') return true;
+
+  // Weak tags never match for If-Match (RFC 9110, strong comparison)
+  return ifMatch.split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === getETag(bug));
+}
+
+module.exports = {
+  getETag,
+  matchesETag
+};
@@ -0,0 +1,70 @@
+// duplicates.js - Trigram similarity for finding bugs that were already reported
+
+/**
+ * Splits text into the set of its word trigrams. Words are padded, as in
+ * PostgreSQL's pg_trgm, so short words and word starts still match.
+ * @param {string} text - Text to split
+ * @returns {Set<string>} - Trigrams
+ */
+function getTrigrams(text) {
+  const trigrams = new Set();
+  const words = String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+  words.forEach(word => {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i += 1) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+  });
+
+  return trigrams;
+}
+
+/**
+ * Measures how alike two trigram sets are
+ * @param {Set<string>} a - Trigrams of one text
+ * @param {Set<string>} b - Trigrams of the other
+ * @returns {number} - Shared trigrams over all trigrams, from 0 to 1
+ */
+function trigramSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  a.forEach(trigram => {
+    if (b.has(trigram)) shared += 1;
+  });
+
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Ranks bugs by how likely they are to describe the same problem as a new report
+ * @param {Object} report - { title, description } being reported
+ * @param {Object[]} candidates - Bugs to compare with
+ * @param {Object} options - { minScore, limit, titleWeight }
+ * @returns {Object[]} - [{ bug, score }] best first, scores rounded to two decimals
+ */
+function rankDuplicates(report, candidates, { minScore = 0, limit = Infinity, titleWeight = 0.7 } = {}) {
+  const titleTrigrams = getTrigrams(report.title);
+  const descriptionTrigrams = getTrigrams(report.description);
+
+  // Without a description yet, e.g. while the title is being typed, only titles are compared
+  const weight = descriptionTrigrams.size > 0 ? titleWeight : 1;
+
+  return candidates
+    .map(bug => {
+      const score = weight * trigramSimilarity(titleTrigrams, getTrigrams(bug.title)) +
+        (1 - weight) * trigramSimilarity(descriptionTrigrams, getTrigrams(bug.description));
+
+      return { bug, score: Math.round(score * 100) / 100 };
+    })
+    .filter(match => match.score > 0 && match.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  getTrigrams,
+  trigramSimilarity,
+  rankDuplicates
+};
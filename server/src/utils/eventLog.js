@@ -0,0 +1,100 @@
+// eventLog.js - A bounded, in-memory log of events that listeners can follow and replay
+//
+// Event IDs are "<run>-<sequence>". The run changes whenever the server
+// starts, so an ID from before a restart is recognised as one the log can't
+// replay from, just like an ID that has already dropped out of the log.
+
+const { EventEmitter } = require('events');
+
+/**
+ * Creates an event log
+ * @param {number} size - Most events kept for replay
+ * @returns {Object} - { append, since, lastId, subscribe }
+ */
+function createEventLog(size) {
+  const run = Date.now().toString(36);
+  const emitter = new EventEmitter();
+  const entries = [];
+  let sequence = 0;
+
+  // Every open stream listens, so there is no sensible limit
+  emitter.setMaxListeners(0);
+
+  /**
+   * Adds an event and passes it to every listener
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Object} - Entry { id, event, data }
+   */
+  const append = (event, data) => {
+    sequence += 1;
+    const entry = { id: `${run}-${sequence}`, sequence, event, data };
+
+    entries.push(entry);
+    if (entries.length > size) entries.shift();
+
+    emitter.emit('event', entry);
+    return entry;
+  };
+
+  /**
+   * Lists the events after a given one, for a listener that missed them
+   * @param {string} lastId - ID of the last event the listener got
+   * @returns {Object[]|null} - Entries after it, oldest first, or null if some can no longer be replayed
+   */
+  const since = (lastId) => {
+    const match = /^([0-9a-z]+)-(\d+)$/.exec(String(lastId));
+    if (!match || match[1] !== run) return null;
+
+    const lastSequence = Number(match[2]);
+    const oldest = entries.length > 0 ? entries[0].sequence : sequence + 1;
+
+    // Events between lastSequence and the oldest one kept are lost, as are IDs from the future
+    if (lastSequence < oldest - 1 || lastSequence > sequence) return null;
+
+    return entries.filter(entry => entry.sequence > lastSequence);
+  };
+
+  /**
+   * Gets the ID of the newest event, which a listener that is up to date would replay from
+   * @returns {string} - Event ID
+   */
+  const lastId = () => `${run}-${sequence}`;
+
+  /**
+   * Calls a listener with every event appended from now on
+   * @param {Function} listener - Called with each entry
+   * @returns {Function} - Stops listening
+   */
+  const subscribe = (listener) => {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  };
+
+  return {
+    append,
+    since,
+    lastId,
+    subscribe
+  };
+}
+
+/**
+ * Formats a message for a text/event-stream response
+ * @param {Object} message - { id, event, data }; id and event are optional
+ * @returns {string} - Message, ending in the blank line that separates messages
+ */
+function formatServerSentEvent({ id, event, data }) {
+  const lines = [];
+
+  if (id !== undefined) lines.push(`id: ${id}`);
+  if (event !== undefined) lines.push(`event: ${event}`);
+  lines.push(`data: ${JSON.stringify(data)}`);
+
+  return `${lines.join('\n')}\n\n`;
+}
+
+module.exports = {
+  createEventLog,
+  formatServerSentEvent
+};
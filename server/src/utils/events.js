@@ -0,0 +1,49 @@
+// events.js - Publishes what happens to bugs to open browser streams, the bug's watchers, the email queue
+// and the webhooks subscribed to it
+
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Notification = require('../models/Notification');
+const QueuedEmail = require('../models/QueuedEmail');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+const { createEventLog } = require('./eventLog');
+const stream = require('../config/stream');
+const { logger } = require('../logging');
+
+// Events that browsers following /api/bugs/stream get; status changes arrive as bug.updated
+const STREAM_EVENTS = ['bug.created', 'bug.updated', 'bug.deleted', 'bug.restored'];
+
+// Recent bug events, for GET /api/bugs/stream
+const bugEventLog = createEventLog(stream.logSize);
+
+/**
+ * Publishes a bug event. Failing to deliver it is logged but never fails the request that caused it.
+ * @param {string} event - Event name, such as bug.status_changed
+ * @param {Object} bug - Bug document as it is after the change, with its watchers
+ * @param {Object} details - Extra event data, such as the actor and the changes made
+ * @returns {Promise<void>}
+ */
+async function publishBugEvent(event, bug, details = {}) {
+  const data = { bug: bug.toJSON(), ...details };
+
+  try {
+    if (STREAM_EVENTS.includes(event)) {
+      bugEventLog.append(event, data);
+    }
+
+    await Notification.notifyWatchers(event, bug, details);
+    // Only queued here; the emails go out in the background, see jobs/sendEmails.js
+    await QueuedEmail.enqueueForEvent(event, bug, details);
+
+    if (WEBHOOK_EVENTS.includes(event)) {
+      await WebhookDelivery.enqueue(event, data);
+    }
+  } catch (error) {
+    logger.error('Error publishing bug event', { event, bugId: bug._id, error });
+  }
+}
+
+module.exports = {
+  STREAM_EVENTS,
+  bugEventLog,
+  publishBugEvent
+};
@@ -0,0 +1,92 @@
+// history.js - Helpers for building the field-level audit trail of a bug
+
+// Fields whose changes are recorded in the audit trail
+const TRACKED_FIELDS = [
+  'title', 'description', 'status', 'resolution', 'priority', 'reporter', 'assignee', 'tags', 'milestone',
+  'duplicateOf'
+];
+
+/**
+ * Normalizes a field value so that documents and plain objects compare equally
+ * @param {*} value - Raw field value
+ * @returns {*} - Comparable value
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(item => String(item));
+  if (value instanceof Date) return value.toISOString();
+  // References such as the milestone are recorded by ID
+  if (value._bsontype === 'ObjectId') return value.toString();
+  return value;
+}
+
+/**
+ * Snapshots the tracked fields of a bug
+ * @param {Object} bug - Bug document or plain object
+ * @returns {Object} - Plain object with the tracked fields only
+ */
+function snapshotBug(bug) {
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = normalizeValue(bug[field]);
+    return snapshot;
+  }, {});
+}
+
+/**
+ * Lists the tracked fields that differ between two versions of a bug
+ * @param {Object} before - Bug before the change
+ * @param {Object} after - Bug after the change
+ * @returns {Array} - [{ field, oldValue, newValue }]
+ */
+function diffBugFields(before, after) {
+  const oldSnapshot = snapshotBug(before);
+  const newSnapshot = snapshotBug(after);
+
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(oldSnapshot[field]) !== JSON.stringify(newSnapshot[field]))
+    .map(field => ({
+      field,
+      oldValue: oldSnapshot[field],
+      newValue: newSnapshot[field]
+    }));
+}
+
+/**
+ * Builds history entries for an update, one per changed field
+ * @param {string} bugId - Bug ID
+ * @param {Array} changes - Output of diffBugFields
+ * @param {string} actor - Who made the change
+ * @param {string} note - Optional context attached to the status change entry
+ * @returns {Array} - History entries ready to insert
+ */
+function buildUpdateEntries(bugId, changes, actor, note = null) {
+  const timestamp = new Date();
+
+  return changes.map(change => ({
+    bug: bugId,
+    action: change.field === 'status' ? 'status-change' : 'update',
+    field: change.field,
+    oldValue: change.oldValue,
+    newValue: change.newValue,
+    note: change.field === 'status' ? note : null,
+    actor,
+    timestamp
+  }));
+}
+
+/**
+ * Works out who is making a request, for attribution in the audit trail
+ * @param {Object} req - Express request object
+ * @returns {string} - Username of the signed-in user
+ */
+function getActor(req) {
+  return req.user ? req.user.username : 'anonymous';
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotBug,
+  diffBugFields,
+  buildUpdateEntries,
+  getActor
+};
@@ -0,0 +1,27 @@
+// labels.js - Label name matching
+//
+// Label names are compared without regard to case or extra whitespace,
+// so "UI", "ui" and "ui " all name the same label.
+
+/**
+ * Trims a label name and collapses runs of whitespace inside it
+ * @param {string} name - Label name as typed
+ * @returns {string} - Normalized name
+ */
+function normalizeLabelName(name) {
+  return name.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Gets the key two names of the same label share
+ * @param {string} name - Label name
+ * @returns {string} - Lowercased, normalized name
+ */
+function getLabelKey(name) {
+  return normalizeLabelName(name).toLowerCase();
+}
+
+module.exports = {
+  normalizeLabelName,
+  getLabelKey
+};
@@ -0,0 +1,66 @@
+// mail.js - Working out who gets an email about a bug event, and which kind
+
+// @username, not preceded by something that makes it part of a word or an email address
+const MENTION_PATTERN = /(^|[^\w.@-])@([a-zA-Z0-9._-]{3,30})/g;
+
+/**
+ * Finds the users mentioned in text as @username
+ * @param {string} text - Text such as a comment body
+ * @returns {string[]} - Usernames, lowercased, each once
+ */
+function findMentions(text) {
+  const usernames = new Set();
+
+  for (const [, , mention] of (text || '').matchAll(MENTION_PATTERN)) {
+    // "@alice." ends a sentence rather than the username
+    const username = mention.replace(/[.-]+$/, '').toLowerCase();
+    if (username.length >= 3) usernames.add(username);
+  }
+
+  return [...usernames];
+}
+
+/**
+ * Lists who should get an email about a bug event; whoever caused it never does
+ * @param {string} event - Event name, such as bug.commented
+ * @param {Object} bug - Bug as it is after the event, with its assignee and watchers
+ * @param {Object} details - Event data, with the actor
+ * @returns {Object[]} - { username, kind }, one per user, where kind is one of EMAIL_KINDS
+ */
+function getEmailRecipients(event, bug, details = {}) {
+  const recipients = new Map();
+
+  // The first kind a user is given wins, so a mention beats a plain comment
+  const add = (usernames, kind) => usernames.forEach((username) => {
+    if (username && username !== details.actor && !recipients.has(username)) {
+      recipients.set(username, kind);
+    }
+  });
+
+  switch (event) {
+    case 'bug.created':
+      add([bug.assignee], 'assigned');
+      break;
+    case 'bug.updated': {
+      const assigneeChange = (details.changes || []).find(change => change.field === 'assignee');
+      if (assigneeChange) add([assigneeChange.newValue], 'assigned');
+      break;
+    }
+    case 'bug.status_changed':
+      add(bug.watchers || [], 'statusChanged');
+      break;
+    case 'bug.commented':
+      add(findMentions(details.comment?.body), 'mentioned');
+      add(bug.watchers || [], 'commented');
+      break;
+    default:
+      break;
+  }
+
+  return [...recipients].map(([username, kind]) => ({ username, kind }));
+}
+
+module.exports = {
+  findMentions,
+  getEmailRecipients
+};
@@ -0,0 +1,29 @@
+// milestones.js - Milestone progress
+//
+// A milestone's bugs count as resolved once they reach one of the workflow's
+// resolvedStatuses; everything else is still open.
+
+/**
+ * Works out how far along a milestone is
+ * @param {Object} milestone - Milestone with state and dueDate
+ * @param {Object} counts - { open, resolved } bug counts
+ * @param {Date} now - Current time, for the overdue check
+ * @returns {Object} - { total, open, resolved, percentComplete, overdue }
+ */
+function getMilestoneProgress(milestone, { open = 0, resolved = 0 } = {}, now = new Date()) {
+  const total = open + resolved;
+
+  return {
+    total,
+    open,
+    resolved,
+    percentComplete: total === 0 ? 0 : Math.round((resolved / total) * 100),
+    // Past due with work left; closing the milestone settles it
+    overdue: milestone.state === 'open' && Boolean(milestone.dueDate) &&
+      new Date(milestone.dueDate) < now && open > 0
+  };
+}
+
+module.exports = {
+  getMilestoneProgress
+};
@@ -0,0 +1,68 @@
+// notifications.js - Describing bug events for the people watching the bug
+
+// Events that notify a bug's watchers, and how each is described
+const NOTIFICATION_EVENTS = ['bug.created', 'bug.updated', 'bug.commented', 'bug.deleted', 'bug.restored'];
+
+// Fields whose old and new values are short enough to show in a notification
+const VALUE_FIELDS = ['status', 'priority', 'resolution'];
+
+// Longest comment excerpt shown in a notification
+const MAX_EXCERPT_LENGTH = 100;
+
+/**
+ * Describes a single field change
+ * @param {Object} change - { field, oldValue, newValue }
+ * @returns {string} - Description, such as "changed status from open to closed"
+ */
+function describeChange({ field, oldValue, newValue }) {
+  if (field === 'assignee') {
+    return newValue ? `assigned this bug to ${newValue}` : 'unassigned this bug';
+  }
+  if (VALUE_FIELDS.includes(field) && oldValue && newValue) {
+    return `changed ${field} from ${oldValue} to ${newValue}`;
+  }
+  return `changed the ${field}`;
+}
+
+/**
+ * Lists words as "a", "a and b" or "a, b and c"
+ * @param {string[]} words - Words to list
+ * @returns {string} - The list
+ */
+function listWords(words) {
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words[0];
+}
+
+/**
+ * Describes a bug event for a notification, to follow the actor's name
+ * @param {string} event - Event name, one of NOTIFICATION_EVENTS
+ * @param {Object} details - Event data: changes for updates, comment for comments
+ * @returns {string} - Description, such as "commented: Still happens on Safari"
+ */
+function describeNotification(event, details = {}) {
+  switch (event) {
+    case 'bug.created':
+      return 'reported this bug';
+    case 'bug.deleted':
+      return 'moved this bug to the trash';
+    case 'bug.restored':
+      return 'restored this bug from the trash';
+    case 'bug.commented': {
+      const body = (details.comment?.body || '').replace(/\s+/g, ' ').trim();
+      const excerpt = body.length > MAX_EXCERPT_LENGTH ? `${body.slice(0, MAX_EXCERPT_LENGTH - 1)}…` : body;
+      return `commented: ${excerpt}`;
+    }
+    case 'bug.updated': {
+      const changes = details.changes || [];
+      if (changes.length === 1) return describeChange(changes[0]);
+      return `changed the ${listWords(changes.map(change => change.field))}`;
+    }
+    default:
+      return `${event.replace(/^bug\./, '')} this bug`;
+  }
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  describeNotification
+};
@@ -0,0 +1,173 @@
+// pagination.js - Sorting and cursor pagination for bug listings
+//
+// Cursors are opaque to clients: base64url-encoded JSON holding the sort key
+// and the sort value and _id of the bug at the edge of a page. Every sort
+// breaks ties on _id, so pages never overlap or skip bugs that were added
+// between requests.
+
+const mongoose = require('mongoose');
+
+// Sortable fields; priority and status sort by rank, not alphabetically
+const SORT_FIELDS = {
+  createdAt: { path: 'createdAt', type: 'date' },
+  updatedAt: { path: 'updatedAt', type: 'date' },
+  priority: { path: 'priorityRank', type: 'number' },
+  status: { path: 'statusRank', type: 'number' },
+  title: { path: 'title', type: 'string' }
+};
+
+const DEFAULT_SORT = '-createdAt';
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Parses a sort parameter such as 'priority' or '-updatedAt' (descending)
+ * @param {string} value - Sort parameter
+ * @returns {Object|null} - { key, path, type, direction }, or null if invalid
+ */
+function parseSort(value = DEFAULT_SORT) {
+  if (typeof value !== 'string') return null;
+
+  const direction = value.startsWith('-') ? -1 : 1;
+  const key = value.replace(/^[-+]/, '');
+  const field = SORT_FIELDS[key];
+
+  return field ? { key: direction === 1 ? key : `-${key}`, ...field, direction } : null;
+}
+
+/**
+ * Builds the MongoDB sort for a parsed sort, with _id as the tie-breaker
+ * @param {Object} sort - Parsed sort
+ * @param {boolean} reverse - Sort the opposite way, to walk backwards from a cursor
+ * @returns {Object} - MongoDB sort specification
+ */
+function getSortSpec(sort, reverse = false) {
+  const direction = reverse ? -sort.direction : sort.direction;
+  return { [sort.path]: direction, _id: direction };
+}
+
+/**
+ * Encodes the position of a bug in a sort as a cursor
+ * @param {Object} bug - Bug document or plain object
+ * @param {Object} sort - Parsed sort
+ * @returns {string} - Opaque cursor
+ */
+function encodeCursor(bug, sort) {
+  const payload = { s: sort.key, v: bug[sort.path], id: bug._id.toString() };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor made by encodeCursor for the same sort
+ * @param {string} token - Cursor from a previous response
+ * @param {Object} sort - Parsed sort of the current request
+ * @returns {Object|null} - { value, id }, or null if the cursor is invalid
+ */
+function decodeCursor(token, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+
+    if (payload.s !== sort.key || !mongoose.Types.ObjectId.isValid(payload.id)) {
+      return null;
+    }
+
+    let value = payload.v;
+    if (sort.type === 'date') {
+      value = new Date(value);
+      if (isNaN(value.getTime())) return null;
+    } else if (typeof value !== sort.type) {
+      return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the filter for bugs after (or before) a cursor in a sort
+ * @param {Object} sort - Parsed sort
+ * @param {Object} cursor - Decoded cursor
+ * @param {boolean} before - Select bugs before the cursor instead of after it
+ * @returns {Object} - MongoDB filter
+ */
+function buildCursorFilter(sort, cursor, before = false) {
+  const forward = sort.direction === 1 ? '$gt' : '$lt';
+  const operator = before ? (forward === '$gt' ? '$lt' : '$gt') : forward;
+
+  return {
+    $or: [
+      { [sort.path]: { [operator]: cursor.value } },
+      { [sort.path]: cursor.value, _id: { [operator]: cursor.id } }
+    ]
+  };
+}
+
+/**
+ * Validates and parses the paging parameters of a list request
+ * @param {Object} query - Express req.query
+ * @returns {Object} - { isValid, errors, page, limit, sort, after, before }
+ */
+function parseListParams(query) {
+  const errors = [];
+  const isPositiveInteger = (value) => typeof value === 'string' && /^[1-9]\d*$/.test(value);
+
+  if (query.page !== undefined && !isPositiveInteger(query.page)) {
+    errors.push('Page must be a positive integer');
+  }
+
+  if (query.limit !== undefined && (!isPositiveInteger(query.limit) || parseInt(query.limit) > MAX_LIMIT)) {
+    errors.push(`Limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const sort = parseSort(query.sort);
+  if (!sort) {
+    errors.push(`Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)`);
+  }
+
+  if (query.after !== undefined && query.before !== undefined) {
+    errors.push('Use either after or before, not both');
+  }
+
+  if (query.page !== undefined && (query.after !== undefined || query.before !== undefined)) {
+    errors.push('Use either page or a cursor, not both');
+  }
+
+  let after = null;
+  let before = null;
+
+  if (sort && errors.length === 0) {
+    if (query.after !== undefined) {
+      after = typeof query.after === 'string' ? decodeCursor(query.after, sort) : null;
+      if (!after) errors.push('Invalid cursor');
+    }
+
+    if (query.before !== undefined) {
+      before = typeof query.before === 'string' ? decodeCursor(query.before, sort) : null;
+      if (!before) errors.push('Invalid cursor');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    page: query.page !== undefined ? parseInt(query.page) : 1,
+    limit: query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT,
+    sort,
+    after,
+    before
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  MAX_LIMIT,
+  parseSort,
+  getSortSpec,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parseListParams
+};
@@ -0,0 +1,94 @@
+// permissions.js - Checks requests against the role-based permission policy
+
+const { policy } = require('../config/permissions');
+
+// Fields whose change counts as a plain edit; status and assignee have their own actions
+const EDIT_FIELDS = ['title', 'description', 'priority', 'tags', 'milestone'];
+
+// Fields whose change counts as a status change; the resolution goes with the status
+const STATUS_FIELDS = ['status', 'resolution'];
+
+/**
+ * Gets the actions a role may perform and their scopes
+ * @param {string} role - Role name
+ * @returns {Object} - Map of action to 'any' or 'own'
+ */
+function getRolePermissions(role) {
+  return { ...(policy[role] || {}) };
+}
+
+/**
+ * Checks whether a user owns a bug, i.e. reported it or is assigned to it
+ * @param {Object} user - User document
+ * @param {Object} bug - Bug document
+ * @returns {boolean} - True if the bug belongs to the user
+ */
+function ownsBug(user, bug) {
+  return Boolean(bug) && (bug.reporter === user.username || bug.assignee === user.username);
+}
+
+/**
+ * Checks whether a user owns a comment, i.e. wrote it
+ * @param {Object} user - User document
+ * @param {Object} comment - Comment document
+ * @returns {boolean} - True if the comment belongs to the user
+ */
+function ownsComment(user, comment) {
+  return Boolean(comment) && comment.author === user.username;
+}
+
+/**
+ * Checks whether a user may perform an action, optionally on a specific bug or comment
+ * @param {Object} user - User document
+ * @param {string} action - Action name, e.g. 'bug:delete'
+ * @param {Object} target - Bug, or comment for 'comment:' actions, the action applies to
+ *   (omit for actions without one)
+ * @returns {Object} - { isAllowed, action, reason }
+ */
+function checkPermission(user, action, target = null) {
+  const scope = getRolePermissions(user.role)[action];
+
+  if (!scope) {
+    return { isAllowed: false, action, reason: 'role-not-permitted' };
+  }
+
+  const owns = action.startsWith('comment:') ? ownsComment : ownsBug;
+
+  if (scope === 'own' && target && !owns(user, target)) {
+    return { isAllowed: false, action, reason: 'not-owner' };
+  }
+
+  return { isAllowed: true, action, reason: null };
+}
+
+/**
+ * Works out which actions an update performs on a bug
+ * @param {Object} bug - Bug before the update
+ * @param {Object} updateData - Sanitized update request
+ * @returns {string[]} - Actions the user needs permission for
+ */
+function getUpdateActions(bug, updateData) {
+  const isChanged = (field) => updateData[field] !== undefined &&
+    JSON.stringify(updateData[field]) !== JSON.stringify(bug[field]);
+
+  const required = [];
+
+  if (EDIT_FIELDS.some(isChanged)) required.push('bug:edit');
+  if (STATUS_FIELDS.some(isChanged)) required.push('bug:change-status');
+  if (updateData.assignee !== undefined && (updateData.assignee || '') !== (bug.assignee || '')) {
+    required.push('bug:reassign');
+  }
+
+  // A no-op update still needs the right to edit
+  return required.length > 0 ? required : ['bug:edit'];
+}
+
+module.exports = {
+  EDIT_FIELDS,
+  STATUS_FIELDS,
+  getRolePermissions,
+  ownsBug,
+  ownsComment,
+  checkPermission,
+  getUpdateActions
+};
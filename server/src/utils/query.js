@@ -0,0 +1,274 @@
+// query.js - Parses the bug list query language into a MongoDB filter
+//
+// A query is a list of whitespace-separated terms:
+//   status:open,in-progress   any of several values
+//   priority:>=high           comparison by severity
+//   assignee:me               the signed-in user ("none" for unassigned)
+//   created:>2026-01-01       dates (YYYY-MM-DD or ISO timestamps)
+//   -tag:wontfix              a leading "-" negates a term
+//   crash "login page"        anything else is full-text search
+//
+// Field names are whitelisted and every value is used as a literal, so no
+// operator from the query ever reaches MongoDB.
+
+const { workflow } = require('./workflow');
+const { PRIORITY_ORDER } = require('./ranks');
+
+// Upper bound on terms, to keep generated filters small
+const MAX_TERMS = 20;
+
+const FIELDS = {
+  status: { type: 'enum', path: 'status', values: () => workflow.statuses },
+  resolution: { type: 'enum', path: 'resolution', values: () => workflow.resolutions },
+  priority: { type: 'rank', path: 'priority', values: () => PRIORITY_ORDER },
+  assignee: { type: 'user', path: 'assignee' },
+  reporter: { type: 'user', path: 'reporter' },
+  tag: { type: 'string', path: 'tags' },
+  created: { type: 'date', path: 'createdAt' },
+  updated: { type: 'date', path: 'updatedAt' }
+};
+
+const ALIASES = { tags: 'tag' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Splits a query into terms, keeping quoted text together
+ * @param {string} input - Raw query
+ * @returns {Object} - { tokens: [{ text, position }], errors }
+ */
+function tokenize(input) {
+  const tokens = [];
+  const errors = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    let quoteStart = -1;
+
+    while (i < input.length && (quoteStart !== -1 || !/\s/.test(input[i]))) {
+      if (input[i] === '"') {
+        quoteStart = quoteStart === -1 ? i : -1;
+      }
+      i++;
+    }
+
+    if (quoteStart !== -1) {
+      errors.push({ message: 'Unterminated quote', position: quoteStart, length: input.length - quoteStart });
+    }
+
+    tokens.push({ text: input.slice(position, i), position });
+  }
+
+  return { tokens, errors };
+}
+
+/**
+ * Splits a field value into its comparison operator and list of values
+ * @param {string} raw - Everything after "field:"
+ * @returns {Object} - { operator, values }
+ */
+function splitValue(raw) {
+  const [, operator = '', rest] = /^(>=|<=|>|<|=)?([\s\S]*)$/.exec(raw);
+
+  if (rest.startsWith('"') && rest.endsWith('"') && rest.length >= 2) {
+    return { operator, values: [rest.slice(1, -1)] };
+  }
+
+  return { operator, values: rest.split(',').map(value => value.replace(/"/g, '')) };
+}
+
+/**
+ * Parses a date value into the range of time it covers
+ * @param {string} value - YYYY-MM-DD date or ISO timestamp
+ * @returns {Object|null} - { start, end } Dates, or null if invalid
+ */
+function parseDateRange(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = new Date(`${value}T00:00:00.000Z`);
+    if (isNaN(start.getTime()) || start.toISOString().slice(0, 10) !== value) return null;
+    return { start, end: new Date(start.getTime() + DAY_MS) };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value))) {
+    const instant = new Date(value);
+    return { start: instant, end: new Date(instant.getTime() + 1) };
+  }
+
+  return null;
+}
+
+/**
+ * Builds the condition on a date field; dates cover a whole (UTC) day
+ * @param {string} operator - Comparison operator, '' or '='
+ * @param {Object} range - { start, end } from parseDateRange
+ * @returns {Object} - MongoDB operator object
+ */
+function buildDateCondition(operator, range) {
+  switch (operator) {
+    case '>': return { $gte: range.end };
+    case '>=': return { $gte: range.start };
+    case '<': return { $lt: range.start };
+    case '<=': return { $lt: range.end };
+    default: return { $gte: range.start, $lt: range.end };
+  }
+}
+
+/**
+ * Builds the MongoDB condition for one field term
+ * @param {Object} term - { field, operator, values, negated, position, length }
+ * @param {Object} context - { username } of the user running the query
+ * @returns {Object} - { condition } or { error }
+ */
+function buildCondition(term, context) {
+  const { field, operator, values, negated } = term;
+  const definition = FIELDS[field];
+  const fail = (message) => ({ error: { message, position: term.position, length: term.length } });
+
+  if (values.some(value => value === '')) {
+    return fail(`Missing value for "${field}"`);
+  }
+
+  const isComparison = operator !== '' && operator !== '=';
+
+  if (isComparison && !['rank', 'date'].includes(definition.type)) {
+    return fail(`"${field}" does not support "${operator}"`);
+  }
+
+  if ((isComparison || definition.type === 'date') && values.length > 1) {
+    return fail(`"${field}${operator}" takes a single value`);
+  }
+
+  let matches;
+
+  switch (definition.type) {
+    case 'enum':
+    case 'rank': {
+      const allowed = definition.values();
+      const invalid = values.find(value => !allowed.includes(value.toLowerCase()));
+      if (invalid) {
+        return fail(`Unknown ${field} "${invalid}"; expected one of: ${allowed.join(', ')}`);
+      }
+
+      matches = values.map(value => value.toLowerCase());
+
+      if (isComparison) {
+        const rank = allowed.indexOf(matches[0]);
+        const compare = {
+          '>': index => index > rank,
+          '>=': index => index >= rank,
+          '<': index => index < rank,
+          '<=': index => index <= rank
+        }[operator];
+        matches = allowed.filter((value, index) => compare(index));
+      }
+      break;
+    }
+
+    case 'user':
+      matches = values.flatMap(value => {
+        if (value.toLowerCase() === 'me') return [context.username];
+        if (value.toLowerCase() === 'none') return ['', null];
+        return [value];
+      });
+      break;
+
+    case 'date': {
+      const range = parseDateRange(values[0]);
+      if (!range) {
+        return fail(`Invalid date "${values[0]}"; use YYYY-MM-DD`);
+      }
+
+      const condition = buildDateCondition(operator, range);
+      return { condition: { [definition.path]: negated ? { $not: condition } : condition } };
+    }
+
+    default:
+      matches = values;
+  }
+
+  if (negated) {
+    return { condition: { [definition.path]: { $nin: matches } } };
+  }
+
+  return {
+    condition: { [definition.path]: matches.length === 1 ? matches[0] : { $in: matches } }
+  };
+}
+
+/**
+ * Parses a bug query into a MongoDB filter and the text left for full-text search
+ * @param {string} input - Query, e.g. 'status:open priority:>=high crash'
+ * @param {Object} context - { username } of the user running the query, for "me"
+ * @returns {Object} - { isValid, errors: [{ message, position, length }], filter, text }
+ */
+function parseQuery(input, context = {}) {
+  const { tokens, errors } = tokenize(input);
+  const conditions = [];
+  const textTerms = [];
+
+  if (tokens.length > MAX_TERMS) {
+    errors.push({ message: `Query cannot have more than ${MAX_TERMS} terms`, position: 0, length: input.length });
+  }
+
+  for (const token of tokens) {
+    const negated = token.text.length > 1 && token.text.startsWith('-');
+    const body = negated ? token.text.slice(1) : token.text;
+    const fieldMatch = /^([a-zA-Z]+):([\s\S]*)$/.exec(body);
+
+    // Anything that isn't field:value is full-text search
+    if (!fieldMatch) {
+      textTerms.push(token.text);
+      continue;
+    }
+
+    const name = fieldMatch[1].toLowerCase();
+    const field = ALIASES[name] || name;
+
+    if (!FIELDS[field]) {
+      errors.push({
+        message: `Unknown field "${fieldMatch[1]}"; expected one of: ${Object.keys(FIELDS).join(', ')}`,
+        position: token.position,
+        length: token.text.length
+      });
+      continue;
+    }
+
+    const { operator, values } = splitValue(fieldMatch[2]);
+    const result = buildCondition({
+      field,
+      operator,
+      values,
+      negated,
+      position: token.position,
+      length: token.text.length
+    }, context);
+
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      conditions.push(result.condition);
+    }
+  }
+
+  errors.sort((a, b) => a.position - b.position);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    text: textTerms.join(' ')
+  };
+}
+
+module.exports = {
+  FIELDS,
+  tokenize,
+  parseDateRange,
+  parseQuery
+};
@@ -0,0 +1,30 @@
+// ranks.js - Numeric ranks that make priorities and statuses sort in a meaningful order
+
+const { workflow } = require('./workflow');
+
+// Priorities from least to most severe
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Gets the severity rank of a priority
+ * @param {string} priority - Priority name
+ * @returns {number} - 0 for low up to 3 for critical, -1 if unknown
+ */
+function getPriorityRank(priority) {
+  return PRIORITY_ORDER.indexOf(priority);
+}
+
+/**
+ * Gets the position of a status in the workflow
+ * @param {string} status - Status name
+ * @returns {number} - Index in workflow.statuses, -1 if unknown
+ */
+function getStatusRank(status) {
+  return workflow.statuses.indexOf(status);
+}
+
+module.exports = {
+  PRIORITY_ORDER,
+  getPriorityRank,
+  getStatusRank
+};
@@ -0,0 +1,16 @@
+// retry.js - Spacing out retries of failed background work, such as webhook deliveries and emails
+
+/**
+ * Works out how long to wait before retrying a failed attempt
+ * @param {number} attempts - Attempts made so far, at least 1
+ * @param {Object} options - { baseSeconds, maxSeconds }
+ * @returns {number} - Delay in milliseconds, doubling with each attempt up to the maximum
+ */
+function getRetryDelay(attempts, { baseSeconds, maxSeconds }) {
+  const seconds = Math.min(baseSeconds * 2 ** (attempts - 1), maxSeconds);
+  return seconds * 1000;
+}
+
+module.exports = {
+  getRetryDelay
+};
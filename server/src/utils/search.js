@@ -0,0 +1,127 @@
+// search.js - Helpers for full-text bug search
+
+// Longest search query accepted by GET /api/bugs?q=
+const MAX_QUERY_LENGTH = 200;
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Validates a full-text search query
+ * @param {*} q - Value of the q query parameter
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function validateSearchQuery(q) {
+  const errors = [];
+
+  if (typeof q !== 'string') {
+    errors.push('Search query must be a string');
+  } else if (q.length > MAX_QUERY_LENGTH) {
+    errors.push(`Search query cannot exceed ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Extracts the words to highlight from a search query, skipping negated terms
+ * @param {string} q - Search query
+ * @returns {string[]} - Lowercased terms
+ */
+function getSearchTerms(q) {
+  return q.toLowerCase()
+    .split(/\s+/)
+    .filter(token => !token.startsWith('-'))
+    .flatMap(token => token.match(/[\p{L}\p{N}_]+/gu) || []);
+}
+
+/**
+ * Splits text into plain and highlighted fragments; words starting with a term are highlighted
+ * @param {string} text - Text to highlight
+ * @param {string[]} terms - Search terms
+ * @returns {Array} - [{ text: string, highlight: boolean }]
+ */
+function highlightText(text, terms) {
+  if (!text || terms.length === 0) {
+    return text ? [{ text, highlight: false }] : [];
+  }
+
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${escaped.join('|')})[\\p{L}\\p{N}_]*`, 'giu');
+
+  const fragments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      fragments.push({ text: text.slice(lastIndex, match.index), highlight: false });
+    }
+    fragments.push({ text: match[0], highlight: true });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    fragments.push({ text: text.slice(lastIndex), highlight: false });
+  }
+
+  return fragments;
+}
+
+/**
+ * Cuts a window of text around the first highlighted word and highlights it
+ * @param {string} text - Full text
+ * @param {string[]} terms - Search terms
+ * @returns {Array|null} - Highlighted fragments, or null if nothing matches
+ */
+function buildSnippet(text, terms) {
+  const fragments = highlightText(text, terms);
+  const firstMatch = fragments.findIndex(fragment => fragment.highlight);
+
+  if (firstMatch === -1) {
+    return null;
+  }
+
+  const matchStart = fragments.slice(0, firstMatch).reduce((length, fragment) => length + fragment.text.length, 0);
+  const start = Math.max(0, matchStart - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matchStart + fragments[firstMatch].text.length + SNIPPET_RADIUS);
+
+  const snippet = highlightText(text.slice(start, end), terms);
+  if (start > 0) snippet.unshift({ text: '…', highlight: false });
+  if (end < text.length) snippet.push({ text: '…', highlight: false });
+
+  return snippet;
+}
+
+/**
+ * Builds the highlights shown with a search result
+ * @param {Object} bug - Bug document or plain object
+ * @param {string[]} terms - Search terms
+ * @returns {Object} - { title?, description? } highlighted fragments for fields that match
+ */
+function getHighlights(bug, terms) {
+  const highlights = {};
+
+  const title = highlightText(bug.title, terms);
+  if (title.some(fragment => fragment.highlight)) {
+    highlights.title = title;
+  }
+
+  const description = buildSnippet(bug.description, terms);
+  if (description) {
+    highlights.description = description;
+  }
+
+  return highlights;
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  validateSearchQuery,
+  getSearchTerms,
+  highlightText,
+  buildSnippet,
+  getHighlights
+};
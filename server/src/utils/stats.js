@@ -0,0 +1,130 @@
+// stats.js - Bug statistics for the dashboard
+//
+// Counts cover every bug outside the trash. Bugs count as open until they
+// reach one of the workflow's resolved statuses. Daily series and the mean
+// time to resolve cover a window of whole UTC days ending today; a bug that
+// is reopened and resolved again counts as closed once more, and its time to
+// resolve runs until it was last resolved.
+
+const { workflow } = require('./workflow');
+const { PRIORITY_ORDER } = require('./ranks');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const DEFAULT_OLDEST = 5;
+const MAX_OLDEST = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates and parses the parameters of a stats request
+ * @param {Object} query - Express req.query
+ * @returns {Object} - { isValid, errors, days, oldest }
+ */
+function parseStatsParams(query) {
+  const errors = [];
+  const isIntegerUpTo = (value, max) => typeof value === 'string' && /^[1-9]\d*$/.test(value) &&
+    parseInt(value) <= max;
+
+  if (query.days !== undefined && !isIntegerUpTo(query.days, MAX_DAYS)) {
+    errors.push(`Days must be an integer between 1 and ${MAX_DAYS}`);
+  }
+
+  if (query.oldest !== undefined && !isIntegerUpTo(query.oldest, MAX_OLDEST)) {
+    errors.push(`Oldest must be an integer between 1 and ${MAX_OLDEST}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    days: query.days !== undefined ? parseInt(query.days) : DEFAULT_DAYS,
+    oldest: query.oldest !== undefined ? parseInt(query.oldest) : DEFAULT_OLDEST
+  };
+}
+
+/**
+ * Works out the window of a stats request
+ * @param {number} days - Days in the window, today included
+ * @param {Date} now - Current time
+ * @returns {Object} - { days, from, to } where from is the start of the first UTC day
+ */
+function getStatsWindow(days, now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return { days, from: new Date(today - (days - 1) * DAY_MS), to: now };
+}
+
+/**
+ * Lays out daily counts over a window, with a zero for days nothing happened
+ * @param {Object} window - Output of getStatsWindow
+ * @param {Object[]} opened - [{ _id: 'YYYY-MM-DD', count }] of bugs filed
+ * @param {Object[]} closed - [{ _id: 'YYYY-MM-DD', count }] of bugs resolved
+ * @returns {Object[]} - [{ date, opened, closed }] oldest first
+ */
+function buildDailySeries(window, opened, closed) {
+  const byDate = (groups) => new Map(groups.map(group => [group._id, group.count]));
+  const openedByDate = byDate(opened);
+  const closedByDate = byDate(closed);
+
+  return Array.from({ length: window.days }, (item, index) => {
+    const date = new Date(window.from.getTime() + index * DAY_MS).toISOString().slice(0, 10);
+    return { date, opened: openedByDate.get(date) || 0, closed: closedByDate.get(date) || 0 };
+  });
+}
+
+/**
+ * Lists counts in a fixed order, with a zero for values no bug has
+ * @param {string[]} values - Every possible value, in order
+ * @param {Object[]} groups - [{ _id, total, open }] from the aggregation
+ * @param {string} name - Property to name each value by
+ * @returns {Object[]} - [{ [name], total, open }]
+ */
+function fillBreakdown(values, groups, name) {
+  const byValue = new Map(groups.map(group => [group._id, group]));
+
+  return values.map((value) => {
+    const group = byValue.get(value);
+    return { [name]: value, total: group ? group.total : 0, open: group ? group.open : 0 };
+  });
+}
+
+/**
+ * Shapes the aggregation results into the stats response
+ * @param {Object} window - Output of getStatsWindow
+ * @param {Object} bugFacets - Results of the bug aggregation's $facet
+ * @param {Object} resolutionFacets - Results of the history aggregation's $facet
+ * @returns {Object} - Stats response body
+ */
+function buildStats(window, bugFacets, resolutionFacets) {
+  const [totals = { total: 0, open: 0 }] = bugFacets.totals;
+  const [resolveTime] = resolutionFacets.resolveTime;
+  const named = name => ({ _id, total, open }) => ({ [name]: _id, total, open });
+
+  return {
+    window: { days: window.days, from: window.from, to: window.to },
+    totals: { total: totals.total, open: totals.open, resolved: totals.total - totals.open },
+    byStatus: fillBreakdown(workflow.statuses, bugFacets.byStatus, 'status')
+      .map(({ status, total }) => ({ status, count: total })),
+    // Most severe first, as people read them
+    byPriority: fillBreakdown([...PRIORITY_ORDER].reverse(), bugFacets.byPriority, 'priority'),
+    byAssignee: bugFacets.byAssignee.map(named('assignee')),
+    byTag: bugFacets.byTag.map(named('tag')),
+    timeToResolve: {
+      meanHours: resolveTime ? Math.round(resolveTime.meanMs / (60 * 60 * 1000) * 10) / 10 : null,
+      bugs: resolveTime ? resolveTime.bugs : 0
+    },
+    daily: buildDailySeries(window, bugFacets.openedPerDay, resolutionFacets.closedPerDay),
+    oldestOpen: bugFacets.oldestOpen
+  };
+}
+
+module.exports = {
+  DEFAULT_DAYS,
+  MAX_DAYS,
+  DEFAULT_OLDEST,
+  MAX_OLDEST,
+  parseStatsParams,
+  getStatsWindow,
+  buildDailySeries,
+  fillBreakdown,
+  buildStats
+};
@@ -1,11 +1,23 @@
 // validation.js - Utility functions for data validation
 
+const { keyPattern } = require('../config/projects');
+const { colorPattern, maxNameLength, maxDescriptionLength } = require('../config/labels');
+const { normalizeLabelName, getLabelKey } = require('./labels');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+const { EMAIL_KINDS } = require('../config/mail');
+const workflow = require('../config/workflow');
+
+// Loose on purpose: the mail server has the final say on whether an address exists
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
 /**
  * Validates bug data before creation or update
  * @param {Object} bugData - The bug data to validate
+ * @param {Object} options - labels ({ name, archived }) that new tags must name, and existingTags
+ *   the bug already has, which are not checked again
  * @returns {Object} - { isValid: boolean, errors: string[] }
  */
-function validateBugData(bugData) {
+function validateBugData(bugData, { labels, existingTags = [] } = {}) {
   const errors = [];
 
   // Title validation
@@ -26,10 +38,9 @@ function validateBugData(bugData) {
     errors.push('Description cannot exceed 1000 characters');
   }
 
-  // Status validation
-  const validStatuses = ['open', 'in-progress', 'resolved', 'closed'];
-  if (bugData.status !== undefined && !validStatuses.includes(bugData.status)) {
-    errors.push('Status must be one of: open, in-progress, resolved, closed');
+  // Status validation; the statuses come from the workflow configuration
+  if (bugData.status !== undefined && !workflow.statuses.includes(bugData.status)) {
+    errors.push(`Status must be one of: ${workflow.statuses.join(', ')}`);
   }
 
   // Priority validation
@@ -50,14 +61,32 @@ function validateBugData(bugData) {
     errors.push('Assignee must be a string');
   }
 
+  // Milestone validation (optional); null takes the bug off its milestone
+  if (bugData.milestone !== undefined && bugData.milestone !== null && !isValidObjectId(bugData.milestone)) {
+    errors.push('Milestone must be a valid milestone ID');
+  }
+
   // Tags validation (optional)
   if (bugData.tags) {
     if (!Array.isArray(bugData.tags)) {
       errors.push('Tags must be an array');
     } else {
+      const labelsByKey = new Map((labels || []).map(label => [getLabelKey(label.name), label]));
+
       bugData.tags.forEach((tag, index) => {
         if (typeof tag !== 'string') {
           errors.push(`Tag at index ${index} must be a string`);
+          return;
+        }
+
+        // Tags the bug already has may stay, even if their label was archived
+        if (!labels || existingTags.includes(tag)) return;
+        const label = labelsByKey.get(getLabelKey(tag));
+
+        if (!label) {
+          errors.push(`Unknown label "${tag}"`);
+        } else if (label.archived) {
+          errors.push(`Label "${label.name}" is archived`);
         }
       });
     }
@@ -72,24 +101,453 @@ function validateBugData(bugData) {
 /**
  * Sanitizes bug data by trimming strings and removing invalid fields
  * @param {Object} bugData - The bug data to sanitize
+ * @param {Object} options - labels ({ name }) whose spelling tags are changed to
  * @returns {Object} - Sanitized bug data
  */
-function sanitizeBugData(bugData) {
+function sanitizeBugData(bugData, { labels = [] } = {}) {
   const sanitized = { ...bugData };
 
   // Trim string fields
-  ['title', 'description', 'reporter', 'assignee'].forEach(field => {
+  ['title', 'description', 'reporter', 'assignee', 'resolution', 'reason'].forEach(field => {
     if (sanitized[field] && typeof sanitized[field] === 'string') {
       sanitized[field] = sanitized[field].trim();
     }
   });
 
-  // Sanitize tags array
+  // An empty choice means no milestone
+  if (sanitized.milestone === '') {
+    sanitized.milestone = null;
+  }
+
+  // Sanitize tags array: spell them as their labels do and drop repeats
   if (sanitized.tags && Array.isArray(sanitized.tags)) {
+    const labelNames = new Map(labels.map(label => [getLabelKey(label.name), label.name]));
+    const seen = new Set();
+
     sanitized.tags = sanitized.tags
       .filter(tag => typeof tag === 'string')
-      .map(tag => tag.trim())
-      .filter(tag => tag.length > 0);
+      .map(tag => normalizeLabelName(tag))
+      .filter(tag => tag.length > 0)
+      .map(tag => labelNames.get(getLabelKey(tag)) || tag)
+      .filter(tag => {
+        const key = getLabelKey(tag);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  return sanitized;
+}
+
+/**
+ * Validates comment data before creation or update
+ * @param {Object} commentData - The comment data to validate
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function validateCommentData(commentData) {
+  const errors = [];
+
+  // Author validation
+  if (!commentData.author || typeof commentData.author !== 'string') {
+    errors.push('Author is required and must be a string');
+  } else if (commentData.author.trim().length === 0) {
+    errors.push('Author cannot be empty');
+  }
+
+  // Body validation
+  if (!commentData.body || typeof commentData.body !== 'string') {
+    errors.push('Comment body is required and must be a string');
+  } else if (commentData.body.trim().length === 0) {
+    errors.push('Comment body cannot be empty');
+  } else if (commentData.body.length > 2000) {
+    errors.push('Comment cannot exceed 2000 characters');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitizes comment data, keeping only the fields a client may set
+ * @param {Object} commentData - The comment data to sanitize
+ * @returns {Object} - Sanitized comment data
+ */
+function sanitizeCommentData(commentData) {
+  const sanitized = {};
+
+  ['author', 'body'].forEach(field => {
+    if (typeof commentData[field] === 'string') {
+      sanitized[field] = commentData[field].trim();
+    }
+  });
+
+  return sanitized;
+}
+
+/**
+ * Validates account data before registration
+ * @param {Object} userData - The user data to validate
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function validateRegistrationData(userData) {
+  const errors = [];
+
+  // Username validation
+  if (!userData.username || typeof userData.username !== 'string') {
+    errors.push('Username is required and must be a string');
+  } else if (!/^[a-zA-Z0-9._-]{3,30}$/.test(userData.username.trim())) {
+    errors.push('Username must be 3-30 characters of letters, numbers, dots, dashes or underscores');
+  }
+
+  // Name validation
+  if (!userData.name || typeof userData.name !== 'string') {
+    errors.push('Name is required and must be a string');
+  } else if (userData.name.trim().length === 0) {
+    errors.push('Name cannot be empty');
+  } else if (userData.name.length > 100) {
+    errors.push('Name cannot exceed 100 characters');
+  }
+
+  // Password validation
+  if (!userData.password || typeof userData.password !== 'string') {
+    errors.push('Password is required and must be a string');
+  } else if (userData.password.length < 8) {
+    errors.push('Password must be at least 8 characters');
+  }
+
+  errors.push(...checkEmail(userData.email));
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Checks an optional email address
+ * @param {*} email - Address; null, undefined and '' mean none
+ * @returns {string[]} - Errors, if any
+ */
+function checkEmail(email) {
+  if (email === undefined || email === null || email === '') return [];
+  if (typeof email !== 'string') return ['Email must be a string'];
+  if (email.trim().length > 254 || !EMAIL_PATTERN.test(email.trim())) return ['Email must be a valid email address'];
+  return [];
+}
+
+/**
+ * Validates a user's changes to their own account settings
+ * @param {Object} accountData - { email, emailPreferences }, either of which may be left out
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function validateAccountData(accountData) {
+  const errors = [...checkEmail(accountData.email)];
+  const { emailPreferences } = accountData;
+
+  if (emailPreferences !== undefined) {
+    if (!emailPreferences || typeof emailPreferences !== 'object' || Array.isArray(emailPreferences)) {
+      errors.push('Email preferences must be an object');
+    } else {
+      Object.entries(emailPreferences).forEach(([kind, value]) => {
+        if (!EMAIL_KINDS.includes(kind)) {
+          errors.push(`Unknown email preference "${kind}"; use ${EMAIL_KINDS.join(', ')}`);
+        } else if (typeof value !== 'boolean') {
+          errors.push(`Email preference "${kind}" must be true or false`);
+        }
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates project data before creation or update
+ * @param {Object} projectData - The project data to validate
+ * @param {Object} options - { isUpdate } to skip the key, which cannot change
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function validateProjectData(projectData, { isUpdate = false } = {}) {
+  const errors = [];
+
+  // Key validation
+  if (!isUpdate) {
+    if (!projectData.key || typeof projectData.key !== 'string') {
+      errors.push('Key is required and must be a string');
+    } else if (!keyPattern.test(projectData.key)) {
+      errors.push('Key must be 2-10 letters or digits, starting with a letter');
+    }
+  }
+
+  // Name validation
+  if (!projectData.name || typeof projectData.name !== 'string') {
+    errors.push('Name is required and must be a string');
+  } else if (projectData.name.trim().length === 0) {
+    errors.push('Name cannot be empty');
+  } else if (projectData.name.length > 100) {
+    errors.push('Name cannot exceed 100 characters');
+  }
+
+  // Description validation
+  if (projectData.description !== undefined) {
+    if (typeof projectData.description !== 'string') {
+      errors.push('Description must be a string');
+    } else if (projectData.description.length > 1000) {
+      errors.push('Description cannot exceed 1000 characters');
+    }
+  }
+
+  // Default assignee validation
+  if (projectData.defaultAssignee !== undefined && typeof projectData.defaultAssignee !== 'string') {
+    errors.push('Default assignee must be a string');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitizes project data, keeping only the fields a client may set
+ * @param {Object} projectData - The project data to sanitize
+ * @returns {Object} - Sanitized project data; the key is upper-cased
+ */
+function sanitizeProjectData(projectData) {
+  const sanitized = {};
+
+  ['key', 'name', 'description', 'defaultAssignee'].forEach(field => {
+    if (typeof projectData[field] === 'string') {
+      sanitized[field] = projectData[field].trim();
+    } else if (projectData[field] !== undefined) {
+      sanitized[field] = projectData[field];
+    }
+  });
+
+  if (typeof sanitized.key === 'string') {
+    sanitized.key = sanitized.key.toUpperCase();
+  }
+
+  return sanitized;
+}
+
+/**
+ * Validates label data before creation or update
+ * @param {Object} labelData - The label data to validate
+ * @param {Object} options - { isUpdate } to allow leaving the name out
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function validateLabelData(labelData, { isUpdate = false } = {}) {
+  const errors = [];
+
+  if (!isUpdate || labelData.name !== undefined) {
+    if (!labelData.name || typeof labelData.name !== 'string') {
+      errors.push('Name is required and must be a string');
+    } else if (labelData.name.trim().length === 0) {
+      errors.push('Name cannot be empty');
+    } else if (labelData.name.length > maxNameLength) {
+      errors.push(`Name cannot exceed ${maxNameLength} characters`);
+    }
+  }
+
+  if (labelData.color !== undefined &&
+      (typeof labelData.color !== 'string' || !colorPattern.test(labelData.color))) {
+    errors.push('Color must be a hex color like #d73a4a');
+  }
+
+  if (labelData.description !== undefined) {
+    if (typeof labelData.description !== 'string') {
+      errors.push('Description must be a string');
+    } else if (labelData.description.length > maxDescriptionLength) {
+      errors.push(`Description cannot exceed ${maxDescriptionLength} characters`);
+    }
+  }
+
+  if (labelData.archived !== undefined && typeof labelData.archived !== 'boolean') {
+    errors.push('Archived must be true or false');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitizes label data, keeping only the fields a client may set
+ * @param {Object} labelData - The label data to sanitize
+ * @returns {Object} - Sanitized label data
+ */
+function sanitizeLabelData(labelData) {
+  const sanitized = {};
+
+  ['name', 'color', 'description', 'archived'].forEach(field => {
+    if (labelData[field] !== undefined) sanitized[field] = labelData[field];
+  });
+
+  if (typeof sanitized.name === 'string') sanitized.name = normalizeLabelName(sanitized.name);
+  if (typeof sanitized.color === 'string') sanitized.color = sanitized.color.trim().toLowerCase();
+  if (typeof sanitized.description === 'string') sanitized.description = sanitized.description.trim();
+
+  return sanitized;
+}
+
+/**
+ * Validates milestone data before creation or update
+ * @param {Object} milestoneData - The milestone data to validate
+ * @param {Object} options - { isUpdate } to allow leaving the name out
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function validateMilestoneData(milestoneData, { isUpdate = false } = {}) {
+  const errors = [];
+
+  if (!isUpdate || milestoneData.name !== undefined) {
+    if (!milestoneData.name || typeof milestoneData.name !== 'string') {
+      errors.push('Name is required and must be a string');
+    } else if (milestoneData.name.trim().length === 0) {
+      errors.push('Name cannot be empty');
+    } else if (milestoneData.name.length > 100) {
+      errors.push('Name cannot exceed 100 characters');
+    }
+  }
+
+  if (milestoneData.description !== undefined) {
+    if (typeof milestoneData.description !== 'string') {
+      errors.push('Description must be a string');
+    } else if (milestoneData.description.length > 1000) {
+      errors.push('Description cannot exceed 1000 characters');
+    }
+  }
+
+  if (milestoneData.dueDate !== undefined && milestoneData.dueDate !== null &&
+      (typeof milestoneData.dueDate !== 'string' || Number.isNaN(Date.parse(milestoneData.dueDate)))) {
+    errors.push('Due date must be a valid date');
+  }
+
+  if (milestoneData.state !== undefined && !['open', 'closed'].includes(milestoneData.state)) {
+    errors.push('State must be one of: open, closed');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitizes milestone data, keeping only the fields a client may set
+ * @param {Object} milestoneData - The milestone data to sanitize
+ * @returns {Object} - Sanitized milestone data
+ */
+function sanitizeMilestoneData(milestoneData) {
+  const sanitized = {};
+
+  ['name', 'description', 'dueDate', 'state'].forEach(field => {
+    if (typeof milestoneData[field] === 'string') {
+      sanitized[field] = milestoneData[field].trim();
+    } else if (milestoneData[field] !== undefined) {
+      sanitized[field] = milestoneData[field];
+    }
+  });
+
+  // Clearing the date field removes the due date
+  if (sanitized.dueDate === '') {
+    sanitized.dueDate = null;
+  }
+
+  return sanitized;
+}
+
+/**
+ * Validates webhook data before creation or update
+ * @param {Object} webhookData - The webhook data to validate
+ * @param {Object} options - { isUpdate } to allow leaving the URL and events out
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function validateWebhookData(webhookData, { isUpdate = false } = {}) {
+  const errors = [];
+
+  if (!isUpdate || webhookData.url !== undefined) {
+    let url = null;
+
+    try {
+      url = new URL(webhookData.url);
+    } catch (error) {
+      // Reported below
+    }
+
+    if (typeof webhookData.url !== 'string' || !url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('URL is required and must be an http or https URL');
+    } else if (webhookData.url.length > 2000) {
+      errors.push('URL cannot exceed 2000 characters');
+    }
+  }
+
+  if (webhookData.secret !== undefined) {
+    if (typeof webhookData.secret !== 'string' || webhookData.secret.length < 16) {
+      errors.push('Secret must be a string of at least 16 characters');
+    } else if (webhookData.secret.length > 200) {
+      errors.push('Secret cannot exceed 200 characters');
+    }
+  }
+
+  if (!isUpdate || webhookData.events !== undefined) {
+    if (!Array.isArray(webhookData.events) || webhookData.events.length === 0) {
+      errors.push('Events must be a non-empty array');
+    } else {
+      webhookData.events
+        .filter(event => !WEBHOOK_EVENTS.includes(event))
+        .forEach(event => errors.push(`Unknown event "${event}"; events are: ${WEBHOOK_EVENTS.join(', ')}`));
+    }
+  }
+
+  if (webhookData.description !== undefined) {
+    if (typeof webhookData.description !== 'string') {
+      errors.push('Description must be a string');
+    } else if (webhookData.description.length > 500) {
+      errors.push('Description cannot exceed 500 characters');
+    }
+  }
+
+  if (webhookData.active !== undefined && typeof webhookData.active !== 'boolean') {
+    errors.push('Active must be true or false');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitizes webhook data, keeping only the fields a client may set
+ * @param {Object} webhookData - The webhook data to sanitize
+ * @returns {Object} - Sanitized webhook data
+ */
+function sanitizeWebhookData(webhookData) {
+  const sanitized = {};
+
+  ['url', 'secret', 'events', 'description', 'active'].forEach(field => {
+    if (webhookData[field] !== undefined) {
+      sanitized[field] = webhookData[field];
+    }
+  });
+
+  ['url', 'description'].forEach(field => {
+    if (typeof sanitized[field] === 'string') {
+      sanitized[field] = sanitized[field].trim();
+    }
+  });
+
+  // Subscribing to an event twice would not send it twice
+  if (Array.isArray(sanitized.events)) {
+    sanitized.events = [...new Set(sanitized.events)];
   }
 
   return sanitized;
@@ -107,5 +565,17 @@ function isValidObjectId(id) {
 module.exports = {
   validateBugData,
   sanitizeBugData,
+  validateCommentData,
+  sanitizeCommentData,
+  validateRegistrationData,
+  validateAccountData,
+  validateProjectData,
+  sanitizeProjectData,
+  validateLabelData,
+  sanitizeLabelData,
+  validateMilestoneData,
+  sanitizeMilestoneData,
+  validateWebhookData,
+  sanitizeWebhookData,
   isValidObjectId
 };
\ No newline at end of file
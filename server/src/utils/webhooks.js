@@ -0,0 +1,49 @@
+// webhooks.js - Signing webhook payloads
+
+const crypto = require('crypto');
+
+// Request headers a delivery carries besides the JSON body
+const SIGNATURE_HEADER = 'X-BugTracker-Signature';
+const EVENT_HEADER = 'X-BugTracker-Event';
+const DELIVERY_HEADER = 'X-BugTracker-Delivery';
+
+/**
+ * Signs a payload with a webhook's secret, so receivers can check it came from us
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Exact request body that is sent
+ * @returns {string} - "sha256=" followed by the hex HMAC-SHA256 of the body
+ */
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Checks a signature header against a body, in constant time
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw request body as received
+ * @param {string} signature - Value of the signature header
+ * @returns {boolean} - Whether the signature matches
+ */
+function verifySignature(secret, body, signature) {
+  const expected = Buffer.from(signPayload(secret, body));
+  const actual = Buffer.from(String(signature || ''));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Generates a secret for a webhook created without one
+ * @returns {string} - 64 hex characters
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  EVENT_HEADER,
+  DELIVERY_HEADER,
+  signPayload,
+  verifySignature,
+  generateSecret
+};
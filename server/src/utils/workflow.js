@@ -0,0 +1,80 @@
+// workflow.js - Status workflow engine
+
+const workflow = require('../config/workflow');
+
+/**
+ * Lists the statuses a bug can move to from its current status
+ * @param {string} from - Current status
+ * @param {Object} config - Workflow configuration
+ * @returns {string[]} - Reachable statuses
+ */
+function getAllowedTransitions(from, config = workflow) {
+  return config.transitions
+    .filter(transition => transition.from === from)
+    .map(transition => transition.to);
+}
+
+/**
+ * Checks a status change against the workflow
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} data - Request data accompanying the change
+ * @param {Object} config - Workflow configuration
+ * @returns {Object} - { isValid: boolean, errors: string[], allowedTransitions: string[] }
+ */
+function checkTransition(from, to, data = {}, config = workflow) {
+  const errors = [];
+  const allowedTransitions = getAllowedTransitions(from, config);
+  const transition = config.transitions.find(t => t.from === from && t.to === to);
+
+  if (!transition) {
+    errors.push(`Cannot move a bug from "${from}" to "${to}"`);
+    return { isValid: false, errors, allowedTransitions };
+  }
+
+  (transition.requires || []).forEach(field => {
+    const value = data[field];
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      errors.push(`A ${field} is required when moving from "${from}" to "${to}"`);
+    } else if (field === 'resolution' && !config.resolutions.includes(value)) {
+      errors.push(`Resolution must be one of: ${config.resolutions.join(', ')}`);
+    }
+  });
+
+  return { isValid: errors.length === 0, errors, allowedTransitions };
+}
+
+/**
+ * Checks the status a new bug is created in
+ * @param {string} status - Requested initial status
+ * @param {Object} config - Workflow configuration
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+function checkInitialStatus(status, config = workflow) {
+  if (status === undefined || config.initialStatuses.includes(status)) {
+    return { isValid: true, errors: [] };
+  }
+
+  return {
+    isValid: false,
+    errors: [`New bugs must start in one of: ${config.initialStatuses.join(', ')}`]
+  };
+}
+
+/**
+ * Tells whether a bug in the given status keeps its resolution
+ * @param {string} status - Bug status
+ * @param {Object} config - Workflow configuration
+ * @returns {boolean}
+ */
+function keepsResolution(status, config = workflow) {
+  return config.resolvedStatuses.includes(status);
+}
+
+module.exports = {
+  workflow,
+  getAllowedTransitions,
+  checkTransition,
+  checkInitialStatus,
+  keepsResolution
+};
@@ -0,0 +1,24 @@
+// auth.js - Helpers for authenticating requests in integration tests
+
+const User = require('../../src/models/User');
+const { signToken } = require('../../src/utils/auth');
+
+/**
+ * Creates a user and returns it with a ready-to-use Authorization header.
+ * Users are admins unless a role is given, so tests not about permissions can do anything.
+ * @param {Object} overrides - User fields to override
+ * @returns {Promise<Object>} - { user, authHeader }
+ */
+async function createAuthenticatedUser(overrides = {}) {
+  const { password = 'password123', ...fields } = overrides;
+
+  const user = new User({ username: 'tester', name: 'Test User', role: 'admin', ...fields });
+  await user.setPassword(password);
+  await user.save();
+
+  return { user, authHeader: `Bearer ${signToken(user)}` };
+}
+
+module.exports = {
+  createAuthenticatedUser
+};
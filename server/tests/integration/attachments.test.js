@@ -0,0 +1,284 @@
+// attachments.test.js - Integration tests for bug attachment endpoints
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Attachment = require('../../src/models/Attachment');
+const User = require('../../src/models/User');
+const settings = require('../../src/config/attachments');
+const { setStorage } = require('../../src/storage');
+const { createLocalStorage } = require('../../src/storage/localStorage');
+const { computeChecksum } = require('../../src/utils/attachments');
+const { purgeTrash } = require('../../src/jobs/purgeTrash');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let storageDir;
+let authHeader;
+let testBug;
+
+// Collects a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const attachmentsUrl = () => `/api/bugs/${testBug._id}/attachments`;
+
+const listStoredFiles = async () => {
+  const entries = await fs.promises.readdir(storageDir, { recursive: true, withFileTypes: true });
+  return entries.filter(entry => entry.isFile());
+};
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await Attachment.deleteMany({});
+  await User.deleteMany({});
+
+  // Each test gets an empty directory to store files in
+  storageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+  setStorage(createLocalStorage(storageDir));
+
+  ({ authHeader } = await createAuthenticatedUser());
+
+  testBug = await Bug.create({
+    title: 'Checkout button misaligned',
+    description: 'See the attached screenshot',
+    reporter: 'tester'
+  });
+});
+
+afterEach(async () => {
+  await fs.promises.rm(storageDir, { recursive: true, force: true });
+});
+
+describe('POST /api/bugs/:id/attachments', () => {
+  it('should store files with their size and checksum', async () => {
+    const log = Buffer.from('TypeError: cannot read properties of undefined\n');
+
+    const response = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', log, { filename: 'console.log', contentType: 'text/plain' })
+      .expect(201);
+
+    expect(response.body.attachments).toHaveLength(1);
+    expect(response.body.attachments[0]).toMatchObject({
+      filename: 'console.log',
+      mimeType: 'text/plain',
+      size: log.length,
+      checksum: computeChecksum(log),
+      uploadedBy: 'tester',
+      hasThumbnail: false
+    });
+    expect(response.body.attachments[0].storageKey).toBeUndefined();
+    expect(await listStoredFiles()).toHaveLength(1);
+  });
+
+  it('should make a thumbnail for images', async () => {
+    const image = await sharp({
+      create: { width: 800, height: 600, channels: 3, background: '#ff0000' }
+    }).png().toBuffer();
+
+    const response = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', image, { filename: 'screenshot.png', contentType: 'image/png' })
+      .expect(201);
+
+    const [attachment] = response.body.attachments;
+    expect(attachment).toMatchObject({ width: 800, height: 600, hasThumbnail: true });
+
+    const thumbnail = await request(app)
+      .get(`${attachmentsUrl()}/${attachment._id}/thumbnail`)
+      .set('Authorization', authHeader)
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    expect((await sharp(thumbnail.body).metadata()).width).toBe(settings.thumbnailSize);
+  });
+
+  it('should accept several files at once', async () => {
+    const response = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', Buffer.from('one'), { filename: 'one.txt', contentType: 'text/plain' })
+      .attach('files', Buffer.from('{"log":{}}'), { filename: 'network.har', contentType: 'application/octet-stream' })
+      .expect(201);
+
+    expect(response.body.attachments.map(attachment => attachment.mimeType))
+      .toEqual(['text/plain', 'application/har+json']);
+  });
+
+  it('should require a file', async () => {
+    const response = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .field('note', 'no file here')
+      .expect(400);
+
+    expect(response.body.error).toBe('Validation failed');
+  });
+
+  it('should refuse types that are not allowed, storing nothing', async () => {
+    const response = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', Buffer.from('fine'), { filename: 'notes.txt', contentType: 'text/plain' })
+      .attach('files', Buffer.from('<html></html>'), { filename: 'page.html', contentType: 'text/html' })
+      .expect(415);
+
+    expect(response.body.details).toEqual(['page.html: file type text/html is not allowed']);
+    expect(await Attachment.countDocuments()).toBe(0);
+    expect(await listStoredFiles()).toHaveLength(0);
+  });
+
+  it('should refuse images whose contents are not an image', async () => {
+    const response = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', Buffer.from('<svg onload="alert(1)"/>'), { filename: 'shot.png', contentType: 'image/png' })
+      .expect(415);
+
+    expect(response.body.details).toEqual(['shot.png is not a valid image']);
+  });
+
+  it('should refuse files over the size limit', async () => {
+    const tooBig = Buffer.alloc(settings.maxFileSize + 1, 'a');
+
+    const response = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', tooBig, { filename: 'huge.log', contentType: 'text/plain' })
+      .expect(413);
+
+    expect(response.body.error).toBe('File too large');
+    expect(await Attachment.countDocuments()).toBe(0);
+  });
+
+  it('should need permission to edit the bug', async () => {
+    await User.deleteMany({});
+    ({ authHeader } = await createAuthenticatedUser({ username: 'viewer', role: 'viewer' }));
+
+    const response = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', Buffer.from('x'), { filename: 'x.txt', contentType: 'text/plain' })
+      .expect(403);
+
+    expect(response.body.action).toBe('bug:edit');
+  });
+
+  it('should answer 404 for a missing bug', async () => {
+    await request(app)
+      .post(`/api/bugs/${new mongoose.Types.ObjectId()}/attachments`)
+      .set('Authorization', authHeader)
+      .attach('files', Buffer.from('x'), { filename: 'x.txt', contentType: 'text/plain' })
+      .expect(404);
+  });
+});
+
+describe('GET /api/bugs/:id/attachments', () => {
+  it('should list attachments oldest first and download them', async () => {
+    await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', Buffer.from('first'), { filename: 'first.txt', contentType: 'text/plain' });
+    await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', Buffer.from('second'), { filename: 'second.txt', contentType: 'text/plain' });
+
+    const list = await request(app)
+      .get(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    expect(list.body.attachments.map(attachment => attachment.filename)).toEqual(['first.txt', 'second.txt']);
+
+    const download = await request(app)
+      .get(`${attachmentsUrl()}/${list.body.attachments[0]._id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    expect(download.text).toBe('first');
+    expect(download.headers['content-type']).toMatch(/^text\/plain/);
+    expect(download.headers['content-disposition']).toBe('attachment; filename="first.txt"');
+    expect(download.headers['x-content-type-options']).toBe('nosniff');
+  });
+
+  it('should answer 404 for an unknown attachment or a missing thumbnail', async () => {
+    const upload = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', Buffer.from('text'), { filename: 'a.txt', contentType: 'text/plain' });
+
+    await request(app)
+      .get(`${attachmentsUrl()}/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', authHeader)
+      .expect(404);
+    await request(app)
+      .get(`${attachmentsUrl()}/${upload.body.attachments[0]._id}/thumbnail`)
+      .set('Authorization', authHeader)
+      .expect(404);
+  });
+});
+
+describe('DELETE /api/bugs/:id/attachments/:attachmentId', () => {
+  it('should delete the attachment and its file', async () => {
+    const upload = await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', Buffer.from('text'), { filename: 'a.txt', contentType: 'text/plain' });
+
+    await request(app)
+      .delete(`${attachmentsUrl()}/${upload.body.attachments[0]._id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    expect(await Attachment.countDocuments()).toBe(0);
+    expect(await listStoredFiles()).toHaveLength(0);
+  });
+});
+
+describe('purging a bug', () => {
+  it('should delete its attachments and files', async () => {
+    await request(app)
+      .post(attachmentsUrl())
+      .set('Authorization', authHeader)
+      .attach('files', Buffer.from('text'), { filename: 'a.txt', contentType: 'text/plain' });
+    await Bug.collection.updateOne({ _id: testBug._id }, { $set: { deletedAt: new Date(0), deletedBy: 'tester' } });
+
+    await purgeTrash();
+
+    expect(await Attachment.countDocuments()).toBe(0);
+    expect(await listStoredFiles()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,188 @@
+// auth.test.js - Integration tests for registration and login
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+});
+
+describe('POST /api/auth/register', () => {
+  it('should create an account and return a token', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'JSmith', name: 'Jane Smith', password: 'correct horse' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.user.username).toBe('jsmith');
+    expect(res.body.user.name).toBe('Jane Smith');
+    expect(res.body.user).not.toHaveProperty('passwordHash');
+  });
+
+  it('should make the first account an admin and later ones reporters', async () => {
+    const first = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'jsmith', name: 'Jane Smith', password: 'correct horse' });
+    const second = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'jdoe', name: 'John Doe', password: 'correct horse' });
+
+    expect(first.body.user.role).toBe('admin');
+    expect(second.body.user.role).toBe('reporter');
+    expect(second.body.user.permissions).toEqual({
+      'bug:create': 'any',
+      'bug:edit': 'own',
+      'bug:change-status': 'own',
+      'comment:create': 'any',
+      'comment:edit': 'own',
+      'comment:delete': 'own'
+    });
+  });
+
+  it('should return 400 for invalid data', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'j', password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details).toContain('Password must be at least 8 characters');
+  });
+
+  it('should return 400 when no body is sent', async () => {
+    const res = await request(app).post('/api/auth/register');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details).toContain('Username is required and must be a string');
+  });
+
+  it('should return 409 for a taken username', async () => {
+    await createAuthenticatedUser({ username: 'jsmith' });
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'jsmith', name: 'Jane Smith', password: 'correct horse' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Username is already taken');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  beforeEach(async () => {
+    await createAuthenticatedUser({ username: 'jsmith', name: 'Jane Smith', password: 'correct horse' });
+  });
+
+  it('should return a token for valid credentials', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'JSmith', password: 'correct horse' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.user.username).toBe('jsmith');
+    expect(res.body.user).not.toHaveProperty('passwordHash');
+  });
+
+  it('should return 401 for a wrong password', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'jsmith', password: 'wrong password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid username or password');
+  });
+
+  it('should return 401 for an unknown user', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'nobody', password: 'correct horse' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid username or password');
+  });
+
+  it('should return 400 when credentials are missing', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'jsmith' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 when no body is sent', async () => {
+    const res = await request(app).post('/api/auth/login');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Username and password are required');
+  });
+
+  it('should issue a token that works on protected routes', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'jsmith', password: 'correct horse' });
+
+    const res = await request(app)
+      .get('/api/bugs')
+      .set('Authorization', `Bearer ${login.body.token}`);
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('GET /api/auth/me', () => {
+  it('should return the signed-in user', async () => {
+    const { authHeader } = await createAuthenticatedUser({ username: 'jsmith', name: 'Jane Smith' });
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.username).toBe('jsmith');
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/api/auth/me');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 401 when the user no longer exists', async () => {
+    const { user, authHeader } = await createAuthenticatedUser({ username: 'jsmith' });
+    await User.deleteOne({ _id: user._id });
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid or expired token');
+  });
+});
@@ -5,8 +5,12 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const Bug = require('../../src/models/Bug');
+const Label = require('../../src/models/Label');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
 
 let mongoServer;
+let authHeader;
 
 beforeAll(async () => {
   // Disconnect if already connected
@@ -29,6 +33,10 @@ afterAll(async () => {
 beforeEach(async () => {
   // Clear all bugs before each test
   await Bug.deleteMany({});
+  await Label.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'johndoe', name: 'John Doe' }));
 });
 
 describe('POST /api/bugs', () => {
@@ -43,13 +51,14 @@ describe('POST /api/bugs', () => {
 
     const res = await request(app)
       .post('/api/bugs')
+      .set('Authorization', authHeader)
       .send(bugData);
 
     expect(res.status).toBe(201);
     expect(res.body).toHaveProperty('_id');
     expect(res.body.title).toBe(bugData.title);
     expect(res.body.description).toBe(bugData.description);
-    expect(res.body.reporter).toBe(bugData.reporter);
+    expect(res.body.reporter).toBe('johndoe'); // always the signed-in user
     expect(res.body.status).toBe(bugData.status);
     expect(res.body.priority).toBe(bugData.priority);
   });
@@ -63,6 +72,7 @@ describe('POST /api/bugs', () => {
 
     const res = await request(app)
       .post('/api/bugs')
+      .set('Authorization', authHeader)
       .send(bugData);
 
     expect(res.status).toBe(201);
@@ -78,6 +88,7 @@ describe('POST /api/bugs', () => {
 
     const res = await request(app)
       .post('/api/bugs')
+      .set('Authorization', authHeader)
       .send(invalidData);
 
     expect(res.status).toBe(400);
@@ -86,6 +97,7 @@ describe('POST /api/bugs', () => {
   });
 
   it('should trim and sanitize input data', async () => {
+    await Label.create([{ name: 'tag1' }, { name: 'tag2' }]);
     const bugData = {
       title: '  Test Bug  ',
       description: '  Test Description  ',
@@ -95,14 +107,47 @@ describe('POST /api/bugs', () => {
 
     const res = await request(app)
       .post('/api/bugs')
+      .set('Authorization', authHeader)
       .send(bugData);
 
     expect(res.status).toBe(201);
     expect(res.body.title).toBe('Test Bug');
     expect(res.body.description).toBe('Test Description');
-    expect(res.body.reporter).toBe('John Doe');
+    expect(res.body.reporter).toBe('johndoe');
     expect(res.body.tags).toEqual(['tag1', 'tag2']);
   });
+
+  it('should take the reporter from the signed-in user', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader)
+      .send({
+        title: 'Test Bug',
+        description: 'This is a test bug description',
+        reporter: 'Somebody Else'
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.reporter).toBe('johndoe');
+  });
+});
+
+describe('Authentication on /api/bugs', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/api/bugs');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Authentication required');
+  });
+
+  it('should return 401 for an invalid token', async () => {
+    const res = await request(app)
+      .get('/api/bugs')
+      .set('Authorization', 'Bearer not-a-real-token');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid or expired token');
+  });
 });
 
 describe('GET /api/bugs', () => {
@@ -134,7 +179,9 @@ describe('GET /api/bugs', () => {
   });
 
   it('should return all bugs', async () => {
-    const res = await request(app).get('/api/bugs');
+    const res = await request(app)
+      .get('/api/bugs')
+      .set('Authorization', authHeader);
 
     expect(res.status).toBe(200);
     expect(res.body.bugs).toHaveLength(3);
@@ -142,7 +189,9 @@ describe('GET /api/bugs', () => {
   });
 
   it('should filter bugs by status', async () => {
-    const res = await request(app).get('/api/bugs?status=open');
+    const res = await request(app)
+      .get('/api/bugs?status=open')
+      .set('Authorization', authHeader);
 
     expect(res.status).toBe(200);
     expect(res.body.bugs).toHaveLength(2);
@@ -150,7 +199,9 @@ describe('GET /api/bugs', () => {
   });
 
   it('should filter bugs by priority', async () => {
-    const res = await request(app).get('/api/bugs?priority=high');
+    const res = await request(app)
+      .get('/api/bugs?priority=high')
+      .set('Authorization', authHeader);
 
     expect(res.status).toBe(200);
     expect(res.body.bugs).toHaveLength(1);
@@ -158,7 +209,9 @@ describe('GET /api/bugs', () => {
   });
 
   it('should paginate results', async () => {
-    const res = await request(app).get('/api/bugs?page=1&limit=2');
+    const res = await request(app)
+      .get('/api/bugs?page=1&limit=2')
+      .set('Authorization', authHeader);
 
     expect(res.status).toBe(200);
     expect(res.body.bugs).toHaveLength(2);
@@ -179,7 +232,9 @@ describe('GET /api/bugs/:id', () => {
   });
 
   it('should return a bug by ID', async () => {
-    const res = await request(app).get(`/api/bugs/${testBug._id}`);
+    const res = await request(app)
+      .get(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader);
 
     expect(res.status).toBe(200);
     expect(res.body._id).toBe(testBug._id.toString());
@@ -188,14 +243,18 @@ describe('GET /api/bugs/:id', () => {
 
   it('should return 404 for non-existent bug', async () => {
     const fakeId = new mongoose.Types.ObjectId();
-    const res = await request(app).get(`/api/bugs/${fakeId}`);
+    const res = await request(app)
+      .get(`/api/bugs/${fakeId}`)
+      .set('Authorization', authHeader);
 
     expect(res.status).toBe(404);
     expect(res.body.error).toBe('Bug not found');
   });
 
   it('should return 400 for invalid ID format', async () => {
-    const res = await request(app).get('/api/bugs/invalid-id');
+    const res = await request(app)
+      .get('/api/bugs/invalid-id')
+      .set('Authorization', authHeader);
 
     expect(res.status).toBe(400);
     expect(res.body.error).toBe('Invalid bug ID format');
@@ -219,23 +278,27 @@ describe('PUT /api/bugs/:id', () => {
       title: 'Updated Bug',
       description: 'Updated Description',
       status: 'resolved',
+      resolution: 'fixed', // Resolving requires a resolution
       reporter: 'Original Reporter' // Include required reporter field
     };
 
     const res = await request(app)
       .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
       .send(updateData);
 
     expect(res.status).toBe(200);
     expect(res.body.title).toBe(updateData.title);
     expect(res.body.description).toBe(updateData.description);
     expect(res.body.status).toBe(updateData.status);
+    expect(res.body.resolution).toBe(updateData.resolution);
   });
 
   it('should return 404 for non-existent bug', async () => {
     const fakeId = new mongoose.Types.ObjectId();
     const res = await request(app)
       .put(`/api/bugs/${fakeId}`)
+      .set('Authorization', authHeader)
       .send({
         title: 'Updated Title',
         description: 'Updated Description',
@@ -246,6 +309,15 @@ describe('PUT /api/bugs/:id', () => {
     expect(res.body.error).toBe('Bug not found');
   });
 
+  it('should return 400 when no body is sent', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+
   it('should return 400 for invalid data', async () => {
     const invalidData = {
       title: '', // empty title
@@ -255,6 +327,7 @@ describe('PUT /api/bugs/:id', () => {
 
     const res = await request(app)
       .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
       .send(invalidData);
 
     expect(res.status).toBe(400);
@@ -274,26 +347,34 @@ describe('DELETE /api/bugs/:id', () => {
   });
 
   it('should delete a bug successfully', async () => {
-    const res = await request(app).delete(`/api/bugs/${testBug._id}`);
+    const res = await request(app)
+      .delete(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader);
 
     expect(res.status).toBe(200);
-    expect(res.body.message).toBe('Bug deleted successfully');
+    expect(res.body.message).toBe('Bug moved to trash');
 
-    // Verify bug is deleted
+    // Verify bug is gone from normal queries but kept in the trash
     const deletedBug = await Bug.findById(testBug._id);
     expect(deletedBug).toBeNull();
+    const trashedBug = await Bug.findOne({ _id: testBug._id, deletedAt: { $ne: null } });
+    expect(trashedBug.deletedBy).toBe('johndoe');
   });
 
   it('should return 404 for non-existent bug', async () => {
     const fakeId = new mongoose.Types.ObjectId();
-    const res = await request(app).delete(`/api/bugs/${fakeId}`);
+    const res = await request(app)
+      .delete(`/api/bugs/${fakeId}`)
+      .set('Authorization', authHeader);
 
     expect(res.status).toBe(404);
     expect(res.body.error).toBe('Bug not found');
   });
 
   it('should return 400 for invalid ID format', async () => {
-    const res = await request(app).delete('/api/bugs/invalid-id');
+    const res = await request(app)
+      .delete('/api/bugs/invalid-id')
+      .set('Authorization', authHeader);
 
     expect(res.status).toBe(400);
     expect(res.body.error).toBe('Invalid bug ID format');
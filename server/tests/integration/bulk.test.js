@@ -0,0 +1,145 @@
+// bulk.test.js - Integration tests for POST /api/bugs/bulk
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const Label = require('../../src/models/Label');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+let bugs;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+// Sends a bulk request as the signed-in user and returns the response
+const bulkUpdate = (body, header = authHeader) => request(app)
+  .post('/api/bugs/bulk')
+  .set('Authorization', header)
+  .send(body);
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await BugHistory.deleteMany({});
+  await Label.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser());
+  await Label.create([{ name: 'ui' }, { name: 'triaged' }]);
+
+  bugs = await Bug.create([
+    { title: 'First', description: 'First bug', reporter: 'alice', status: 'open', tags: ['ui'] },
+    { title: 'Second', description: 'Second bug', reporter: 'bob', status: 'open', tags: [] },
+    { title: 'Third', description: 'Third bug', reporter: 'alice', status: 'closed', resolution: 'fixed' }
+  ]);
+});
+
+describe('POST /api/bugs/bulk', () => {
+  it('should update every listed bug and record history', async () => {
+    const res = await bulkUpdate({
+      ids: [bugs[0]._id.toString(), bugs[1]._id.toString()],
+      operation: { type: 'set-priority', value: 'critical' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ total: 2, succeeded: 2, failed: 0 });
+    expect(res.body.results.every(result => result.bug.priority === 'critical')).toBe(true);
+
+    const history = await BugHistory.find({ field: 'priority' });
+    expect(history).toHaveLength(2);
+  });
+
+  it('should report per-item failures without blocking the rest', async () => {
+    const missingId = new mongoose.Types.ObjectId().toString();
+    const res = await bulkUpdate({
+      ids: [bugs[0]._id.toString(), bugs[2]._id.toString(), missingId, 'not-an-id'],
+      operation: { type: 'set-status', value: 'in-progress' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ total: 4, succeeded: 1, failed: 3 });
+
+    const [moved, closed, missing, invalid] = res.body.results;
+    expect(moved).toMatchObject({ success: true });
+    expect(moved.bug.status).toBe('in-progress');
+    expect(closed).toMatchObject({ success: false, status: 422, error: 'Invalid status transition' });
+    expect(missing).toMatchObject({ success: false, status: 404, error: 'Bug not found' });
+    expect(invalid).toMatchObject({ success: false, status: 400, error: 'Invalid bug ID format' });
+  });
+
+  it('should validate each bug with the usual rules', async () => {
+    const res = await bulkUpdate({
+      ids: [bugs[0]._id.toString()],
+      operation: { type: 'set-priority', value: 'urgent' }
+    });
+
+    expect(res.body.results[0]).toMatchObject({ success: false, status: 400, error: 'Validation failed' });
+    expect(res.body.results[0].details).toContain('Priority must be one of: low, medium, high, critical');
+  });
+
+  it('should add and remove tags', async () => {
+    const added = await bulkUpdate({
+      ids: [bugs[0]._id.toString(), bugs[1]._id.toString()],
+      operation: { type: 'add-tags', value: ['triaged'] }
+    });
+
+    expect(added.body.results.map(result => result.bug.tags)).toEqual([['ui', 'triaged'], ['triaged']]);
+
+    const removed = await bulkUpdate({
+      ids: [bugs[0]._id.toString()],
+      operation: { type: 'remove-tags', value: ['ui'] }
+    });
+
+    expect(removed.body.results[0].bug.tags).toEqual(['triaged']);
+  });
+
+  it('should select bugs with a filter', async () => {
+    const res = await bulkUpdate({
+      filter: { q: 'reporter:alice status:open' },
+      operation: { type: 'set-assignee', value: 'jdoe' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary.total).toBe(1);
+    expect(res.body.results[0].bug.title).toBe('First');
+    expect(res.body.results[0].bug.assignee).toBe('jdoe');
+  });
+
+  it('should check permissions for each bug', async () => {
+    const { authHeader: reporterHeader } = await createAuthenticatedUser({ username: 'alice', role: 'reporter' });
+    const res = await bulkUpdate({
+      ids: [bugs[0]._id.toString(), bugs[1]._id.toString()],
+      operation: { type: 'set-priority', value: 'low' }
+    }, reporterHeader);
+
+    expect(res.body.results[0]).toMatchObject({ success: true });
+    expect(res.body.results[1]).toMatchObject({ success: false, status: 403, reason: 'not-owner' });
+  });
+
+  it('should reject a malformed request', async () => {
+    const res = await bulkUpdate({ ids: [bugs[0]._id.toString()], operation: { type: 'delete' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
@@ -0,0 +1,327 @@
+// comments.test.js - Integration tests for bug comment thread endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Comment = require('../../src/models/Comment');
+const User = require('../../src/models/User');
+const { purgeTrash } = require('../../src/jobs/purgeTrash');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+let testBug;
+
+// Signs in a user with the given role and returns their Authorization header
+const signInAs = async (role, username = role) => {
+  const { authHeader } = await createAuthenticatedUser({ username, role });
+  return authHeader;
+};
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await Comment.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'jsmith', name: 'Jane Smith' }));
+
+  testBug = await Bug.create({
+    title: 'Test Bug',
+    description: 'Test Description',
+    reporter: 'Test Reporter'
+  });
+});
+
+describe('POST /api/bugs/:id/comments', () => {
+  it('should add a comment to a bug', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${testBug._id}/comments`)
+      .set('Authorization', authHeader)
+      .send({ author: '  Jane Smith  ', body: '  Reproduced on staging  ' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.bug).toBe(testBug._id.toString());
+    expect(res.body.author).toBe('jsmith'); // always the signed-in user
+    expect(res.body.body).toBe('Reproduced on staging');
+    expect(res.body.edited).toBe(false);
+    expect(res.body).toHaveProperty('createdAt');
+  });
+
+  it('should not let a viewer comment', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${testBug._id}/comments`)
+      .set('Authorization', await signInAs('viewer'))
+      .send({ body: 'Me too' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      error: 'Permission denied',
+      action: 'comment:create',
+      reason: 'role-not-permitted',
+      requestId: expect.any(String)
+    });
+    expect(await Comment.countDocuments({ bug: testBug._id })).toBe(0);
+  });
+
+  it('should return 400 for invalid comment data', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${testBug._id}/comments`)
+      .set('Authorization', authHeader)
+      .send({ author: 'Jane Smith', body: '' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details).toContain('Comment body is required and must be a string');
+  });
+
+  it('should return 404 when the bug does not exist', async () => {
+    const fakeId = new mongoose.Types.ObjectId();
+    const res = await request(app)
+      .post(`/api/bugs/${fakeId}/comments`)
+      .set('Authorization', authHeader)
+      .send({ author: 'Jane Smith', body: 'Hello' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Bug not found');
+  });
+
+  it('should return 400 for invalid bug ID format', async () => {
+    const res = await request(app)
+      .post('/api/bugs/invalid-id/comments')
+      .set('Authorization', authHeader)
+      .send({ author: 'Jane Smith', body: 'Hello' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid bug ID format');
+  });
+});
+
+describe('GET /api/bugs/:id/comments', () => {
+  beforeEach(async () => {
+    const base = Date.now();
+    await Comment.create([1, 2, 3].map(n => ({
+      bug: testBug._id,
+      author: `Author ${n}`,
+      body: `Comment ${n}`,
+      createdAt: new Date(base + n * 1000)
+    })));
+  });
+
+  it('should return comments oldest first', async () => {
+    const res = await request(app)
+      .get(`/api/bugs/${testBug._id}/comments`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.comments.map(c => c.body)).toEqual(['Comment 1', 'Comment 2', 'Comment 3']);
+    expect(res.body.pagination.total).toBe(3);
+  });
+
+  it('should paginate comments', async () => {
+    const res = await request(app)
+      .get(`/api/bugs/${testBug._id}/comments?page=2&limit=2`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.comments).toHaveLength(1);
+    expect(res.body.comments[0].body).toBe('Comment 3');
+    expect(res.body.pagination.pages).toBe(2);
+  });
+
+  it('should page through comments made at the same moment without repeating any', async () => {
+    const createdAt = new Date();
+    await Comment.deleteMany({});
+    await Comment.create([1, 2, 3, 4].map(n => ({
+      bug: testBug._id,
+      author: `Author ${n}`,
+      body: `Comment ${n}`,
+      createdAt
+    })));
+
+    const bodies = [];
+    for (let page = 1; page <= 4; page++) {
+      const res = await request(app)
+        .get(`/api/bugs/${testBug._id}/comments?page=${page}&limit=1`)
+        .set('Authorization', authHeader);
+      bodies.push(...res.body.comments.map(c => c.body));
+    }
+
+    expect(bodies.sort()).toEqual(['Comment 1', 'Comment 2', 'Comment 3', 'Comment 4']);
+  });
+
+  it('should return 400 for invalid or oversized page parameters', async () => {
+    const invalid = await request(app)
+      .get(`/api/bugs/${testBug._id}/comments?page=0&limit=abc`)
+      .set('Authorization', authHeader);
+    const oversized = await request(app)
+      .get(`/api/bugs/${testBug._id}/comments?limit=100000`)
+      .set('Authorization', authHeader);
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Validation failed');
+    expect(invalid.body.details).toEqual([
+      'Page must be a positive integer',
+      'Limit must be an integer between 1 and 100'
+    ]);
+    expect(oversized.status).toBe(400);
+    expect(oversized.body.details).toEqual(['Limit must be an integer between 1 and 100']);
+  });
+});
+
+describe('PUT /api/bugs/:id/comments/:commentId', () => {
+  let testComment;
+
+  beforeEach(async () => {
+    testComment = await Comment.create({ bug: testBug._id, author: 'jsmith', body: 'First take' });
+  });
+
+  it('should update the body and mark the comment as edited', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}/comments/${testComment._id}`)
+      .set('Authorization', authHeader)
+      .send({ body: 'Second take', author: 'Someone Else' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.body).toBe('Second take');
+    expect(res.body.author).toBe('jsmith');
+    expect(res.body.edited).toBe(true);
+  });
+
+  it('should not let another user edit the comment', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}/comments/${testComment._id}`)
+      .set('Authorization', await signInAs('developer', 'jdoe'))
+      .send({ body: 'Not what Jane said' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      error: 'Permission denied',
+      action: 'comment:edit',
+      reason: 'not-owner',
+      requestId: expect.any(String)
+    });
+    expect((await Comment.findById(testComment._id)).body).toBe('First take');
+  });
+
+  it('should not let a viewer edit comments', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}/comments/${testComment._id}`)
+      .set('Authorization', await signInAs('viewer'))
+      .send({ body: 'Not what Jane said' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.action).toBe('comment:edit');
+    expect(res.body.reason).toBe('role-not-permitted');
+  });
+
+  it('should return 404 for a comment on another bug', async () => {
+    const otherBug = await Bug.create({
+      title: 'Other Bug',
+      description: 'Other Description',
+      reporter: 'Test Reporter'
+    });
+
+    const res = await request(app)
+      .put(`/api/bugs/${otherBug._id}/comments/${testComment._id}`)
+      .set('Authorization', authHeader)
+      .send({ body: 'Second take' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Comment not found');
+  });
+});
+
+describe('DELETE /api/bugs/:id/comments/:commentId', () => {
+  let testComment;
+
+  beforeEach(async () => {
+    testComment = await Comment.create({ bug: testBug._id, author: 'jdoe', body: 'Oops' });
+  });
+
+  it('should let the author delete a comment', async () => {
+    const res = await request(app)
+      .delete(`/api/bugs/${testBug._id}/comments/${testComment._id}`)
+      .set('Authorization', await signInAs('reporter', 'jdoe'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Comment deleted successfully');
+    expect(await Comment.findById(testComment._id)).toBeNull();
+  });
+
+  it('should let a moderator delete anyone\'s comment', async () => {
+    const res = await request(app)
+      .delete(`/api/bugs/${testBug._id}/comments/${testComment._id}`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(await Comment.findById(testComment._id)).toBeNull();
+  });
+
+  it('should not let another user delete the comment', async () => {
+    const res = await request(app)
+      .delete(`/api/bugs/${testBug._id}/comments/${testComment._id}`)
+      .set('Authorization', await signInAs('triager', 'rroe'));
+
+    expect(res.status).toBe(403);
+    expect(res.body.action).toBe('comment:delete');
+    expect(res.body.reason).toBe('not-owner');
+    expect(await Comment.findById(testComment._id)).not.toBeNull();
+  });
+
+  it('should not let a viewer delete comments', async () => {
+    const res = await request(app)
+      .delete(`/api/bugs/${testBug._id}/comments/${testComment._id}`)
+      .set('Authorization', await signInAs('viewer'));
+
+    expect(res.status).toBe(403);
+    expect(res.body.action).toBe('comment:delete');
+    expect(res.body.reason).toBe('role-not-permitted');
+    expect(await Comment.findById(testComment._id)).not.toBeNull();
+  });
+
+  it('should return 400 for invalid comment ID format', async () => {
+    const res = await request(app)
+      .delete(`/api/bugs/${testBug._id}/comments/invalid-id`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid comment ID format');
+  });
+});
+
+describe('DELETE /api/bugs/:id with comments', () => {
+  it('should keep the comments of a trashed bug until it is purged', async () => {
+    await Comment.create({ bug: testBug._id, author: 'Jane Smith', body: 'Goes away with the bug' });
+
+    const res = await request(app)
+      .delete(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(await Comment.countDocuments({ bug: testBug._id })).toBe(1);
+
+    await purgeTrash(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000), 30);
+    expect(await Comment.countDocuments({ bug: testBug._id })).toBe(0);
+  });
+});
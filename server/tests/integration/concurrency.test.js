@@ -0,0 +1,133 @@
+// concurrency.test.js - Integration tests for ETag/If-Match on bug updates
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+let testBug;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser());
+
+  testBug = await Bug.create({
+    title: 'Shared bug',
+    description: 'Edited by two people at once',
+    reporter: 'tester'
+  });
+});
+
+describe('ETag on bug reads and writes', () => {
+  it('should start at version 1 and send it as the ETag', async () => {
+    const res = await request(app)
+      .get(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(1);
+    expect(res.headers.etag).toBe('"1"');
+  });
+
+  it('should bump the version on every update', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({ title: 'Renamed bug', description: 'Edited by two people at once' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(2);
+    expect(res.headers.etag).toBe('"2"');
+  });
+
+  it('should ignore a version sent in the body', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({ title: 'Renamed bug', description: 'Edited by two people at once', version: 40 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(2);
+  });
+});
+
+describe('PUT /api/bugs/:id with If-Match', () => {
+  it('should apply an update based on the current version', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .set('If-Match', '"1"')
+      .send({ title: 'First edit', description: 'Edited by two people at once' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('First edit');
+  });
+
+  it('should reject a stale update with 412 and the current copy', async () => {
+    await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .set('If-Match', '"1"')
+      .send({ title: 'First edit', description: 'Edited by two people at once' });
+
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .set('If-Match', '"1"')
+      .send({ title: 'Second edit', description: 'Edited by two people at once' });
+
+    expect(res.status).toBe(412);
+    expect(res.body.error).toBe('Precondition failed');
+    expect(res.body.current.title).toBe('First edit');
+    expect(res.body.current.version).toBe(2);
+    expect(res.headers.etag).toBe('"2"');
+
+    const stored = await Bug.findById(testBug._id);
+    expect(stored.title).toBe('First edit');
+  });
+
+  it('should accept If-Match: *', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .set('If-Match', '*')
+      .send({ title: 'Any version will do', description: 'Edited by two people at once' });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 404 rather than 412 for a missing bug', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', authHeader)
+      .set('If-Match', '"1"')
+      .send({ title: 'Nothing here', description: 'Edited by two people at once' });
+
+    expect(res.status).toBe(404);
+  });
+});
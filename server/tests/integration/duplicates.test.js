@@ -0,0 +1,208 @@
+// duplicates.test.js - Integration tests for duplicate detection and marking duplicates
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 30000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await BugHistory.deleteMany({});
+  await Project.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+});
+
+const loginBug = {
+  title: 'Login button does nothing',
+  description: 'Clicking sign in on Safari has no effect',
+  reporter: 'admin'
+};
+
+const createBug = (data) => request(app)
+  .post('/api/bugs')
+  .set('Authorization', authHeader)
+  .send(data);
+
+describe('GET /api/bugs/duplicates', () => {
+  it('should return similar unresolved bugs with scores, best first', async () => {
+    const [original] = await Bug.create([
+      loginBug,
+      { title: 'Login button broken', description: 'Resolved long ago', reporter: 'admin', status: 'resolved', resolution: 'fixed' },
+      { title: 'Login button gone', description: 'In the trash', reporter: 'admin', deletedAt: new Date() },
+      { title: 'Dark mode colors', description: 'Sidebar text is unreadable', reporter: 'admin' }
+    ]);
+
+    const res = await request(app)
+      .get('/api/bugs/duplicates')
+      .query({ title: 'Login button not working', description: 'Nothing happens when clicking sign in' })
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.duplicates).toHaveLength(1);
+    expect(res.body.duplicates[0]).toMatchObject({
+      _id: original._id.toString(),
+      key: original.key,
+      title: loginBug.title,
+      status: 'open'
+    });
+    expect(res.body.duplicates[0].score).toBeGreaterThanOrEqual(0.3);
+  });
+
+  it('should only compare bugs in the project of the URL', async () => {
+    await Project.create({ key: 'WEB', name: 'Web' });
+    await Bug.create(loginBug);
+
+    const res = await request(app)
+      .get('/api/projects/WEB/bugs/duplicates')
+      .query({ title: loginBug.title })
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.duplicates).toEqual([]);
+  });
+
+  it('should return 400 without a title', async () => {
+    const res = await request(app)
+      .get('/api/bugs/duplicates')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['Title is required to find duplicates']);
+  });
+});
+
+describe('POST /api/bugs', () => {
+  it('should return possible duplicates with the new bug, leaving the bug itself out', async () => {
+    const original = await Bug.create(loginBug);
+
+    const res = await createBug({ title: 'Login button does nothing on Safari', description: loginBug.description });
+
+    expect(res.status).toBe(201);
+    expect(res.body.possibleDuplicates.map(duplicate => duplicate._id)).toEqual([original._id.toString()]);
+  });
+
+  it('should not take duplicateOf from the request', async () => {
+    const original = await Bug.create(loginBug);
+
+    const res = await createBug({ title: 'Another', description: 'Bug', duplicateOf: original._id.toString() });
+
+    expect(res.status).toBe(201);
+    expect(res.body.duplicateOf).toBeNull();
+  });
+});
+
+describe('POST /api/bugs/:id/duplicate', () => {
+  let original;
+  let duplicate;
+
+  beforeEach(async () => {
+    [original, duplicate] = await Bug.create([
+      loginBug,
+      { title: 'Sign in broken', description: 'Same as the login bug', reporter: 'admin' }
+    ]);
+  });
+
+  const markDuplicate = (id, of) => request(app)
+    .post(`/api/bugs/${id}/duplicate`)
+    .set('Authorization', authHeader)
+    .send({ of });
+
+  it('should close the bug as a duplicate and link it to the original', async () => {
+    const res = await markDuplicate(duplicate._id, original._id.toString());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'closed',
+      resolution: 'duplicate',
+      duplicateOf: original._id.toString()
+    });
+
+    const statusEntry = await BugHistory.findOne({ bug: duplicate._id, action: 'status-change' });
+    expect(statusEntry.note).toBe(`Duplicate of ${original.key}`);
+  });
+
+  it('should accept the key of the original', async () => {
+    const res = await markDuplicate(duplicate._id, original.key.toLowerCase());
+
+    expect(res.status).toBe(200);
+    expect(res.body.duplicateOf).toBe(original._id.toString());
+  });
+
+  it('should close an in-progress bug, which the workflow alone would not allow', async () => {
+    await Bug.updateOne({ _id: duplicate._id }, { status: 'in-progress' });
+
+    const res = await markDuplicate(duplicate._id, original._id.toString());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'closed', resolution: 'duplicate' });
+  });
+
+  it('should not let updates skip the workflow themselves', async () => {
+    await Bug.updateOne({ _id: duplicate._id }, { status: 'in-progress' });
+
+    const res = await request(app)
+      .put(`/api/bugs/${duplicate._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'closed', resolution: 'fixed', ignoreTransitions: true });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('Invalid status transition');
+  });
+
+  it('should refuse to mark a bug as a duplicate of itself or of another duplicate', async () => {
+    const self = await markDuplicate(duplicate._id, duplicate._id.toString());
+    expect(self.status).toBe(400);
+    expect(self.body.details).toEqual(['A bug cannot be a duplicate of itself']);
+
+    await markDuplicate(duplicate._id, original._id.toString());
+    const third = await Bug.create({ title: 'Third', description: 'Report', reporter: 'admin' });
+
+    const chained = await markDuplicate(third._id, duplicate._id.toString());
+    expect(chained.status).toBe(400);
+  });
+
+  it('should return 404 for an unknown original', async () => {
+    const res = await markDuplicate(duplicate._id, new mongoose.Types.ObjectId().toString());
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Original bug not found');
+  });
+
+  it('should drop the link when the bug is reopened', async () => {
+    await markDuplicate(duplicate._id, original._id.toString());
+
+    const res = await request(app)
+      .put(`/api/bugs/${duplicate._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'open', reason: 'Not the same problem after all' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.duplicateOf).toBeNull();
+  });
+});
@@ -0,0 +1,202 @@
+// emails.test.js - Integration tests for queued, batched bug emails and email settings
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Comment = require('../../src/models/Comment');
+const QueuedEmail = require('../../src/models/QueuedEmail');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const settings = require('../../src/config/mail');
+const { setTransport } = require('../../src/mail');
+const { createMemoryOutbox } = require('../../src/mail/outboxTransport');
+const { sendEmails } = require('../../src/jobs/sendEmails');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let outbox;
+let adminAuth;
+let aliceAuth;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 30000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await Comment.deleteMany({});
+  await QueuedEmail.deleteMany({});
+  await Project.deleteMany({});
+  await User.deleteMany({});
+
+  outbox = createMemoryOutbox();
+  setTransport(outbox);
+
+  ({ authHeader: adminAuth } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+  ({ authHeader: aliceAuth } = await createAuthenticatedUser({
+    username: 'alice',
+    name: 'Alice',
+    email: 'alice@example.com'
+  }));
+});
+
+// Runs the queue once the batching window has passed
+const sendDueEmails = (options = {}) => sendEmails(
+  new Date(Date.now() + (settings.batchSeconds + 1) * 1000),
+  { ...settings, ...options }
+);
+
+const createBug = (data = {}) => request(app)
+  .post('/api/bugs')
+  .set('Authorization', adminAuth)
+  .send({ title: 'Checkout fails', description: 'Card payments are declined', ...data });
+
+describe('Bug emails', () => {
+  it('should email a user when a bug is assigned to them', async () => {
+    const { body: bug } = await createBug({ assignee: 'alice' });
+
+    expect(outbox.messages).toHaveLength(0);
+
+    const counts = await sendDueEmails();
+    expect(counts).toEqual({ sent: 1, pending: 0, failed: 0 });
+    expect(outbox.messages).toHaveLength(1);
+    expect(outbox.messages[0]).toMatchObject({
+      from: settings.from,
+      to: 'alice@example.com',
+      subject: `[${bug.key}] Assigned to you: Checkout fails`
+    });
+    expect(outbox.messages[0].text).toContain(`admin assigned ${bug.key} "Checkout fails" to you.`);
+
+    const queued = await QueuedEmail.find();
+    expect(queued.every(email => email.status === 'sent' && email.messageId === outbox.messages[0].messageId))
+      .toBe(true);
+  });
+
+  it('should wait for a burst of changes to end and send them as one email', async () => {
+    const { body: bug } = await createBug({ assignee: 'alice' });
+    await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', adminAuth).send({ status: 'in-progress' });
+    await request(app)
+      .post(`/api/bugs/${bug._id}/comments`)
+      .set('Authorization', adminAuth)
+      .send({ body: 'Reproduced on staging' });
+
+    // Still inside the batching window
+    expect(await sendEmails(new Date(), settings)).toEqual({ sent: 0, pending: 0, failed: 0 });
+
+    await sendDueEmails();
+    expect(outbox.messages).toHaveLength(1);
+    expect(outbox.messages[0].subject).toBe(`[${bug.key}] 3 updates: Checkout fails`);
+    expect(outbox.messages[0].text).toContain('from open to in-progress');
+    expect(outbox.messages[0].text).toContain('> Reproduced on staging');
+  });
+
+  it('should email mentioned users even when they do not watch the bug', async () => {
+    await createAuthenticatedUser({ username: 'bob', name: 'Bob', email: 'bob@example.com' });
+    const { body: bug } = await createBug();
+
+    await request(app)
+      .post(`/api/bugs/${bug._id}/comments`)
+      .set('Authorization', adminAuth)
+      .send({ body: 'Any idea, @bob?' });
+    await sendDueEmails();
+
+    expect(outbox.messages.map(message => [message.to, message.subject])).toEqual([
+      ['bob@example.com', `[${bug.key}] You were mentioned: Checkout fails`]
+    ]);
+  });
+
+  it('should not email the user who made the change', async () => {
+    const { body: bug } = await createBug({ assignee: 'alice' });
+    await QueuedEmail.deleteMany({});
+
+    await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', aliceAuth).send({ status: 'in-progress' });
+
+    expect(await QueuedEmail.countDocuments()).toBe(0);
+  });
+
+  it('should respect turned-off kinds of email', async () => {
+    await request(app)
+      .put('/api/auth/me')
+      .set('Authorization', aliceAuth)
+      .send({ emailPreferences: { assigned: false } });
+
+    const { body: bug } = await createBug({ assignee: 'alice' });
+    await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', adminAuth).send({ status: 'in-progress' });
+    await sendDueEmails();
+
+    expect(outbox.messages).toHaveLength(1);
+    expect(outbox.messages[0].subject).toBe(`[${bug.key}] Status changed to in-progress: Checkout fails`);
+  });
+
+  it('should retry failed sends with backoff, then give up', async () => {
+    await createBug({ assignee: 'alice' });
+    setTransport({ send: jest.fn().mockRejectedValue(new Error('Connection refused')) });
+
+    expect(await sendDueEmails({ maxAttempts: 2 })).toEqual({ sent: 0, pending: 1, failed: 0 });
+
+    let [queued] = await QueuedEmail.find();
+    expect(queued).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Connection refused' });
+    expect(queued.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + settings.batchSeconds * 1000);
+
+    // Not due again until the retry delay has passed
+    expect(await sendDueEmails({ maxAttempts: 2 })).toEqual({ sent: 0, pending: 0, failed: 0 });
+
+    await sendEmails(new Date(queued.nextAttemptAt.getTime() + 1000), { ...settings, maxAttempts: 2 });
+    [queued] = await QueuedEmail.find();
+    expect(queued).toMatchObject({ status: 'failed', attempts: 2 });
+  });
+});
+
+describe('PUT /api/auth/me', () => {
+  it('should change the email address and preferences', async () => {
+    const res = await request(app)
+      .put('/api/auth/me')
+      .set('Authorization', aliceAuth)
+      .send({ email: 'Alice@Example.org', emailPreferences: { commented: false } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({
+      email: 'alice@example.org',
+      emailPreferences: { assigned: true, statusChanged: true, commented: false, mentioned: true }
+    });
+  });
+
+  it('should stop emails when the address is cleared', async () => {
+    await request(app).put('/api/auth/me').set('Authorization', aliceAuth).send({ email: null });
+    await createBug({ assignee: 'alice' });
+
+    expect(await QueuedEmail.countDocuments()).toBe(0);
+  });
+
+  it('should reject invalid settings', async () => {
+    const res = await request(app)
+      .put('/api/auth/me')
+      .set('Authorization', aliceAuth)
+      .send({ email: 'not an address', emailPreferences: { assigned: 'no' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      'Email must be a valid email address',
+      'Email preference "assigned" must be true or false'
+    ]);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).put('/api/auth/me').send({ email: 'x@example.com' });
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,159 @@
+// history.test.js - Integration tests for the bug audit trail
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await BugHistory.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'johndoe', name: 'John Doe' }));
+});
+
+const createBug = async () => {
+  const res = await request(app)
+    .post('/api/bugs')
+    .set('Authorization', authHeader)
+    .send({
+      title: 'Audited Bug',
+      description: 'Original description',
+      reporter: 'John Doe'
+    });
+  return res.body;
+};
+
+describe('GET /api/bugs/:id/history', () => {
+  it('should record the creation of a bug', async () => {
+    const bug = await createBug();
+
+    const res = await request(app)
+      .get(`/api/bugs/${bug._id}/history`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.history).toHaveLength(1);
+    expect(res.body.history[0].action).toBe('create');
+    expect(res.body.history[0].actor).toBe('johndoe');
+    expect(res.body.history[0].newValue.title).toBe('Audited Bug');
+  });
+
+  it('should record one entry per changed field', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader)
+      .send({
+        title: 'Audited Bug',
+        description: 'Rewritten description',
+        reporter: 'John Doe',
+        priority: 'critical'
+      });
+
+    const res = await request(app)
+      .get(`/api/bugs/${bug._id}/history`)
+      .set('Authorization', authHeader);
+    const updates = res.body.history.filter(entry => entry.action === 'update');
+
+    expect(updates).toHaveLength(2);
+    expect(updates.map(entry => entry.field).sort()).toEqual(['description', 'priority']);
+
+    const priorityEntry = updates.find(entry => entry.field === 'priority');
+    expect(priorityEntry.oldValue).toBe('medium');
+    expect(priorityEntry.newValue).toBe('critical');
+    expect(priorityEntry.actor).toBe('johndoe');
+  });
+
+  it('should record status changes', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'in-progress' });
+
+    const res = await request(app)
+      .get(`/api/bugs/${bug._id}/history`)
+      .set('Authorization', authHeader);
+    const statusEntry = res.body.history.find(entry => entry.action === 'status-change');
+
+    expect(statusEntry).toMatchObject({ field: 'status', oldValue: 'open', newValue: 'in-progress', actor: 'johndoe' });
+  });
+
+  it('should not record anything for a no-op update', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader)
+      .send({ title: 'Audited Bug', description: 'Original description', reporter: 'John Doe' });
+
+    const res = await request(app)
+      .get(`/api/bugs/${bug._id}/history`)
+      .set('Authorization', authHeader);
+    expect(res.body.history).toHaveLength(1);
+  });
+
+  it('should keep the history of a deleted bug', async () => {
+    const bug = await createBug();
+
+    await request(app)
+      .delete(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader);
+
+    const res = await request(app)
+      .get(`/api/bugs/${bug._id}/history`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.history.map(entry => entry.action)).toEqual(['create', 'delete']);
+    expect(res.body.history[1].oldValue.title).toBe('Audited Bug');
+  });
+
+  it('should return 404 for an unknown bug', async () => {
+    const fakeId = new mongoose.Types.ObjectId();
+    const res = await request(app)
+      .get(`/api/bugs/${fakeId}/history`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Bug not found');
+  });
+
+  it('should return 400 for invalid ID format', async () => {
+    const res = await request(app)
+      .get('/api/bugs/invalid-id/history')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid bug ID format');
+  });
+});
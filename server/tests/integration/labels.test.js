@@ -0,0 +1,281 @@
+// labels.test.js - Integration tests for labels and how bugs use them
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Label = require('../../src/models/Label');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 30000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await Label.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+});
+
+const createLabel = (data, header = authHeader) => request(app)
+  .post('/api/labels')
+  .set('Authorization', header)
+  .send(data);
+
+const createBug = (tags) => request(app)
+  .post('/api/bugs')
+  .set('Authorization', authHeader)
+  .send({ title: 'Broken layout', description: 'Columns overlap', tags });
+
+describe('POST /api/labels', () => {
+  it('should create a label', async () => {
+    const res = await createLabel({ name: ' UI ', color: '#D73A4A', description: 'Looks and layout' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ name: 'UI', color: '#d73a4a', description: 'Looks and layout', archived: false });
+    expect(res.body).not.toHaveProperty('nameKey');
+  });
+
+  it('should give labels a default color', async () => {
+    const res = await createLabel({ name: 'backend' });
+
+    expect(res.body.color).toBe('#6c757d');
+  });
+
+  it('should return 409 for a name that differs only in case', async () => {
+    await createLabel({ name: 'UI' });
+    const res = await createLabel({ name: 'ui' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details).toEqual(['Label "UI" already exists']);
+  });
+
+  it('should return 400 for a bad color', async () => {
+    const res = await createLabel({ name: 'UI', color: 'red' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['Color must be a hex color like #d73a4a']);
+  });
+
+  it('should return 403 for developers', async () => {
+    const { authHeader: developerHeader } = await createAuthenticatedUser({ username: 'dev', role: 'developer' });
+
+    const res = await createLabel({ name: 'UI' }, developerHeader);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/labels', () => {
+  beforeEach(async () => {
+    await Label.create([
+      { name: 'ui' },
+      { name: 'UX' },
+      { name: 'backend' },
+      { name: 'unloved', archived: true }
+    ]);
+  });
+
+  it('should list active labels by name', async () => {
+    const res = await request(app)
+      .get('/api/labels')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.labels.map(label => label.name)).toEqual(['backend', 'ui', 'UX']);
+  });
+
+  it('should include archived labels when asked', async () => {
+    const res = await request(app)
+      .get('/api/labels?includeArchived=true')
+      .set('Authorization', authHeader);
+
+    expect(res.body.labels.map(label => label.name)).toEqual(['backend', 'ui', 'unloved', 'UX']);
+  });
+
+  it('should suggest labels starting with q, ignoring case', async () => {
+    const res = await request(app)
+      .get('/api/labels?q=U')
+      .set('Authorization', authHeader);
+
+    expect(res.body.labels.map(label => label.name)).toEqual(['ui', 'UX']);
+  });
+});
+
+describe('Bug tags', () => {
+  beforeEach(async () => {
+    await Label.create([{ name: 'UI' }, { name: 'legacy', archived: true }]);
+  });
+
+  it('should spell tags as their labels do', async () => {
+    const res = await createBug(['ui', ' UI ']);
+
+    expect(res.status).toBe(201);
+    expect(res.body.tags).toEqual(['UI']);
+  });
+
+  it('should reject tags without a label', async () => {
+    const res = await createBug(['UI', 'frontend']);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['Unknown label "frontend"']);
+  });
+
+  it('should reject archived labels on new bugs but keep them on bugs that have them', async () => {
+    const rejected = await createBug(['legacy']);
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.details).toEqual(['Label "legacy" is archived']);
+
+    const bug = await Bug.create({ title: 'Old', description: 'From before', reporter: 'admin', tags: ['legacy'] });
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader)
+      .send({ title: 'Old bug', description: 'From before', tags: ['legacy', 'UI'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags).toEqual(['legacy', 'UI']);
+  });
+});
+
+describe('PUT /api/labels/:id', () => {
+  let label;
+
+  beforeEach(async () => {
+    label = await Label.create({ name: 'ui' });
+    await Label.create({ name: 'backend' });
+  });
+
+  it('should rename the label on every bug, trashed ones included', async () => {
+    const bug = await Bug.create({ title: 'A', description: 'A', reporter: 'admin', tags: ['backend', 'ui'] });
+    const trashed = await Bug.create({
+      title: 'B', description: 'B', reporter: 'admin', tags: ['ui'], deletedAt: new Date()
+    });
+
+    const res = await request(app)
+      .put(`/api/labels/${label._id}`)
+      .set('Authorization', authHeader)
+      .send({ name: 'Frontend', color: '#0e8a16' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ name: 'Frontend', color: '#0e8a16' });
+
+    const updated = await Bug.collection.findOne({ _id: bug._id });
+    expect(updated.tags).toEqual(['backend', 'Frontend']);
+    expect(updated.version).toBe(bug.version + 1);
+    expect((await Bug.collection.findOne({ _id: trashed._id })).tags).toEqual(['Frontend']);
+  });
+
+  it('should allow changing only the case of the name', async () => {
+    const res = await request(app)
+      .put(`/api/labels/${label._id}`)
+      .set('Authorization', authHeader)
+      .send({ name: 'UI' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('UI');
+  });
+
+  it('should return 409 when taking another label\'s name', async () => {
+    const res = await request(app)
+      .put(`/api/labels/${label._id}`)
+      .set('Authorization', authHeader)
+      .send({ name: 'Backend' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details).toEqual(['Label "backend" already exists; merge into it instead']);
+  });
+
+  it('should return 404 for an unknown label', async () => {
+    const res = await request(app)
+      .put(`/api/labels/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', authHeader)
+      .send({ name: 'x' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/labels/:id/merge', () => {
+  it('should replace the label on every bug without repeating the target', async () => {
+    const [source, target] = await Label.create([{ name: 'ux' }, { name: 'UI' }]);
+    const both = await Bug.create({ title: 'A', description: 'A', reporter: 'admin', tags: ['ux', 'UI'] });
+    const sourceOnly = await Bug.create({ title: 'B', description: 'B', reporter: 'admin', tags: ['ux'] });
+
+    const res = await request(app)
+      .post(`/api/labels/${source._id}/merge`)
+      .set('Authorization', authHeader)
+      .send({ into: target._id.toString() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugsUpdated).toBe(2);
+    expect((await Bug.findById(both._id)).tags).toEqual(['UI']);
+    expect((await Bug.findById(sourceOnly._id)).tags).toEqual(['UI']);
+    expect(await Label.findById(source._id)).toBeNull();
+  });
+
+  it('should refuse to merge a label into itself', async () => {
+    const label = await Label.create({ name: 'ui' });
+
+    const res = await request(app)
+      .post(`/api/labels/${label._id}/merge`)
+      .set('Authorization', authHeader)
+      .send({ into: label._id.toString() });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/labels/:id', () => {
+  it('should delete the label and take it off every bug', async () => {
+    const label = await Label.create({ name: 'ui' });
+    const bug = await Bug.create({ title: 'A', description: 'A', reporter: 'admin', tags: ['ui', 'other'] });
+
+    const res = await request(app)
+      .delete(`/api/labels/${label._id}`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect((await Bug.findById(bug._id)).tags).toEqual(['other']);
+    expect(await Label.findById(label._id)).toBeNull();
+  });
+});
+
+describe('Label.importTags', () => {
+  it('should turn existing tags into labels, joining different spellings', async () => {
+    await Bug.collection.insertMany([
+      { title: 'A', description: 'A', reporter: 'admin', tags: ['UI', 'backend'] },
+      { title: 'B', description: 'B', reporter: 'admin', tags: ['ui '] }
+    ]);
+
+    await Label.importTags();
+
+    const labels = await Label.find().sort({ nameKey: 1 });
+    expect(labels).toHaveLength(2);
+    expect(labels[0].name).toBe('backend');
+
+    // Whichever spelling came first names the label, and every bug uses it
+    const uiLabel = labels[1].name;
+    const bugs = await Bug.collection.find().sort({ title: 1 }).toArray();
+    expect(bugs[0].tags).toEqual([uiLabel, 'backend']);
+    expect(bugs[1].tags).toEqual([uiLabel]);
+  });
+});
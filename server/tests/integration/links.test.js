@@ -0,0 +1,212 @@
+// links.test.js - Integration tests for links between bugs
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugLink = require('../../src/models/BugLink');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+let first;
+let second;
+let third;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 30000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await BugLink.deleteMany({});
+  await BugHistory.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+
+  // Created one at a time so their keys come in order
+  first = await Bug.create({ title: 'Database migration', description: 'Schema change', reporter: 'admin' });
+  second = await Bug.create({ title: 'API endpoint', description: 'Needs the new schema', reporter: 'admin' });
+  third = await Bug.create({ title: 'Client screen', description: 'Needs the endpoint', reporter: 'admin' });
+});
+
+const addLink = (bug, data, header = authHeader) => request(app)
+  .post(`/api/bugs/${bug._id}/links`)
+  .set('Authorization', header)
+  .send(data);
+
+const getLinks = (bug) => request(app)
+  .get(`/api/bugs/${bug._id}/links`)
+  .set('Authorization', authHeader);
+
+describe('POST /api/bugs/:id/links', () => {
+  it('should link two bugs and show the link from both ends', async () => {
+    const res = await addLink(first, { type: 'blocks', target: second.key });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      type: 'blocks',
+      direction: 'outward',
+      relation: 'blocks',
+      bug: { _id: second._id.toString(), key: second.key, status: 'open' }
+    });
+
+    const fromSecond = await getLinks(second);
+    expect(fromSecond.body.links).toEqual([expect.objectContaining({
+      direction: 'inward',
+      relation: 'is blocked by',
+      bug: expect.objectContaining({ key: first.key })
+    })]);
+  });
+
+  it('should add inward links from the other bug', async () => {
+    await addLink(second, { type: 'parent', target: first._id.toString(), direction: 'inward' });
+
+    const link = await BugLink.findOne();
+    expect(link.source).toEqual(first._id);
+    expect(link.target).toEqual(second._id);
+  });
+
+  it('should record the link in the history of both bugs', async () => {
+    await addLink(first, { type: 'blocks', target: second.key });
+
+    const entries = await BugHistory.find({ action: 'link' }).sort({ bug: 1 });
+    expect(entries.map(entry => [entry.field, entry.newValue])).toEqual([
+      ['blocks', second.key],
+      ['is blocked by', first.key]
+    ]);
+  });
+
+  it('should reject cycles of blocks', async () => {
+    await addLink(first, { type: 'blocks', target: second.key });
+    await addLink(second, { type: 'blocks', target: third.key });
+
+    const res = await addLink(third, { type: 'blocks', target: first.key });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      `Link would create a cycle: ${third.key} blocks ${first.key} blocks ${second.key} blocks ${third.key}`
+    ]);
+  });
+
+  it('should reject parent cycles and second parents', async () => {
+    await addLink(first, { type: 'parent', target: second.key });
+
+    const cycle = await addLink(second, { type: 'parent', target: first.key });
+    expect(cycle.status).toBe(400);
+
+    const secondParent = await addLink(third, { type: 'parent', target: second.key });
+    expect(secondParent.status).toBe(400);
+    expect(secondParent.body.details).toEqual([`${second.key} already has a parent`]);
+  });
+
+  it('should allow the same pair to relate and block, but not relate twice', async () => {
+    expect((await addLink(first, { type: 'relates-to', target: second.key })).status).toBe(201);
+    expect((await addLink(first, { type: 'blocks', target: second.key })).status).toBe(201);
+
+    const again = await addLink(second, { type: 'relates-to', target: first.key });
+    expect(again.status).toBe(409);
+  });
+
+  it('should reject self links, unknown types and unknown targets', async () => {
+    expect((await addLink(first, { type: 'blocks', target: first.key })).status).toBe(400);
+    expect((await addLink(first, { type: 'follows', target: second.key })).status).toBe(400);
+    expect((await addLink(first, { type: 'blocks', target: 'BUG-999' })).status).toBe(404);
+  });
+
+  it('should need permission to edit the bug', async () => {
+    const { authHeader: viewerHeader } = await createAuthenticatedUser({ username: 'viewer', role: 'viewer' });
+
+    const res = await addLink(first, { type: 'blocks', target: second.key }, viewerHeader);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /api/bugs/:id/links/:linkId', () => {
+  it('should remove a link from either end', async () => {
+    const { body: link } = await addLink(first, { type: 'blocks', target: second.key });
+
+    const res = await request(app)
+      .delete(`/api/bugs/${second._id}/links/${link._id}`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(await BugLink.countDocuments()).toBe(0);
+    expect(await BugHistory.countDocuments({ action: 'unlink' })).toBe(2);
+  });
+
+  it('should return 404 for a link of another bug', async () => {
+    const { body: link } = await addLink(first, { type: 'blocks', target: second.key });
+
+    const res = await request(app)
+      .delete(`/api/bugs/${third._id}/links/${link._id}`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Closing blocked bugs', () => {
+  beforeEach(async () => {
+    await addLink(first, { type: 'blocks', target: second.key });
+  });
+
+  const closeSecond = (extra = {}) => request(app)
+    .put(`/api/bugs/${second._id}`)
+    .set('Authorization', authHeader)
+    .send({ status: 'closed', resolution: 'fixed', ...extra });
+
+  it('should refuse while a blocker is open', async () => {
+    const res = await closeSecond();
+
+    expect(res.status).toBe(422);
+    expect(res.body.details).toEqual([`Blocked by ${first.key} (open)`]);
+    expect(res.body.blockers).toEqual([expect.objectContaining({ key: first.key, status: 'open' })]);
+  });
+
+  it('should close when the caller overrides', async () => {
+    const res = await closeSecond({ ignoreBlockers: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('closed');
+    expect(res.body).not.toHaveProperty('ignoreBlockers');
+  });
+
+  it('should close once the blockers are resolved or trashed', async () => {
+    await Bug.findByIdAndUpdate(first._id, { status: 'resolved', resolution: 'fixed' });
+
+    expect((await closeSecond()).status).toBe(200);
+  });
+});
+
+describe('Marking duplicates', () => {
+  it('should link the duplicate to its original', async () => {
+    await request(app)
+      .post(`/api/bugs/${second._id}/duplicate`)
+      .set('Authorization', authHeader)
+      .send({ of: first.key });
+
+    const res = await getLinks(first);
+    expect(res.body.links).toEqual([expect.objectContaining({
+      relation: 'is duplicated by',
+      bug: expect.objectContaining({ key: second.key, status: 'closed' })
+    })]);
+  });
+});
@@ -0,0 +1,125 @@
+// logging.test.js - Integration tests for request IDs and request log lines
+
+// Read when the logger is created, so before the app is loaded
+process.env.LOG_LEVEL = 'debug';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+let writeSpy;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 30000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+  writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+});
+
+afterEach(() => {
+  writeSpy.mockRestore();
+});
+
+// Log lines written for one request
+const getLogLines = requestId => writeSpy.mock.calls
+  .map(([chunk]) => String(chunk))
+  .filter(chunk => chunk.startsWith('{'))
+  .map(chunk => JSON.parse(chunk))
+  .filter(line => line.requestId === requestId);
+
+describe('Request IDs', () => {
+  it('should generate an ID and send it back', async () => {
+    const response = await request(app).get('/health').expect(200);
+
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should keep the ID the caller sent', async () => {
+    const response = await request(app)
+      .get('/health')
+      .set('X-Request-Id', 'client-42')
+      .expect(200);
+
+    expect(response.headers['x-request-id']).toBe('client-42');
+  });
+
+  it('should replace an ID that is not safe to log', async () => {
+    const response = await request(app)
+      .get('/health')
+      .set('X-Request-Id', 'bad id "quoted"')
+      .expect(200);
+
+    expect(response.headers['x-request-id']).not.toBe('bad id "quoted"');
+  });
+
+  it('should send the ID back in error bodies', async () => {
+    const failed = await request(app)
+      .get('/api/bugs')
+      .set('X-Request-Id', 'client-401')
+      .expect(401);
+    const succeeded = await request(app)
+      .get('/api/bugs')
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    expect(failed.body).toEqual({ error: 'Authentication required', requestId: 'client-401' });
+    expect(succeeded.body).not.toHaveProperty('requestId');
+  });
+});
+
+describe('Request log lines', () => {
+  it('should carry the request ID, route, user and duration', async () => {
+    await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader)
+      .set('X-Request-Id', 'create-bug-1')
+      .send({ title: 'Logged bug', description: 'Shows up in the logs' })
+      .expect(201);
+
+    const lines = getLogLines('create-bug-1');
+    const created = lines.find(line => line.msg === 'Bug created successfully');
+    const completed = lines.find(line => line.msg === 'Request completed');
+
+    expect(created).toMatchObject({ level: 'info', route: '/api/bugs', user: 'admin', durationMs: expect.any(Number) });
+    expect(completed).toMatchObject({
+      level: 'info',
+      method: 'POST',
+      url: '/api/bugs',
+      status: 201,
+      route: '/api/bugs',
+      user: 'admin',
+      durationMs: expect.any(Number)
+    });
+  });
+
+  it('should log requests no route answered', async () => {
+    await request(app).get('/no/such/page').set('X-Request-Id', 'missing-1').expect(404);
+
+    const completed = getLogLines('missing-1').find(line => line.msg === 'Request completed');
+
+    expect(completed).toMatchObject({ status: 404, route: 'unmatched' });
+  });
+});
@@ -0,0 +1,94 @@
+// metrics.test.js - Integration tests for the Prometheus metrics endpoint
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const settings = require('../../src/config/metrics');
+const { instrumentMongoClient } = require('../../src/metrics');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri(), { monitorCommands: true });
+  instrumentMongoClient(mongoose.connection.getClient());
+}, 30000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  settings.token = null;
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+});
+
+describe('GET /metrics', () => {
+  it('should serve metrics in the Prometheus text format', async () => {
+    const response = await request(app)
+      .get('/metrics')
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(response.text).toContain('# TYPE http_requests_total counter');
+    expect(response.text).toContain('# TYPE http_request_duration_seconds histogram');
+    expect(response.text).toMatch(/^process_resident_memory_bytes \d+$/m);
+  });
+
+  it('should count requests by route pattern and status', async () => {
+    const { body: bug } = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader)
+      .send({ title: 'Counted bug', description: 'Shows up in the metrics' })
+      .expect(201);
+
+    await request(app).get(`/api/bugs/${bug._id}`).set('Authorization', authHeader).expect(200);
+    await request(app).get(`/api/bugs/${new mongoose.Types.ObjectId()}`).set('Authorization', authHeader).expect(404);
+    await request(app).get('/no/such/page').expect(404);
+
+    const { text } = await request(app).get('/metrics').expect(200);
+
+    expect(text).toMatch(/^http_requests_total\{method="POST",route="\/api\/bugs",status="201"\} \d+$/m);
+    expect(text).toMatch(/^http_requests_total\{method="GET",route="\/api\/bugs\/:id",status="200"\} \d+$/m);
+    expect(text).toMatch(/^http_requests_total\{method="GET",route="\/api\/bugs\/:id",status="404"\} \d+$/m);
+    expect(text).toMatch(/^http_requests_total\{method="GET",route="unmatched",status="404"\} \d+$/m);
+    expect(text).not.toContain(bug._id);
+  });
+
+  it('should time MongoDB commands', async () => {
+    await request(app).get('/api/bugs').set('Authorization', authHeader).expect(200);
+
+    const { text } = await request(app).get('/metrics').expect(200);
+
+    expect(text).toMatch(/^mongodb_command_duration_seconds_count\{command="find",collection="bugs",outcome="success"\} \d+$/m);
+  });
+
+  it('should require the token when one is configured', async () => {
+    settings.token = 'scrape-secret';
+
+    await request(app).get('/metrics').expect(401);
+    await request(app).get('/metrics').set('Authorization', 'Bearer wrong-secret').expect(401);
+
+    const response = await request(app)
+      .get('/metrics')
+      .set('Authorization', 'Bearer scrape-secret')
+      .expect(200);
+
+    expect(response.text).toContain('http_requests_total');
+  });
+});
@@ -0,0 +1,220 @@
+// milestones.test.js - Integration tests for milestones and planning bugs into them
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Milestone = require('../../src/models/Milestone');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 30000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await Milestone.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+});
+
+const createMilestone = (data, header = authHeader) => request(app)
+  .post('/api/milestones')
+  .set('Authorization', header)
+  .send(data);
+
+const createBug = (milestone) => request(app)
+  .post('/api/bugs')
+  .set('Authorization', authHeader)
+  .send({ title: 'Broken layout', description: 'Columns overlap', milestone });
+
+describe('POST /api/milestones', () => {
+  it('should create an open milestone', async () => {
+    const res = await createMilestone({ name: ' v1.0 ', dueDate: '2026-12-01', description: 'First release' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ name: 'v1.0', description: 'First release', state: 'open' });
+    expect(new Date(res.body.dueDate).toISOString()).toBe('2026-12-01T00:00:00.000Z');
+  });
+
+  it('should return 409 for a name already in use', async () => {
+    await createMilestone({ name: 'v1.0' });
+    const res = await createMilestone({ name: 'v1.0' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details).toEqual(['Milestone "v1.0" already exists']);
+  });
+
+  it('should return 400 for a bad due date', async () => {
+    const res = await createMilestone({ name: 'v1.0', dueDate: 'soon' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['Due date must be a valid date']);
+  });
+
+  it('should return 403 for developers', async () => {
+    const { authHeader: developerHeader } = await createAuthenticatedUser({ username: 'dev', role: 'developer' });
+
+    const res = await createMilestone({ name: 'v1.0' }, developerHeader);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/milestones', () => {
+  beforeEach(async () => {
+    await Milestone.create([
+      { name: 'Someday' },
+      { name: 'v2.0', dueDate: new Date('2027-03-01') },
+      { name: 'v1.0', dueDate: new Date('2026-12-01') },
+      { name: 'v0.9', dueDate: new Date('2026-09-01'), state: 'closed' }
+    ]);
+  });
+
+  it('should list milestones by due date, undated ones last', async () => {
+    const res = await request(app)
+      .get('/api/milestones')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.milestones.map(milestone => milestone.name)).toEqual(['v0.9', 'v1.0', 'v2.0', 'Someday']);
+    expect(res.body.milestones[0].progress).toMatchObject({ total: 0, percentComplete: 0 });
+  });
+
+  it('should filter by state', async () => {
+    const res = await request(app)
+      .get('/api/milestones?state=closed')
+      .set('Authorization', authHeader);
+
+    expect(res.body.milestones.map(milestone => milestone.name)).toEqual(['v0.9']);
+  });
+});
+
+describe('GET /api/milestones/:id/progress', () => {
+  it('should count open and resolved bugs, leaving trashed ones out', async () => {
+    const milestone = await Milestone.create({ name: 'v1.0', dueDate: new Date('2020-01-01') });
+    const base = { description: 'A', reporter: 'admin', milestone: milestone._id };
+
+    await Bug.create([
+      { ...base, title: 'Open' },
+      { ...base, title: 'Working', status: 'in-progress' },
+      { ...base, title: 'Fixed', status: 'resolved' },
+      { ...base, title: 'Trashed', deletedAt: new Date() },
+      { title: 'Elsewhere', description: 'B', reporter: 'admin' }
+    ]);
+
+    const res = await request(app)
+      .get(`/api/milestones/${milestone._id}/progress`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      milestone: milestone._id.toString(),
+      total: 3,
+      open: 2,
+      resolved: 1,
+      percentComplete: 33,
+      overdue: true
+    });
+  });
+
+  it('should return 404 for an unknown milestone', async () => {
+    const res = await request(app)
+      .get(`/api/milestones/${new mongoose.Types.ObjectId()}/progress`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Planning bugs', () => {
+  it('should plan a new bug for an open milestone', async () => {
+    const milestone = await Milestone.create({ name: 'v1.0' });
+
+    const res = await createBug(milestone._id.toString());
+
+    expect(res.status).toBe(201);
+    expect(res.body.milestone).toBe(milestone._id.toString());
+  });
+
+  it('should reject unknown and closed milestones', async () => {
+    const closed = await Milestone.create({ name: 'v0.9', state: 'closed' });
+
+    const unknown = await createBug(new mongoose.Types.ObjectId().toString());
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.details).toEqual(['Unknown milestone']);
+
+    const res = await createBug(closed._id.toString());
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['Milestone "v0.9" is closed']);
+  });
+
+  it('should keep a bug on its milestone after the milestone closes', async () => {
+    const milestone = await Milestone.create({ name: 'v0.9', state: 'closed' });
+    const bug = await Bug.create({ title: 'Old', description: 'A', reporter: 'admin', milestone: milestone._id });
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader)
+      .send({ title: 'Old bug', description: 'A', milestone: milestone._id.toString() });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should filter the bug list by milestone, or by having none', async () => {
+    const milestone = await Milestone.create({ name: 'v1.0' });
+    await Bug.create([
+      { title: 'Planned', description: 'A', reporter: 'admin', milestone: milestone._id },
+      { title: 'Unplanned', description: 'B', reporter: 'admin' }
+    ]);
+
+    const planned = await request(app)
+      .get(`/api/bugs?milestone=${milestone._id}`)
+      .set('Authorization', authHeader);
+    expect(planned.body.bugs.map(bug => bug.title)).toEqual(['Planned']);
+
+    const unplanned = await request(app)
+      .get('/api/bugs?milestone=none')
+      .set('Authorization', authHeader);
+    expect(unplanned.body.bugs.map(bug => bug.title)).toEqual(['Unplanned']);
+
+    const invalid = await request(app)
+      .get('/api/bugs?milestone=soon')
+      .set('Authorization', authHeader);
+    expect(invalid.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/milestones/:id', () => {
+  it('should delete the milestone and take it off every bug', async () => {
+    const milestone = await Milestone.create({ name: 'v1.0' });
+    const bug = await Bug.create({ title: 'A', description: 'A', reporter: 'admin', milestone: milestone._id });
+
+    const res = await request(app)
+      .delete(`/api/milestones/${milestone._id}`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugsUpdated).toBe(1);
+    expect((await Bug.findById(bug._id)).milestone).toBeNull();
+    expect(await Milestone.findById(milestone._id)).toBeNull();
+  });
+});
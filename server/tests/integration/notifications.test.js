@@ -0,0 +1,215 @@
+// notifications.test.js - Integration tests for watching bugs and the notification inbox
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Comment = require('../../src/models/Comment');
+const Notification = require('../../src/models/Notification');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let adminAuth;
+let aliceAuth;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 30000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await Comment.deleteMany({});
+  await Notification.deleteMany({});
+  await Project.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader: adminAuth } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+  ({ authHeader: aliceAuth } = await createAuthenticatedUser({ username: 'alice', name: 'Alice' }));
+});
+
+const createBug = (data = {}) => request(app)
+  .post('/api/bugs')
+  .set('Authorization', adminAuth)
+  .send({ title: 'Checkout fails', description: 'Card payments are declined', ...data });
+
+const getInbox = (auth, query = {}) => request(app)
+  .get('/api/notifications')
+  .query(query)
+  .set('Authorization', auth);
+
+describe('Watching bugs', () => {
+  it('should have the reporter and assignee watch new bugs', async () => {
+    const { body: bug } = await createBug({ assignee: 'alice' });
+
+    expect(bug.watchers).toEqual(['admin', 'alice']);
+  });
+
+  it('should have new assignees and commenters start watching', async () => {
+    const { body: bug } = await createBug();
+    await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', adminAuth).send({ assignee: 'alice' });
+
+    let updated = await Bug.findById(bug._id);
+    expect(updated.watchers).toEqual(['admin', 'alice']);
+
+    const { authHeader: bobAuth } = await createAuthenticatedUser({ username: 'bob', name: 'Bob' });
+    await request(app).post(`/api/bugs/${bug._id}/comments`).set('Authorization', bobAuth).send({ body: 'Me too' });
+
+    updated = await Bug.findById(bug._id);
+    expect(updated.watchers).toEqual(['admin', 'alice', 'bob']);
+  });
+
+  it('should watch and unwatch a bug without changing its version', async () => {
+    const { body: bug } = await createBug();
+
+    const watched = await request(app).post(`/api/bugs/${bug._id}/watch`).set('Authorization', aliceAuth);
+    expect(watched.status).toBe(200);
+    expect(watched.body).toEqual({ watching: true, watchers: ['admin', 'alice'] });
+
+    const unwatched = await request(app).delete(`/api/bugs/${bug._id}/watch`).set('Authorization', aliceAuth);
+    expect(unwatched.body).toEqual({ watching: false, watchers: ['admin'] });
+
+    const current = await Bug.findById(bug._id);
+    expect(current.version).toBe(bug.version);
+  });
+
+  it('should ignore watchers sent with an update', async () => {
+    const { body: bug } = await createBug();
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', adminAuth)
+      .send({ watchers: ['mallory'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.watchers).toEqual(['admin']);
+  });
+
+  it('should return 404 for bugs that do not exist or are in the trash', async () => {
+    const missing = await request(app)
+      .post(`/api/bugs/${new mongoose.Types.ObjectId()}/watch`)
+      .set('Authorization', aliceAuth);
+    expect(missing.status).toBe(404);
+
+    const { body: bug } = await createBug();
+    await request(app).delete(`/api/bugs/${bug._id}`).set('Authorization', adminAuth);
+
+    const trashed = await request(app).post(`/api/bugs/${bug._id}/watch`).set('Authorization', aliceAuth);
+    expect(trashed.status).toBe(404);
+  });
+
+  it('should return 400 for an invalid bug ID', async () => {
+    const res = await request(app).post('/api/bugs/not-an-id/watch').set('Authorization', aliceAuth);
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Notifications', () => {
+  it('should notify watchers of changes, except whoever made them', async () => {
+    const { body: bug } = await createBug();
+    await request(app).post(`/api/bugs/${bug._id}/watch`).set('Authorization', aliceAuth);
+
+    await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', adminAuth).send({ status: 'in-progress' });
+
+    const inbox = await getInbox(aliceAuth);
+    expect(inbox.status).toBe(200);
+    expect(inbox.body.unreadCount).toBe(1);
+    expect(inbox.body.notifications[0]).toMatchObject({
+      bug: bug._id,
+      bugKey: bug.key,
+      bugTitle: 'Checkout fails',
+      event: 'bug.updated',
+      actor: 'admin',
+      summary: 'changed status from open to in-progress',
+      readAt: null
+    });
+
+    const own = await getInbox(adminAuth);
+    expect(own.body.notifications).toHaveLength(0);
+  });
+
+  it('should notify watchers of comments', async () => {
+    const { body: bug } = await createBug({ assignee: 'alice' });
+
+    await request(app)
+      .post(`/api/bugs/${bug._id}/comments`)
+      .set('Authorization', adminAuth)
+      .send({ body: 'Reproduced on staging' });
+
+    const inbox = await getInbox(aliceAuth);
+    expect(inbox.body.notifications.map(notification => notification.summary)).toEqual([
+      'commented: Reproduced on staging',
+      'reported this bug'
+    ]);
+  });
+
+  it('should stop notifying users who unwatch', async () => {
+    const { body: bug } = await createBug({ assignee: 'alice' });
+    await request(app).delete(`/api/bugs/${bug._id}/watch`).set('Authorization', aliceAuth);
+    await Notification.deleteMany({});
+
+    await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', adminAuth).send({ priority: 'high' });
+
+    const inbox = await getInbox(aliceAuth);
+    expect(inbox.body.notifications).toHaveLength(0);
+  });
+
+  it('should list unread notifications only when asked, with pagination', async () => {
+    const { body: bug } = await createBug({ assignee: 'alice' });
+    await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', adminAuth).send({ priority: 'high' });
+
+    const [latest] = (await getInbox(aliceAuth)).body.notifications;
+    await request(app).post(`/api/notifications/${latest._id}/read`).set('Authorization', aliceAuth);
+
+    const unread = await getInbox(aliceAuth, { unread: 'true', limit: 1 });
+    expect(unread.body.notifications).toHaveLength(1);
+    expect(unread.body.notifications[0].summary).toBe('reported this bug');
+    expect(unread.body.pagination).toEqual({ page: 1, limit: 1, total: 1, pages: 1 });
+
+    const count = await request(app).get('/api/notifications/unread-count').set('Authorization', aliceAuth);
+    expect(count.body).toEqual({ unreadCount: 1 });
+  });
+
+  it('should mark every notification read', async () => {
+    const { body: bug } = await createBug({ assignee: 'alice' });
+    await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', adminAuth).send({ priority: 'high' });
+
+    const res = await request(app).post('/api/notifications/read-all').set('Authorization', aliceAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.updated).toBe(2);
+
+    const inbox = await getInbox(aliceAuth);
+    expect(inbox.body.unreadCount).toBe(0);
+    expect(inbox.body.notifications.every(notification => notification.readAt)).toBe(true);
+  });
+
+  it("should not mark other users' notifications read", async () => {
+    await createBug({ assignee: 'alice' });
+    const [notification] = (await getInbox(aliceAuth)).body.notifications;
+
+    const res = await request(app).post(`/api/notifications/${notification._id}/read`).set('Authorization', adminAuth);
+    expect(res.status).toBe(404);
+
+    const invalid = await request(app).post('/api/notifications/not-an-id/read').set('Authorization', aliceAuth);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).get('/api/notifications');
+    expect(res.status).toBe(401);
+  });
+});
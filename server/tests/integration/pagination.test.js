@@ -0,0 +1,209 @@
+// pagination.test.js - Integration tests for sorting and cursor pagination of the bug list
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+// Lists bugs as the signed-in user and returns the response
+const listBugs = (params) => request(app)
+  .get('/api/bugs')
+  .query(params)
+  .set('Authorization', authHeader);
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser());
+
+  await Bug.create([
+    {
+      title: 'Alpha',
+      description: 'First bug',
+      reporter: 'tester',
+      status: 'closed',
+      priority: 'low',
+      createdAt: new Date('2026-01-01T10:00:00.000Z')
+    },
+    {
+      title: 'Bravo',
+      description: 'Second bug',
+      reporter: 'tester',
+      status: 'open',
+      priority: 'critical',
+      createdAt: new Date('2026-01-02T10:00:00.000Z')
+    },
+    {
+      title: 'Charlie',
+      description: 'Third bug',
+      reporter: 'tester',
+      status: 'in-progress',
+      priority: 'medium',
+      createdAt: new Date('2026-01-03T10:00:00.000Z')
+    },
+    {
+      title: 'Delta',
+      description: 'Fourth bug',
+      reporter: 'tester',
+      status: 'resolved',
+      resolution: 'fixed',
+      priority: 'high',
+      createdAt: new Date('2026-01-04T10:00:00.000Z')
+    },
+    {
+      title: 'Echo',
+      description: 'Fifth bug',
+      reporter: 'tester',
+      status: 'open',
+      priority: 'medium',
+      createdAt: new Date('2026-01-05T10:00:00.000Z')
+    }
+  ]);
+});
+
+describe('GET /api/bugs?sort=', () => {
+  it('should list newest first by default', async () => {
+    const res = await listBugs({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs.map(bug => bug.title)).toEqual(['Echo', 'Delta', 'Charlie', 'Bravo', 'Alpha']);
+  });
+
+  it('should sort by priority severity rather than alphabetically', async () => {
+    const res = await listBugs({ sort: '-priority' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs.map(bug => bug.priority)).toEqual(['critical', 'high', 'medium', 'medium', 'low']);
+  });
+
+  it('should sort by workflow status order', async () => {
+    const res = await listBugs({ sort: 'status' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs.map(bug => bug.status)).toEqual(['open', 'open', 'in-progress', 'resolved', 'closed']);
+  });
+
+  it('should sort by title', async () => {
+    const res = await listBugs({ sort: '-title' });
+
+    expect(res.body.bugs.map(bug => bug.title)).toEqual(['Echo', 'Delta', 'Charlie', 'Bravo', 'Alpha']);
+  });
+
+  it('should re-rank a bug when its priority is updated', async () => {
+    const alpha = await Bug.findOne({ title: 'Alpha' });
+
+    await request(app)
+      .put(`/api/bugs/${alpha._id}`)
+      .set('Authorization', authHeader)
+      .send({ title: alpha.title, description: alpha.description, priority: 'critical' });
+
+    const res = await listBugs({ sort: '-priority', limit: '2' });
+
+    expect(res.body.bugs.map(bug => bug.title).sort()).toEqual(['Alpha', 'Bravo']);
+  });
+
+  it('should reject an unknown sort field', async () => {
+    const res = await listBugs({ sort: 'reporter' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
+
+describe('GET /api/bugs cursor pagination', () => {
+  it('should walk every bug exactly once with after cursors', async () => {
+    const titles = [];
+    let cursor;
+
+    do {
+      const res = await listBugs(cursor ? { sort: '-priority', limit: '2', after: cursor } : { sort: '-priority', limit: '2' });
+      expect(res.status).toBe(200);
+
+      titles.push(...res.body.bugs.map(bug => bug.title));
+      cursor = res.body.pagination.nextCursor;
+    } while (cursor);
+
+    expect(titles).toHaveLength(5);
+    expect(new Set(titles).size).toBe(5);
+    expect(titles[0]).toBe('Bravo');
+    expect(titles[4]).toBe('Alpha');
+  });
+
+  it('should not shift pages when bugs are added between requests', async () => {
+    const first = await listBugs({ limit: '2' });
+    expect(first.body.bugs.map(bug => bug.title)).toEqual(['Echo', 'Delta']);
+
+    await Bug.create({
+      title: 'Foxtrot',
+      description: 'Added while paging',
+      reporter: 'tester',
+      createdAt: new Date('2026-01-06T10:00:00.000Z')
+    });
+
+    const second = await listBugs({ limit: '2', after: first.body.pagination.nextCursor });
+
+    expect(second.body.bugs.map(bug => bug.title)).toEqual(['Charlie', 'Bravo']);
+    expect(second.body.pagination.total).toBe(6);
+  });
+
+  it('should go back a page with a before cursor', async () => {
+    const first = await listBugs({ limit: '2' });
+    const second = await listBugs({ limit: '2', after: first.body.pagination.nextCursor });
+    const back = await listBugs({ limit: '2', before: second.body.pagination.prevCursor });
+
+    expect(back.status).toBe(200);
+    expect(back.body.bugs.map(bug => bug.title)).toEqual(['Echo', 'Delta']);
+    expect(back.body.pagination.prevCursor).toBeNull();
+    expect(back.body.pagination.nextCursor).not.toBeNull();
+  });
+
+  it('should return no next cursor on the last page', async () => {
+    const res = await listBugs({ limit: '5' });
+
+    expect(res.body.bugs).toHaveLength(5);
+    expect(res.body.pagination.nextCursor).toBeNull();
+  });
+
+  it('should reject a cursor made for another sort', async () => {
+    const first = await listBugs({ limit: '2', sort: 'title' });
+    const res = await listBugs({ limit: '2', sort: '-title', after: first.body.pagination.nextCursor });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toContain('Invalid cursor');
+  });
+
+  it('should reject invalid page and limit values', async () => {
+    const badPage = await listBugs({ page: 'two' });
+    const badLimit = await listBugs({ limit: '0' });
+
+    expect(badPage.status).toBe(400);
+    expect(badPage.body.details).toContain('Page must be a positive integer');
+    expect(badLimit.status).toBe(400);
+    expect(badLimit.body.details).toContain('Limit must be an integer between 1 and 100');
+  });
+});
@@ -0,0 +1,188 @@
+// permissions.test.js - Integration tests for role-based permissions
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+let testBug;
+
+// Signs in a user with the given role and returns their Authorization header
+const signInAs = async (role, username = role) => {
+  const { authHeader } = await createAuthenticatedUser({ username, role });
+  return authHeader;
+};
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+
+  testBug = await Bug.create({
+    title: 'Test Bug',
+    description: 'Test Description',
+    reporter: 'reporter',
+    assignee: 'developer'
+  });
+});
+
+describe('bug permissions', () => {
+  it('should not let a viewer create bugs', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', await signInAs('viewer'))
+      .send({ title: 'New Bug', description: 'New Description' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      error: 'Permission denied',
+      action: 'bug:create',
+      reason: 'role-not-permitted',
+      requestId: expect.any(String)
+    });
+  });
+
+  it('should let a viewer read bugs', async () => {
+    const res = await request(app)
+      .get(`/api/bugs/${testBug._id}`)
+      .set('Authorization', await signInAs('viewer'));
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should let a reporter edit their own bug', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', await signInAs('reporter'))
+      .send({ title: 'Better Title', description: 'Test Description' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Better Title');
+  });
+
+  it("should not let a reporter edit somebody else's bug", async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', await signInAs('reporter', 'someone-else'))
+      .send({ title: 'Better Title', description: 'Test Description' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.action).toBe('bug:edit');
+    expect(res.body.reason).toBe('not-owner');
+  });
+
+  it('should not let a reporter reassign a bug', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', await signInAs('reporter'))
+      .send({ title: 'Test Bug', description: 'Test Description', assignee: 'someone-else' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ action: 'bug:reassign', reason: 'role-not-permitted' });
+  });
+
+  it('should let a developer change the status of any bug', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', await signInAs('developer', 'another-developer'))
+      .send({ status: 'in-progress' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('in-progress');
+  });
+
+  it('should let a triager reassign any bug', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', await signInAs('triager'))
+      .send({ title: 'Test Bug', description: 'Test Description', assignee: 'someone-else' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.assignee).toBe('someone-else');
+  });
+
+  it('should only let admins delete bugs', async () => {
+    const denied = await request(app)
+      .delete(`/api/bugs/${testBug._id}`)
+      .set('Authorization', await signInAs('triager'));
+
+    expect(denied.status).toBe(403);
+    expect(denied.body).toMatchObject({ action: 'bug:delete', reason: 'role-not-permitted' });
+    expect(await Bug.findById(testBug._id)).not.toBeNull();
+
+    const allowed = await request(app)
+      .delete(`/api/bugs/${testBug._id}`)
+      .set('Authorization', await signInAs('admin'));
+
+    expect(allowed.status).toBe(200);
+  });
+});
+
+describe('PUT /api/users/:id/role', () => {
+  it('should let an admin change a role', async () => {
+    const { user } = await createAuthenticatedUser({ username: 'jsmith', role: 'reporter' });
+
+    const res = await request(app)
+      .put(`/api/users/${user._id}/role`)
+      .set('Authorization', await signInAs('admin'))
+      .send({ role: 'triager' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.role).toBe('triager');
+    expect(res.body.permissions['bug:reassign']).toBe('any');
+  });
+
+  it('should return 400 for an unknown role', async () => {
+    const { user } = await createAuthenticatedUser({ username: 'jsmith', role: 'reporter' });
+
+    const res = await request(app)
+      .put(`/api/users/${user._id}/role`)
+      .set('Authorization', await signInAs('admin'))
+      .send({ role: 'overlord' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+
+  it('should return 400 when no body is sent', async () => {
+    const { user } = await createAuthenticatedUser({ username: 'jsmith', role: 'reporter' });
+
+    const res = await request(app)
+      .put(`/api/users/${user._id}/role`)
+      .set('Authorization', await signInAs('admin'));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+
+  it('should not let anyone but an admin manage users', async () => {
+    const res = await request(app)
+      .get('/api/users')
+      .set('Authorization', await signInAs('triager'));
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ action: 'user:manage', reason: 'role-not-permitted' });
+  });
+});
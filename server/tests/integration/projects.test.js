@@ -0,0 +1,268 @@
+// projects.test.js - Integration tests for projects and per-project bug numbers
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 30000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await Project.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+});
+
+const bugData = (overrides = {}) => ({
+  title: 'Login button broken',
+  description: 'Nothing happens on click',
+  ...overrides
+});
+
+const createProject = (data) => request(app)
+  .post('/api/projects')
+  .set('Authorization', authHeader)
+  .send(data);
+
+describe('POST /api/projects', () => {
+  it('should create a project with an uppercased key', async () => {
+    const res = await createProject({ key: 'web', name: 'Web App', defaultAssignee: 'alice' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.key).toBe('WEB');
+    expect(res.body.name).toBe('Web App');
+    expect(res.body.defaultAssignee).toBe('alice');
+  });
+
+  it('should return 409 when the key is taken', async () => {
+    await createProject({ key: 'WEB', name: 'Web App' });
+    const res = await createProject({ key: 'WEB', name: 'Other' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details).toEqual(['Project key WEB is already taken']);
+  });
+
+  it('should return 400 for an invalid key', async () => {
+    const res = await createProject({ key: '1X', name: 'Bad' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toContain('Key must be 2-10 letters or digits, starting with a letter');
+  });
+
+  it('should return 403 for users who are not admins', async () => {
+    const { authHeader: developerHeader } = await createAuthenticatedUser({ username: 'dev', role: 'developer' });
+
+    const res = await request(app)
+      .post('/api/projects')
+      .set('Authorization', developerHeader)
+      .send({ key: 'WEB', name: 'Web App' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/projects', () => {
+  it('should list projects by key, including the default project', async () => {
+    await createProject({ key: 'WEB', name: 'Web App' });
+    await createProject({ key: 'APP', name: 'Mobile App' });
+
+    const res = await request(app)
+      .get('/api/projects')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.projects.map(project => project.key)).toEqual(['APP', 'BUG', 'WEB']);
+  });
+
+  it('should return 404 for an unknown project', async () => {
+    const res = await request(app)
+      .get('/api/projects/NOPE')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/projects/:key', () => {
+  beforeEach(async () => {
+    await createProject({ key: 'WEB', name: 'Web App' });
+  });
+
+  it('should update the name and default assignee', async () => {
+    const res = await request(app)
+      .put('/api/projects/web')
+      .set('Authorization', authHeader)
+      .send({ name: 'Website', defaultAssignee: 'bob' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('Website');
+    expect(res.body.defaultAssignee).toBe('bob');
+  });
+
+  it('should refuse to change the key', async () => {
+    const res = await request(app)
+      .put('/api/projects/WEB')
+      .set('Authorization', authHeader)
+      .send({ key: 'SITE' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['Project key cannot be changed']);
+  });
+});
+
+describe('Bugs in a project', () => {
+  beforeEach(async () => {
+    await createProject({ key: 'WEB', name: 'Web App', defaultAssignee: 'alice' });
+    await createProject({ key: 'APP', name: 'Mobile App' });
+  });
+
+  const createBugIn = (key, data = bugData()) => request(app)
+    .post(`/api/projects/${key}/bugs`)
+    .set('Authorization', authHeader)
+    .send(data);
+
+  it('should number bugs per project', async () => {
+    const first = await createBugIn('WEB');
+    const second = await createBugIn('WEB');
+    const other = await createBugIn('APP');
+
+    expect(first.status).toBe(201);
+    expect(first.body.key).toBe('WEB-1');
+    expect(second.body.key).toBe('WEB-2');
+    expect(other.body.key).toBe('APP-1');
+  });
+
+  it('should use the default assignee unless one is given', async () => {
+    const unassigned = await createBugIn('WEB');
+    const assigned = await createBugIn('WEB', bugData({ assignee: 'carol' }));
+
+    expect(unassigned.body.assignee).toBe('alice');
+    expect(assigned.body.assignee).toBe('carol');
+  });
+
+  it('should ignore numbers and keys sent by the client', async () => {
+    const res = await createBugIn('WEB', bugData({ number: 99, key: 'WEB-99' }));
+
+    expect(res.body.key).toBe('WEB-1');
+  });
+
+  it('should list only the project\'s bugs', async () => {
+    await createBugIn('WEB');
+    await createBugIn('APP');
+
+    const res = await request(app)
+      .get('/api/projects/WEB/bugs')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs.map(bug => bug.key)).toEqual(['WEB-1']);
+  });
+
+  it('should find a bug by its number within the project', async () => {
+    await createBugIn('WEB');
+
+    const res = await request(app)
+      .get('/api/projects/WEB/bugs/1')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.key).toBe('WEB-1');
+  });
+
+  it('should find a bug by its key on /api/bugs', async () => {
+    await createBugIn('WEB');
+
+    const res = await request(app)
+      .get('/api/bugs/web-1')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.key).toBe('WEB-1');
+  });
+
+  it('should return 404 for a bug of another project', async () => {
+    const other = await createBugIn('APP');
+
+    const byId = await request(app)
+      .get(`/api/projects/WEB/bugs/${other.body._id}`)
+      .set('Authorization', authHeader);
+    const byKey = await request(app)
+      .get('/api/projects/WEB/bugs/APP-1')
+      .set('Authorization', authHeader);
+
+    expect(byId.status).toBe(404);
+    expect(byKey.status).toBe(404);
+  });
+
+  it('should not move a bug to another project on update', async () => {
+    const created = await createBugIn('WEB');
+    const mobile = await Project.findOne({ key: 'APP' });
+
+    const res = await request(app)
+      .put('/api/bugs/WEB-1')
+      .set('Authorization', authHeader)
+      .send(bugData({ project: mobile._id.toString(), key: 'APP-7', title: 'Renamed' }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Renamed');
+    expect(res.body.key).toBe('WEB-1');
+    expect(res.body.project).toBe(created.body.project);
+  });
+});
+
+describe('POST /api/bugs with projects', () => {
+  it('should file bugs without a project under the default project', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader)
+      .send(bugData());
+
+    expect(res.status).toBe(201);
+    expect(res.body.key).toBe('BUG-1');
+  });
+
+  it('should accept a project key in the body', async () => {
+    await createProject({ key: 'WEB', name: 'Web App' });
+
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader)
+      .send(bugData({ project: 'web' }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.key).toBe('WEB-1');
+  });
+
+  it('should return 400 for an unknown project key', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader)
+      .send(bugData({ project: 'NOPE' }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['Unknown project "NOPE"']);
+  });
+});
@@ -0,0 +1,118 @@
+// query.test.js - Integration tests for the bug list query language
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  // $text queries fail until the text index exists
+  await Bug.init();
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+// Runs a query as the signed-in user and returns the response
+const runQuery = (q) => request(app)
+  .get('/api/bugs')
+  .query({ q })
+  .set('Authorization', authHeader);
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'jsmith' }));
+
+  await Bug.create([
+    {
+      title: 'Button misaligned',
+      description: 'The save button overlaps the footer.',
+      reporter: 'alice',
+      assignee: 'jsmith',
+      priority: 'high',
+      tags: ['ui'],
+      createdAt: new Date('2026-02-01T10:00:00.000Z')
+    },
+    {
+      title: 'Crash on export',
+      description: 'Exporting to CSV crashes the server.',
+      reporter: 'bob',
+      assignee: 'jsmith',
+      status: 'in-progress',
+      priority: 'critical',
+      tags: ['ui', 'wontfix'],
+      createdAt: new Date('2026-02-02T10:00:00.000Z')
+    },
+    {
+      title: 'Old typo',
+      description: 'Typo on the about page.',
+      reporter: 'carol',
+      priority: 'low',
+      tags: ['ui'],
+      createdAt: new Date('2025-06-01T10:00:00.000Z')
+    }
+  ]);
+});
+
+describe('GET /api/bugs?q= with field terms', () => {
+  it('should apply the example triage query', async () => {
+    const res = await runQuery('status:open,in-progress priority:>=high assignee:me tag:ui created:>2026-01-01 -tag:wontfix');
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs.map(bug => bug.title)).toEqual(['Button misaligned']);
+    expect(res.body.pagination.total).toBe(1);
+  });
+
+  it('should combine field terms with full-text search', async () => {
+    const res = await runQuery('assignee:me crash');
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs.map(bug => bug.title)).toEqual(['Crash on export']);
+    expect(res.body.bugs[0].highlights.title).toContainEqual({ text: 'Crash', highlight: true });
+  });
+
+  it('should find unassigned bugs', async () => {
+    const res = await runQuery('assignee:none');
+
+    expect(res.body.bugs.map(bug => bug.title)).toEqual(['Old typo']);
+  });
+
+  it('should return 400 with the position of each error', async () => {
+    const res = await runQuery('tag:ui priority:urgent');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid query');
+    expect(res.body.details).toEqual(['Unknown priority "urgent"; expected one of: low, medium, high, critical']);
+    expect(res.body.errors).toEqual([
+      { message: 'Unknown priority "urgent"; expected one of: low, medium, high, critical', position: 7, length: 15 }
+    ]);
+  });
+
+  it('should treat operator-looking values as plain text', async () => {
+    const res = await runQuery('reporter:$ne');
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs).toHaveLength(0);
+  });
+});
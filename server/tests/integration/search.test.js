@@ -0,0 +1,127 @@
+// search.test.js - Integration tests for full-text bug search
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  // $text queries fail until the text index exists
+  await Bug.init();
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser());
+
+  await Bug.create([
+    {
+      title: 'Checkout crashes on submit',
+      description: 'Pressing the pay button throws an error.',
+      reporter: 'alice',
+      tags: ['payments']
+    },
+    {
+      title: 'Slow dashboard',
+      description: 'The dashboard takes ten seconds to load after the nightly crash report job runs.',
+      reporter: 'bob',
+      tags: ['performance']
+    },
+    {
+      title: 'Typo in footer',
+      description: 'Copyright year is wrong.',
+      reporter: 'carol',
+      assignee: 'dave',
+      tags: ['ui']
+    }
+  ]);
+});
+
+describe('GET /api/bugs?q=', () => {
+  it('should rank title matches above description matches', async () => {
+    const res = await request(app)
+      .get('/api/bugs?q=crash')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs.map(bug => bug.title)).toEqual(['Checkout crashes on submit', 'Slow dashboard']);
+    expect(res.body.pagination.total).toBe(2);
+    expect(res.body.bugs[0].score).toBeGreaterThan(res.body.bugs[1].score);
+  });
+
+  it('should return highlighted snippets', async () => {
+    const res = await request(app)
+      .get('/api/bugs?q=crash')
+      .set('Authorization', authHeader);
+
+    const [titleMatch, descriptionMatch] = res.body.bugs;
+    expect(titleMatch.highlights.title).toContainEqual({ text: 'crashes', highlight: true });
+    expect(descriptionMatch.highlights).not.toHaveProperty('title');
+    expect(descriptionMatch.highlights.description).toContainEqual({ text: 'crash', highlight: true });
+  });
+
+  it('should search tags, reporters and assignees', async () => {
+    const byTag = await request(app)
+      .get('/api/bugs?q=payments')
+      .set('Authorization', authHeader);
+    const byAssignee = await request(app)
+      .get('/api/bugs?q=dave')
+      .set('Authorization', authHeader);
+
+    expect(byTag.body.bugs.map(bug => bug.title)).toEqual(['Checkout crashes on submit']);
+    expect(byAssignee.body.bugs.map(bug => bug.title)).toEqual(['Typo in footer']);
+  });
+
+  it('should combine search with other filters', async () => {
+    await Bug.updateOne({ title: 'Slow dashboard' }, { status: 'in-progress' });
+
+    const res = await request(app)
+      .get('/api/bugs?q=crash&status=in-progress')
+      .set('Authorization', authHeader);
+
+    expect(res.body.bugs.map(bug => bug.title)).toEqual(['Slow dashboard']);
+  });
+
+  it('should list everything for an empty query', async () => {
+    const res = await request(app)
+      .get('/api/bugs?q=')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs).toHaveLength(3);
+    expect(res.body.bugs[0]).not.toHaveProperty('highlights');
+  });
+
+  it('should return 400 for an overly long query', async () => {
+    const res = await request(app)
+      .get(`/api/bugs?q=${'a'.repeat(201)}`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toContain('Search query cannot exceed 200 characters');
+  });
+});
@@ -0,0 +1,167 @@
+// stats.test.js - Integration tests for bug statistics
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const Label = require('../../src/models/Label');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 30000);
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await BugHistory.deleteMany({});
+  await Label.deleteMany({});
+  await Project.deleteMany({});
+  await User.deleteMany({});
+
+  await Label.create([{ name: 'ui' }, { name: 'backend' }]);
+  ({ authHeader } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+});
+
+const createBug = (data = {}, path = '/api/bugs') => request(app)
+  .post(path)
+  .set('Authorization', authHeader)
+  .send({ title: 'Broken layout', description: 'Columns overlap', ...data });
+
+const resolveBug = (bug) => request(app)
+  .put(`/api/bugs/${bug._id}`)
+  .set('Authorization', authHeader)
+  .send({ status: 'resolved', resolution: 'fixed' });
+
+const getStats = (query = {}, path = '/api/bugs/stats') => request(app)
+  .get(path)
+  .query(query)
+  .set('Authorization', authHeader);
+
+describe('GET /api/bugs/stats', () => {
+  it('should count bugs by status, priority, assignee and tag', async () => {
+    await createBug({ priority: 'critical', assignee: 'alice', tags: ['ui'] });
+    await createBug({ priority: 'critical', assignee: 'alice', tags: ['ui', 'backend'] });
+    const { body: fixed } = await createBug({ priority: 'low', tags: ['backend'] });
+    await resolveBug(fixed);
+
+    const res = await getStats();
+
+    expect(res.status).toBe(200);
+    expect(res.body.totals).toEqual({ total: 3, open: 2, resolved: 1 });
+    expect(res.body.byStatus).toEqual([
+      { status: 'open', count: 2 },
+      { status: 'in-progress', count: 0 },
+      { status: 'resolved', count: 1 },
+      { status: 'closed', count: 0 }
+    ]);
+    expect(res.body.byPriority).toEqual([
+      { priority: 'critical', total: 2, open: 2 },
+      { priority: 'high', total: 0, open: 0 },
+      { priority: 'medium', total: 0, open: 0 },
+      { priority: 'low', total: 1, open: 0 }
+    ]);
+    expect(res.body.byAssignee).toEqual([
+      { assignee: 'alice', total: 2, open: 2 },
+      { assignee: null, total: 1, open: 0 }
+    ]);
+    expect(res.body.byTag).toEqual([
+      { tag: 'ui', total: 2, open: 2 },
+      { tag: 'backend', total: 2, open: 1 }
+    ]);
+  });
+
+  it('should report bugs opened and closed per day and the time to resolve', async () => {
+    const { body: bug } = await createBug();
+    await createBug();
+
+    // Filed two days ago, resolved today
+    await Bug.collection.updateOne(
+      { _id: new mongoose.Types.ObjectId(bug._id) },
+      { $set: { createdAt: new Date(Date.now() - 48 * 60 * 60 * 1000) } }
+    );
+    await resolveBug(bug);
+
+    const res = await getStats({ days: '7' });
+    const today = new Date().toISOString().slice(0, 10);
+
+    expect(res.body.window.days).toBe(7);
+    expect(res.body.daily).toHaveLength(7);
+    expect(res.body.daily[6]).toEqual({ date: today, opened: 1, closed: 1 });
+    expect(res.body.daily.reduce((sum, day) => sum + day.opened, 0)).toBe(2);
+    expect(res.body.timeToResolve.bugs).toBe(1);
+    expect(res.body.timeToResolve.meanHours).toBeCloseTo(48, 0);
+  });
+
+  it('should list the oldest open bugs first', async () => {
+    const { body: oldest } = await createBug({ title: 'Oldest' });
+    await createBug({ title: 'Newer' });
+    const { body: resolved } = await createBug({ title: 'Resolved' });
+    await resolveBug(resolved);
+
+    await Bug.collection.updateOne(
+      { _id: new mongoose.Types.ObjectId(oldest._id) },
+      { $set: { createdAt: new Date('2020-01-01T00:00:00.000Z') } }
+    );
+
+    const res = await getStats({ oldest: '5' });
+
+    expect(res.body.oldestOpen.map(bug => bug.title)).toEqual(['Oldest', 'Newer']);
+    expect(res.body.oldestOpen[0]).toMatchObject({ key: oldest.key, status: 'open', priority: 'medium' });
+  });
+
+  it('should leave trashed bugs out', async () => {
+    const { body: bug } = await createBug({ priority: 'critical' });
+    await resolveBug(bug);
+    await createBug();
+    await request(app).delete(`/api/bugs/${bug._id}`).set('Authorization', authHeader);
+
+    const res = await getStats();
+
+    expect(res.body.totals).toEqual({ total: 1, open: 1, resolved: 0 });
+    expect(res.body.byPriority[0]).toEqual({ priority: 'critical', total: 0, open: 0 });
+    expect(res.body.timeToResolve).toEqual({ meanHours: null, bugs: 0 });
+    expect(res.body.daily[res.body.daily.length - 1].closed).toBe(0);
+  });
+
+  it('should only count the project\'s bugs under /api/projects/:key/bugs', async () => {
+    await request(app).post('/api/projects').set('Authorization', authHeader).send({ key: 'WEB', name: 'Website' });
+    await createBug({}, '/api/projects/WEB/bugs');
+    await createBug();
+
+    const res = await getStats({}, '/api/projects/WEB/bugs/stats');
+
+    expect(res.status).toBe(200);
+    expect(res.body.totals.total).toBe(1);
+  });
+
+  it('should return 400 for a bad window', async () => {
+    const res = await getStats({ days: '0' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['Days must be an integer between 1 and 365']);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).get('/api/bugs/stats');
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,192 @@
+// stream.test.js - Integration tests for the live bug event stream
+
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const { bugEventLog } = require('../../src/utils/events');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let server;
+let port;
+let authHeader;
+let streams;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  // Streams stay open, so they need a real server rather than supertest's one-off requests
+  server = app.listen(0);
+  port = server.address().port;
+}, 30000);
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await Project.deleteMany({});
+  await User.deleteMany({});
+  streams = [];
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+});
+
+afterEach(() => {
+  streams.forEach(stream => stream.close());
+});
+
+/**
+ * Opens the stream and collects the messages it sends
+ * @param {Object} options - { path, headers }
+ * @returns {Promise<Object>} - { status, headers, messages, next(event), close() }
+ */
+const openStream = ({ path = '/api/bugs/stream', headers = {} } = {}) => new Promise((resolve, reject) => {
+  const messages = [];
+  const waiting = [];
+  let buffer = '';
+
+  const req = http.get({ port, path, headers: { Authorization: authHeader, ...headers } }, (res) => {
+    const stream = {
+      status: res.statusCode,
+      headers: res.headers,
+      messages,
+      // Resolves with the first message of the given event, waiting for it if need be
+      next: (event) => new Promise((resolveMessage) => {
+        const found = messages.find(message => message.event === event && !message.taken);
+        if (found) {
+          found.taken = true;
+          return resolveMessage(found);
+        }
+        waiting.push({ event, resolve: resolveMessage });
+      }),
+      close: () => req.destroy()
+    };
+    streams.push(stream);
+
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      blocks.forEach((block) => {
+        const message = {};
+        block.split('\n').forEach((line) => {
+          const [, field, value] = /^([a-z]+): ?(.*)$/.exec(line) || [];
+          if (field === 'data') message.data = JSON.parse(value);
+          else if (field) message[field] = value;
+        });
+        if (!message.event) return;
+
+        const waiter = waiting.findIndex(item => item.event === message.event);
+        if (waiter >= 0) {
+          message.taken = true;
+          waiting.splice(waiter, 1)[0].resolve(message);
+        }
+        messages.push(message);
+      });
+    });
+
+    resolve(stream);
+  });
+
+  req.on('error', (error) => {
+    if (error.code !== 'ECONNRESET') reject(error);
+  });
+});
+
+const createBug = (data = {}, path = '/api/bugs') => request(app)
+  .post(path)
+  .set('Authorization', authHeader)
+  .send({ title: 'Checkout fails', description: 'Card payments are declined', ...data });
+
+describe('GET /api/bugs/stream', () => {
+  it('should require authentication', async () => {
+    const res = await request(app).get('/api/bugs/stream');
+    expect(res.status).toBe(401);
+  });
+
+  it('should open an event stream that starts with a ready event', async () => {
+    const stream = await openStream();
+    const ready = await stream.next('ready');
+
+    expect(stream.status).toBe(200);
+    expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(ready.id).toBe(bugEventLog.lastId());
+  });
+
+  it('should push created, updated and deleted bugs', async () => {
+    const stream = await openStream();
+    await stream.next('ready');
+
+    const { body: bug } = await createBug();
+    const created = await stream.next('bug.created');
+    expect(created.data).toMatchObject({ actor: 'admin', bug: { _id: bug._id, title: 'Checkout fails' } });
+
+    await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', authHeader).send({ status: 'in-progress' });
+    const updated = await stream.next('bug.updated');
+    expect(updated.data.bug.status).toBe('in-progress');
+    expect(updated.data.changes).toEqual([{ field: 'status', oldValue: 'open', newValue: 'in-progress' }]);
+
+    await request(app).delete(`/api/bugs/${bug._id}`).set('Authorization', authHeader);
+    const deleted = await stream.next('bug.deleted');
+    expect(deleted.data.bug._id).toBe(bug._id);
+
+    // Status changes only come as updates
+    expect(stream.messages.some(message => message.event === 'bug.status_changed')).toBe(false);
+  });
+
+  it('should replay the events missed since Last-Event-ID', async () => {
+    const first = await openStream();
+    const { id: lastEventId } = await first.next('ready');
+    first.close();
+
+    await createBug({ title: 'Missed one' });
+    await createBug({ title: 'Missed two' });
+
+    const stream = await openStream({ headers: { 'Last-Event-ID': lastEventId } });
+    const replayed = [await stream.next('bug.created'), await stream.next('bug.created')];
+    await stream.next('ready');
+
+    expect(replayed.map(message => message.data.bug.title)).toEqual(['Missed one', 'Missed two']);
+    expect(stream.messages.map(message => message.event)).toEqual(['bug.created', 'bug.created', 'ready']);
+  });
+
+  it('should send reset when missed events can no longer be replayed', async () => {
+    const stream = await openStream({ headers: { 'Last-Event-ID': 'gone-42' } });
+
+    expect(await stream.next('reset')).toBeDefined();
+    expect(await stream.next('ready')).toBeDefined();
+  });
+
+  it('should only stream the project\'s bugs under /api/projects/:key/bugs', async () => {
+    await request(app).post('/api/projects').set('Authorization', authHeader).send({ key: 'WEB', name: 'Website' });
+    await request(app).post('/api/projects').set('Authorization', authHeader).send({ key: 'API', name: 'API' });
+
+    const stream = await openStream({ path: '/api/projects/WEB/bugs/stream' });
+    await stream.next('ready');
+
+    await createBug({ title: 'API bug' }, '/api/projects/API/bugs');
+    await createBug({ title: 'Web bug' }, '/api/projects/WEB/bugs');
+
+    const created = await stream.next('bug.created');
+    expect(created.data.bug.title).toBe('Web bug');
+    expect(stream.messages.filter(message => message.event === 'bug.created')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,150 @@
+// trash.test.js - Integration tests for soft delete, the trash, restore and purge
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+const { purgeTrash } = require('../../src/jobs/purgeTrash');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mongoServer;
+let authHeader;
+let testBug;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+// Moves the test bug to the trash as the signed-in user
+const trashTestBug = () => request(app)
+  .delete(`/api/bugs/${testBug._id}`)
+  .set('Authorization', authHeader);
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await BugHistory.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser());
+
+  testBug = await Bug.create({
+    title: 'Deleted by mistake',
+    description: 'Should be easy to get back',
+    reporter: 'tester'
+  });
+});
+
+describe('soft delete', () => {
+  it('should leave trashed bugs out of listings and lookups', async () => {
+    await trashTestBug();
+
+    const list = await request(app)
+      .get('/api/bugs')
+      .set('Authorization', authHeader);
+    const single = await request(app)
+      .get(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader);
+
+    expect(list.body.bugs).toHaveLength(0);
+    expect(list.body.pagination.total).toBe(0);
+    expect(single.status).toBe(404);
+  });
+
+  it('should not update a trashed bug', async () => {
+    await trashTestBug();
+
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({ title: 'Too late', description: 'Already trashed' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/bugs/trash', () => {
+  it('should list trashed bugs with who deleted them', async () => {
+    await trashTestBug();
+
+    const res = await request(app)
+      .get('/api/bugs/trash')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.bugs).toHaveLength(1);
+    expect(res.body.bugs[0].deletedBy).toBe('tester');
+    expect(res.body.retentionDays).toBe(30);
+    expect(res.body.pagination.total).toBe(1);
+  });
+
+  it('should require permission to delete bugs', async () => {
+    const { authHeader: viewerHeader } = await createAuthenticatedUser({ username: 'viewer', role: 'viewer' });
+
+    const res = await request(app)
+      .get('/api/bugs/trash')
+      .set('Authorization', viewerHeader);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/bugs/:id/restore', () => {
+  it('should bring a trashed bug back', async () => {
+    await trashTestBug();
+
+    const res = await request(app)
+      .post(`/api/bugs/${testBug._id}/restore`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.deletedAt).toBeNull();
+    expect(res.body.deletedBy).toBeNull();
+
+    const history = await BugHistory.find({ bug: testBug._id }).sort({ timestamp: 1, _id: 1 });
+    expect(history.map(entry => entry.action)).toEqual(['delete', 'restore']);
+  });
+
+  it('should return 404 for a bug that is not in the trash', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${testBug._id}/restore`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Bug not found in trash');
+  });
+});
+
+describe('purgeTrash', () => {
+  it('should remove bugs trashed longer than the retention period', async () => {
+    await trashTestBug();
+    const other = await Bug.create({ title: 'Still here', description: 'Not deleted', reporter: 'tester' });
+
+    expect(await purgeTrash(new Date(Date.now() + 29 * DAY_MS), 30)).toBe(0);
+    expect(await purgeTrash(new Date(Date.now() + 31 * DAY_MS), 30)).toBe(1);
+
+    expect(await Bug.findOne({ _id: testBug._id, deletedAt: { $ne: null } })).toBeNull();
+    expect(await Bug.findById(other._id)).not.toBeNull();
+
+    const purge = await BugHistory.findOne({ bug: testBug._id, action: 'purge' });
+    expect(purge.actor).toBe('system');
+  });
+});
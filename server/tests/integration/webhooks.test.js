@@ -0,0 +1,295 @@
+// webhooks.test.js - Integration tests for webhook subscriptions and deliveries, against a local receiver
+
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const User = require('../../src/models/User');
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const { deliverWebhooks } = require('../../src/jobs/deliverWebhooks');
+const { verifySignature } = require('../../src/utils/webhooks');
+const settings = require('../../src/config/webhooks');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let receiver;
+let receiverUrl;
+let received;
+let replyStatus;
+let authHeader;
+
+const SECRET = 'receiver-shared-secret';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  // Records every request it gets and answers with replyStatus
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(replyStatus, { 'Content-Type': 'text/plain' });
+      res.end(replyStatus < 300 ? 'thanks' : 'receiver is down');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+}, 30000);
+
+afterAll(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await User.deleteMany({});
+  await Webhook.deleteMany({});
+  await WebhookDelivery.deleteMany({});
+  received = [];
+  replyStatus = 200;
+
+  ({ authHeader } = await createAuthenticatedUser({ username: 'admin', name: 'Admin' }));
+});
+
+const createWebhook = (data, header = authHeader) => request(app)
+  .post('/api/webhooks')
+  .set('Authorization', header)
+  .send({ url: receiverUrl, secret: SECRET, events: ['bug.created'], ...data });
+
+const createBug = () => request(app)
+  .post('/api/bugs')
+  .set('Authorization', authHeader)
+  .send({ title: 'Checkout fails', description: 'Card payments are declined' });
+
+describe('Webhook subscriptions', () => {
+  it('should create a webhook and show its secret only once', async () => {
+    const res = await createWebhook({ events: ['bug.created', 'bug.deleted'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      url: receiverUrl,
+      secret: SECRET,
+      events: ['bug.created', 'bug.deleted'],
+      active: true,
+      createdBy: 'admin'
+    });
+
+    const list = await request(app).get('/api/webhooks').set('Authorization', authHeader);
+    expect(list.body.webhooks).toHaveLength(1);
+    expect(list.body.webhooks[0]).not.toHaveProperty('secret');
+  });
+
+  it('should generate a secret when none is given', async () => {
+    const res = await createWebhook({ secret: undefined });
+
+    expect(res.status).toBe(201);
+    expect(res.body.secret).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should return 400 for bad URLs and unknown events', async () => {
+    const res = await createWebhook({ url: 'not a url', events: ['bug.exploded'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      'URL is required and must be an http or https URL',
+      expect.stringContaining('Unknown event "bug.exploded"')
+    ]);
+  });
+
+  it('should only let admins manage webhooks', async () => {
+    const developer = await createAuthenticatedUser({ username: 'dev', name: 'Dev', role: 'developer' });
+    const res = await createWebhook({}, developer.authHeader);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should update and delete a webhook along with its deliveries', async () => {
+    const { body: webhook } = await createWebhook();
+    await createBug();
+
+    const update = await request(app)
+      .put(`/api/webhooks/${webhook._id}`)
+      .set('Authorization', authHeader)
+      .send({ active: false });
+    expect(update.body.active).toBe(false);
+
+    const res = await request(app).delete(`/api/webhooks/${webhook._id}`).set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(await WebhookDelivery.countDocuments()).toBe(0);
+  });
+});
+
+describe('Webhook deliveries', () => {
+  it('should POST a signed event for a new bug to the receiver', async () => {
+    const { body: webhook } = await createWebhook();
+    const { body: bug } = await createBug();
+
+    const counts = await deliverWebhooks();
+
+    expect(counts).toEqual({ delivered: 1, pending: 0, failed: 0 });
+    expect(received).toHaveLength(1);
+
+    const [{ headers, body }] = received;
+    const payload = JSON.parse(body);
+    const delivery = await WebhookDelivery.findOne({ webhook: webhook._id });
+
+    expect(headers['content-type']).toBe('application/json');
+    expect(headers['x-bugtracker-event']).toBe('bug.created');
+    expect(headers['x-bugtracker-delivery']).toBe(delivery._id.toString());
+    expect(verifySignature(SECRET, body, headers['x-bugtracker-signature'])).toBe(true);
+    expect(payload).toMatchObject({ event: 'bug.created', data: { actor: 'admin', bug: { _id: bug._id } } });
+
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts).toHaveLength(1);
+    expect(delivery.attempts[0]).toMatchObject({ statusCode: 200, responseBody: 'thanks', error: null });
+  });
+
+  it('should publish updates and status changes with what changed', async () => {
+    await createWebhook({ events: ['bug.updated', 'bug.status_changed'] });
+    const { body: bug } = await createBug();
+
+    await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'in-progress', reason: 'Picked up' });
+    await deliverWebhooks();
+
+    const payloads = received.map(({ body }) => JSON.parse(body));
+    expect(payloads.map(payload => payload.event).sort()).toEqual(['bug.status_changed', 'bug.updated']);
+    expect(payloads.find(payload => payload.event === 'bug.status_changed').data).toMatchObject({
+      from: 'open',
+      to: 'in-progress',
+      reason: 'Picked up'
+    });
+    expect(payloads.find(payload => payload.event === 'bug.updated').data.changes).toEqual([
+      { field: 'status', oldValue: 'open', newValue: 'in-progress' }
+    ]);
+  });
+
+  it('should publish deletes and leave out unsubscribed and inactive webhooks', async () => {
+    await createWebhook({ events: ['bug.deleted'] });
+    await createWebhook({ events: ['bug.deleted'], active: false });
+    const { body: bug } = await createBug();
+
+    await request(app).delete(`/api/bugs/${bug._id}`).set('Authorization', authHeader);
+
+    const deliveries = await WebhookDelivery.find();
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0].event).toBe('bug.deleted');
+  });
+
+  it('should retry failed deliveries with exponential backoff, then give up', async () => {
+    replyStatus = 500;
+    await createWebhook();
+    await createBug();
+    const options = { ...settings, maxAttempts: 3, retryBaseSeconds: 30 };
+    const start = new Date();
+
+    expect(await deliverWebhooks(start, options)).toEqual({ delivered: 0, pending: 1, failed: 0 });
+
+    let delivery = await WebhookDelivery.findOne();
+    expect(delivery.attempts[0]).toMatchObject({
+      statusCode: 500,
+      responseBody: 'receiver is down',
+      error: 'Receiver answered with HTTP 500'
+    });
+    expect(delivery.nextAttemptAt.getTime()).toBe(start.getTime() + 30000);
+
+    // Not due again yet
+    expect(await deliverWebhooks(new Date(start.getTime() + 29000), options)).toEqual({ delivered: 0, pending: 0, failed: 0 });
+
+    await deliverWebhooks(new Date(start.getTime() + 30000), options);
+    delivery = await WebhookDelivery.findOne();
+    expect(delivery.nextAttemptAt.getTime()).toBe(start.getTime() + 30000 + 60000);
+    // Attempts are timed when they are made, not by the clock the run was given
+    expect(delivery.attempts[1].attemptedAt.getTime()).toBeLessThan(start.getTime() + 30000);
+
+    expect(await deliverWebhooks(new Date(start.getTime() + 90000), options)).toEqual({ delivered: 0, pending: 0, failed: 1 });
+    delivery = await WebhookDelivery.findOne();
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts).toHaveLength(3);
+    expect(received).toHaveLength(3);
+  });
+
+  it('should log receivers that cannot be reached', async () => {
+    // A port that was just released has nothing listening on it
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    await createWebhook({ url: `http://127.0.0.1:${port}/hooks` });
+    await createBug();
+    await deliverWebhooks();
+
+    const delivery = await WebhookDelivery.findOne();
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts[0].statusCode).toBeNull();
+    expect(delivery.attempts[0].error).toBeTruthy();
+  });
+
+  it('should list the delivery log and filter it by status', async () => {
+    replyStatus = 500;
+    const { body: webhook } = await createWebhook();
+    await createBug();
+    await deliverWebhooks();
+
+    const res = await request(app)
+      .get(`/api/webhooks/${webhook._id}/deliveries?status=pending`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.deliveries).toHaveLength(1);
+    expect(res.body.deliveries[0].attempts).toHaveLength(1);
+    expect(res.body.pagination.total).toBe(1);
+
+    const delivered = await request(app)
+      .get(`/api/webhooks/${webhook._id}/deliveries?status=delivered`)
+      .set('Authorization', authHeader);
+    expect(delivered.body.deliveries).toHaveLength(0);
+  });
+
+  it('should redeliver the same payload as a new delivery', async () => {
+    const { body: webhook } = await createWebhook();
+    await createBug();
+    await deliverWebhooks();
+    const original = await WebhookDelivery.findOne();
+
+    const res = await request(app)
+      .post(`/api/webhooks/${webhook._id}/deliveries/${original._id}/redeliver`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ status: 'pending', redeliveryOf: original._id.toString(), attempts: [] });
+
+    await deliverWebhooks();
+
+    expect(received).toHaveLength(2);
+    expect(received[1].body).toBe(received[0].body);
+    expect(received[1].headers['x-bugtracker-delivery']).toBe(res.body._id);
+  });
+
+  it('should return 404 when redelivering an unknown delivery', async () => {
+    const { body: webhook } = await createWebhook();
+
+    const res = await request(app)
+      .post(`/api/webhooks/${webhook._id}/deliveries/507f1f77bcf86cd799439011/redeliver`)
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,167 @@
+// workflow.test.js - Integration tests for the enforced status workflow
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+const { createAuthenticatedUser } = require('../helpers/auth');
+
+let mongoServer;
+let authHeader;
+
+beforeAll(async () => {
+  // Disconnect if already connected
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+}, 30000); // Increase timeout for MongoDB setup
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+let testBug;
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await BugHistory.deleteMany({});
+  await User.deleteMany({});
+
+  ({ authHeader } = await createAuthenticatedUser());
+
+  testBug = await Bug.create({
+    title: 'Workflow Bug',
+    description: 'Workflow Description',
+    reporter: 'John Doe',
+    status: 'open'
+  });
+});
+
+describe('GET /api/bugs/workflow', () => {
+  it('should return the workflow configuration', async () => {
+    const res = await request(app)
+      .get('/api/bugs/workflow')
+      .set('Authorization', authHeader);
+
+    expect(res.status).toBe(200);
+    expect(res.body.statuses).toEqual(['open', 'in-progress', 'resolved', 'closed']);
+    expect(res.body.transitions).toContainEqual({ from: 'closed', to: 'open', requires: ['reason'] });
+    expect(res.body.resolutions).toContain('fixed');
+  });
+});
+
+describe('POST /api/bugs with a status', () => {
+  it('should reject creating a bug outside the initial statuses', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader)
+      .send({ title: 'Closed Bug', description: 'Born closed', reporter: 'John Doe', status: 'closed' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('Invalid status transition');
+  });
+});
+
+describe('PUT /api/bugs/:id status transitions', () => {
+  it('should allow a legal transition', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'in-progress' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('in-progress');
+  });
+
+  it('should reject a transition that is not allowed', async () => {
+    await Bug.findByIdAndUpdate(testBug._id, { status: 'closed', resolution: 'fixed' });
+
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'in-progress' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('Invalid status transition');
+    expect(res.body.details).toContain('Cannot move a bug from "closed" to "in-progress"');
+    expect(res.body.allowedTransitions).toEqual(['open']);
+  });
+
+  it('should require a resolution when resolving', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'resolved' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details[0]).toMatch(/resolution is required/);
+  });
+
+  it('should store the resolution when resolving', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'resolved', resolution: 'cannot-reproduce' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('resolved');
+    expect(res.body.resolution).toBe('cannot-reproduce');
+  });
+
+  it('should require a reason when reopening and clear the resolution', async () => {
+    await Bug.findByIdAndUpdate(testBug._id, { status: 'closed', resolution: 'fixed' });
+
+    const rejected = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'open' });
+    expect(rejected.status).toBe(422);
+
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'open', reason: 'Regressed in 2.1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('open');
+    expect(res.body.resolution).toBeNull();
+    expect(res.body).not.toHaveProperty('reason');
+
+    const statusEntry = await BugHistory.findOne({ bug: testBug._id, action: 'status-change' });
+    expect(statusEntry.note).toBe('Regressed in 2.1');
+  });
+
+  it('should reject an unknown resolution', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({ status: 'resolved', resolution: 'magic' });
+
+    expect(res.status).toBe(422);
+  });
+
+  it('should not check transitions when the status is unchanged', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${testBug._id}`)
+      .set('Authorization', authHeader)
+      .send({
+        title: 'Renamed Bug',
+        description: 'Workflow Description',
+        reporter: 'John Doe',
+        status: 'open'
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Renamed Bug');
+  });
+});
@@ -0,0 +1,161 @@
+// attachments.test.js - Unit tests for attachment helpers and local storage
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const {
+  resolveMimeType,
+  sanitizeFilename,
+  validateFileTypes,
+  computeChecksum,
+  processFile
+} = require('../../src/utils/attachments');
+const { createLocalStorage } = require('../../src/storage/localStorage');
+
+// Builds a small solid-colour image
+const makeImage = (format, width = 640, height = 480) => sharp({
+  create: { width, height, channels: 3, background: '#3366cc' }
+})[format]().toBuffer();
+
+const toFile = (originalname, mimetype, buffer) => ({ originalname, mimetype, buffer, size: buffer.length });
+
+describe('Attachment Helpers', () => {
+  describe('resolveMimeType', () => {
+    it('should trust a specific declared type', () => {
+      expect(resolveMimeType({ originalname: 'shot.png', mimetype: 'image/png' })).toBe('image/png');
+    });
+
+    it('should fall back to the extension for generic or missing types', () => {
+      expect(resolveMimeType({ originalname: 'session.har', mimetype: 'application/octet-stream' }))
+        .toBe('application/har+json');
+      expect(resolveMimeType({ originalname: 'server.LOG', mimetype: '' })).toBe('text/plain');
+      expect(resolveMimeType({ originalname: 'data.bin', mimetype: '' })).toBe('application/octet-stream');
+    });
+  });
+
+  describe('sanitizeFilename', () => {
+    it('should drop directories and control characters', () => {
+      expect(sanitizeFilename('../../etc/passwd')).toBe('passwd');
+      expect(sanitizeFilename('C:\\Users\\me\\shot.png')).toBe('shot.png');
+      expect(sanitizeFilename('bad\u0000name.txt')).toBe('badname.txt');
+    });
+
+    it('should name files with nothing usable left', () => {
+      expect(sanitizeFilename('')).toBe('attachment');
+      expect(sanitizeFilename('..')).toBe('attachment');
+    });
+
+    it('should shorten long names but keep the extension', () => {
+      const name = sanitizeFilename(`${'a'.repeat(300)}.png`);
+      expect(name).toHaveLength(255);
+      expect(name.endsWith('.png')).toBe(true);
+    });
+  });
+
+  describe('validateFileTypes', () => {
+    it('should accept screenshots, logs and HAR files', () => {
+      const files = [
+        { originalname: 'shot.png', mimetype: 'image/png' },
+        { originalname: 'app.log', mimetype: 'text/plain' },
+        { originalname: 'network.har', mimetype: 'application/octet-stream' }
+      ];
+
+      expect(validateFileTypes(files)).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should name each file of a type that is not allowed', () => {
+      const result = validateFileTypes([
+        { originalname: 'page.html', mimetype: 'text/html' },
+        { originalname: 'shot.png', mimetype: 'image/png' }
+      ]);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(['page.html: file type text/html is not allowed']);
+    });
+  });
+
+  describe('computeChecksum', () => {
+    it('should return the SHA-256 hex digest', () => {
+      expect(computeChecksum(Buffer.from('hello')))
+        .toBe('2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+    });
+  });
+
+  describe('processFile', () => {
+    it('should describe a non-image file without a thumbnail', async () => {
+      const buffer = Buffer.from('GET /login 500\n');
+      const result = await processFile(toFile('app.log', 'text/plain', buffer));
+
+      expect(result.thumbnail).toBeNull();
+      expect(result.attachment).toEqual({
+        filename: 'app.log',
+        mimeType: 'text/plain',
+        size: buffer.length,
+        checksum: computeChecksum(buffer)
+      });
+    });
+
+    it('should measure an image and render a thumbnail that fits the box', async () => {
+      const result = await processFile(toFile('shot.png', 'image/png', await makeImage('png')));
+
+      expect(result.attachment).toMatchObject({ mimeType: 'image/png', width: 640, height: 480 });
+
+      const thumbnail = await sharp(result.thumbnail).metadata();
+      expect(thumbnail.format).toBe('webp');
+      expect(thumbnail.width).toBe(320);
+      expect(thumbnail.height).toBe(240);
+    });
+
+    it('should not enlarge small images', async () => {
+      const result = await processFile(toFile('icon.png', 'image/png', await makeImage('png', 16, 16)));
+
+      expect((await sharp(result.thumbnail).metadata()).width).toBe(16);
+    });
+
+    it('should reject images that are not what they claim to be', async () => {
+      expect(await processFile(toFile('shot.png', 'image/png', Buffer.from('<script>alert(1)</script>'))))
+        .toEqual({ error: 'shot.png is not a valid image' });
+      expect(await processFile(toFile('shot.png', 'image/png', await makeImage('jpeg'))))
+        .toEqual({ error: 'shot.png does not contain image/png data' });
+    });
+  });
+});
+
+describe('Local Storage', () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    storage = createLocalStorage(rootDir);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+  };
+
+  it('should save, read back and remove files', async () => {
+    await storage.save('bug/file', Buffer.from('contents'));
+
+    expect(await readAll(await storage.createReadStream('bug/file'))).toBe('contents');
+
+    await storage.remove('bug/file');
+    await expect(storage.createReadStream('bug/file')).rejects.toThrow();
+  });
+
+  it('should not mind removing a file that is already gone', async () => {
+    await expect(storage.remove('missing')).resolves.toBeUndefined();
+  });
+
+  it('should refuse keys outside its directory', async () => {
+    await expect(storage.save('../escape', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.createReadStream('/etc/passwd')).rejects.toThrow('Invalid storage key');
+  });
+});
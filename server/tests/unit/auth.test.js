@@ -0,0 +1,73 @@
+// auth.test.js - Unit tests for token helpers and the authentication middleware
+
+const jwt = require('jsonwebtoken');
+const { signToken, verifyToken, getBearerToken } = require('../../src/utils/auth');
+const { authenticate } = require('../../src/middleware/auth');
+
+describe('Auth Utilities', () => {
+  const user = { _id: '507f1f77bcf86cd799439011', username: 'jsmith' };
+
+  describe('signToken and verifyToken', () => {
+    it('should round-trip the user identity', () => {
+      const payload = verifyToken(signToken(user));
+      expect(payload.sub).toBe(user._id);
+      expect(payload.username).toBe('jsmith');
+    });
+
+    it('should reject a token signed with another secret', () => {
+      const forged = jwt.sign({ sub: user._id }, 'some-other-secret');
+      expect(() => verifyToken(forged)).toThrow();
+    });
+
+    it('should reject an expired token', () => {
+      const expired = jwt.sign({ sub: user._id }, 'bug-tracker-dev-secret', { expiresIn: -10 });
+      expect(() => verifyToken(expired)).toThrow(/expired/);
+    });
+  });
+
+  describe('getBearerToken', () => {
+    it('should extract a bearer token', () => {
+      expect(getBearerToken('Bearer abc.def.ghi')).toBe('abc.def.ghi');
+    });
+
+    it('should ignore other schemes and missing headers', () => {
+      expect(getBearerToken('Basic dXNlcjpwYXNz')).toBeNull();
+      expect(getBearerToken('Bearer')).toBeNull();
+      expect(getBearerToken(undefined)).toBeNull();
+    });
+  });
+
+  describe('authenticate middleware', () => {
+    const mockRes = () => {
+      const res = {};
+      res.status = jest.fn().mockReturnValue(res);
+      res.json = jest.fn().mockReturnValue(res);
+      return res;
+    };
+
+    it('should return 401 when no token is sent', async () => {
+      const req = { get: () => undefined };
+      const res = mockRes();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Authentication required' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for a malformed token', async () => {
+      const req = { get: () => 'Bearer garbage', log: { info: jest.fn() } };
+      const res = mockRes();
+      const next = jest.fn();
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid or expired token' });
+      expect(next).not.toHaveBeenCalled();
+      expect(req.log.info).toHaveBeenCalledWith('Rejected token', { reason: 'jwt malformed' });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// bulk.test.js - Unit tests for bulk update helpers
+
+const { validateBulkRequest, buildBulkChanges } = require('../../src/utils/bulk');
+
+describe('Bulk Update Helpers', () => {
+  describe('validateBulkRequest', () => {
+    const operation = { type: 'set-priority', value: 'high' };
+
+    it('should accept a list of IDs or a filter', () => {
+      expect(validateBulkRequest({ ids: ['a', 'b'], operation }).isValid).toBe(true);
+      expect(validateBulkRequest({ filter: { q: 'status:open' }, operation }).isValid).toBe(true);
+    });
+
+    it('should require exactly one of ids and filter', () => {
+      expect(validateBulkRequest({ operation }).errors).toContain('Provide either ids or filter');
+      expect(validateBulkRequest({ ids: ['a'], filter: {}, operation }).errors).toContain('Provide either ids or filter');
+    });
+
+    it('should reject bad ids and filters', () => {
+      expect(validateBulkRequest({ ids: [], operation }).errors).toContain('Ids must be a non-empty array of strings');
+      expect(validateBulkRequest({ ids: new Array(501).fill('a'), operation }).errors)
+        .toContain('Cannot update more than 500 bugs at once');
+      expect(validateBulkRequest({ filter: { reporter: 'me' }, operation }).errors)
+        .toContain('Filter can only contain: q, status, priority, milestone');
+      expect(validateBulkRequest({ filter: { status: { $ne: 'x' } }, operation }).errors)
+        .toContain('Filter values must be strings');
+    });
+
+    it('should reject unknown operations and bad values', () => {
+      expect(validateBulkRequest({ ids: ['a'] }).errors).toContain('Operation is required');
+      expect(validateBulkRequest({ ids: ['a'], operation: { type: 'delete' } }).errors[0])
+        .toMatch(/^Operation type must be one of/);
+      expect(validateBulkRequest({ ids: ['a'], operation: { type: 'add-tags', value: 'ui' } }).errors)
+        .toContain('Operation value must be a non-empty array of tags');
+      expect(validateBulkRequest({ ids: ['a'], operation: { type: 'set-status', value: 3 } }).errors)
+        .toContain('Operation value must be a string');
+    });
+  });
+
+  describe('buildBulkChanges', () => {
+    const bug = { tags: ['ui', 'login'] };
+
+    it('should set a field', () => {
+      expect(buildBulkChanges({ type: 'set-priority', value: 'low' }, bug)).toEqual({ priority: 'low' });
+      expect(buildBulkChanges({ type: 'set-assignee', value: 'jdoe' }, bug)).toEqual({ assignee: 'jdoe' });
+    });
+
+    it('should pass a resolution and reason along with a status', () => {
+      expect(buildBulkChanges({ type: 'set-status', value: 'resolved', resolution: 'fixed' }, bug))
+        .toEqual({ status: 'resolved', resolution: 'fixed' });
+    });
+
+    it('should add and remove tags without duplicates', () => {
+      expect(buildBulkChanges({ type: 'add-tags', value: ['ui', ' triaged '] }, bug))
+        .toEqual({ tags: ['ui', 'login', 'triaged'] });
+      expect(buildBulkChanges({ type: 'remove-tags', value: ['login'] }, bug)).toEqual({ tags: ['ui'] });
+    });
+  });
+});
@@ -0,0 +1,27 @@
+// concurrency.test.js - Unit tests for ETag and If-Match helpers
+
+const { getETag, matchesETag } = require('../../src/utils/concurrency');
+
+describe('Concurrency Helpers', () => {
+  const bug = { version: 3 };
+
+  describe('getETag', () => {
+    it('should quote the version', () => {
+      expect(getETag(bug)).toBe('"3"');
+    });
+  });
+
+  describe('matchesETag', () => {
+    it('should match the current ETag, any listed ETag or *', () => {
+      expect(matchesETag('"3"', bug)).toBe(true);
+      expect(matchesETag('"1", "3"', bug)).toBe(true);
+      expect(matchesETag('*', bug)).toBe(true);
+    });
+
+    it('should not match older, weak or malformed ETags', () => {
+      expect(matchesETag('"2"', bug)).toBe(false);
+      expect(matchesETag('W/"3"', bug)).toBe(false);
+      expect(matchesETag('3', bug)).toBe(false);
+    });
+  });
+});
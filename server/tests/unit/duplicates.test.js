@@ -0,0 +1,59 @@
+// duplicates.test.js - Unit tests for duplicate detection
+
+const { getTrigrams, trigramSimilarity, rankDuplicates } = require('../../src/utils/duplicates');
+
+describe('Duplicate Detection', () => {
+  describe('getTrigrams', () => {
+    it('should pad words and ignore case and punctuation', () => {
+      expect([...getTrigrams('Hi, OK!')]).toEqual(['  h', ' hi', 'hi ', '  o', ' ok', 'ok ']);
+    });
+
+    it('should return no trigrams for empty text', () => {
+      expect(getTrigrams('').size).toBe(0);
+      expect(getTrigrams(undefined).size).toBe(0);
+    });
+  });
+
+  describe('trigramSimilarity', () => {
+    it('should be 1 for the same words and 0 for nothing in common', () => {
+      expect(trigramSimilarity(getTrigrams('login fails'), getTrigrams('Fails login'))).toBe(1);
+      expect(trigramSimilarity(getTrigrams('login'), getTrigrams('crash'))).toBe(0);
+    });
+
+    it('should score similar spellings in between', () => {
+      const score = trigramSimilarity(getTrigrams('login button'), getTrigrams('log-in buttons'));
+
+      expect(score).toBeGreaterThan(0.3);
+      expect(score).toBeLessThan(1);
+    });
+  });
+
+  describe('rankDuplicates', () => {
+    const candidates = [
+      { title: 'Dark mode colors wrong', description: 'Sidebar text is unreadable' },
+      { title: 'Login button does nothing', description: 'Clicking sign in on Safari has no effect' },
+      { title: 'Login page slow', description: 'Takes ten seconds to load' }
+    ];
+
+    it('should rank the closest bugs first and drop ones below the minimum score', () => {
+      const matches = rankDuplicates(
+        { title: 'Login button not working', description: 'Nothing happens when clicking sign in' },
+        candidates,
+        { minScore: 0.2 }
+      );
+
+      expect(matches.map(match => match.bug.title)).toEqual(['Login button does nothing']);
+      expect(matches[0].score).toBeGreaterThanOrEqual(0.2);
+    });
+
+    it('should compare titles only while there is no description', () => {
+      const [match] = rankDuplicates({ title: 'Login page slow' }, candidates);
+
+      expect(match).toEqual({ bug: candidates[2], score: 1 });
+    });
+
+    it('should return at most limit matches', () => {
+      expect(rankDuplicates({ title: 'Login' }, candidates, { limit: 1 })).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// eventLog.test.js - Unit tests for the bounded event log behind the bug stream
+
+const { createEventLog, formatServerSentEvent } = require('../../src/utils/eventLog');
+
+describe('createEventLog', () => {
+  it('should pass appended events to listeners until they unsubscribe', () => {
+    const log = createEventLog(10);
+    const listener = jest.fn();
+    const unsubscribe = log.subscribe(listener);
+
+    const entry = log.append('bug.created', { bug: { _id: 'b1' } });
+    unsubscribe();
+    log.append('bug.deleted', { bug: { _id: 'b1' } });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(entry);
+    expect(entry).toMatchObject({ event: 'bug.created', data: { bug: { _id: 'b1' } } });
+  });
+
+  it('should replay the events after a given ID', () => {
+    const log = createEventLog(10);
+    const first = log.append('bug.created', { n: 1 });
+    log.append('bug.updated', { n: 2 });
+    log.append('bug.updated', { n: 3 });
+
+    expect(log.since(first.id).map(entry => entry.data.n)).toEqual([2, 3]);
+    expect(log.since(log.lastId())).toEqual([]);
+  });
+
+  it('should replay everything for the ID from before the first event', () => {
+    const log = createEventLog(10);
+    const start = log.lastId();
+    log.append('bug.created', { n: 1 });
+
+    expect(log.since(start).map(entry => entry.data.n)).toEqual([1]);
+  });
+
+  it('should not replay once missed events have dropped out of the log', () => {
+    const log = createEventLog(2);
+    const first = log.append('bug.created', { n: 1 });
+    const second = log.append('bug.updated', { n: 2 });
+    log.append('bug.updated', { n: 3 });
+    log.append('bug.updated', { n: 4 });
+
+    expect(log.since(first.id)).toBeNull();
+    expect(log.since(second.id).map(entry => entry.data.n)).toEqual([3, 4]);
+  });
+
+  it('should not replay IDs from another run of the server or that are malformed', () => {
+    const log = createEventLog(10);
+    log.append('bug.created', {});
+
+    expect(log.since('0-1')).toBeNull();
+    expect(log.since(`${log.lastId()}0`)).toBeNull();
+    expect(log.since('garbage')).toBeNull();
+  });
+});
+
+describe('formatServerSentEvent', () => {
+  it('should format a message with an ID, event name and JSON data', () => {
+    expect(formatServerSentEvent({ id: 'abc-1', event: 'bug.updated', data: { title: 'Crash' } }))
+      .toBe('id: abc-1\nevent: bug.updated\ndata: {"title":"Crash"}\n\n');
+  });
+
+  it('should leave out a missing ID', () => {
+    expect(formatServerSentEvent({ event: 'reset', data: {} })).toBe('event: reset\ndata: {}\n\n');
+  });
+});
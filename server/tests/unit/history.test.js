@@ -0,0 +1,106 @@
+// history.test.js - Unit tests for audit trail helpers
+
+const mongoose = require('mongoose');
+const { snapshotBug, diffBugFields, buildUpdateEntries, getActor } = require('../../src/utils/history');
+
+describe('History Utilities', () => {
+  const baseBug = {
+    _id: '507f1f77bcf86cd799439011',
+    title: 'Test Bug',
+    description: 'Test Description',
+    status: 'open',
+    priority: 'medium',
+    reporter: 'John Doe',
+    assignee: '',
+    tags: ['ui'],
+    createdAt: new Date('2023-01-01T10:00:00.000Z')
+  };
+
+  describe('snapshotBug', () => {
+    it('should keep only tracked fields', () => {
+      const snapshot = snapshotBug(baseBug);
+      expect(snapshot).toEqual({
+        title: 'Test Bug',
+        description: 'Test Description',
+        status: 'open',
+        resolution: null,
+        priority: 'medium',
+        reporter: 'John Doe',
+        assignee: '',
+        tags: ['ui'],
+        milestone: null,
+        duplicateOf: null
+      });
+    });
+
+    it('should record references by ID', () => {
+      const milestone = new mongoose.Types.ObjectId();
+      expect(snapshotBug({ ...baseBug, milestone }).milestone).toBe(milestone.toString());
+    });
+
+    it('should turn missing fields into null', () => {
+      const snapshot = snapshotBug({ title: 'Only a title' });
+      expect(snapshot.assignee).toBeNull();
+      expect(snapshot.tags).toBeNull();
+    });
+  });
+
+  describe('diffBugFields', () => {
+    it('should return no changes for identical bugs', () => {
+      expect(diffBugFields(baseBug, { ...baseBug })).toEqual([]);
+    });
+
+    it('should list each changed field with old and new values', () => {
+      const changes = diffBugFields(baseBug, { ...baseBug, status: 'closed', priority: 'high' });
+      expect(changes).toEqual([
+        { field: 'status', oldValue: 'open', newValue: 'closed' },
+        { field: 'priority', oldValue: 'medium', newValue: 'high' }
+      ]);
+    });
+
+    it('should compare tags by content', () => {
+      expect(diffBugFields(baseBug, { ...baseBug, tags: ['ui'] })).toEqual([]);
+      expect(diffBugFields(baseBug, { ...baseBug, tags: ['ui', 'api'] })).toEqual([
+        { field: 'tags', oldValue: ['ui'], newValue: ['ui', 'api'] }
+      ]);
+    });
+
+    it('should ignore untracked fields', () => {
+      expect(diffBugFields(baseBug, { ...baseBug, updatedAt: new Date() })).toEqual([]);
+    });
+  });
+
+  describe('buildUpdateEntries', () => {
+    it('should mark status changes separately from other updates', () => {
+      const entries = buildUpdateEntries(baseBug._id, [
+        { field: 'status', oldValue: 'open', newValue: 'closed' },
+        { field: 'title', oldValue: 'Test Bug', newValue: 'Renamed' }
+      ], 'Jane Smith');
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({ action: 'status-change', field: 'status', actor: 'Jane Smith' });
+      expect(entries[1]).toMatchObject({ action: 'update', field: 'title', oldValue: 'Test Bug', newValue: 'Renamed' });
+      expect(entries[0].timestamp).toBe(entries[1].timestamp);
+    });
+
+    it('should attach the note to the status change only', () => {
+      const entries = buildUpdateEntries(baseBug._id, [
+        { field: 'status', oldValue: 'closed', newValue: 'open' },
+        { field: 'resolution', oldValue: 'fixed', newValue: null }
+      ], 'Jane Smith', 'Still crashes on Safari');
+
+      expect(entries[0].note).toBe('Still crashes on Safari');
+      expect(entries[1].note).toBeNull();
+    });
+  });
+
+  describe('getActor', () => {
+    it('should use the signed-in user', () => {
+      expect(getActor({ user: { username: 'jsmith' } })).toBe('jsmith');
+    });
+
+    it('should fall back to anonymous', () => {
+      expect(getActor({})).toBe('anonymous');
+    });
+  });
+});
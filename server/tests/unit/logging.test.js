@@ -0,0 +1,157 @@
+// logging.test.js - Unit tests for the JSON logger, redaction and request IDs
+
+const mongoose = require('mongoose');
+const { createLogger } = require('../../src/logging/logger');
+const { redact, REDACTED } = require('../../src/logging/redact');
+const { getRequestId } = require('../../src/logging');
+const { debugMiddleware } = require('../../debug');
+
+const createTestLogger = (options = {}) => {
+  const lines = [];
+  const logger = createLogger({ write: line => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+};
+
+describe('createLogger', () => {
+  it('should write one JSON object per line', () => {
+    const { logger, lines } = createTestLogger();
+
+    logger.info('Bug created', { bugId: 'abc' });
+
+    expect(lines).toEqual([{ time: expect.any(String), level: 'info', msg: 'Bug created', bugId: 'abc' }]);
+    expect(new Date(lines[0].time).toISOString()).toBe(lines[0].time);
+  });
+
+  it('should skip levels below its own', () => {
+    const { logger, lines } = createTestLogger({ level: 'warn' });
+
+    logger.debug('Hidden');
+    logger.info('Hidden');
+    logger.warn('Shown');
+    logger.error('Shown too');
+
+    expect(lines.map(line => line.level)).toEqual(['warn', 'error']);
+    expect(logger.isLevelEnabled('info')).toBe(false);
+  });
+
+  it('should write nothing when silent', () => {
+    const { logger, lines } = createTestLogger({ level: 'silent' });
+
+    logger.error('Hidden');
+
+    expect(lines).toHaveLength(0);
+  });
+
+  it('should refuse unknown levels', () => {
+    expect(() => createLogger({ level: 'verbose' })).toThrow('Unknown log level: verbose');
+  });
+
+  it('should add child bindings to every line', () => {
+    const { logger, lines } = createTestLogger();
+    const child = logger.child({ job: 'purgeTrash' }).child({ run: 2 });
+
+    child.info('Purged bugs from the trash', { purged: 3 });
+
+    expect(lines[0]).toMatchObject({ job: 'purgeTrash', run: 2, purged: 3 });
+  });
+
+  it('should read function bindings when each line is written', () => {
+    const { logger, lines } = createTestLogger();
+    const req = { id: 'req-1' };
+    const child = logger.child(() => ({ requestId: req.id, user: req.user })).child({ extra: true });
+
+    child.info('Before sign-in');
+    req.user = 'jsmith';
+    child.info('After sign-in');
+
+    expect(lines[0]).toEqual(expect.objectContaining({ requestId: 'req-1', extra: true }));
+    expect(lines[0]).not.toHaveProperty('user');
+    expect(lines[1]).toMatchObject({ requestId: 'req-1', user: 'jsmith', extra: true });
+  });
+
+  it('should spell out errors and redact secrets in fields', () => {
+    const { logger, lines } = createTestLogger();
+    const error = new Error('Connection refused');
+
+    logger.error('Error creating webhook', { error, body: { url: 'https://example.com', secret: 'shhhhhhhhhhhhhhh' } });
+
+    expect(lines[0].error).toMatchObject({ name: 'Error', message: 'Connection refused', stack: expect.any(String) });
+    expect(lines[0].body).toEqual({ url: 'https://example.com', secret: REDACTED });
+  });
+});
+
+describe('redact', () => {
+  it('should redact secret headers and body fields at any depth', () => {
+    const result = redact({
+      headers: { authorization: 'Bearer abc.def', cookie: 'session=1', 'x-api-key': 'k', accept: 'application/json' },
+      body: { username: 'jsmith', password: 'hunter22', nested: [{ token: 't', name: 'ok' }] }
+    });
+
+    expect(result).toEqual({
+      headers: { authorization: REDACTED, cookie: REDACTED, 'x-api-key': REDACTED, accept: 'application/json' },
+      body: { username: 'jsmith', password: REDACTED, nested: [{ token: REDACTED, name: 'ok' }] }
+    });
+  });
+
+  it('should leave empty secrets alone and not change the original', () => {
+    const body = { password: 'hunter22', token: null };
+
+    expect(redact(body)).toEqual({ password: REDACTED, token: null });
+    expect(body.password).toBe('hunter22');
+  });
+
+  it('should write values the way JSON would', () => {
+    const id = new mongoose.Types.ObjectId();
+    const date = new Date('2026-01-02T03:04:05Z');
+
+    expect(redact({ id, date, big: 10n })).toEqual({ id: id.toString(), date: '2026-01-02T03:04:05.000Z', big: '10' });
+  });
+
+  it('should cut circular and very deep values short', () => {
+    const looped = { name: 'loop' };
+    looped.self = looped;
+
+    expect(redact(looped)).toEqual({ name: 'loop', self: '[Circular]' });
+    expect(JSON.stringify(redact({ a: { b: { c: { d: { e: { f: { g: { h: { i: 1 } } } } } } } } })))
+      .toContain('"[Object]"');
+  });
+});
+
+describe('getRequestId', () => {
+  it('should keep a usable X-Request-Id', () => {
+    expect(getRequestId('client-1234.abc:def_5')).toBe('client-1234.abc:def_5');
+  });
+
+  it('should generate an ID when none or a bad one is sent', () => {
+    const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+    expect(getRequestId(undefined)).toMatch(uuid);
+    expect(getRequestId('has spaces\nand newlines')).toMatch(uuid);
+    expect(getRequestId('x'.repeat(129))).toMatch(uuid);
+    expect(getRequestId(undefined)).not.toBe(getRequestId(undefined));
+  });
+});
+
+describe('debugMiddleware', () => {
+  it('should log request headers and bodies with secrets redacted', () => {
+    const { logger, lines } = createTestLogger({ level: 'debug' });
+    const req = {
+      method: 'POST',
+      originalUrl: '/api/auth/login',
+      headers: { authorization: 'Bearer abc.def', 'content-type': 'application/json' },
+      query: {},
+      body: { username: 'jsmith', password: 'hunter22' },
+      log: logger
+    };
+    const next = jest.fn();
+
+    debugMiddleware(req, { send: jest.fn() }, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(lines[0]).toMatchObject({
+      msg: 'Request: POST /api/auth/login',
+      headers: { authorization: REDACTED, 'content-type': 'application/json' },
+      body: { username: 'jsmith', password: REDACTED }
+    });
+  });
+});
@@ -0,0 +1,228 @@
+// mail.test.js - Unit tests for composing and sending bug emails
+
+const net = require('net');
+const { findMentions, getEmailRecipients } = require('../../src/utils/mail');
+const { renderEmail } = require('../../src/mail/templates');
+const { createSmtpTransport } = require('../../src/mail/smtpTransport');
+const { createMemoryOutbox } = require('../../src/mail/outboxTransport');
+const { createTransport } = require('../../src/mail');
+
+describe('findMentions', () => {
+  it('should find each mentioned username once, lowercased', () => {
+    expect(findMentions('@Alice can you look? cc @bob.smith and @alice.')).toEqual(['alice', 'bob.smith']);
+  });
+
+  it('should skip email addresses and names that are too short', () => {
+    expect(findMentions('Mail ops@example.com or ping @al')).toEqual([]);
+    expect(findMentions(undefined)).toEqual([]);
+  });
+});
+
+describe('getEmailRecipients', () => {
+  const bug = { assignee: 'alice', watchers: ['admin', 'alice', 'bob'] };
+
+  it('should email new assignees', () => {
+    expect(getEmailRecipients('bug.created', bug, { actor: 'admin' })).toEqual([
+      { username: 'alice', kind: 'assigned' }
+    ]);
+    expect(getEmailRecipients('bug.updated', bug, {
+      actor: 'admin',
+      changes: [{ field: 'assignee', oldValue: null, newValue: 'carol' }]
+    })).toEqual([{ username: 'carol', kind: 'assigned' }]);
+  });
+
+  it('should email watchers about status changes, except whoever made them', () => {
+    expect(getEmailRecipients('bug.status_changed', bug, { actor: 'alice' })).toEqual([
+      { username: 'admin', kind: 'statusChanged' },
+      { username: 'bob', kind: 'statusChanged' }
+    ]);
+  });
+
+  it('should tell mentioned users they were mentioned rather than that someone commented', () => {
+    const recipients = getEmailRecipients('bug.commented', bug, {
+      actor: 'admin',
+      comment: { body: '@bob and @dave, any idea?' }
+    });
+
+    expect(recipients).toEqual([
+      { username: 'bob', kind: 'mentioned' },
+      { username: 'dave', kind: 'mentioned' },
+      { username: 'alice', kind: 'commented' }
+    ]);
+  });
+
+  it('should not email about other events', () => {
+    expect(getEmailRecipients('bug.updated', bug, { actor: 'admin', changes: [{ field: 'title' }] })).toEqual([]);
+    expect(getEmailRecipients('bug.deleted', bug, { actor: 'admin' })).toEqual([]);
+  });
+});
+
+describe('renderEmail', () => {
+  const item = {
+    bug: 'b1',
+    bugKey: 'WEB-1',
+    bugTitle: 'Login fails',
+    actor: 'admin',
+    kind: 'statusChanged',
+    details: { from: 'open', to: 'resolved', resolution: 'fixed' }
+  };
+  const options = { appUrl: 'https://bugs.example.com', name: 'Alice' };
+
+  it('should render a single change with a link to the bug', () => {
+    const { subject, text } = renderEmail([item], options);
+
+    expect(subject).toBe('[WEB-1] Status changed to resolved: Login fails');
+    expect(text).toContain('Hi Alice,');
+    expect(text).toContain('admin changed the status of WEB-1 "Login fails" from open to resolved (fixed).');
+    expect(text).toContain('https://bugs.example.com/#bug-b1');
+  });
+
+  it('should quote comments', () => {
+    const { subject, text } = renderEmail([{
+      ...item,
+      kind: 'mentioned',
+      details: { comment: 'Can you check?\nIt fails on Safari' }
+    }], options);
+
+    expect(subject).toBe('[WEB-1] You were mentioned: Login fails');
+    expect(text).toContain('admin mentioned you in a comment on WEB-1 "Login fails":\n\n> Can you check?\n> It fails on Safari');
+  });
+
+  it('should put several changes into one digest', () => {
+    const assigned = { ...item, kind: 'assigned', details: {} };
+    const other = { ...item, bug: 'b2', bugKey: 'WEB-2', bugTitle: 'Slow search' };
+
+    expect(renderEmail([assigned, item], options).subject).toBe('[WEB-1] 2 updates: Login fails');
+
+    const { subject, text } = renderEmail([assigned, item, other], options);
+    expect(subject).toBe('3 updates on 2 bugs');
+    expect(text).toContain('admin assigned WEB-1 "Login fails" to you.');
+    expect(text).toContain('https://bugs.example.com/#bug-b2');
+  });
+});
+
+describe('createMemoryOutbox', () => {
+  it('should keep sent emails until cleared', async () => {
+    const outbox = createMemoryOutbox();
+    const { messageId } = await outbox.send({ from: 'bugs@example.com', to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+
+    expect(outbox.messages).toHaveLength(1);
+    expect(outbox.messages[0]).toMatchObject({ to: 'a@example.com', subject: 'Hi', messageId });
+    expect(outbox.messages[0].raw).toContain(`Message-ID: ${messageId}\r\n`);
+
+    outbox.clear();
+    expect(outbox.messages).toHaveLength(0);
+  });
+
+  it('should keep headers on one line and encode text that is not ASCII', async () => {
+    const outbox = createMemoryOutbox();
+    await outbox.send({
+      from: 'Bug Tracker <bugs@example.com>',
+      to: 'alice@example.com',
+      subject: 'Läuft nicht\r\nBcc: evil@example.com',
+      text: 'Grüße'
+    });
+
+    const { raw } = outbox.messages[0];
+    expect(raw).toContain('From: Bug Tracker <bugs@example.com>\r\n');
+    expect(raw).toContain('To: alice@example.com\r\n');
+    expect(raw).not.toContain('\r\nBcc:');
+    expect(raw).toContain('Subject: =?UTF-8?');
+    expect(raw).toContain('Gr=C3=BC=C3=9Fe');
+  });
+});
+
+describe('createTransport', () => {
+  it('should refuse to start without a transport outside development and test', () => {
+    expect(() => createTransport({ transport: null })).toThrow('MAIL_TRANSPORT must be set');
+    expect(() => createTransport({ transport: 'pigeon' })).toThrow('Unknown MAIL_TRANSPORT "pigeon"');
+  });
+
+  it('should create the configured transport', () => {
+    expect(createTransport({ transport: 'memory' }).messages).toEqual([]);
+  });
+});
+
+describe('createSmtpTransport', () => {
+  let server;
+  let port;
+  let session;
+
+  // A bare SMTP server that accepts everything and records the conversation
+  beforeEach(async () => {
+    session = { commands: [], data: '' };
+    server = net.createServer((socket) => {
+      let buffer = '';
+      let inData = false;
+
+      socket.write('220 test ESMTP\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let end;
+
+        while ((end = buffer.indexOf('\r\n')) >= 0) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 2.0.0 Queued\r\n');
+            } else {
+              session.data += `${line}\r\n`;
+            }
+            continue;
+          }
+
+          session.commands.push(line);
+          if (line.startsWith('EHLO')) socket.write('250-test\r\n250 8BITMIME\r\n');
+          else if (line === 'DATA') {
+            inData = true;
+            socket.write('354 Go ahead\r\n');
+          } else if (line.startsWith('RCPT') && line.includes('nobody@')) socket.write('550 5.1.1 No such user\r\n');
+          else if (line === 'STARTTLS') socket.write('454 4.7.0 TLS not available\r\n');
+          else if (line === 'QUIT') socket.end('221 Bye\r\n');
+          else socket.write('250 OK\r\n');
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should send an email through the server', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port, timeoutMs: 2000 });
+
+    const { messageId } = await transport.send({
+      from: 'Bug Tracker <bugs@example.com>',
+      to: 'alice@example.com',
+      subject: 'Hello',
+      text: 'First line\n.starts with a dot'
+    });
+
+    expect(session.commands).toContain('MAIL FROM:<bugs@example.com>');
+    expect(session.commands).toContain('RCPT TO:<alice@example.com>');
+    expect(session.data).toContain(`Message-ID: ${messageId}\r\n`);
+    expect(session.data).toContain('\r\n..starts with a dot\r\n');
+  });
+
+  it('should fail when the server refuses a recipient', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port, timeoutMs: 2000 });
+
+    await expect(transport.send({ from: 'bugs@example.com', to: 'nobody@example.com', subject: 'Hi', text: 'Hi' }))
+      .rejects.toThrow(/550 5\.1\.1 No such user/);
+  });
+
+  it('should not send a password over a connection without TLS', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port, user: 'bugs', pass: 'secret', timeoutMs: 2000 });
+
+    await expect(transport.send({ from: 'bugs@example.com', to: 'alice@example.com', subject: 'Hi', text: 'Hi' }))
+      .rejects.toThrow(/STARTTLS/);
+    expect(session.commands.some(command => command.startsWith('AUTH'))).toBe(false);
+  });
+});
@@ -0,0 +1,44 @@
+// metrics.test.js - Unit tests for the metrics and route labels
+
+const { EventEmitter } = require('events');
+const { registry, getRouteLabel, instrumentMongoClient } = require('../../src/metrics');
+
+describe('getRouteLabel', () => {
+  it('should name the route pattern rather than the URL', () => {
+    expect(getRouteLabel({ baseUrl: '/api/bugs', route: { path: '/:id' } })).toBe('/api/bugs/:id');
+    expect(getRouteLabel({ baseUrl: '/api/bugs', route: { path: '/' } })).toBe('/api/bugs');
+    expect(getRouteLabel({ baseUrl: '', route: { path: '/health' } })).toBe('/health');
+  });
+
+  it('should hide parameter values in the paths routers are mounted at', () => {
+    expect(getRouteLabel({ baseUrl: '/api/bugs/WEB-12/comments', route: { path: '/:commentId' } }))
+      .toBe('/api/bugs/:param/comments/:commentId');
+    expect(getRouteLabel({ baseUrl: '/api/projects/WEB/bugs/12/links', route: { path: '/' } }))
+      .toBe('/api/projects/:param/bugs/:param/links');
+  });
+
+  it('should group requests no route answered', () => {
+    expect(getRouteLabel({ baseUrl: '', url: '/nope' })).toBe('unmatched');
+  });
+});
+
+describe('instrumentMongoClient', () => {
+  it('should time commands by command and collection', async () => {
+    const client = new EventEmitter();
+    instrumentMongoClient(client);
+
+    client.emit('commandStarted', { requestId: 1, commandName: 'find', command: { find: 'bugs' } });
+    client.emit('commandSucceeded', { requestId: 1, commandName: 'find', duration: 12 });
+    client.emit('commandStarted', { requestId: 2, commandName: 'getMore', command: { getMore: 7, collection: 'bugs' } });
+    client.emit('commandFailed', { requestId: 2, commandName: 'getMore', duration: 3 });
+
+    const output = await registry.metrics();
+    expect(output).toContain('mongodb_command_duration_seconds_count{command="find",collection="bugs",outcome="success"} 1');
+    expect(output).toContain('mongodb_command_duration_seconds_sum{command="find",collection="bugs",outcome="success"} 0.012');
+    expect(output).toContain('mongodb_command_duration_seconds_count{command="getMore",collection="bugs",outcome="failure"} 1');
+  });
+
+  it('should report the default process metrics', async () => {
+    expect(await registry.metrics()).toMatch(/^process_resident_memory_bytes \d+$/m);
+  });
+});
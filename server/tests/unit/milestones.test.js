@@ -0,0 +1,86 @@
+// milestones.test.js - Unit tests for milestone progress
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { getMilestoneProgress } = require('../../src/utils/milestones');
+
+describe('getMilestoneProgress', () => {
+  const now = new Date('2026-06-15T12:00:00.000Z');
+  const milestone = { state: 'open', dueDate: new Date('2026-06-30T00:00:00.000Z') };
+
+  it('should count bugs and work out the percent complete', () => {
+    expect(getMilestoneProgress(milestone, { open: 1, resolved: 2 }, now)).toEqual({
+      total: 3,
+      open: 1,
+      resolved: 2,
+      percentComplete: 67,
+      overdue: false
+    });
+  });
+
+  it('should report 0% for a milestone without bugs', () => {
+    expect(getMilestoneProgress(milestone, undefined, now)).toMatchObject({ total: 0, percentComplete: 0 });
+  });
+
+  it('should flag open milestones past their due date with work left', () => {
+    const late = { ...milestone, dueDate: new Date('2026-06-01T00:00:00.000Z') };
+
+    expect(getMilestoneProgress(late, { open: 1, resolved: 0 }, now).overdue).toBe(true);
+    expect(getMilestoneProgress(late, { open: 0, resolved: 4 }, now).overdue).toBe(false);
+    expect(getMilestoneProgress({ ...late, state: 'closed' }, { open: 1 }, now).overdue).toBe(false);
+    expect(getMilestoneProgress({ state: 'open', dueDate: null }, { open: 1 }, now).overdue).toBe(false);
+  });
+});
+
+describe('Bug.countByMilestone under a custom workflow', () => {
+  let configDir;
+  let originalConfig;
+
+  beforeAll(async () => {
+    originalConfig = process.env.WORKFLOW_CONFIG;
+    configDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'workflow-'));
+    const configPath = path.join(configDir, 'workflow.json');
+    await fs.promises.writeFile(configPath, JSON.stringify({
+      statuses: ['new', 'triaged', 'verified', 'done'],
+      initialStatuses: ['new'],
+      transitions: [{ from: 'new', to: 'triaged' }, { from: 'triaged', to: 'verified' }],
+      resolvedStatuses: ['verified', 'done']
+    }));
+    process.env.WORKFLOW_CONFIG = configPath;
+  });
+
+  afterAll(async () => {
+    if (originalConfig === undefined) delete process.env.WORKFLOW_CONFIG;
+    else process.env.WORKFLOW_CONFIG = originalConfig;
+    await fs.promises.rm(configDir, { recursive: true, force: true });
+  });
+
+  it('should count bugs in the configured resolved statuses as resolved', async () => {
+    let Bug;
+    // The configuration is read when first required, so load a fresh model under the override
+    jest.isolateModules(() => {
+      Bug = require('../../src/models/Bug');
+    });
+
+    const milestoneId = new mongoose.Types.ObjectId();
+    const bugs = ['new', 'triaged', 'verified', 'done', 'done'].map(status => ({ milestone: milestoneId, status }));
+
+    // Runs the pipeline's grouping over the bugs above instead of a database
+    jest.spyOn(Bug, 'aggregate').mockImplementation(async (pipeline) => {
+      const [, resolvedStatuses] = pipeline[1].$group._id.resolved.$in;
+      const groups = new Map();
+      bugs.forEach(bug => {
+        const resolved = resolvedStatuses.includes(bug.status);
+        groups.set(resolved, (groups.get(resolved) || 0) + 1);
+      });
+      return [...groups].map(([resolved, count]) => ({ _id: { milestone: milestoneId, resolved }, count }));
+    });
+
+    const counts = await Bug.countByMilestone([milestoneId]);
+
+    expect(counts.get(milestoneId.toString())).toEqual({ open: 2, resolved: 3 });
+    expect(getMilestoneProgress({ state: 'open' }, counts.get(milestoneId.toString())).percentComplete).toBe(60);
+  });
+});
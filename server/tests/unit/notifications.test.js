@@ -0,0 +1,36 @@
+// notifications.test.js - Unit tests for describing bug events to watchers
+
+const { describeNotification } = require('../../src/utils/notifications');
+
+describe('describeNotification', () => {
+  it('should describe bugs being reported, trashed and restored', () => {
+    expect(describeNotification('bug.created')).toBe('reported this bug');
+    expect(describeNotification('bug.deleted')).toBe('moved this bug to the trash');
+    expect(describeNotification('bug.restored')).toBe('restored this bug from the trash');
+  });
+
+  it('should describe a single change with its values', () => {
+    const describe = change => describeNotification('bug.updated', { changes: [change] });
+
+    expect(describe({ field: 'status', oldValue: 'open', newValue: 'closed' }))
+      .toBe('changed status from open to closed');
+    expect(describe({ field: 'assignee', oldValue: null, newValue: 'alice' })).toBe('assigned this bug to alice');
+    expect(describe({ field: 'assignee', oldValue: 'alice', newValue: null })).toBe('unassigned this bug');
+    expect(describe({ field: 'description', oldValue: 'Old', newValue: 'New' })).toBe('changed the description');
+  });
+
+  it('should list the fields of several changes', () => {
+    const changes = ['title', 'priority', 'tags'].map(field => ({ field }));
+
+    expect(describeNotification('bug.updated', { changes: changes.slice(0, 2) })).toBe('changed the title and priority');
+    expect(describeNotification('bug.updated', { changes })).toBe('changed the title, priority and tags');
+  });
+
+  it('should quote comments, shortening long ones', () => {
+    expect(describeNotification('bug.commented', { comment: { body: '  Still\nhappens on Safari ' } }))
+      .toBe('commented: Still happens on Safari');
+
+    const summary = describeNotification('bug.commented', { comment: { body: 'x'.repeat(300) } });
+    expect(summary).toBe(`commented: ${'x'.repeat(99)}…`);
+  });
+});
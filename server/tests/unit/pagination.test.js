@@ -0,0 +1,117 @@
+// pagination.test.js - Unit tests for bug list sorting and cursors
+
+const mongoose = require('mongoose');
+const {
+  parseSort,
+  getSortSpec,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parseListParams
+} = require('../../src/utils/pagination');
+const { getPriorityRank, getStatusRank } = require('../../src/utils/ranks');
+
+describe('Pagination Helpers', () => {
+  const bug = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Login crash',
+    priorityRank: 3,
+    createdAt: new Date('2026-03-01T10:00:00.000Z')
+  };
+
+  describe('ranks', () => {
+    it('should rank priorities by severity and statuses by workflow order', () => {
+      expect(getPriorityRank('low')).toBeLessThan(getPriorityRank('medium'));
+      expect(getPriorityRank('high')).toBeLessThan(getPriorityRank('critical'));
+      expect(getStatusRank('open')).toBeLessThan(getStatusRank('closed'));
+      expect(getPriorityRank('unknown')).toBe(-1);
+    });
+  });
+
+  describe('parseSort', () => {
+    it('should default to newest first', () => {
+      expect(parseSort()).toMatchObject({ key: '-createdAt', path: 'createdAt', direction: -1 });
+    });
+
+    it('should sort priority and status by rank', () => {
+      expect(parseSort('-priority')).toMatchObject({ path: 'priorityRank', direction: -1 });
+      expect(parseSort('status')).toMatchObject({ path: 'statusRank', direction: 1 });
+    });
+
+    it('should reject unknown fields', () => {
+      expect(parseSort('reporter')).toBeNull();
+      expect(parseSort(['title'])).toBeNull();
+    });
+  });
+
+  describe('getSortSpec', () => {
+    it('should break ties on _id and reverse on request', () => {
+      const sort = parseSort('-priority');
+      expect(getSortSpec(sort)).toEqual({ priorityRank: -1, _id: -1 });
+      expect(getSortSpec(sort, true)).toEqual({ priorityRank: 1, _id: 1 });
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip a cursor for the same sort', () => {
+      const sort = parseSort('-createdAt');
+      const cursor = decodeCursor(encodeCursor(bug, sort), sort);
+
+      expect(cursor.value).toEqual(bug.createdAt);
+      expect(cursor.id.equals(bug._id)).toBe(true);
+    });
+
+    it('should reject cursors from another sort or that are malformed', () => {
+      const token = encodeCursor(bug, parseSort('title'));
+
+      expect(decodeCursor(token, parseSort('-title'))).toBeNull();
+      expect(decodeCursor(token, parseSort('priority'))).toBeNull();
+      expect(decodeCursor('not-a-cursor', parseSort('title'))).toBeNull();
+    });
+  });
+
+  describe('buildCursorFilter', () => {
+    it('should select bugs past the cursor in sort order', () => {
+      const sort = parseSort('-priority');
+      const cursor = { value: 2, id: bug._id };
+
+      expect(buildCursorFilter(sort, cursor)).toEqual({
+        $or: [
+          { priorityRank: { $lt: 2 } },
+          { priorityRank: 2, _id: { $lt: bug._id } }
+        ]
+      });
+      expect(buildCursorFilter(sort, cursor, true).$or[0]).toEqual({ priorityRank: { $gt: 2 } });
+    });
+  });
+
+  describe('parseListParams', () => {
+    it('should use defaults when nothing is given', () => {
+      const params = parseListParams({});
+
+      expect(params.isValid).toBe(true);
+      expect(params).toMatchObject({ page: 1, limit: 10, after: null, before: null });
+      expect(params.sort.key).toBe('-createdAt');
+    });
+
+    it('should reject invalid page and limit values', () => {
+      expect(parseListParams({ page: 'abc' }).errors).toContain('Page must be a positive integer');
+      expect(parseListParams({ page: '0' }).errors).toContain('Page must be a positive integer');
+      expect(parseListParams({ limit: '-5' }).errors).toContain('Limit must be an integer between 1 and 100');
+      expect(parseListParams({ limit: '101' }).errors).toContain('Limit must be an integer between 1 and 100');
+    });
+
+    it('should reject an unknown sort and invalid cursors', () => {
+      expect(parseListParams({ sort: 'reporter' }).isValid).toBe(false);
+      expect(parseListParams({ after: 'garbage' }).errors).toContain('Invalid cursor');
+    });
+
+    it('should not mix cursors with pages or with each other', () => {
+      const token = encodeCursor(bug, parseSort('-createdAt'));
+
+      expect(parseListParams({ page: '2', after: token }).errors).toContain('Use either page or a cursor, not both');
+      expect(parseListParams({ after: token, before: token }).errors).toContain('Use either after or before, not both');
+      expect(parseListParams({ after: token }).after).not.toBeNull();
+    });
+  });
+});
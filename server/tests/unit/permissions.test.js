@@ -0,0 +1,99 @@
+// permissions.test.js - Unit tests for the permission policy helpers
+
+const { checkPermission, getRolePermissions, getUpdateActions, ownsBug, ownsComment } = require('../../src/utils/permissions');
+
+const bug = {
+  title: 'Test Bug',
+  description: 'Test Description',
+  status: 'open',
+  priority: 'medium',
+  reporter: 'jsmith',
+  assignee: 'jdoe',
+  tags: ['ui']
+};
+
+describe('Permission Helpers', () => {
+  describe('getRolePermissions', () => {
+    it('should return the actions of a role', () => {
+      expect(getRolePermissions('viewer')).toEqual({});
+      expect(getRolePermissions('admin')['bug:delete']).toBe('any');
+      expect(getRolePermissions('reporter')['comment:create']).toBe('any');
+    });
+
+    it('should return nothing for an unknown role', () => {
+      expect(getRolePermissions('overlord')).toEqual({});
+    });
+  });
+
+  describe('ownsBug', () => {
+    it('should treat reporters and assignees as owners', () => {
+      expect(ownsBug({ username: 'jsmith' }, bug)).toBe(true);
+      expect(ownsBug({ username: 'jdoe' }, bug)).toBe(true);
+      expect(ownsBug({ username: 'someone' }, bug)).toBe(false);
+    });
+  });
+
+  describe('ownsComment', () => {
+    it('should treat only the author as owner', () => {
+      const comment = { author: 'jdoe', body: 'Reproduced' };
+      expect(ownsComment({ username: 'jdoe' }, comment)).toBe(true);
+      expect(ownsComment({ username: 'jsmith' }, comment)).toBe(false);
+    });
+  });
+
+  describe('checkPermission', () => {
+    it('should allow actions the role has on any bug', () => {
+      expect(checkPermission({ username: 'someone', role: 'developer' }, 'bug:edit', bug))
+        .toEqual({ isAllowed: true, action: 'bug:edit', reason: null });
+    });
+
+    it('should deny actions the role does not have', () => {
+      expect(checkPermission({ username: 'jsmith', role: 'viewer' }, 'bug:edit', bug))
+        .toEqual({ isAllowed: false, action: 'bug:edit', reason: 'role-not-permitted' });
+    });
+
+    it('should limit own-scoped actions to owned bugs', () => {
+      expect(checkPermission({ username: 'jsmith', role: 'reporter' }, 'bug:edit', bug).isAllowed).toBe(true);
+      expect(checkPermission({ username: 'someone', role: 'reporter' }, 'bug:edit', bug))
+        .toEqual({ isAllowed: false, action: 'bug:edit', reason: 'not-owner' });
+    });
+
+    it('should limit own-scoped comment actions to the author', () => {
+      const comment = { author: 'someone', body: 'Reproduced' };
+      expect(checkPermission({ username: 'someone', role: 'reporter' }, 'comment:edit', comment).isAllowed).toBe(true);
+      // Reporting the bug does not make its comments yours
+      expect(checkPermission({ username: 'jsmith', role: 'reporter' }, 'comment:edit', comment))
+        .toEqual({ isAllowed: false, action: 'comment:edit', reason: 'not-owner' });
+      expect(checkPermission({ username: 'jsmith', role: 'admin' }, 'comment:edit', comment).isAllowed).toBe(false);
+      expect(checkPermission({ username: 'jsmith', role: 'admin' }, 'comment:delete', comment).isAllowed).toBe(true);
+    });
+
+    it('should allow own-scoped actions when no bug is given', () => {
+      expect(checkPermission({ username: 'someone', role: 'reporter' }, 'bug:edit').isAllowed).toBe(true);
+    });
+  });
+
+  describe('getUpdateActions', () => {
+    it('should detect edits, status changes and reassignments', () => {
+      expect(getUpdateActions(bug, { title: 'New Title' })).toEqual(['bug:edit']);
+      expect(getUpdateActions(bug, { status: 'in-progress' })).toEqual(['bug:change-status']);
+      expect(getUpdateActions(bug, { assignee: 'someone' })).toEqual(['bug:reassign']);
+    });
+
+    it('should treat a milestone change as an edit and a resolution change as a status change', () => {
+      expect(getUpdateActions(bug, { milestone: '64b7f0c2a1b2c3d4e5f60718' })).toEqual(['bug:edit']);
+      expect(getUpdateActions({ ...bug, status: 'resolved', resolution: 'fixed' }, { resolution: 'wont-fix' }))
+        .toEqual(['bug:change-status']);
+      expect(getUpdateActions(bug, { status: 'resolved', resolution: 'fixed' })).toEqual(['bug:change-status']);
+    });
+
+    it('should ignore fields sent with their current value', () => {
+      expect(getUpdateActions(bug, { ...bug, status: 'resolved' })).toEqual(['bug:change-status']);
+      expect(getUpdateActions(bug, { tags: ['ui'], assignee: 'jdoe' })).toEqual(['bug:edit']);
+    });
+
+    it('should require the edit permission for a no-op update', () => {
+      expect(getUpdateActions(bug, {})).toEqual(['bug:edit']);
+    });
+  });
+});
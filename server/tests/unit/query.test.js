@@ -0,0 +1,131 @@
+// query.test.js - Unit tests for the bug query language parser
+
+const { tokenize, parseDateRange, parseQuery } = require('../../src/utils/query');
+
+const context = { username: 'jsmith' };
+
+describe('Query Parser', () => {
+  describe('tokenize', () => {
+    it('should split on whitespace and keep quoted text together', () => {
+      expect(tokenize('status:open  "login page" tag:"needs info"').tokens).toEqual([
+        { text: 'status:open', position: 0 },
+        { text: '"login page"', position: 13 },
+        { text: 'tag:"needs info"', position: 26 }
+      ]);
+    });
+
+    it('should report unterminated quotes', () => {
+      expect(tokenize('crash "login').errors).toEqual([
+        { message: 'Unterminated quote', position: 6, length: 6 }
+      ]);
+    });
+  });
+
+  describe('parseDateRange', () => {
+    it('should cover a whole UTC day for plain dates', () => {
+      expect(parseDateRange('2026-01-01')).toEqual({
+        start: new Date('2026-01-01T00:00:00.000Z'),
+        end: new Date('2026-01-02T00:00:00.000Z')
+      });
+    });
+
+    it('should reject impossible dates and other formats', () => {
+      expect(parseDateRange('2026-02-30')).toBeNull();
+      expect(parseDateRange('yesterday')).toBeNull();
+    });
+  });
+
+  describe('parseQuery', () => {
+    it('should parse the example triage query', () => {
+      const result = parseQuery(
+        'status:open,in-progress priority:>=high assignee:me tag:ui created:>2026-01-01 -tag:wontfix',
+        context
+      );
+
+      expect(result.isValid).toBe(true);
+      expect(result.filter).toEqual({
+        $and: [
+          { status: { $in: ['open', 'in-progress'] } },
+          { priority: { $in: ['high', 'critical'] } },
+          { assignee: 'jsmith' },
+          { tags: 'ui' },
+          { createdAt: { $gte: new Date('2026-01-02T00:00:00.000Z') } },
+          { tags: { $nin: ['wontfix'] } }
+        ]
+      });
+      expect(result.text).toBe('');
+    });
+
+    it('should leave plain words and phrases for full-text search', () => {
+      const result = parseQuery('status:open crash "login page" -safari', context);
+
+      expect(result.filter).toEqual({ $and: [{ status: 'open' }] });
+      expect(result.text).toBe('crash "login page" -safari');
+    });
+
+    it('should compare priorities by severity', () => {
+      expect(parseQuery('priority:<medium').filter).toEqual({ $and: [{ priority: 'low' }] });
+      expect(parseQuery('-priority:<=medium').filter).toEqual({ $and: [{ priority: { $nin: ['low', 'medium'] } }] });
+    });
+
+    it('should match unassigned bugs with assignee:none', () => {
+      expect(parseQuery('assignee:none').filter).toEqual({ $and: [{ assignee: { $in: ['', null] } }] });
+    });
+
+    it('should turn dates into day ranges', () => {
+      expect(parseQuery('updated:2026-03-04').filter).toEqual({
+        $and: [{
+          updatedAt: {
+            $gte: new Date('2026-03-04T00:00:00.000Z'),
+            $lt: new Date('2026-03-05T00:00:00.000Z')
+          }
+        }]
+      });
+      expect(parseQuery('created:<=2026-03-04').filter).toEqual({
+        $and: [{ createdAt: { $lt: new Date('2026-03-05T00:00:00.000Z') } }]
+      });
+    });
+
+    it('should accept tags as an alias for tag', () => {
+      expect(parseQuery('tags:ui').filter).toEqual({ $and: [{ tags: 'ui' }] });
+    });
+
+    it('should use operator-looking values as literals', () => {
+      expect(parseQuery('tag:$gt reporter:{"$ne":1}').filter).toEqual({
+        $and: [{ tags: '$gt' }, { reporter: '{$ne:1}' }]
+      });
+    });
+
+    it('should report errors with their position', () => {
+      const result = parseQuery('crash owner:bob status:nope');
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        {
+          message: 'Unknown field "owner"; expected one of: status, resolution, priority, assignee, reporter, tag, created, updated',
+          position: 6,
+          length: 9
+        },
+        {
+          message: 'Unknown status "nope"; expected one of: open, in-progress, resolved, closed',
+          position: 16,
+          length: 11
+        }
+      ]);
+    });
+
+    it('should reject unsupported operators, lists and missing values', () => {
+      expect(parseQuery('status:>open').errors[0].message).toBe('"status" does not support ">"');
+      expect(parseQuery('priority:>low,high').errors[0].message).toBe('"priority>" takes a single value');
+      expect(parseQuery('created:2026-01-01,2026-02-01').errors[0].message).toBe('"created" takes a single value');
+      expect(parseQuery('tag:').errors[0].message).toBe('Missing value for "tag"');
+      expect(parseQuery('created:>soon').errors[0].message).toBe('Invalid date "soon"; use YYYY-MM-DD');
+    });
+
+    it('should limit the number of terms', () => {
+      const result = parseQuery(Array(21).fill('tag:ui').join(' '));
+
+      expect(result.errors[0].message).toBe('Query cannot have more than 20 terms');
+    });
+  });
+});
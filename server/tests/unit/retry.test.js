@@ -0,0 +1,16 @@
+// retry.test.js - Unit tests for the retry backoff
+
+const { getRetryDelay } = require('../../src/utils/retry');
+
+describe('getRetryDelay', () => {
+  const options = { baseSeconds: 30, maxSeconds: 3600 };
+
+  it('should double the delay after each attempt', () => {
+    expect([1, 2, 3, 4].map(attempts => getRetryDelay(attempts, options)))
+      .toEqual([30000, 60000, 120000, 240000]);
+  });
+
+  it('should not wait longer than the maximum', () => {
+    expect(getRetryDelay(10, options)).toBe(3600000);
+  });
+});
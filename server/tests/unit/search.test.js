@@ -0,0 +1,72 @@
+// search.test.js - Unit tests for full-text search helpers
+
+const {
+  validateSearchQuery,
+  getSearchTerms,
+  highlightText,
+  buildSnippet,
+  getHighlights
+} = require('../../src/utils/search');
+
+describe('Search Helpers', () => {
+  describe('validateSearchQuery', () => {
+    it('should accept a normal query', () => {
+      expect(validateSearchQuery('login crash')).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should reject non-string and overly long queries', () => {
+      expect(validateSearchQuery(['a', 'b']).errors).toContain('Search query must be a string');
+      expect(validateSearchQuery('a'.repeat(201)).errors).toContain('Search query cannot exceed 200 characters');
+    });
+  });
+
+  describe('getSearchTerms', () => {
+    it('should extract lowercased words and skip negated terms', () => {
+      expect(getSearchTerms('Crash "login page" -safari')).toEqual(['crash', 'login', 'page']);
+    });
+  });
+
+  describe('highlightText', () => {
+    it('should highlight words starting with a term, ignoring case', () => {
+      expect(highlightText('App Crashes on login', ['crash', 'login'])).toEqual([
+        { text: 'App ', highlight: false },
+        { text: 'Crashes', highlight: true },
+        { text: ' on ', highlight: false },
+        { text: 'login', highlight: true }
+      ]);
+    });
+
+    it('should not highlight matches in the middle of a word', () => {
+      expect(highlightText('Recrash', ['crash'])).toEqual([{ text: 'Recrash', highlight: false }]);
+    });
+
+    it('should treat regex characters in terms literally', () => {
+      expect(highlightText('a.b', ['.'])).toEqual([{ text: 'a.b', highlight: false }]);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should cut a window around the first match', () => {
+      const text = `${'lorem '.repeat(30)}it crashed here${' ipsum'.repeat(30)}`;
+      const snippet = buildSnippet(text, ['crash']);
+
+      expect(snippet[0]).toEqual({ text: '…', highlight: false });
+      expect(snippet[snippet.length - 1]).toEqual({ text: '…', highlight: false });
+      expect(snippet).toContainEqual({ text: 'crashed', highlight: true });
+      expect(snippet.map(fragment => fragment.text).join('').length).toBeLessThan(text.length);
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(buildSnippet('Nothing to see', ['crash'])).toBeNull();
+    });
+  });
+
+  describe('getHighlights', () => {
+    it('should only include fields that match', () => {
+      const highlights = getHighlights({ title: 'Slow page', description: 'Crash on load' }, ['crash']);
+
+      expect(highlights).not.toHaveProperty('title');
+      expect(highlights.description).toContainEqual({ text: 'Crash', highlight: true });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// stats.test.js - Unit tests for bug statistics
+
+const {
+  MAX_DAYS,
+  parseStatsParams,
+  getStatsWindow,
+  buildDailySeries,
+  fillBreakdown,
+  buildStats
+} = require('../../src/utils/stats');
+
+describe('parseStatsParams', () => {
+  it('should default the window and the oldest bugs listed', () => {
+    expect(parseStatsParams({})).toEqual({ isValid: true, errors: [], days: 30, oldest: 5 });
+    expect(parseStatsParams({ days: '7', oldest: '10' })).toMatchObject({ isValid: true, days: 7, oldest: 10 });
+  });
+
+  it('should reject windows and counts out of range', () => {
+    const params = parseStatsParams({ days: String(MAX_DAYS + 1), oldest: '0' });
+
+    expect(params.isValid).toBe(false);
+    expect(params.errors).toEqual([
+      'Days must be an integer between 1 and 365',
+      'Oldest must be an integer between 1 and 50'
+    ]);
+    expect(parseStatsParams({ days: ['7'] }).isValid).toBe(false);
+  });
+});
+
+describe('getStatsWindow', () => {
+  it('should start at midnight UTC, counting today as a day', () => {
+    const now = new Date('2026-03-10T15:30:00.000Z');
+
+    expect(getStatsWindow(3, now)).toEqual({
+      days: 3,
+      from: new Date('2026-03-08T00:00:00.000Z'),
+      to: now
+    });
+  });
+});
+
+describe('buildDailySeries', () => {
+  it('should list every day of the window, with zeros for quiet days', () => {
+    const window = getStatsWindow(3, new Date('2026-03-01T08:00:00.000Z'));
+
+    expect(buildDailySeries(window, [{ _id: '2026-02-27', count: 2 }], [{ _id: '2026-03-01', count: 1 }])).toEqual([
+      { date: '2026-02-27', opened: 2, closed: 0 },
+      { date: '2026-02-28', opened: 0, closed: 0 },
+      { date: '2026-03-01', opened: 0, closed: 1 }
+    ]);
+  });
+});
+
+describe('fillBreakdown', () => {
+  it('should keep the given order and fill in missing values', () => {
+    expect(fillBreakdown(['critical', 'high'], [{ _id: 'high', total: 3, open: 1 }], 'priority')).toEqual([
+      { priority: 'critical', total: 0, open: 0 },
+      { priority: 'high', total: 3, open: 1 }
+    ]);
+  });
+});
+
+describe('buildStats', () => {
+  const window = getStatsWindow(1, new Date('2026-03-01T08:00:00.000Z'));
+  const emptyBugs = {
+    totals: [],
+    byStatus: [],
+    byPriority: [],
+    byAssignee: [],
+    byTag: [],
+    openedPerDay: [],
+    oldestOpen: []
+  };
+
+  it('should shape the aggregation results', () => {
+    const stats = buildStats(window, {
+      ...emptyBugs,
+      totals: [{ _id: null, total: 5, open: 3 }],
+      byStatus: [{ _id: 'open', total: 3, open: 3 }, { _id: 'closed', total: 2, open: 0 }],
+      byPriority: [{ _id: 'critical', total: 2, open: 2 }],
+      byAssignee: [{ _id: 'alice', total: 4, open: 3 }, { _id: null, total: 1, open: 0 }],
+      byTag: [{ _id: 'ui', total: 2, open: 1 }]
+    }, {
+      closedPerDay: [{ _id: '2026-03-01', count: 2 }],
+      resolveTime: [{ _id: null, meanMs: 36 * 60 * 60 * 1000 + 1000, bugs: 2 }]
+    });
+
+    expect(stats.totals).toEqual({ total: 5, open: 3, resolved: 2 });
+    expect(stats.byStatus).toEqual([
+      { status: 'open', count: 3 },
+      { status: 'in-progress', count: 0 },
+      { status: 'resolved', count: 0 },
+      { status: 'closed', count: 2 }
+    ]);
+    expect(stats.byPriority.map(item => item.priority)).toEqual(['critical', 'high', 'medium', 'low']);
+    expect(stats.byPriority[0]).toEqual({ priority: 'critical', total: 2, open: 2 });
+    expect(stats.byAssignee).toEqual([
+      { assignee: 'alice', total: 4, open: 3 },
+      { assignee: null, total: 1, open: 0 }
+    ]);
+    expect(stats.byTag).toEqual([{ tag: 'ui', total: 2, open: 1 }]);
+    expect(stats.timeToResolve).toEqual({ meanHours: 36, bugs: 2 });
+    expect(stats.daily).toEqual([{ date: '2026-03-01', opened: 0, closed: 2 }]);
+  });
+
+  it('should leave the mean time to resolve empty when nothing was resolved', () => {
+    const stats = buildStats(window, emptyBugs, { closedPerDay: [], resolveTime: [] });
+
+    expect(stats.totals).toEqual({ total: 0, open: 0, resolved: 0 });
+    expect(stats.timeToResolve).toEqual({ meanHours: null, bugs: 0 });
+  });
+});
@@ -1,6 +1,22 @@
 // validation.test.js - Unit tests for validation utilities
 
-const { validateBugData, sanitizeBugData, isValidObjectId } = require('../../src/utils/validation');
+const {
+  validateBugData,
+  sanitizeBugData,
+  validateCommentData,
+  sanitizeCommentData,
+  validateRegistrationData,
+  validateAccountData,
+  validateProjectData,
+  sanitizeProjectData,
+  validateLabelData,
+  sanitizeLabelData,
+  validateMilestoneData,
+  sanitizeMilestoneData,
+  validateWebhookData,
+  sanitizeWebhookData,
+  isValidObjectId
+} = require('../../src/utils/validation');
 
 describe('Validation Utilities', () => {
   describe('validateBugData', () => {
@@ -167,6 +183,35 @@ describe('Validation Utilities', () => {
       expect(result.isValid).toBe(false);
       expect(result.errors).toContain('Tag at index 1 must be a string');
     });
+
+    it('should accept a milestone ID or null, and reject anything else', () => {
+      const bug = { title: 'Test Bug', description: 'This is a test bug description', reporter: 'John Doe' };
+
+      expect(validateBugData({ ...bug, milestone: '507f1f77bcf86cd799439011' }).isValid).toBe(true);
+      expect(validateBugData({ ...bug, milestone: null }).isValid).toBe(true);
+      expect(validateBugData({ ...bug, milestone: '2.4' }).errors).toEqual(['Milestone must be a valid milestone ID']);
+    });
+
+    describe('with labels', () => {
+      const labels = [{ name: 'UI', archived: false }, { name: 'legacy', archived: true }];
+      const bug = { title: 'Test Bug', description: 'This is a test bug description', reporter: 'John Doe' };
+
+      it('should accept tags that name a label', () => {
+        expect(validateBugData({ ...bug, tags: ['UI', 'ui'] }, { labels }).isValid).toBe(true);
+      });
+
+      it('should reject tags without a label', () => {
+        expect(validateBugData({ ...bug, tags: ['UI', 'frontend'] }, { labels }).errors)
+          .toEqual(['Unknown label "frontend"']);
+      });
+
+      it('should reject archived and unknown labels unless the bug already has them', () => {
+        expect(validateBugData({ ...bug, tags: ['legacy'] }, { labels }).errors)
+          .toEqual(['Label "legacy" is archived']);
+        expect(validateBugData({ ...bug, tags: ['legacy', 'old'] }, { labels, existingTags: ['legacy', 'old'] }).isValid)
+          .toBe(true);
+      });
+    });
   });
 
   describe('sanitizeBugData', () => {
@@ -208,6 +253,239 @@ describe('Validation Utilities', () => {
       const result = sanitizeBugData(data);
       expect(result.tags).toEqual(['tag1', 'tag2']);
     });
+
+    it('should spell tags as their labels do and drop repeats', () => {
+      const result = sanitizeBugData(
+        { tags: ['ui ', 'UI', 'needs   repro', 'other'] },
+        { labels: [{ name: 'UI' }, { name: 'Needs Repro' }] }
+      );
+      expect(result.tags).toEqual(['UI', 'Needs Repro', 'other']);
+    });
+  });
+
+  describe('validateCommentData', () => {
+    it('should validate correct comment data', () => {
+      const result = validateCommentData({ author: 'John Doe', body: 'Reproduced on Firefox too' });
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    it('should reject missing author and body', () => {
+      const result = validateCommentData({});
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Author is required and must be a string');
+      expect(result.errors).toContain('Comment body is required and must be a string');
+    });
+
+    it('should reject blank body', () => {
+      const result = validateCommentData({ author: 'John Doe', body: '   ' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Comment body cannot be empty');
+    });
+
+    it('should reject body exceeding 2000 characters', () => {
+      const result = validateCommentData({ author: 'John Doe', body: 'a'.repeat(2001) });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Comment cannot exceed 2000 characters');
+    });
+  });
+
+  describe('sanitizeCommentData', () => {
+    it('should trim fields and drop unknown ones', () => {
+      const result = sanitizeCommentData({
+        author: '  John Doe  ',
+        body: '  Still happening  ',
+        edited: true,
+        bug: '507f1f77bcf86cd799439011'
+      });
+      expect(result).toEqual({ author: 'John Doe', body: 'Still happening' });
+    });
+  });
+
+  describe('validateRegistrationData', () => {
+    it('should validate correct registration data', () => {
+      const result = validateRegistrationData({ username: 'jane.smith', name: 'Jane Smith', password: 'correct horse' });
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    it('should reject usernames with spaces or too few characters', () => {
+      const message = 'Username must be 3-30 characters of letters, numbers, dots, dashes or underscores';
+      expect(validateRegistrationData({ username: 'jane smith', name: 'Jane', password: 'correct horse' }).errors)
+        .toContain(message);
+      expect(validateRegistrationData({ username: 'js', name: 'Jane', password: 'correct horse' }).errors)
+        .toContain(message);
+    });
+
+    it('should reject short passwords', () => {
+      const result = validateRegistrationData({ username: 'jsmith', name: 'Jane', password: 'short' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Password must be at least 8 characters');
+    });
+
+    it('should reject missing fields', () => {
+      const result = validateRegistrationData({});
+      expect(result.errors).toEqual([
+        'Username is required and must be a string',
+        'Name is required and must be a string',
+        'Password is required and must be a string'
+      ]);
+    });
+
+    it('should accept an optional email address', () => {
+      const account = { username: 'jsmith', name: 'Jane', password: 'correct horse' };
+
+      expect(validateRegistrationData({ ...account, email: 'jane@example.com' }).isValid).toBe(true);
+      expect(validateRegistrationData({ ...account, email: 'jane at example' }).errors)
+        .toEqual(['Email must be a valid email address']);
+    });
+  });
+
+  describe('validateAccountData', () => {
+    it('should accept an address and known preferences', () => {
+      const result = validateAccountData({ email: 'jane@example.com', emailPreferences: { commented: false } });
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should allow the address to be cleared', () => {
+      expect(validateAccountData({ email: null }).isValid).toBe(true);
+      expect(validateAccountData({ email: '' }).isValid).toBe(true);
+    });
+
+    it('should reject unknown and non-boolean preferences', () => {
+      expect(validateAccountData({ emailPreferences: { digest: true, mentioned: 'yes' } }).errors).toEqual([
+        'Unknown email preference "digest"; use assigned, statusChanged, commented, mentioned',
+        'Email preference "mentioned" must be true or false'
+      ]);
+      expect(validateAccountData({ emailPreferences: [] }).errors).toEqual(['Email preferences must be an object']);
+    });
+  });
+
+  describe('validateProjectData', () => {
+    it('should accept a valid project', () => {
+      const result = validateProjectData({ key: 'WEB', name: 'Web App', description: 'Customer site' });
+      expect(result).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should reject bad keys', () => {
+      ['W', '1WEB', 'WEB-APP', 'ABCDEFGHIJK'].forEach(key => {
+        expect(validateProjectData({ key, name: 'Web App' }).errors)
+          .toContain('Key must be 2-10 letters or digits, starting with a letter');
+      });
+    });
+
+    it('should not require a key for updates', () => {
+      expect(validateProjectData({ name: 'Web App' }, { isUpdate: true }).isValid).toBe(true);
+    });
+
+    it('should reject missing and oversized fields', () => {
+      expect(validateProjectData({}).errors).toEqual([
+        'Key is required and must be a string',
+        'Name is required and must be a string'
+      ]);
+      expect(validateProjectData({ key: 'WEB', name: 'a'.repeat(101), description: 'b'.repeat(1001) }).errors)
+        .toEqual(['Name cannot exceed 100 characters', 'Description cannot exceed 1000 characters']);
+    });
+  });
+
+  describe('sanitizeProjectData', () => {
+    it('should trim fields, upper-case the key and drop anything else', () => {
+      expect(sanitizeProjectData({ key: ' web ', name: ' Web App ', bugCounter: 99 }))
+        .toEqual({ key: 'WEB', name: 'Web App' });
+    });
+  });
+
+  describe('validateLabelData', () => {
+    it('should accept a valid label', () => {
+      expect(validateLabelData({ name: 'UI', color: '#d73a4a', description: 'Looks', archived: false }))
+        .toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should require a name unless updating', () => {
+      expect(validateLabelData({}).errors).toEqual(['Name is required and must be a string']);
+      expect(validateLabelData({ color: '#ffffff' }, { isUpdate: true }).isValid).toBe(true);
+    });
+
+    it('should reject bad fields', () => {
+      expect(validateLabelData({
+        name: 'a'.repeat(51),
+        color: 'red',
+        description: 'b'.repeat(201),
+        archived: 'yes'
+      }).errors).toEqual([
+        'Name cannot exceed 50 characters',
+        'Color must be a hex color like #d73a4a',
+        'Description cannot exceed 200 characters',
+        'Archived must be true or false'
+      ]);
+    });
+  });
+
+  describe('sanitizeLabelData', () => {
+    it('should normalize fields and drop anything else', () => {
+      expect(sanitizeLabelData({ name: '  Needs   repro ', color: ' #D73A4A ', description: ' x ', nameKey: 'y' }))
+        .toEqual({ name: 'Needs repro', color: '#d73a4a', description: 'x' });
+    });
+  });
+
+  describe('validateMilestoneData', () => {
+    it('should accept a valid milestone', () => {
+      expect(validateMilestoneData({ name: '2.4', dueDate: '2026-06-30', state: 'open' }))
+        .toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should not require a name for updates', () => {
+      expect(validateMilestoneData({ state: 'closed' }, { isUpdate: true }).isValid).toBe(true);
+      expect(validateMilestoneData({}).errors).toEqual(['Name is required and must be a string']);
+    });
+
+    it('should reject bad dates and states', () => {
+      expect(validateMilestoneData({ name: '2.4', dueDate: 'soon', state: 'done' }).errors).toEqual([
+        'Due date must be a valid date',
+        'State must be one of: open, closed'
+      ]);
+    });
+  });
+
+  describe('sanitizeMilestoneData', () => {
+    it('should trim fields, clear empty due dates and drop anything else', () => {
+      expect(sanitizeMilestoneData({ name: ' 2.4 ', dueDate: '', createdAt: 'x' }))
+        .toEqual({ name: '2.4', dueDate: null });
+    });
+  });
+
+  describe('validateWebhookData', () => {
+    it('should accept a valid webhook', () => {
+      expect(validateWebhookData({
+        url: 'https://ci.example.com/hooks/bugs',
+        secret: 'a-long-enough-secret',
+        events: ['bug.created', 'bug.status_changed'],
+        active: true
+      })).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should require an http or https URL and events, except for updates', () => {
+      expect(validateWebhookData({ url: 'ftp://example.com', events: [] }).errors).toEqual([
+        'URL is required and must be an http or https URL',
+        'Events must be a non-empty array'
+      ]);
+      expect(validateWebhookData({ active: false }, { isUpdate: true }).isValid).toBe(true);
+    });
+
+    it('should reject unknown events and short secrets', () => {
+      expect(validateWebhookData({ url: 'http://localhost:9000', events: ['bug.exploded'], secret: 'short' }).errors)
+        .toEqual([
+          'Secret must be a string of at least 16 characters',
+          expect.stringContaining('Unknown event "bug.exploded"')
+        ]);
+    });
+  });
+
+  describe('sanitizeWebhookData', () => {
+    it('should trim the URL, drop repeated events and anything else', () => {
+      expect(sanitizeWebhookData({ url: ' http://localhost:9000 ', events: ['bug.created', 'bug.created'], createdBy: 'x' }))
+        .toEqual({ url: 'http://localhost:9000', events: ['bug.created'] });
+    });
   });
 
   describe('isValidObjectId', () => {
@@ -0,0 +1,41 @@
+// webhooks.test.js - Unit tests for webhook signing
+
+const crypto = require('crypto');
+const { signPayload, verifySignature, generateSecret } = require('../../src/utils/webhooks');
+
+describe('signPayload', () => {
+  it('should sign the body with HMAC-SHA256 of the secret', () => {
+    const body = JSON.stringify({ event: 'bug.created' });
+    const expected = crypto.createHmac('sha256', 'top-secret').update(body).digest('hex');
+
+    expect(signPayload('top-secret', body)).toBe(`sha256=${expected}`);
+  });
+
+  it('should give different signatures for different secrets or bodies', () => {
+    expect(signPayload('one', 'body')).not.toBe(signPayload('two', 'body'));
+    expect(signPayload('one', 'body')).not.toBe(signPayload('one', 'body!'));
+  });
+});
+
+describe('verifySignature', () => {
+  it('should accept the signature of the exact body', () => {
+    expect(verifySignature('secret', '{"a":1}', signPayload('secret', '{"a":1}'))).toBe(true);
+  });
+
+  it('should reject changed bodies, other secrets and missing signatures', () => {
+    const signature = signPayload('secret', '{"a":1}');
+
+    expect(verifySignature('secret', '{"a":2}', signature)).toBe(false);
+    expect(verifySignature('other', '{"a":1}', signature)).toBe(false);
+    expect(verifySignature('secret', '{"a":1}', undefined)).toBe(false);
+  });
+});
+
+describe('generateSecret', () => {
+  it('should generate a different 64-character hex secret each time', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
@@ -0,0 +1,151 @@
+// workflow.test.js - Unit tests for the status workflow engine
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getAllowedTransitions,
+  checkTransition,
+  checkInitialStatus,
+  keepsResolution
+} = require('../../src/utils/workflow');
+
+describe('Workflow Engine', () => {
+  describe('getAllowedTransitions', () => {
+    it('should list the statuses reachable from open', () => {
+      expect(getAllowedTransitions('open')).toEqual(['in-progress', 'resolved', 'closed']);
+    });
+
+    it('should only allow reopening a closed bug', () => {
+      expect(getAllowedTransitions('closed')).toEqual(['open']);
+    });
+
+    it('should return nothing for an unknown status', () => {
+      expect(getAllowedTransitions('archived')).toEqual([]);
+    });
+  });
+
+  describe('checkTransition', () => {
+    it('should accept a transition without requirements', () => {
+      const result = checkTransition('open', 'in-progress');
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    it('should reject a transition that is not defined', () => {
+      const result = checkTransition('closed', 'resolved');
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Cannot move a bug from "closed" to "resolved"');
+      expect(result.allowedTransitions).toEqual(['open']);
+    });
+
+    it('should require a resolution when resolving', () => {
+      const result = checkTransition('in-progress', 'resolved', {});
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('A resolution is required when moving from "in-progress" to "resolved"');
+    });
+
+    it('should reject an unknown resolution', () => {
+      const result = checkTransition('in-progress', 'resolved', { resolution: 'magic' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toMatch(/^Resolution must be one of/);
+    });
+
+    it('should accept a known resolution', () => {
+      expect(checkTransition('open', 'closed', { resolution: 'wont-fix' }).isValid).toBe(true);
+    });
+
+    it('should require a reason when reopening', () => {
+      expect(checkTransition('closed', 'open', { reason: '   ' }).isValid).toBe(false);
+      expect(checkTransition('closed', 'open', { reason: 'Regressed in 2.1' }).isValid).toBe(true);
+    });
+
+    it('should follow a custom configuration', () => {
+      const config = {
+        resolutions: ['done'],
+        transitions: [{ from: 'new', to: 'done', requires: ['resolution'] }]
+      };
+
+      expect(checkTransition('new', 'done', { resolution: 'done' }, config).isValid).toBe(true);
+      expect(checkTransition('new', 'open', {}, config).isValid).toBe(false);
+    });
+  });
+
+  describe('checkInitialStatus', () => {
+    it('should accept the default and open statuses', () => {
+      expect(checkInitialStatus(undefined).isValid).toBe(true);
+      expect(checkInitialStatus('open').isValid).toBe(true);
+    });
+
+    it('should reject creating a bug that is already closed', () => {
+      const result = checkInitialStatus('closed');
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('New bugs must start in one of: open');
+    });
+  });
+
+  describe('keepsResolution', () => {
+    it('should keep the resolution only for resolved and closed bugs', () => {
+      expect(keepsResolution('resolved')).toBe(true);
+      expect(keepsResolution('closed')).toBe(true);
+      expect(keepsResolution('open')).toBe(false);
+      expect(keepsResolution('in-progress')).toBe(false);
+    });
+  });
+
+  describe('custom statuses', () => {
+    let configDir;
+    let originalConfig;
+
+    beforeAll(async () => {
+      originalConfig = process.env.WORKFLOW_CONFIG;
+      configDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'workflow-'));
+      const configPath = path.join(configDir, 'workflow.json');
+      await fs.promises.writeFile(configPath, JSON.stringify({
+        statuses: ['new', 'triaged', 'verified', 'done'],
+        initialStatuses: ['new'],
+        transitions: [{ from: 'new', to: 'triaged' }, { from: 'triaged', to: 'verified' }],
+        resolvedStatuses: ['verified', 'done']
+      }));
+      process.env.WORKFLOW_CONFIG = configPath;
+    });
+
+    afterAll(async () => {
+      if (originalConfig === undefined) delete process.env.WORKFLOW_CONFIG;
+      else process.env.WORKFLOW_CONFIG = originalConfig;
+      await fs.promises.rm(configDir, { recursive: true, force: true });
+    });
+
+    // The configuration is read when first required, so load fresh copies under the override
+    const loadWithCustomWorkflow = () => {
+      let modules;
+      jest.isolateModules(() => {
+        modules = {
+          Bug: require('../../src/models/Bug'),
+          validateBugData: require('../../src/utils/validation').validateBugData
+        };
+      });
+      return modules;
+    };
+
+    it('should accept the configured statuses when validating bugs', () => {
+      const { validateBugData } = loadWithCustomWorkflow();
+      const bugData = { title: 'Test Bug', description: 'Test Description', reporter: 'jsmith' };
+
+      expect(validateBugData({ ...bugData, status: 'triaged' }).isValid).toBe(true);
+      expect(validateBugData({ ...bugData, status: 'open' }).errors)
+        .toContain('Status must be one of: new, triaged, verified, done');
+    });
+
+    it('should let the bug model save the configured statuses', () => {
+      const { Bug } = loadWithCustomWorkflow();
+      const bugData = { title: 'Test Bug', description: 'Test Description', reporter: 'jsmith', project: '507f1f77bcf86cd799439011' };
+
+      const newBug = new Bug(bugData);
+      expect(newBug.status).toBe('new');
+      expect(newBug.validateSync()).toBeUndefined();
+      expect(new Bug({ ...bugData, status: 'verified' }).validateSync()).toBeUndefined();
+      expect(new Bug({ ...bugData, status: 'open' }).validateSync().errors.status).toBeDefined();
+    });
+  });
+});